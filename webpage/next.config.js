@@ -30,6 +30,10 @@ const nextConfig = {
     maxInactiveAge: 25 * 1000,
     pagesBufferLength: 2,
   },
+  // Runs src/instrumentation.js when the server starts (starts the job scheduler)
+  experimental: {
+    instrumentationHook: true,
+  },
   // Settings for auth-based app (uses cookies and dynamic routes)
   trailingSlash: false,
   poweredByHeader: false
@@ -0,0 +1,12 @@
+-- Optional per-prompt generation settings (NULL means use the provider/server default)
+ALTER TABLE "Prompt" ADD COLUMN "provider" TEXT;
+ALTER TABLE "Prompt" ADD COLUMN "model" TEXT;
+ALTER TABLE "Prompt" ADD COLUMN "temperature" REAL;
+ALTER TABLE "Prompt" ADD COLUMN "maxTokens" INTEGER;
+ALTER TABLE "Prompt" ADD COLUMN "systemPrompt" TEXT;
+
+-- Record the settings that produced each response
+ALTER TABLE "Response" ADD COLUMN "provider" TEXT;
+ALTER TABLE "Response" ADD COLUMN "temperature" REAL;
+ALTER TABLE "Response" ADD COLUMN "maxTokens" INTEGER;
+ALTER TABLE "Response" ADD COLUMN "systemPrompt" TEXT;
@@ -0,0 +1,6 @@
+-- {{time}} is now a built-in variable (current time). The bundled "Music Facts" core prompt
+-- used it for script length, so rename it to {{Script_Length}} as in prompts.json. Only the
+-- lowercase name is reserved and user prompts are left as they are.
+UPDATE "Prompt"
+SET "promptText" = REPLACE("promptText", '{{time}}', '{{Script_Length}}')
+WHERE "isUserCreated" = 0 AND instr("promptText", '{{time}}') > 0;
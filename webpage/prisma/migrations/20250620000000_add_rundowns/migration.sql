@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "Rundown" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT,
+    "title" TEXT NOT NULL,
+    "showDate" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Rundown_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "RundownSlot" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "rundownId" TEXT NOT NULL,
+    "promptId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "label" TEXT,
+    "variables" TEXT,
+    "targetSeconds" INTEGER,
+    "responseId" TEXT,
+    CONSTRAINT "RundownSlot_rundownId_fkey" FOREIGN KEY ("rundownId") REFERENCES "Rundown" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "RundownSlot_promptId_fkey" FOREIGN KEY ("promptId") REFERENCES "Prompt" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "RundownSlot_responseId_fkey" FOREIGN KEY ("responseId") REFERENCES "Response" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "RundownSlot_rundownId_position_idx" ON "RundownSlot"("rundownId", "position");
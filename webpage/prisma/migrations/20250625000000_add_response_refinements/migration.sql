@@ -0,0 +1,32 @@
+-- Refinements are follow-up responses linked to the response they revise
+-- RedefineTables
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Response" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "promptId" TEXT NOT NULL,
+    "userId" TEXT,
+    "parentId" TEXT,
+    "instruction" TEXT,
+    "responseText" TEXT NOT NULL,
+    "modelUsed" TEXT,
+    "promptTokens" INTEGER,
+    "completionTokens" INTEGER,
+    "totalTokens" INTEGER,
+    "createdAt" DATETIME NOT NULL,
+    "lastEdited" DATETIME,
+    "variablesUsed" TEXT,
+    "provider" TEXT,
+    "temperature" REAL,
+    "maxTokens" INTEGER,
+    "systemPrompt" TEXT,
+    CONSTRAINT "Response_promptId_fkey" FOREIGN KEY ("promptId") REFERENCES "Prompt" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Response_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Response_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Response" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Response" ("id", "promptId", "userId", "responseText", "modelUsed", "promptTokens", "completionTokens", "totalTokens", "createdAt", "lastEdited", "variablesUsed", "provider", "temperature", "maxTokens", "systemPrompt")
+SELECT "id", "promptId", "userId", "responseText", "modelUsed", "promptTokens", "completionTokens", "totalTokens", "createdAt", "lastEdited", "variablesUsed", "provider", "temperature", "maxTokens", "systemPrompt" FROM "Response";
+DROP TABLE "Response";
+ALTER TABLE "new_Response" RENAME TO "Response";
+CREATE INDEX "Response_parentId_idx" ON "Response"("parentId");
+PRAGMA foreign_key_check;
+PRAGMA foreign_keys=ON;
@@ -0,0 +1,28 @@
+-- Optional monthly AI budget per user, in US dollars (NULL means the station default applies)
+ALTER TABLE "User" ADD COLUMN "monthlyBudget" REAL;
+
+-- CreateTable
+CREATE TABLE "UsageRecord" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT,
+    "provider" TEXT,
+    "model" TEXT,
+    "source" TEXT NOT NULL,
+    "promptTokens" INTEGER NOT NULL DEFAULT 0,
+    "completionTokens" INTEGER NOT NULL DEFAULT 0,
+    "totalTokens" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "UsageRecord_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- Start the ledger from the token counts already stored on saved responses
+INSERT INTO "UsageRecord" ("id", "userId", "provider", "model", "source", "promptTokens", "completionTokens", "totalTokens", "createdAt")
+SELECT 'usage_' || "id", "userId", "provider", "modelUsed", 'response', COALESCE("promptTokens", 0), COALESCE("completionTokens", 0), "totalTokens", "createdAt"
+FROM "Response"
+WHERE "totalTokens" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "UsageRecord_createdAt_idx" ON "UsageRecord"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "UsageRecord_userId_createdAt_idx" ON "UsageRecord"("userId", "createdAt");
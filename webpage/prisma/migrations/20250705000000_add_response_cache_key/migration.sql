@@ -0,0 +1,5 @@
+-- Hash of the exact request that produced a response, used to reuse it for identical requests
+ALTER TABLE "Response" ADD COLUMN "cacheKey" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Response_cacheKey_idx" ON "Response"("cacheKey");
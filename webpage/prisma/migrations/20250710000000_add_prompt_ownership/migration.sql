@@ -0,0 +1,58 @@
+-- Prompts and categories belong to a user and are private, shared with the station, or core
+-- RedefineTables
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Prompt" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "categoryId" TEXT,
+    "promptText" TEXT NOT NULL,
+    "isUserCreated" BOOLEAN NOT NULL,
+    "userId" TEXT,
+    "visibility" TEXT NOT NULL DEFAULT 'private',
+    "usageCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL,
+    "lastUsed" DATETIME,
+    "lastEdited" DATETIME,
+    "provider" TEXT,
+    "model" TEXT,
+    "temperature" REAL,
+    "maxTokens" INTEGER,
+    "systemPrompt" TEXT,
+    CONSTRAINT "Prompt_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_Prompt" ("id", "title", "description", "categoryId", "promptText", "isUserCreated", "usageCount", "createdAt", "lastUsed", "lastEdited", "provider", "model", "temperature", "maxTokens", "systemPrompt")
+SELECT "id", "title", "description", "categoryId", "promptText", "isUserCreated", "usageCount", "createdAt", "lastUsed", "lastEdited", "provider", "model", "temperature", "maxTokens", "systemPrompt" FROM "Prompt";
+DROP TABLE "Prompt";
+ALTER TABLE "new_Prompt" RENAME TO "Prompt";
+CREATE INDEX "Prompt_userId_idx" ON "Prompt"("userId");
+CREATE TABLE "new_Category" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "isUserCreated" BOOLEAN NOT NULL DEFAULT false,
+    "userId" TEXT,
+    "visibility" TEXT NOT NULL DEFAULT 'private',
+    CONSTRAINT "Category_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_Category" ("id", "name", "isUserCreated")
+SELECT "id", "name", "isUserCreated" FROM "Category";
+DROP TABLE "Category";
+ALTER TABLE "new_Category" RENAME TO "Category";
+CREATE INDEX "Category_userId_idx" ON "Category"("userId");
+PRAGMA foreign_key_check;
+PRAGMA foreign_keys=ON;
+
+-- Built-in prompts and categories are core
+UPDATE "Prompt" SET "visibility" = 'core' WHERE "isUserCreated" = false;
+UPDATE "Category" SET "visibility" = 'core' WHERE "isUserCreated" = false;
+
+-- Everyone could see user-created prompts and categories before, so they stay shared and go
+-- to the default admin (the first admin account if it has been renamed)
+UPDATE "Prompt"
+SET "visibility" = 'shared',
+    "userId" = (SELECT "id" FROM "User" WHERE "isAdmin" = true ORDER BY "email" = 'admin@example.com' DESC, "createdAt" ASC LIMIT 1)
+WHERE "isUserCreated" = true;
+UPDATE "Category"
+SET "visibility" = 'shared',
+    "userId" = (SELECT "id" FROM "User" WHERE "isAdmin" = true ORDER BY "email" = 'admin@example.com' DESC, "createdAt" ASC LIMIT 1)
+WHERE "isUserCreated" = true;
@@ -0,0 +1,12 @@
+-- Preferences used to be stored once for everyone; give every user their own copy
+INSERT INTO "UserSetting" ("id", "userId", "key", "value")
+SELECT lower(hex(randomblob(12))), "User"."id", "Setting"."key", "Setting"."value"
+FROM "User" CROSS JOIN "Setting"
+WHERE "Setting"."key" <> 'defaultMonthlyBudget'
+AND NOT EXISTS (
+    SELECT 1 FROM "UserSetting"
+    WHERE "UserSetting"."userId" = "User"."id" AND "UserSetting"."key" = "Setting"."key"
+);
+
+-- Only station-wide settings stay in the global table
+DELETE FROM "Setting" WHERE "key" <> 'defaultMonthlyBudget';
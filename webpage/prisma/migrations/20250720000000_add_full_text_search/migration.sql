@@ -0,0 +1,54 @@
+-- Full-text indexes for prompt and response search. These are SQLite FTS5 virtual tables
+-- that Prisma doesn't model; triggers keep them in sync with the tables they index.
+CREATE VIRTUAL TABLE "PromptSearch" USING fts5(
+    "promptId" UNINDEXED,
+    "title",
+    "description",
+    "promptText",
+    tokenize = 'porter unicode61'
+);
+
+CREATE VIRTUAL TABLE "ResponseSearch" USING fts5(
+    "responseId" UNINDEXED,
+    "responseText",
+    tokenize = 'porter unicode61'
+);
+
+-- Index existing rows
+INSERT INTO "PromptSearch" ("promptId", "title", "description", "promptText")
+SELECT "id", "title", coalesce("description", ''), "promptText" FROM "Prompt";
+
+INSERT INTO "ResponseSearch" ("responseId", "responseText")
+SELECT "id", "responseText" FROM "Response";
+
+-- Keep the prompt index in sync
+CREATE TRIGGER "Prompt_search_insert" AFTER INSERT ON "Prompt" BEGIN
+    INSERT INTO "PromptSearch" ("promptId", "title", "description", "promptText")
+    VALUES (new."id", new."title", coalesce(new."description", ''), new."promptText");
+END;
+
+CREATE TRIGGER "Prompt_search_update" AFTER UPDATE OF "id", "title", "description", "promptText" ON "Prompt" BEGIN
+    DELETE FROM "PromptSearch" WHERE "promptId" = old."id";
+    INSERT INTO "PromptSearch" ("promptId", "title", "description", "promptText")
+    VALUES (new."id", new."title", coalesce(new."description", ''), new."promptText");
+END;
+
+CREATE TRIGGER "Prompt_search_delete" AFTER DELETE ON "Prompt" BEGIN
+    DELETE FROM "PromptSearch" WHERE "promptId" = old."id";
+END;
+
+-- Keep the response index in sync
+CREATE TRIGGER "Response_search_insert" AFTER INSERT ON "Response" BEGIN
+    INSERT INTO "ResponseSearch" ("responseId", "responseText")
+    VALUES (new."id", new."responseText");
+END;
+
+CREATE TRIGGER "Response_search_update" AFTER UPDATE OF "id", "responseText" ON "Response" BEGIN
+    DELETE FROM "ResponseSearch" WHERE "responseId" = old."id";
+    INSERT INTO "ResponseSearch" ("responseId", "responseText")
+    VALUES (new."id", new."responseText");
+END;
+
+CREATE TRIGGER "Response_search_delete" AFTER DELETE ON "Response" BEGIN
+    DELETE FROM "ResponseSearch" WHERE "responseId" = old."id";
+END;
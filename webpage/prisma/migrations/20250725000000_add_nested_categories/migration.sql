@@ -0,0 +1,22 @@
+-- Categories can be nested under another category and ordered among their siblings
+-- RedefineTables
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Category" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "isUserCreated" BOOLEAN NOT NULL DEFAULT false,
+    "userId" TEXT,
+    "visibility" TEXT NOT NULL DEFAULT 'private',
+    "parentId" TEXT,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    CONSTRAINT "Category_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Category_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Category" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Category" ("id", "name", "isUserCreated", "userId", "visibility")
+SELECT "id", "name", "isUserCreated", "userId", "visibility" FROM "Category";
+DROP TABLE "Category";
+ALTER TABLE "new_Category" RENAME TO "Category";
+CREATE INDEX "Category_userId_idx" ON "Category"("userId");
+CREATE INDEX "Category_parentId_idx" ON "Category"("parentId");
+PRAGMA foreign_key_check;
+PRAGMA foreign_keys=ON;
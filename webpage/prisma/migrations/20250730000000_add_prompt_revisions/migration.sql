@@ -0,0 +1,89 @@
+-- CreateTable
+CREATE TABLE "PromptRevision" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "promptId" TEXT NOT NULL,
+    "userId" TEXT,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "categoryId" TEXT,
+    "promptText" TEXT NOT NULL,
+    "tags" TEXT NOT NULL DEFAULT '[]',
+    "provider" TEXT,
+    "model" TEXT,
+    "temperature" REAL,
+    "maxTokens" INTEGER,
+    "systemPrompt" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PromptRevision_promptId_fkey" FOREIGN KEY ("promptId") REFERENCES "Prompt" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "PromptRevision_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "PromptRevision_promptId_createdAt_idx" ON "PromptRevision"("promptId", "createdAt");
+
+-- Start every existing prompt's history with its current version
+INSERT INTO "PromptRevision" ("id", "promptId", "userId", "title", "description", "categoryId", "promptText", "tags", "provider", "model", "temperature", "maxTokens", "systemPrompt", "createdAt")
+SELECT 'rev_' || lower(hex(randomblob(12))), p."id", p."userId", p."title", p."description", p."categoryId", p."promptText",
+       coalesce((
+           SELECT json_group_array("name") FROM (
+               SELECT t."name" FROM "PromptTag" pt JOIN "Tag" t ON t."id" = pt."tagId"
+               WHERE pt."promptId" = p."id"
+               ORDER BY t."name"
+           )
+       ), '[]'),
+       p."provider", p."model", p."temperature", p."maxTokens", p."systemPrompt", coalesce(p."lastEdited", p."createdAt")
+FROM "Prompt" p;
+
+-- Responses record the prompt revision they were generated from
+-- RedefineTables
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Response" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "promptId" TEXT NOT NULL,
+    "userId" TEXT,
+    "parentId" TEXT,
+    "instruction" TEXT,
+    "responseText" TEXT NOT NULL,
+    "modelUsed" TEXT,
+    "promptTokens" INTEGER,
+    "completionTokens" INTEGER,
+    "totalTokens" INTEGER,
+    "createdAt" DATETIME NOT NULL,
+    "lastEdited" DATETIME,
+    "variablesUsed" TEXT,
+    "provider" TEXT,
+    "temperature" REAL,
+    "maxTokens" INTEGER,
+    "systemPrompt" TEXT,
+    "cacheKey" TEXT,
+    "revisionId" TEXT,
+    CONSTRAINT "Response_promptId_fkey" FOREIGN KEY ("promptId") REFERENCES "Prompt" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Response_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Response_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Response" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Response_revisionId_fkey" FOREIGN KEY ("revisionId") REFERENCES "PromptRevision" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Response" ("id", "promptId", "userId", "parentId", "instruction", "responseText", "modelUsed", "promptTokens", "completionTokens", "totalTokens", "createdAt", "lastEdited", "variablesUsed", "provider", "temperature", "maxTokens", "systemPrompt", "cacheKey")
+SELECT "id", "promptId", "userId", "parentId", "instruction", "responseText", "modelUsed", "promptTokens", "completionTokens", "totalTokens", "createdAt", "lastEdited", "variablesUsed", "provider", "temperature", "maxTokens", "systemPrompt", "cacheKey" FROM "Response";
+DROP TABLE "Response";
+ALTER TABLE "new_Response" RENAME TO "Response";
+CREATE INDEX "Response_parentId_idx" ON "Response"("parentId");
+CREATE INDEX "Response_cacheKey_idx" ON "Response"("cacheKey");
+CREATE INDEX "Response_revisionId_idx" ON "Response"("revisionId");
+PRAGMA foreign_key_check;
+PRAGMA foreign_keys=ON;
+
+-- Dropping the old table dropped its search triggers; recreate them (the index itself is unchanged)
+CREATE TRIGGER "Response_search_insert" AFTER INSERT ON "Response" BEGIN
+    INSERT INTO "ResponseSearch" ("responseId", "responseText")
+    VALUES (new."id", new."responseText");
+END;
+
+CREATE TRIGGER "Response_search_update" AFTER UPDATE OF "id", "responseText" ON "Response" BEGIN
+    DELETE FROM "ResponseSearch" WHERE "responseId" = old."id";
+    INSERT INTO "ResponseSearch" ("responseId", "responseText")
+    VALUES (new."id", new."responseText");
+END;
+
+CREATE TRIGGER "Response_search_delete" AFTER DELETE ON "Response" BEGIN
+    DELETE FROM "ResponseSearch" WHERE "responseId" = old."id";
+END;
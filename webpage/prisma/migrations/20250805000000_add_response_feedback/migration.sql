@@ -0,0 +1,5 @@
+-- Feedback on saved responses: a thumbs up/down verdict, a 1-5 rating, when the script aired and notes
+ALTER TABLE "Response" ADD COLUMN "thumbs" TEXT;
+ALTER TABLE "Response" ADD COLUMN "rating" INTEGER;
+ALTER TABLE "Response" ADD COLUMN "airedAt" DATETIME;
+ALTER TABLE "Response" ADD COLUMN "notes" TEXT;
@@ -26,7 +26,7 @@ async function createDefaultCategories() {
     { id: 'features', name: 'Features', isUserCreated: false },
     { id: 'social-media', name: 'Social Media', isUserCreated: false },
   ];
-
+  
   console.log(`Creating ${defaultCategories.length} default categories`);
   
   for (const category of defaultCategories) {
@@ -34,7 +34,7 @@ async function createDefaultCategories() {
       await prisma.category.upsert({
         where: { id: category.id },
         update: {},
-        create: category
+        create: { ...category, visibility: 'core' }
       });
     } catch (error) {
       console.error(`Error creating category ${category.id}:`, error);
@@ -61,6 +61,7 @@ async function createDefaultPrompts() {
           categoryId: prompt.category || null,
           promptText: prompt.promptText,
           isUserCreated: false,
+          visibility: 'core',
           usageCount: prompt.usageCount || 0,
           createdAt: new Date(prompt.createdAt || new Date()),
           lastUsed: prompt.lastUsed ? new Date(prompt.lastUsed) : null,
@@ -106,33 +107,6 @@ async function createDefaultPrompts() {
   }
 }
 
-async function createDefaultSettings() {
-  const defaultSettings = [
-    { key: 'fontSize', value: JSON.stringify('medium') },
-    { key: 'theme', value: JSON.stringify('light') }
-  ];
-
-  console.log(`Creating ${defaultSettings.length} default settings`);
-  
-  // Clean up any existing settings
-  try {
-    await prisma.setting.deleteMany();
-  } catch (error) {
-    console.error('Error clearing settings:', error);
-  }
-  
-  for (const setting of defaultSettings) {
-    try {
-      await prisma.setting.create({
-        data: setting
-      });
-      console.log(`Created setting: ${setting.key}`);
-    } catch (error) {
-      console.error(`Error creating setting ${setting.key}:`, error);
-    }
-  }
-}
-
 async function initializeDatabase() {
   try {
     // Create database info record
@@ -148,7 +122,6 @@ async function initializeDatabase() {
     // Create default data
     await createDefaultCategories();
     await createDefaultPrompts();
-    await createDefaultSettings();
     
     console.log('Database populated with default data');
     return true;
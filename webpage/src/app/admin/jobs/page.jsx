@@ -0,0 +1,579 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { useAuth } from '@/context/AuthContext';
+import { SettingsProvider } from '@/context/SettingsContext';
+import { Button } from '@/components/ui/Button';
+import { Input, Select, Label, FormGroup } from '@/components/ui/Input';
+import { detectVariableSpecs } from '@/lib/formatPromptDisplay';
+import { getReservedVariableLabel } from '@/lib/dynamicVariables';
+import { validateCronExpression, getNextRunTime } from '@/lib/cron';
+import { showToast } from '@/lib/toastUtil';
+
+const EMPTY_JOB = {
+  name: '',
+  promptId: '',
+  schedule: '0 6 * * 1-5',
+  timezone: '',
+  variables: {},
+  isPaused: false
+};
+
+const headerClass = 'px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider';
+
+const STATUS_CLASSES = {
+  succeeded: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+  running: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
+};
+
+function formatTime(isoString) {
+  return isoString ? new Date(isoString).toLocaleString() : '—';
+}
+
+function StatusBadge({ status }) {
+  return (
+    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_CLASSES[status] || ''}`}>
+      {status}
+    </span>
+  );
+}
+
+// Create or edit form; variables left blank are filled when the job runs
+function JobForm({ job, prompts, onSaved, onCancel }) {
+  const [form, setForm] = useState(job || EMPTY_JOB);
+  const [saving, setSaving] = useState(false);
+
+  const prompt = prompts.find(p => p.id === form.promptId);
+  const specs = prompt ? detectVariableSpecs(prompt.promptText) : [];
+
+  // Preview the next run as the schedule is typed
+  const scheduleError = validateCronExpression(form.schedule);
+  let nextRun = null;
+  if (!scheduleError) {
+    try {
+      nextRun = getNextRunTime(form.schedule, new Date(), form.timezone.trim() || undefined);
+    } catch (error) {
+      // An unknown time zone; the server reports it on save
+    }
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleVariableChange = (name, value) => {
+    setForm(prev => ({ ...prev, variables: { ...prev.variables, [name]: value } }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      // Only send values for the chosen prompt's variables
+      const variables = Object.fromEntries(specs.map(spec => [spec.name, form.variables[spec.name] || '']));
+      const response = await fetch(job ? `/api/admin/jobs/${job.id}` : '/api/admin/jobs', {
+        method: job ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          name: form.name,
+          promptId: form.promptId,
+          schedule: form.schedule,
+          timezone: form.timezone,
+          variables,
+          isPaused: form.isPaused
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save job');
+      }
+
+      showToast(job ? 'Job updated' : 'Job created');
+      onSaved();
+    } catch (error) {
+      console.error('Error saving job:', error);
+      showToast(error.message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-md shadow-md mb-6">
+      <h2 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">
+        {job ? `Edit ${job.name}` : 'New Scheduled Job'}
+      </h2>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <FormGroup>
+            <Label htmlFor="name">Name *</Label>
+            <Input
+              id="name"
+              name="name"
+              required
+              value={form.name}
+              onChange={handleChange}
+              placeholder="e.g., Morning weather"
+            />
+          </FormGroup>
+
+          <FormGroup>
+            <Label htmlFor="promptId">Prompt *</Label>
+            <Select id="promptId" name="promptId" required value={form.promptId} onChange={handleChange}>
+              <option value="">Select a prompt...</option>
+              {prompts.map(p => (
+                <option key={p.id} value={p.id}>{p.title}</option>
+              ))}
+            </Select>
+          </FormGroup>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <FormGroup>
+            <Label htmlFor="schedule">Schedule (cron) *</Label>
+            <Input
+              id="schedule"
+              name="schedule"
+              required
+              value={form.schedule}
+              onChange={handleChange}
+              placeholder="minute hour day-of-month month day-of-week"
+              className="font-mono"
+            />
+            <p className={`mt-1 text-xs ${scheduleError ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}>
+              {scheduleError
+                || (nextRun ? `Next run: ${nextRun.toLocaleString()}` : 'This schedule never runs')}
+            </p>
+          </FormGroup>
+
+          <FormGroup>
+            <Label htmlFor="timezone">Time Zone</Label>
+            <Input
+              id="timezone"
+              name="timezone"
+              value={form.timezone}
+              onChange={handleChange}
+              placeholder="e.g., America/Chicago (blank uses the server's)"
+            />
+          </FormGroup>
+        </div>
+
+        {specs.length > 0 && (
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Variables</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {specs.map(spec => {
+                const reservedLabel = getReservedVariableLabel(spec.name);
+                const placeholder = reservedLabel && !spec.typed
+                  ? `Filled at run time (${reservedLabel})`
+                  : spec.defaultValue
+                  ? `Default: ${spec.defaultValue}`
+                  : spec.optional ? 'Optional' : '';
+
+                return (
+                  <FormGroup key={spec.name}>
+                    <Label htmlFor={`job-var-${spec.name}`} className="capitalize">
+                      {spec.name.replace(/[_-]/g, ' ')}
+                    </Label>
+                    {spec.type === 'choice' ? (
+                      <Select
+                        id={`job-var-${spec.name}`}
+                        value={form.variables[spec.name] || ''}
+                        onChange={(e) => handleVariableChange(spec.name, e.target.value)}
+                      >
+                        <option value="">{spec.defaultValue ? `Default (${spec.defaultValue})` : 'Select...'}</option>
+                        {spec.choices.map(choice => (
+                          <option key={choice} value={choice}>{choice}</option>
+                        ))}
+                      </Select>
+                    ) : (
+                      <Input
+                        id={`job-var-${spec.name}`}
+                        type={spec.type === 'number' ? 'number' : 'text'}
+                        value={form.variables[spec.name] || ''}
+                        onChange={(e) => handleVariableChange(spec.name, e.target.value)}
+                        placeholder={placeholder}
+                      />
+                    )}
+                  </FormGroup>
+                );
+              })}
+            </div>
+            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+              Blank variables are filled when the job runs from built-in values, the owner&apos;s show profile or the prompt&apos;s defaults.
+            </p>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <Button type="button" variant="secondary" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={saving || !!scheduleError}>
+            {saving ? 'Saving...' : job ? 'Save Job' : 'Create Job'}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+function JobsAdmin() {
+  const { user: currentUser, isAdmin } = useAuth();
+  const router = useRouter();
+  const [jobs, setJobs] = useState([]);
+  const [prompts, setPrompts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [busyJobId, setBusyJobId] = useState(null);
+
+  useEffect(() => {
+    // Check if user is admin, if not redirect to home
+    if (currentUser && !isAdmin) {
+      router.push('/');
+    }
+
+    fetchJobs();
+  }, [currentUser, isAdmin, router]);
+
+  const fetchJobs = async () => {
+    try {
+      const response = await fetch('/api/admin/jobs');
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch scheduled jobs');
+      }
+
+      const data = await response.json();
+      setJobs(data.jobs);
+      setPrompts(data.prompts);
+    } catch (error) {
+      console.error('Error fetching scheduled jobs:', error);
+      showToast(error.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchHistory = async (jobId) => {
+    try {
+      const response = await fetch(`/api/admin/jobs/${jobId}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch job history');
+      }
+
+      setHistory(data);
+    } catch (error) {
+      console.error('Error fetching job history:', error);
+      showToast(error.message, 'error');
+    }
+  };
+
+  const handleTogglePause = async (job) => {
+    setBusyJobId(job.id);
+
+    try {
+      const response = await fetch(`/api/admin/jobs/${job.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ isPaused: !job.isPaused })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update job');
+      }
+
+      showToast(job.isPaused ? 'Job resumed' : 'Job paused');
+      fetchJobs();
+    } catch (error) {
+      console.error('Error updating job:', error);
+      showToast(error.message, 'error');
+    } finally {
+      setBusyJobId(null);
+    }
+  };
+
+  const handleRunNow = async (job) => {
+    setBusyJobId(job.id);
+
+    try {
+      const response = await fetch(`/api/admin/jobs/${job.id}/run`, { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to run job');
+      }
+
+      if (data.run.status === 'succeeded') {
+        showToast(`${job.name} generated a new response`);
+      } else {
+        showToast(`${job.name} failed: ${data.run.error}`, 'error');
+      }
+
+      fetchJobs();
+      if (history?.job.id === job.id) {
+        fetchHistory(job.id);
+      }
+    } catch (error) {
+      console.error('Error running job:', error);
+      showToast(error.message, 'error');
+    } finally {
+      setBusyJobId(null);
+    }
+  };
+
+  const handleDelete = async (job) => {
+    if (!confirm(`Delete the scheduled job "${job.name}"? Its run history is removed; responses it generated are kept.`)) {
+      return;
+    }
+
+    setBusyJobId(job.id);
+
+    try {
+      const response = await fetch(`/api/admin/jobs/${job.id}`, { method: 'DELETE' });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to delete job');
+      }
+
+      showToast('Job deleted');
+      if (history?.job.id === job.id) {
+        setHistory(null);
+      }
+      fetchJobs();
+    } catch (error) {
+      console.error('Error deleting job:', error);
+      showToast(error.message, 'error');
+    } finally {
+      setBusyJobId(null);
+    }
+  };
+
+  const handleSaved = () => {
+    setEditing(null);
+    fetchJobs();
+  };
+
+  const actionClass = 'px-2 py-1 text-xs font-medium rounded-md transition-colors disabled:opacity-50';
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 p-4 md:p-8">
+      <div className="max-w-6xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Scheduled Jobs</h1>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Generate prompts on a schedule; each result is saved as a response to its prompt
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="secondary" onClick={() => router.push('/admin')}>
+              Back to Admin
+            </Button>
+            <Button variant="primary" onClick={() => setEditing(editing ? null : 'new')}>
+              {editing ? 'Cancel' : 'New Job'}
+            </Button>
+          </div>
+        </div>
+
+        {editing && (
+          <JobForm
+            key={editing === 'new' ? 'new' : editing.id}
+            job={editing === 'new' ? null : { ...editing, timezone: editing.timezone || '' }}
+            prompts={prompts}
+            onSaved={handleSaved}
+            onCancel={() => setEditing(null)}
+          />
+        )}
+
+        <div className="bg-white dark:bg-gray-800 rounded-md shadow-md overflow-hidden mb-6">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  <th className={headerClass}>Job</th>
+                  <th className={headerClass}>Schedule</th>
+                  <th className={headerClass}>Next Run</th>
+                  <th className={headerClass}>Last Run</th>
+                  <th className={`${headerClass} text-right`}>Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                {loading ? (
+                  <tr>
+                    <td colSpan="5" className="px-4 py-4 text-center text-sm text-gray-500 dark:text-gray-400">
+                      Loading scheduled jobs...
+                    </td>
+                  </tr>
+                ) : jobs.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="px-4 py-4 text-center text-sm text-gray-500 dark:text-gray-400">
+                      No scheduled jobs yet
+                    </td>
+                  </tr>
+                ) : (
+                  jobs.map(job => (
+                    <tr key={job.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                      <td className="px-4 py-4 text-sm">
+                        <div className="font-medium text-gray-900 dark:text-white">{job.name}</div>
+                        <div className="text-gray-500 dark:text-gray-400">
+                          {job.promptTitle || 'Unknown prompt'} · {job.owner}
+                        </div>
+                      </td>
+                      <td className="px-4 py-4 text-sm whitespace-nowrap">
+                        <div className="font-mono text-gray-900 dark:text-white">{job.schedule}</div>
+                        <div className="text-gray-500 dark:text-gray-400">{job.timezone || 'Server time'}</div>
+                      </td>
+                      <td className="px-4 py-4 text-sm whitespace-nowrap text-gray-900 dark:text-white">
+                        {job.isPaused ? (
+                          <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200">
+                            Paused
+                          </span>
+                        ) : (
+                          formatTime(job.nextRunAt)
+                        )}
+                      </td>
+                      <td className="px-4 py-4 text-sm whitespace-nowrap text-gray-900 dark:text-white">
+                        {job.isRunning ? (
+                          <StatusBadge status="running" />
+                        ) : job.lastRun ? (
+                          <>
+                            <StatusBadge status={job.lastRun.status} />
+                            <div className="text-gray-500 dark:text-gray-400">{formatTime(job.lastRun.startedAt)}</div>
+                          </>
+                        ) : (
+                          <span className="text-gray-400">Never</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-right">
+                        <div className="flex justify-end flex-wrap gap-2">
+                          <button
+                            onClick={() => handleRunNow(job)}
+                            disabled={busyJobId === job.id || job.isRunning}
+                            className={`${actionClass} bg-blue-50 text-blue-700 hover:bg-blue-100 dark:bg-blue-900 dark:text-blue-200 dark:hover:bg-blue-800`}
+                          >
+                            {busyJobId === job.id ? 'Working...' : 'Run Now'}
+                          </button>
+                          <button
+                            onClick={() => handleTogglePause(job)}
+                            disabled={busyJobId === job.id}
+                            className={`${actionClass} bg-yellow-50 text-yellow-700 hover:bg-yellow-100 dark:bg-yellow-900 dark:text-yellow-200 dark:hover:bg-yellow-800`}
+                          >
+                            {job.isPaused ? 'Resume' : 'Pause'}
+                          </button>
+                          <button
+                            onClick={() => fetchHistory(job.id)}
+                            className={`${actionClass} bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600`}
+                          >
+                            History
+                          </button>
+                          <button
+                            onClick={() => setEditing(job)}
+                            disabled={busyJobId === job.id}
+                            className={`${actionClass} bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600`}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleDelete(job)}
+                            disabled={busyJobId === job.id}
+                            className={`${actionClass} bg-red-50 text-red-700 hover:bg-red-100 dark:bg-red-900 dark:text-red-200 dark:hover:bg-red-800`}
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {history && (
+          <div className="bg-white dark:bg-gray-800 rounded-md shadow-md overflow-hidden mb-6">
+            <div className="flex justify-between items-center px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">History: {history.job.name}</h2>
+              <div className="flex gap-2">
+                <Button variant="secondary" size="small" onClick={() => fetchHistory(history.job.id)}>
+                  Refresh
+                </Button>
+                <Button variant="secondary" size="small" onClick={() => setHistory(null)}>
+                  Close
+                </Button>
+              </div>
+            </div>
+            {history.runs.length === 0 ? (
+              <p className="px-4 py-4 text-sm text-gray-500 dark:text-gray-400">This job hasn&apos;t run yet.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                  <thead className="bg-gray-50 dark:bg-gray-700">
+                    <tr>
+                      <th className={headerClass}>Started</th>
+                      <th className={headerClass}>Trigger</th>
+                      <th className={headerClass}>Status</th>
+                      <th className={headerClass}>Result</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {history.runs.map(run => (
+                      <tr key={run.id}>
+                        <td className="px-4 py-3 text-sm whitespace-nowrap text-gray-900 dark:text-white">
+                          {formatTime(run.startedAt)}
+                          {run.finishedAt && (
+                            <div className="text-xs text-gray-500 dark:text-gray-400">
+                              took {Math.round((new Date(run.finishedAt) - new Date(run.startedAt)) / 1000)}s
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm whitespace-nowrap text-gray-500 dark:text-gray-400">
+                          {run.trigger === 'manual' ? 'Run now' : 'Schedule'}
+                        </td>
+                        <td className="px-4 py-3 text-sm whitespace-nowrap">
+                          <StatusBadge status={run.status} />
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300">
+                          {run.error ? (
+                            <span className="text-red-600 dark:text-red-400">{run.error}</span>
+                          ) : run.responseText != null ? (
+                            <p className="line-clamp-3 whitespace-pre-wrap">{run.responseText}</p>
+                          ) : run.status === 'succeeded' ? (
+                            <span className="text-gray-400 italic">Response deleted</span>
+                          ) : null}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function ScheduledJobsPage() {
+  return (
+    <SettingsProvider>
+      <JobsAdmin />
+    </SettingsProvider>
+  );
+}
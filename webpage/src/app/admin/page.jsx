@@ -8,6 +8,7 @@ import { Button } from '@/components/ui/Button';
 import { Input, Label, FormGroup } from '@/components/ui/Input';
 import { showToast } from '@/lib/toastUtil';
 import DbStatsPanel from '@/components/DbStatsPanel';
+import UsagePanel from '@/components/UsagePanel';
 
 function AdminDashboard() {
   const { user: currentUser, isAdmin } = useAuth();
@@ -245,7 +246,7 @@ function AdminDashboard() {
           <div>
             <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Admin Dashboard</h1>
             <p className="text-sm text-gray-600 dark:text-gray-400">
-              Manage users, permissions, and view database statistics
+              Manage users, permissions and AI budgets, and view database and usage statistics
             </p>
           </div>
           <div className="flex gap-2">
@@ -255,6 +256,12 @@ function AdminDashboard() {
             >
               Back to Application
             </Button>
+            <Button 
+              variant="secondary" 
+              onClick={() => router.push('/admin/jobs')}
+            >
+              Scheduled Jobs
+            </Button>
             <Button 
               variant="primary" 
               onClick={() => setShowAddUser(!showAddUser)}
@@ -267,6 +274,9 @@ function AdminDashboard() {
         {/* Database Overview & Management */}
         <DbStatsPanel refreshTrigger={statsRefreshTrigger} />
         
+        {/* AI Usage, Costs & Budgets */}
+        <UsagePanel refreshTrigger={statsRefreshTrigger} />
+        
         {/* Needs Approval Section */}
         {users.filter(user => !user.isApproved).length > 0 && (
           <>
@@ -0,0 +1,160 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { visibleWithCoreToUser } from '@/lib/visibility';
+import {
+  parseJobInput,
+  getJobNextRunAt,
+  formatJobFromDb,
+  formatJobRunFromDb,
+  JOB_INCLUDE,
+} from '@/lib/scheduler';
+
+// Runs shown in a job's history
+const HISTORY_LIMIT = 50;
+
+// Get a job with its recent runs and the responses they produced
+export async function GET(request, { params }) {
+  try {
+    // Verify admin session
+    const user = await getCurrentUser();
+    if (!user || !user.isAdmin) {
+      return NextResponse.json(
+        { error: 'Admin access required' },
+        { status: 403 }
+      );
+    }
+
+    const job = await prisma.scheduledJob.findUnique({
+      where: { id: params.id },
+      include: JOB_INCLUDE,
+    });
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    const runs = await prisma.scheduledJobRun.findMany({
+      where: { jobId: job.id },
+      include: { response: { select: { responseText: true } } },
+      orderBy: { startedAt: 'desc' },
+      take: HISTORY_LIMIT,
+    });
+
+    return NextResponse.json({
+      job: formatJobFromDb(job),
+      runs: runs.map(formatJobRunFromDb),
+    });
+  } catch (error) {
+    console.error('Error getting scheduled job:', error);
+    return NextResponse.json(
+      { error: 'Failed to get scheduled job' },
+      { status: 500 }
+    );
+  }
+}
+
+// Update a job's settings, or pause and resume it
+export async function PUT(request, { params }) {
+  try {
+    // Verify admin session
+    const user = await getCurrentUser();
+    if (!user || !user.isAdmin) {
+      return NextResponse.json(
+        { error: 'Admin access required' },
+        { status: 403 }
+      );
+    }
+
+    const job = await prisma.scheduledJob.findUnique({
+      where: { id: params.id },
+    });
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    const { data, error } = parseJobInput(await request.json());
+
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    // The job generates as its owner, so it can only use prompts they can see
+    if (data.promptId && data.promptId !== job.promptId) {
+      const prompt = await prisma.prompt.findFirst({
+        where: { AND: [{ id: data.promptId }, visibleWithCoreToUser(job.userId)] },
+        select: { id: true },
+      });
+
+      if (!prompt) {
+        return NextResponse.json(
+          { error: 'Prompt not found' },
+          { status: 404 }
+        );
+      }
+    }
+
+    // Paused jobs have no next run; resuming or rescheduling counts from now, so runs
+    // missed while paused are skipped
+    const updated = { ...job, ...data };
+    if (updated.isPaused) {
+      data.nextRunAt = null;
+    } else if (job.isPaused || 'schedule' in data || 'timezone' in data) {
+      data.nextRunAt = getJobNextRunAt(updated);
+    }
+
+    const savedJob = await prisma.scheduledJob.update({
+      where: { id: job.id },
+      data,
+      include: JOB_INCLUDE,
+    });
+
+    return NextResponse.json({ job: formatJobFromDb(savedJob) });
+  } catch (error) {
+    console.error('Error updating scheduled job:', error);
+    return NextResponse.json(
+      { error: 'Failed to update scheduled job' },
+      { status: 500 }
+    );
+  }
+}
+
+// Delete a job and its run history (responses it saved are kept)
+export async function DELETE(request, { params }) {
+  try {
+    // Verify admin session
+    const user = await getCurrentUser();
+    if (!user || !user.isAdmin) {
+      return NextResponse.json(
+        { error: 'Admin access required' },
+        { status: 403 }
+      );
+    }
+
+    const { count } = await prisma.scheduledJob.deleteMany({
+      where: { id: params.id },
+    });
+
+    if (count === 0) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ message: 'Job deleted' });
+  } catch (error) {
+    console.error('Error deleting scheduled job:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete scheduled job' },
+      { status: 500 }
+    );
+  }
+}
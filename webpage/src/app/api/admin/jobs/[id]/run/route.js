@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { runJob, isJobRunning, formatJobFromDb, formatJobRunFromDb, RUN_TRIGGER_MANUAL, JOB_INCLUDE } from '@/lib/scheduler';
+
+// Run a job now, outside its schedule (paused jobs can be run too)
+export async function POST(request, { params }) {
+  try {
+    // Verify admin session
+    const user = await getCurrentUser();
+    if (!user || !user.isAdmin) {
+      return NextResponse.json(
+        { error: 'Admin access required' },
+        { status: 403 }
+      );
+    }
+
+    const job = await prisma.scheduledJob.findUnique({
+      where: { id: params.id },
+      select: { id: true },
+    });
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    if (isJobRunning(job.id)) {
+      return NextResponse.json(
+        { error: 'This job is already running' },
+        { status: 409 }
+      );
+    }
+
+    const run = await runJob(job.id, RUN_TRIGGER_MANUAL);
+
+    // The job may have been deleted while it ran
+    const savedJob = await prisma.scheduledJob.findUnique({
+      where: { id: job.id },
+      include: JOB_INCLUDE,
+    });
+
+    return NextResponse.json({
+      run: formatJobRunFromDb(run),
+      job: savedJob ? formatJobFromDb(savedJob) : null,
+    });
+  } catch (error) {
+    console.error('Error running scheduled job:', error);
+    return NextResponse.json(
+      { error: 'Failed to run scheduled job' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { visibleWithCoreToUser } from '@/lib/visibility';
+import { parseJobInput, getJobNextRunAt, formatJobFromDb, JOB_INCLUDE } from '@/lib/scheduler';
+
+// List scheduled jobs, with the prompts the admin can schedule
+export async function GET() {
+  try {
+    // Verify admin session
+    const user = await getCurrentUser();
+    if (!user || !user.isAdmin) {
+      return NextResponse.json(
+        { error: 'Admin access required' },
+        { status: 403 }
+      );
+    }
+
+    const [jobs, prompts] = await Promise.all([
+      prisma.scheduledJob.findMany({
+        include: JOB_INCLUDE,
+        orderBy: { name: 'asc' },
+      }),
+      prisma.prompt.findMany({
+        where: visibleWithCoreToUser(user.id),
+        select: { id: true, title: true, promptText: true },
+        orderBy: { title: 'asc' },
+      }),
+    ]);
+
+    return NextResponse.json({
+      jobs: jobs.map(formatJobFromDb),
+      prompts,
+    });
+  } catch (error) {
+    console.error('Error listing scheduled jobs:', error);
+    return NextResponse.json(
+      { error: 'Failed to list scheduled jobs' },
+      { status: 500 }
+    );
+  }
+}
+
+// Create a scheduled job, run as the admin who creates it
+export async function POST(request) {
+  try {
+    // Verify admin session
+    const user = await getCurrentUser();
+    if (!user || !user.isAdmin) {
+      return NextResponse.json(
+        { error: 'Admin access required' },
+        { status: 403 }
+      );
+    }
+
+    const input = await request.json();
+    const { data, error } = parseJobInput({
+      name: input.name,
+      promptId: input.promptId,
+      schedule: input.schedule,
+      timezone: input.timezone,
+      variables: input.variables,
+      isPaused: input.isPaused,
+    });
+
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    // The job generates as its owner, so it can only use prompts they can see
+    const prompt = await prisma.prompt.findFirst({
+      where: { AND: [{ id: data.promptId }, visibleWithCoreToUser(user.id)] },
+      select: { id: true },
+    });
+
+    if (!prompt) {
+      return NextResponse.json(
+        { error: 'Prompt not found' },
+        { status: 404 }
+      );
+    }
+
+    const job = await prisma.scheduledJob.create({
+      data: {
+        ...data,
+        userId: user.id,
+        nextRunAt: data.isPaused ? null : getJobNextRunAt(data),
+      },
+      include: JOB_INCLUDE,
+    });
+
+    return NextResponse.json({ job: formatJobFromDb(job) });
+  } catch (error) {
+    console.error('Error creating scheduled job:', error);
+    return NextResponse.json(
+      { error: 'Failed to create scheduled job' },
+      { status: 500 }
+    );
+  }
+}
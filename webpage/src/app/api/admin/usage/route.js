@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import { isAdmin } from '@/lib/auth';
+import { getUsageSummary, setDefaultMonthlyBudget } from '@/lib/usageLedger';
+import { parseBudget } from '@/lib/usage';
+
+// Get token usage and cost totals for the station and each user
+export async function GET() {
+  try {
+    // Check if user is admin
+    const adminUser = await isAdmin();
+    if (!adminUser) {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 403 }
+      );
+    }
+
+    const summary = await getUsageSummary();
+
+    return NextResponse.json(summary);
+  } catch (error) {
+    console.error('Error getting usage summary:', error);
+    return NextResponse.json(
+      { error: 'Failed to get usage summary' },
+      { status: 500 }
+    );
+  }
+}
+
+// Set the monthly budget for users without their own
+export async function PUT(request) {
+  try {
+    // Check if user is admin
+    const adminUser = await isAdmin();
+    if (!adminUser) {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 403 }
+      );
+    }
+
+    const { defaultMonthlyBudget } = await request.json();
+    const budget = parseBudget(defaultMonthlyBudget);
+
+    // Validate budget (blank removes the limit)
+    if (budget === undefined) {
+      return NextResponse.json(
+        { error: 'Budget must be a dollar amount of 0 or more' },
+        { status: 400 }
+      );
+    }
+
+    await setDefaultMonthlyBudget(budget);
+
+    return NextResponse.json({
+      message: budget === null ? 'Default budget removed' : 'Default budget updated',
+      defaultMonthlyBudget: budget,
+    });
+  } catch (error) {
+    console.error('Error setting default budget:', error);
+    return NextResponse.json(
+      { error: 'Failed to set default budget' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,59 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/db';
+import { isAdmin } from '@/lib/auth';
+import { parseBudget } from '@/lib/usage';
+
+// Set a user's monthly AI budget
+export async function POST(request, { params }) {
+  try {
+    // Check if user is admin
+    const adminUser = await isAdmin();
+    if (!adminUser) {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 403 }
+      );
+    }
+
+    const userId = params.id;
+    const { monthlyBudget } = await request.json();
+    const budget = parseBudget(monthlyBudget);
+
+    // Validate budget (blank falls back to the default budget)
+    if (budget === undefined) {
+      return NextResponse.json(
+        { error: 'Budget must be a dollar amount of 0 or more' },
+        { status: 400 }
+      );
+    }
+
+    // Check if user exists
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!user) {
+      return NextResponse.json(
+        { error: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    // Update user's budget
+    await prisma.user.update({
+      where: { id: userId },
+      data: { monthlyBudget: budget },
+    });
+
+    return NextResponse.json({
+      message: budget === null ? 'User now uses the default budget' : 'User budget updated',
+      monthlyBudget: budget,
+    });
+  } catch (error) {
+    console.error('Error setting user budget:', error);
+    return NextResponse.json(
+      { error: 'Failed to set user budget' },
+      { status: 500 }
+    );
+  }
+}
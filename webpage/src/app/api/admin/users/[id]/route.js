@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { prisma } from '@/lib/db';
-import { isAdmin } from '@/lib/auth';
+import { getCurrentUser } from '@/lib/auth';
+import { VISIBILITY_SHARED } from '@/lib/visibility';
 
 // Set to true for additional debugging information
 const DEBUG = true;
@@ -9,8 +10,8 @@ const DEBUG = true;
 export async function DELETE(request, { params }) {
   try {
     // Check if user is admin
-    const adminUser = await isAdmin();
-    if (!adminUser) {
+    const adminUser = await getCurrentUser();
+    if (!adminUser || !adminUser.isAdmin) {
       return NextResponse.json(
         { error: 'Unauthorized access' },
         { status: 403 }
@@ -53,11 +54,24 @@ export async function DELETE(request, { params }) {
         console.log(`User ${userId} has: ${userFavorites} favorites, ${userRecentlyUsed} recently used items, ${userSettings} settings, ${userSessions} sessions`);
       }
       
-      // Delete the user directly - cascade deletes will handle related data
+      // Shared prompts and categories are used by the whole station, so they go to the admin
+      // doing the delete instead of being cascade-deleted with their responses, rundown slots
+      // and jobs; the user's private ones are deleted with them
       console.log(`Attempting to delete user with ID: ${userId}`);
-      const result = await prisma.user.delete({
-        where: { id: userId },
-      });
+      const [sharedPrompts, sharedCategories, result] = await prisma.$transaction([
+        prisma.prompt.updateMany({
+          where: { userId, isUserCreated: true, visibility: VISIBILITY_SHARED },
+          data: { userId: adminUser.id },
+        }),
+        prisma.category.updateMany({
+          where: { userId, isUserCreated: true, visibility: VISIBILITY_SHARED },
+          data: { userId: adminUser.id },
+        }),
+        prisma.user.delete({
+          where: { id: userId },
+        }),
+      ]);
+      console.log(`Reassigned ${sharedPrompts.count} shared prompts and ${sharedCategories.count} shared categories to ${adminUser.email}`);
       console.log('User deleted successfully:', result.email);
       
       if (DEBUG) {
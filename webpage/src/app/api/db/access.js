@@ -0,0 +1,59 @@
+// Access levels for /api/db operations
+export const USER = 'user';
+export const ADMIN = 'admin';
+
+// Who can run each operation. Every operation needs a signed-in user; handlers for the
+// user's own data (prompts, categories, favorites, show profile, rundowns...) scope their
+// queries to that user, and responses can only be changed by whoever saved them or an admin.
+// Single prompts and categories can only be changed by their owner, or by an admin for core prompts.
+// Operations that replace or wipe data shared by the whole station are admin-only.
+export const OPERATION_ACCESS = {
+  getSetting: USER,
+  getSettings: USER,
+  setSetting: USER,
+  removeSetting: USER,
+  getUserPrompts: USER,
+  getCorePrompts: USER,
+  getFavorites: USER,
+  getRecentlyUsed: USER,
+  getUserCategories: USER,
+  getResponses: USER,
+  getResponsesForPrompt: USER,
+  saveResponse: USER,
+  deleteResponse: USER,
+  saveResponseFeedback: USER,
+  getFeedbackStats: USER,
+  countResponsesForPrompt: USER,
+  storeUserPrompts: USER,
+  storeCorePrompts: ADMIN,
+  addUserPrompts: USER,
+  createPrompt: USER,
+  updatePrompt: USER,
+  deletePrompt: USER,
+  getPromptRevisions: USER,
+  restorePromptRevision: USER,
+  storeFavorites: USER,
+  addFavorite: USER,
+  removeFavorite: USER,
+  storeRecentlyUsed: USER,
+  storeUserCategories: USER,
+  addUserCategories: USER,
+  createCategory: USER,
+  updateCategory: USER,
+  deleteCategory: USER,
+  moveCategory: USER,
+  storeResponses: ADMIN,
+  addResponses: USER,
+  clearData: ADMIN,
+  checkPromptExists: USER,
+  recordPromptUse: USER,
+  search: USER,
+  getDbStats: ADMIN,
+  getShowProfile: USER,
+  saveShowProfile: USER,
+  getPlaylist: USER,
+  savePlaylist: USER,
+  getRundowns: USER,
+  saveRundown: USER,
+  deleteRundown: USER
+};
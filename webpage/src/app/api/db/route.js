@@ -1,72 +1,148 @@
 import { NextResponse } from 'next/server';
 import { prisma, getDbStats } from '../../../lib/db';
 import { checkUserAuth } from './client-auth';
+import { ADMIN, OPERATION_ACCESS } from './access';
+import { SHOW_PROFILE_KEY, normalizeShowProfile } from '../../../lib/showProfile';
+import { PLAYLIST_KEY, normalizeTracks } from '../../../lib/playlistImport';
+import { DEFAULT_BUDGET_KEY } from '../../../lib/usage';
+import { VISIBILITY_CORE, normalizeUserVisibility, visibleToUser, visibleWithCoreToUser } from '../../../lib/visibility';
+import { compareCategories, isDescendantOf } from '../../../lib/categoryTree';
+import { searchAll } from '../../../lib/search';
+import { parseResponseFeedback } from '../../../lib/responseFeedback';
+import { getFeedbackStats } from '../../../lib/feedbackStats';
+import {
+  recordPromptRevision,
+  resolveResponseRevisionId,
+  revisionTags,
+  promptDataFromRevision,
+  formatRevisionFromDb
+} from '../../../lib/promptRevisions';
+
+// Settings stored once for the whole station in the Setting table. Every other key read or
+// written through getSetting/setSetting is a preference stored per user in UserSetting.
+const STATION_SETTING_KEYS = [DEFAULT_BUDGET_KEY];
 
 export async function POST(request) {
   try {
+    const { operation, params } = await request.json();
+    
+    const access = OPERATION_ACCESS[operation];
+    if (!access) {
+      return NextResponse.json(
+        { error: `Unknown operation: ${operation}` },
+        { status: 400 }
+      );
+    }
+    
     // Check authentication without using middleware
     const authCheck = await checkUserAuth();
     if (!authCheck.isAuthenticated) {
-      // Uncomment to enforce authentication:
-      // return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
     }
     
-    const { operation, params } = await request.json();
+    const user = authCheck.user;
+    if (access === ADMIN && !user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
     
     // Handle different database operations
     switch (operation) {
       case 'getSetting':
-        return await handleGetSetting(params);
+        return await handleGetSetting(params, user);
       case 'getSettings':
-        return await handleGetSettings(params);
+        return await handleGetSettings(params, user);
       case 'setSetting':
-        return await handleSetSetting(params);
+        return await handleSetSetting(params, user);
       case 'removeSetting':
-        return await handleRemoveSetting(params);
+        return await handleRemoveSetting(params, user);
       case 'getUserPrompts':
-        return await handleGetUserPrompts();
+        return await handleGetUserPrompts(user);
       case 'getCorePrompts':
         return await handleGetCorePrompts();
       case 'getFavorites':
-        return await handleGetFavorites();
+        return await handleGetFavorites(user);
       case 'getRecentlyUsed':
-        return await handleGetRecentlyUsed();
+        return await handleGetRecentlyUsed(user);
       case 'getUserCategories':
-        return await handleGetUserCategories();
+        return await handleGetUserCategories(user);
       case 'getResponses':
-        return await handleGetResponses();
+        return await handleGetResponses(user);
       case 'getResponsesForPrompt':
-        return await handleGetResponsesForPrompt(params);
+        return await handleGetResponsesForPrompt(params, user);
       case 'saveResponse':
-        return await handleSaveResponse(params);
+        return await handleSaveResponse(params, user);
       case 'deleteResponse':
-        return await handleDeleteResponse(params);
+        return await handleDeleteResponse(params, user);
+      case 'saveResponseFeedback':
+        return await handleSaveResponseFeedback(params, user);
+      case 'getFeedbackStats':
+        return await handleGetFeedbackStats(user);
       case 'countResponsesForPrompt':
-        return await handleCountResponsesForPrompt(params);
+        return await handleCountResponsesForPrompt(params, user);
       case 'storeUserPrompts':
-        return await handleStoreUserPrompts(params);
+        return await handleStoreUserPrompts(params, user);
       case 'storeCorePrompts':
-        return await handleStoreCorePrompts(params);
+        return await handleStoreCorePrompts(params, user);
       case 'addUserPrompts':
-        return await handleAddUserPrompts(params);
+        return await handleAddUserPrompts(params, user);
+      case 'createPrompt':
+        return await handleCreatePrompt(params, user);
+      case 'updatePrompt':
+        return await handleUpdatePrompt(params, user);
+      case 'deletePrompt':
+        return await handleDeletePrompt(params, user);
+      case 'getPromptRevisions':
+        return await handleGetPromptRevisions(params, user);
+      case 'restorePromptRevision':
+        return await handleRestorePromptRevision(params, user);
       case 'storeFavorites':
-        return await handleStoreFavorites(params);
+        return await handleStoreFavorites(params, user);
+      case 'addFavorite':
+        return await handleAddFavorite(params, user);
+      case 'removeFavorite':
+        return await handleRemoveFavorite(params, user);
       case 'storeRecentlyUsed':
-        return await handleStoreRecentlyUsed(params);
+        return await handleStoreRecentlyUsed(params, user);
       case 'storeUserCategories':
-        return await handleStoreUserCategories(params);
+        return await handleStoreUserCategories(params, user);
       case 'addUserCategories':
-        return await handleAddUserCategories(params);
+        return await handleAddUserCategories(params, user);
+      case 'createCategory':
+        return await handleCreateCategory(params, user);
+      case 'updateCategory':
+        return await handleUpdateCategory(params, user);
+      case 'deleteCategory':
+        return await handleDeleteCategory(params, user);
+      case 'moveCategory':
+        return await handleMoveCategory(params, user);
       case 'storeResponses':
         return await handleStoreResponses(params);
       case 'addResponses':
-        return await handleAddResponses(params);
+        return await handleAddResponses(params, user);
       case 'clearData':
         return await handleClearData();
       case 'checkPromptExists':
-        return await handleCheckPromptExists(params);
+        return await handleCheckPromptExists(params, user);
+      case 'recordPromptUse':
+        return await handleRecordPromptUse(params, user);
+      case 'search':
+        return await handleSearch(params, user);
       case 'getDbStats':
         return await handleGetDbStats();
+      case 'getShowProfile':
+        return await handleGetShowProfile(user);
+      case 'saveShowProfile':
+        return await handleSaveShowProfile(params, user);
+      case 'getPlaylist':
+        return await handleGetPlaylist(user);
+      case 'savePlaylist':
+        return await handleSavePlaylist(params, user);
+      case 'getRundowns':
+        return await handleGetRundowns(user);
+      case 'saveRundown':
+        return await handleSaveRundown(params, user);
+      case 'deleteRundown':
+        return await handleDeleteRundown(params, user);
       default:
         return NextResponse.json(
           { error: `Unknown operation: ${operation}` },
@@ -82,15 +158,35 @@ export async function POST(request) {
   }
 }
 
-// Check if a prompt exists
-async function handleCheckPromptExists({ promptId }) {
-  const prompt = await prisma.prompt.findUnique({
-    where: { id: promptId }
-  });
+// Check if a prompt the user can see exists
+async function handleCheckPromptExists({ promptId }, user) {
+  const prompt = await findVisiblePrompt(promptId, user);
   
   return NextResponse.json({ exists: !!prompt });
 }
 
+// Record a use of a prompt (any user can count a use of a prompt they can see, even one they can't edit)
+async function handleRecordPromptUse({ promptId }, user) {
+  const result = await prisma.prompt.updateMany({
+    where: {
+      id: promptId,
+      ...visibleWithCoreToUser(user.id)
+    },
+    data: {
+      usageCount: { increment: 1 },
+      lastUsed: new Date()
+    }
+  });
+  
+  return NextResponse.json({ success: result.count > 0 });
+}
+
+// Search prompts and saved responses the user can see
+async function handleSearch(params, user) {
+  const results = await searchAll(params, user);
+  return NextResponse.json(results);
+}
+
 // Get database statistics
 async function handleGetDbStats() {
   const stats = await getDbStats();
@@ -98,31 +194,41 @@ async function handleGetDbStats() {
 }
 
 // Single setting retrieval
-async function handleGetSetting({ key }) {
-  const setting = await prisma.setting.findUnique({
-    where: { key }
-  });
+async function handleGetSetting({ key }, user) {
+  const settingsMap = await readSettings([key], user);
   
-  const value = setting ? JSON.parse(setting.value) : null;
+  const value = settingsMap.has(key) ? settingsMap.get(key) : null;
   return NextResponse.json({ [key]: value });
 }
 
+// Read settings into a map of key to value, taking station-wide keys from Setting and
+// everything else from the user's own UserSetting rows
+async function readSettings(keys, user) {
+  const stationKeys = keys.filter(key => STATION_SETTING_KEYS.includes(key));
+  const userKeys = keys.filter(key => !STATION_SETTING_KEYS.includes(key));
+  
+  const [stationSettings, userSettings] = await Promise.all([
+    stationKeys.length > 0
+      ? prisma.setting.findMany({ where: { key: { in: stationKeys } } })
+      : [],
+    userKeys.length > 0
+      ? prisma.userSetting.findMany({ where: { userId: user.id, key: { in: userKeys } } })
+      : []
+  ]);
+  
+  return new Map(
+    [...stationSettings, ...userSettings].map(s => [s.key, JSON.parse(s.value)])
+  );
+}
+
 // Multiple settings retrieval
-async function handleGetSettings({ keys }) {
+async function handleGetSettings({ keys }, user) {
   
   const result = {};
   
   if (Array.isArray(keys)) {
     // Array of keys
-    const settings = await prisma.setting.findMany({
-      where: { key: { in: keys } }
-    });
-    
-    
-    // Create a map for quick lookups
-    const settingsMap = new Map(
-      settings.map(s => [s.key, JSON.parse(s.value)])
-    );
+    const settingsMap = await readSettings(keys, user);
     
     // Set values in result
     keys.forEach(key => {
@@ -132,33 +238,29 @@ async function handleGetSettings({ keys }) {
     // Object with default values
     const settingKeys = Object.keys(keys);
     
-    // If userPrompts is in the keys, also fetch all user prompts
+    // If userPrompts is in the keys, also fetch the user prompts this user can see
     if (settingKeys.includes('userPrompts')) {
-      const userPrompts = await prisma.prompt.findMany({
-        where: { isUserCreated: true },
-        include: {
-          tags: {
-            include: {
-              tag: true
-            }
-          }
-        }
+      result.userPrompts = await findVisibleUserPrompts(user);
+    }
+    
+    // Categories live in their own table rather than in settings
+    if (settingKeys.includes('userCategories')) {
+      result.userCategories = await findVisibleUserCategories(user);
+    }
+    
+    // Core categories are shared by everyone, like core prompts
+    if (settingKeys.includes('coreCategories')) {
+      const coreCategories = await prisma.category.findMany({
+        where: { isUserCreated: false }
       });
-      
-      result.userPrompts = userPrompts.map(formatPromptFromDb);
+      result.coreCategories = coreCategories.map(formatCategoryFromDb);
     }
     
     // If corePrompts is in the keys, also fetch all core prompts
     if (settingKeys.includes('corePrompts')) {
       const corePrompts = await prisma.prompt.findMany({
         where: { isUserCreated: false },
-        include: {
-          tags: {
-            include: {
-              tag: true
-            }
-          }
-        }
+        include: PROMPT_INCLUDE
       });
       
       result.corePrompts = corePrompts.map(formatPromptFromDb);
@@ -166,18 +268,11 @@ async function handleGetSettings({ keys }) {
     
     // Get other settings
     const filteredKeys = settingKeys.filter(k => 
-      !['userPrompts', 'corePrompts'].includes(k)
+      !['userPrompts', 'corePrompts', 'userCategories', 'coreCategories'].includes(k)
     );
     
     if (filteredKeys.length > 0) {
-      const settings = await prisma.setting.findMany({
-        where: { key: { in: filteredKeys } }
-      });
-      
-      // Create a map for quick lookups
-      const settingsMap = new Map(
-        settings.map(s => [s.key, JSON.parse(s.value)])
-      );
+      const settingsMap = await readSettings(filteredKeys, user);
       
       // Set values or defaults in result
       filteredKeys.forEach(key => {
@@ -189,74 +284,296 @@ async function handleGetSettings({ keys }) {
   return NextResponse.json(result);
 }
 
-// Save setting
-async function handleSetSetting({ key, value }) {
-  await prisma.setting.upsert({
-    where: { key },
+// Save one of the user's settings (station settings are changed from the admin dashboard)
+async function handleSetSetting({ key, value }, user) {
+  if (STATION_SETTING_KEYS.includes(key)) {
+    return NextResponse.json({ error: 'Station settings can only be changed from the admin dashboard' }, { status: 403 });
+  }
+  
+  await prisma.userSetting.upsert({
+    where: {
+      userId_key: {
+        userId: user.id,
+        key
+      }
+    },
     update: { value: JSON.stringify(value) },
-    create: { key, value: JSON.stringify(value) }
+    create: {
+      userId: user.id,
+      key,
+      value: JSON.stringify(value)
+    }
   });
   
   return NextResponse.json({ success: true });
 }
 
-// Remove setting
-async function handleRemoveSetting({ key }) {
-  try {
-    await prisma.setting.delete({
-      where: { key }
-    });
-  } catch (error) {
-    // Ignore if not found
+// Remove one of the user's settings
+async function handleRemoveSetting({ key }, user) {
+  if (STATION_SETTING_KEYS.includes(key)) {
+    return NextResponse.json({ error: 'Station settings can only be changed from the admin dashboard' }, { status: 403 });
   }
   
+  await prisma.userSetting.deleteMany({
+    where: {
+      userId: user.id,
+      key
+    }
+  });
+  
   return NextResponse.json({ success: true });
 }
 
-// Get user prompts
-async function handleGetUserPrompts() {
-  const prompts = await prisma.prompt.findMany({
-    where: { isUserCreated: true },
+// Get the current user's show profile
+async function handleGetShowProfile(user) {
+  const setting = await prisma.userSetting.findUnique({
+    where: {
+      userId_key: {
+        userId: user.id,
+        key: SHOW_PROFILE_KEY
+      }
+    }
+  });
+  
+  const profile = setting ? JSON.parse(setting.value) : null;
+  return NextResponse.json({ profile: normalizeShowProfile(profile) });
+}
+
+// Save the current user's show profile
+async function handleSaveShowProfile({ profile }, user) {
+  const normalized = normalizeShowProfile(profile);
+  
+  await prisma.userSetting.upsert({
+    where: {
+      userId_key: {
+        userId: user.id,
+        key: SHOW_PROFILE_KEY
+      }
+    },
+    update: { value: JSON.stringify(normalized) },
+    create: {
+      userId: user.id,
+      key: SHOW_PROFILE_KEY,
+      value: JSON.stringify(normalized)
+    }
+  });
+  
+  return NextResponse.json({ success: true, profile: normalized });
+}
+
+// Get the current user's imported playlist
+async function handleGetPlaylist(user) {
+  const setting = await prisma.userSetting.findUnique({
+    where: {
+      userId_key: {
+        userId: user.id,
+        key: PLAYLIST_KEY
+      }
+    }
+  });
+  
+  const tracks = setting ? JSON.parse(setting.value) : [];
+  return NextResponse.json({ tracks: normalizeTracks(tracks) });
+}
+
+// Replace the current user's imported playlist
+async function handleSavePlaylist({ tracks }, user) {
+  const normalized = normalizeTracks(tracks);
+  
+  await prisma.userSetting.upsert({
+    where: {
+      userId_key: {
+        userId: user.id,
+        key: PLAYLIST_KEY
+      }
+    },
+    update: { value: JSON.stringify(normalized) },
+    create: {
+      userId: user.id,
+      key: PLAYLIST_KEY,
+      value: JSON.stringify(normalized)
+    }
+  });
+  
+  return NextResponse.json({ success: true, tracks: normalized });
+}
+
+// Rundown slots are always loaded in show order, with their latest script
+const RUNDOWN_INCLUDE = {
+  slots: {
+    orderBy: { position: 'asc' },
     include: {
-      tags: {
-        include: {
-          tag: true
-        }
+      response: {
+        select: { responseText: true }
       }
     }
+  }
+};
+
+// Get the current user's rundowns
+async function handleGetRundowns(user) {
+  const rundowns = await prisma.rundown.findMany({
+    where: { userId: user.id },
+    include: RUNDOWN_INCLUDE,
+    orderBy: { updatedAt: 'desc' }
+  });
+  
+  return NextResponse.json(rundowns.map(formatRundownFromDb));
+}
+
+// Create or update a rundown, replacing its slots
+async function handleSaveRundown({ rundown }, user) {
+  if (!rundown?.title?.trim()) {
+    return NextResponse.json({ error: 'Rundown title is required' }, { status: 400 });
+  }
+  
+  const slots = Array.isArray(rundown.slots) ? rundown.slots : [];
+  if (slots.some(slot => !slot.promptId)) {
+    return NextResponse.json({ error: 'Every slot needs a prompt' }, { status: 400 });
+  }
+  
+  const id = rundown.id || `rundown_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+  
+  const existing = await prisma.rundown.findUnique({ where: { id } });
+  if (existing && existing.userId !== user.id) {
+    return NextResponse.json({ error: 'You can only edit your own rundowns' }, { status: 403 });
+  }
+  
+  // Slots can only use prompts the user can see and responses they saved
+  const promptIds = [...new Set(slots.map(slot => slot.promptId))];
+  const visiblePrompts = await prisma.prompt.findMany({
+    where: { AND: [{ id: { in: promptIds } }, visibleWithCoreToUser(user.id)] },
+    select: { id: true }
+  });
+  if (visiblePrompts.length !== promptIds.length) {
+    return NextResponse.json({ error: 'Prompt not found' }, { status: 404 });
+  }
+  
+  const responseIds = [...new Set(slots.map(slot => slot.responseId).filter(Boolean))];
+  if (responseIds.length > 0) {
+    const responses = await prisma.response.findMany({
+      where: { id: { in: responseIds } },
+      select: { id: true, promptId: true, userId: true }
+    });
+    if (responses.length !== responseIds.length) {
+      return NextResponse.json({ error: 'Response not found' }, { status: 404 });
+    }
+    if (responses.some(response => !canModifyResponse(response, user))) {
+      return NextResponse.json({ error: 'You can only use your own responses in a rundown' }, { status: 403 });
+    }
+    
+    const responsesById = new Map(responses.map(response => [response.id, response]));
+    if (slots.some(slot => slot.responseId && responsesById.get(slot.responseId).promptId !== slot.promptId)) {
+      return NextResponse.json({ error: 'A slot\'s response must come from its prompt' }, { status: 400 });
+    }
+  }
+  
+  const data = {
+    title: rundown.title.trim(),
+    showDate: rundown.showDate || null
+  };
+  
+  const saved = await prisma.$transaction(async (tx) => {
+    if (existing) {
+      await tx.rundown.update({ where: { id }, data });
+      await tx.rundownSlot.deleteMany({ where: { rundownId: id } });
+    } else {
+      await tx.rundown.create({
+        data: { id, userId: user.id, ...data }
+      });
+    }
+    
+    // Positions are renumbered from the array order
+    for (const [position, slot] of slots.entries()) {
+      await tx.rundownSlot.create({
+        data: {
+          rundownId: id,
+          promptId: slot.promptId,
+          position,
+          label: slot.label || null,
+          variables: slot.variables ? JSON.stringify(slot.variables) : null,
+          targetSeconds: parseInt(slot.targetSeconds) || null,
+          responseId: slot.responseId || null
+        }
+      });
+    }
+    
+    return tx.rundown.findUnique({ where: { id }, include: RUNDOWN_INCLUDE });
+  });
+  
+  return NextResponse.json({ success: true, rundown: formatRundownFromDb(saved) });
+}
+
+// Delete one of the current user's rundowns
+async function handleDeleteRundown({ rundownId }, user) {
+  const result = await prisma.rundown.deleteMany({
+    where: { id: rundownId, userId: user.id }
   });
   
-  const formattedPrompts = prompts.map(formatPromptFromDb);
+  return NextResponse.json({ success: result.count > 0 });
+}
+
+// Get user prompts
+async function handleGetUserPrompts(user) {
+  const formattedPrompts = await findVisibleUserPrompts(user);
   
   return NextResponse.json(formattedPrompts);
 }
 
+// Prompts are always loaded with their tags, their owner's name and their newest revision
+const PROMPT_INCLUDE = {
+  tags: {
+    include: {
+      tag: true
+    }
+  },
+  user: {
+    select: {
+      firstName: true,
+      lastName: true
+    }
+  },
+  revisions: {
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take: 1,
+    select: { id: true }
+  }
+};
+
+// User prompts a user can see: their own plus those shared with the station
+async function findVisibleUserPrompts(user) {
+  const prompts = await prisma.prompt.findMany({
+    where: visibleToUser(user.id),
+    include: PROMPT_INCLUDE
+  });
+  
+  return prompts.map(formatPromptFromDb);
+}
+
+// Load a single prompt formatted for the client
+async function findFormattedPrompt(promptId) {
+  const prompt = await prisma.prompt.findUnique({
+    where: { id: promptId },
+    include: PROMPT_INCLUDE
+  });
+  
+  return prompt ? formatPromptFromDb(prompt) : null;
+}
+
 // Get core prompts
 async function handleGetCorePrompts() {
   const prompts = await prisma.prompt.findMany({
     where: { isUserCreated: false },
-    include: {
-      tags: {
-        include: {
-          tag: true
-        }
-      }
-    }
+    include: PROMPT_INCLUDE
   });
   
   return NextResponse.json(prompts.map(formatPromptFromDb));
 }
 
 // Get favorites
-async function handleGetFavorites() {
+async function handleGetFavorites(user) {
   try {
-    // Get authenticated user
-    const authCheck = await checkUserAuth();
-    if (!authCheck.isAuthenticated) {
-      return NextResponse.json([]);
-    }
-    
-    const userId = authCheck.user.id;
+    const userId = user.id;
     
     // Get user's favorites
     const favorites = await prisma.userFavorite.findMany({
@@ -272,15 +589,9 @@ async function handleGetFavorites() {
 }
 
 // Get recently used
-async function handleGetRecentlyUsed() {
+async function handleGetRecentlyUsed(user) {
   try {
-    // Get authenticated user
-    const authCheck = await checkUserAuth();
-    if (!authCheck.isAuthenticated) {
-      return NextResponse.json([]);
-    }
-    
-    const userId = authCheck.user.id;
+    const userId = user.id;
     
     // Get user's recently used prompts
     const recentlyUsed = await prisma.userRecentlyUsed.findMany({
@@ -299,22 +610,24 @@ async function handleGetRecentlyUsed() {
 }
 
 // Get user categories
-async function handleGetUserCategories() {
+async function handleGetUserCategories(user) {
+  return NextResponse.json(await findVisibleUserCategories(user));
+}
+
+// User categories a user can see: their own plus those shared with the station
+async function findVisibleUserCategories(user) {
   const categories = await prisma.category.findMany({
-    where: { isUserCreated: true }
+    where: visibleToUser(user.id)
   });
   
-  return NextResponse.json(categories.map(c => ({
-    id: c.id,
-    name: c.name,
-    isUserCreated: true
-  })));
+  return categories.map(formatCategoryFromDb);
 }
 
-// Get responses
-async function handleGetResponses() {
+// Get responses to the prompts the user can see
+async function handleGetResponses(user) {
   try {
     const responses = await prisma.response.findMany({
+      where: { prompt: visibleWithCoreToUser(user.id) },
       include: {
         user: {
           select: {
@@ -334,11 +647,11 @@ async function handleGetResponses() {
   }
 }
 
-// Get responses for prompt
-async function handleGetResponsesForPrompt({ promptId }) {
+// Get responses for a prompt the user can see
+async function handleGetResponsesForPrompt({ promptId }, user) {
   try {
     const responses = await prisma.response.findMany({
-      where: { promptId },
+      where: { promptId, prompt: visibleWithCoreToUser(user.id) },
       include: {
         user: {
           select: {
@@ -360,7 +673,7 @@ async function handleGetResponsesForPrompt({ promptId }) {
 }
 
 // Save response
-async function handleSaveResponse({ response }) {
+async function handleSaveResponse({ response }, user) {
   // Generate a unique ID if not provided
   if (!response.id) {
     response.id = `response_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
@@ -372,15 +685,34 @@ async function handleSaveResponse({ response }) {
   }
   
   try {
-    // Get the authenticated user (if any)
-    const authCheck = await checkUserAuth();
-    const userId = authCheck.isAuthenticated ? authCheck.user.id : null;
+    const userId = user.id;
     
     // Check if response with this ID already exists
     const existingResponse = await prisma.response.findUnique({
       where: { id: response.id }
     });
     
+    if (existingResponse && !canModifyResponse(existingResponse, user)) {
+      return NextResponse.json({ error: 'You can only edit your own responses' }, { status: 403 });
+    }
+    
+    // New responses can only be attached to a prompt the user can see
+    if (!existingResponse && !await findVisiblePrompt(response.promptId, user)) {
+      return NextResponse.json({ error: 'Prompt not found' }, { status: 404 });
+    }
+    
+    // A refinement must link to a saved response of the same prompt
+    if (!existingResponse && response.parentId) {
+      const parent = await prisma.response.findUnique({
+        where: { id: response.parentId },
+        select: { promptId: true }
+      });
+      
+      if (!parent || parent.promptId !== response.promptId) {
+        return NextResponse.json({ error: 'The response being refined was not found' }, { status: 400 });
+      }
+    }
+    
     let savedResponse;
     
     if (existingResponse) {
@@ -394,7 +726,11 @@ async function handleSaveResponse({ response }) {
           completionTokens: response.completionTokens || existingResponse.completionTokens,
           totalTokens: response.totalTokens || existingResponse.totalTokens,
           lastEdited: new Date(),
-          variablesUsed: response.variablesUsed ? JSON.stringify(response.variablesUsed) : existingResponse.variablesUsed
+          variablesUsed: response.variablesUsed ? JSON.stringify(response.variablesUsed) : existingResponse.variablesUsed,
+          provider: response.provider || existingResponse.provider,
+          temperature: response.temperature ?? existingResponse.temperature,
+          maxTokens: response.maxTokens || existingResponse.maxTokens,
+          systemPrompt: response.systemPrompt || existingResponse.systemPrompt
         }
       });
     } else {
@@ -404,13 +740,21 @@ async function handleSaveResponse({ response }) {
           id: response.id,
           promptId: response.promptId,
           userId: userId, // Associate with current user
+          parentId: response.parentId || null,
+          instruction: response.instruction || null,
           responseText: response.responseText,
           modelUsed: response.modelUsed,
           promptTokens: response.promptTokens,
           completionTokens: response.completionTokens,
           totalTokens: response.totalTokens,
           createdAt: new Date(response.createdAt),
-          variablesUsed: response.variablesUsed ? JSON.stringify(response.variablesUsed) : null
+          variablesUsed: response.variablesUsed ? JSON.stringify(response.variablesUsed) : null,
+          provider: response.provider || null,
+          temperature: response.temperature ?? null,
+          maxTokens: response.maxTokens || null,
+          systemPrompt: response.systemPrompt || null,
+          cacheKey: response.cacheKey || null,
+          revisionId: await resolveResponseRevisionId(prisma, response.promptId, response.revisionId)
         }
       });
     }
@@ -436,8 +780,16 @@ async function handleSaveResponse({ response }) {
 }
 
 // Delete response
-async function handleDeleteResponse({ responseId }) {
+async function handleDeleteResponse({ responseId }, user) {
   try {
+    const existingResponse = await prisma.response.findUnique({
+      where: { id: responseId }
+    });
+    
+    if (existingResponse && !canModifyResponse(existingResponse, user)) {
+      return NextResponse.json({ error: 'You can only delete your own responses' }, { status: 403 });
+    }
+    
     const result = await prisma.response.delete({
       where: { id: responseId }
     });
@@ -448,39 +800,92 @@ async function handleDeleteResponse({ responseId }) {
   }
 }
 
-// Count responses for prompt
-async function handleCountResponsesForPrompt({ promptId }) {
+// Set the thumbs verdict, rating, aired time or notes on a response
+// Only the fields sent are changed; like edits, feedback is limited to the response's owner or an admin
+async function handleSaveResponseFeedback({ responseId, feedback }, user) {
+  const existingResponse = await prisma.response.findUnique({
+    where: { id: responseId }
+  });
+  
+  if (!existingResponse) {
+    return NextResponse.json({ error: 'Response not found' }, { status: 404 });
+  }
+  
+  if (!canModifyResponse(existingResponse, user)) {
+    return NextResponse.json({ error: 'You can only rate your own responses' }, { status: 403 });
+  }
+  
+  const { data, error } = parseResponseFeedback(feedback);
+  if (error) {
+    return NextResponse.json({ error }, { status: 400 });
+  }
+  
+  const savedResponse = await prisma.response.update({
+    where: { id: responseId },
+    data,
+    include: {
+      user: {
+        select: {
+          firstName: true,
+          lastName: true
+        }
+      }
+    }
+  });
+  
+  return NextResponse.json({ response: formatResponseFromDb(savedResponse) });
+}
+
+// Feedback totals per prompt and per model, over responses to prompts the user can see
+async function handleGetFeedbackStats(user) {
+  const stats = await getFeedbackStats(user);
+  return NextResponse.json(stats);
+}
+
+// Responses belong to the user who saved them; admins can change any response,
+// including older ones saved before responses had owners
+function canModifyResponse(response, user) {
+  return user.isAdmin || (response.userId !== null && response.userId === user.id);
+}
+
+// User prompts and categories can only be changed by their owner; core prompts are maintained by admins
+function canModifyOwnedItem(item, user) {
+  return item.isUserCreated ? item.userId === user.id : user.isAdmin;
+}
+
+// Count responses for a prompt the user can see
+async function handleCountResponsesForPrompt({ promptId }, user) {
   const count = await prisma.response.count({
-    where: { promptId }
+    where: { promptId, prompt: visibleWithCoreToUser(user.id) }
   });
   
   return NextResponse.json({ count });
 }
 
-// Store user prompts (replacing all)
-async function handleStoreUserPrompts({ prompts }) {
-  await storePrompts(prompts, true);
+// Store the user's own prompts (replacing all of theirs)
+async function handleStoreUserPrompts({ prompts }, user) {
+  await storePrompts(prompts, true, user);
   return NextResponse.json({ success: true });
 }
 
 // Store core prompts (replacing all)
-async function handleStoreCorePrompts({ prompts }) {
-  await storePrompts(prompts, false);
+async function handleStoreCorePrompts({ prompts }, user) {
+  await storePrompts(prompts, false, user);
   return NextResponse.json({ success: true });
 }
 
-// Add user prompts (appending to existing)
-async function handleAddUserPrompts({ prompts }) {
-  await addPrompts(prompts, true);
+// Add user prompts owned by the user (appending to existing)
+async function handleAddUserPrompts({ prompts }, user) {
+  await addPrompts(prompts, true, user);
   return NextResponse.json({ success: true });
 }
 
-// Store prompts helper (replacing all)
-async function storePrompts(prompts, isUserCreated) {
-  // Get all existing prompts of this type
+// Store prompts helper (replacing all core prompts, or all of the user's own prompts)
+// Other users' shared prompts in the list are left untouched.
+async function storePrompts(prompts, isUserCreated, user) {
+  // Get all existing prompts of this type that the caller owns
   const existingPrompts = await prisma.prompt.findMany({
-    where: { isUserCreated },
-    include: { responses: true }
+    where: isUserCreated ? { isUserCreated, userId: user.id } : { isUserCreated }
   });
   
   // Create a map of existing prompt IDs
@@ -491,9 +896,9 @@ async function storePrompts(prompts, isUserCreated) {
   
   // Start a transaction
   await prisma.$transaction(async (tx) => {
-    // 1. Delete prompts that aren't in the new set (avoiding those with responses)
+    // 1. Delete prompts that aren't in the new set (their responses are deleted with them)
     for (const existingPrompt of existingPrompts) {
-      if (!newPromptIds.has(existingPrompt.id) && existingPrompt.responses.length === 0) {
+      if (!newPromptIds.has(existingPrompt.id)) {
         await tx.prompt.delete({
           where: { id: existingPrompt.id }
         });
@@ -504,20 +909,15 @@ async function storePrompts(prompts, isUserCreated) {
     for (const prompt of prompts) {
       const exists = existingPromptsMap.has(prompt.id);
       
-      // Extract tags
-      const tags = prompt.tags || [];
+      // Skip prompts that exist but belong to someone else (or to the other type)
+      if (!exists && await tx.prompt.findUnique({ where: { id: prompt.id } })) {
+        continue;
+      }
       
       // Prepare prompt data
       const promptData = {
-        title: prompt.title,
-        description: prompt.description || '',
-        categoryId: prompt.category || null,
-        promptText: prompt.promptText,
-        isUserCreated,
-        usageCount: prompt.usageCount || 0,
-        createdAt: new Date(prompt.createdAt || new Date()),
-        lastUsed: prompt.lastUsed ? new Date(prompt.lastUsed) : null,
-        lastEdited: prompt.lastEdited ? new Date(prompt.lastEdited) : null,
+        ...promptDataFromClient(prompt, isUserCreated, user),
+        ...promptHistoryFromClient(prompt)
       };
       
       if (exists) {
@@ -526,11 +926,6 @@ async function storePrompts(prompts, isUserCreated) {
           where: { id: prompt.id },
           data: promptData
         });
-        
-        // Delete existing tags for this prompt
-        await tx.promptTag.deleteMany({
-          where: { promptId: prompt.id }
-        });
       } else {
         // Create new prompt
         await tx.prompt.create({
@@ -541,27 +936,8 @@ async function storePrompts(prompts, isUserCreated) {
         });
       }
       
-      // Create tags if needed and connect to prompt
-      for (const tagName of tags) {
-        // Find or create tag
-        let tag = await tx.tag.findFirst({
-          where: { name: tagName }
-        });
-        
-        if (!tag) {
-          tag = await tx.tag.create({
-            data: { name: tagName }
-          });
-        }
-        
-        // Create prompt-tag relationship
-        await tx.promptTag.create({
-          data: {
-            promptId: prompt.id,
-            tagId: tag.id
-          }
-        });
-      }
+      await setPromptTags(tx, prompt.id, prompt.tags || []);
+      await recordPromptRevision(tx, prompt.id, user.id);
     }
   });
   
@@ -570,7 +946,7 @@ async function storePrompts(prompts, isUserCreated) {
 }
 
 // Add prompts helper (appending to existing)
-async function addPrompts(prompts, isUserCreated) {
+async function addPrompts(prompts, isUserCreated, user) {
   let added = 0;
   let skipped = 0;
   
@@ -589,46 +965,17 @@ async function addPrompts(prompts, isUserCreated) {
         continue;
       }
       
-      // Extract tags
-      const tags = prompt.tags || [];
-      
       // Create prompt
       await tx.prompt.create({
         data: {
           id: prompt.id,
-          title: prompt.title,
-          description: prompt.description || '',
-          categoryId: prompt.category || null,
-          promptText: prompt.promptText,
-          isUserCreated,
-          usageCount: prompt.usageCount || 0,
-          createdAt: new Date(prompt.createdAt || new Date()),
-          lastUsed: prompt.lastUsed ? new Date(prompt.lastUsed) : null,
-          lastEdited: prompt.lastEdited ? new Date(prompt.lastEdited) : null,
+          ...promptDataFromClient(prompt, isUserCreated, user),
+          ...promptHistoryFromClient(prompt)
         }
       });
       
-      // Create tags if needed and connect to prompt
-      for (const tagName of tags) {
-        // Find or create tag
-        let tag = await tx.tag.findFirst({
-          where: { name: tagName }
-        });
-        
-        if (!tag) {
-          tag = await tx.tag.create({
-            data: { name: tagName }
-          });
-        }
-        
-        // Create prompt-tag relationship
-        await tx.promptTag.create({
-          data: {
-            promptId: prompt.id,
-            tagId: tag.id
-          }
-        });
-      }
+      await setPromptTags(tx, prompt.id, prompt.tags || []);
+      await recordPromptRevision(tx, prompt.id, user.id);
       
       added++;
     }
@@ -637,22 +984,190 @@ async function addPrompts(prompts, isUserCreated) {
   return true;
 }
 
-// This function has been refactored and incorporated directly into storePrompts and addPrompts
+// Replace a prompt's tags, creating any tags that don't exist yet
+async function setPromptTags(client, promptId, tags) {
+  // Delete existing tags for this prompt
+  await client.promptTag.deleteMany({
+    where: { promptId }
+  });
+  
+  // Create tags if needed and connect to prompt
+  for (const tagName of tags) {
+    // Find or create tag
+    let tag = await client.tag.findFirst({
+      where: { name: tagName }
+    });
+    
+    if (!tag) {
+      tag = await client.tag.create({
+        data: { name: tagName }
+      });
+    }
+    
+    // Create prompt-tag relationship
+    await client.promptTag.create({
+      data: {
+        promptId,
+        tagId: tag.id
+      }
+    });
+  }
+}
 
-// Store favorites
-async function handleStoreFavorites({ favorites }) {
-  try {
-    // Get authenticated user
-    const authCheck = await checkUserAuth();
-    if (!authCheck.isAuthenticated) {
-      console.log('User not authenticated, cannot store favorites');
-      return NextResponse.json({
-        success: false,
-        error: 'User not authenticated'
-      }, { status: 401 });
+// Create a single prompt owned by the user
+async function handleCreatePrompt({ prompt }, user) {
+  if (!prompt?.id || !prompt.title || !prompt.promptText) {
+    return NextResponse.json({ error: 'Prompt id, title and text are required' }, { status: 400 });
+  }
+  
+  const existingPrompt = await prisma.prompt.findUnique({
+    where: { id: prompt.id }
+  });
+  
+  if (existingPrompt) {
+    return NextResponse.json({ error: 'A prompt with this id already exists' }, { status: 409 });
+  }
+  
+  await prisma.$transaction(async (tx) => {
+    await tx.prompt.create({
+      data: {
+        id: prompt.id,
+        ...promptDataFromClient(prompt, true, user),
+        ...promptHistoryFromClient(prompt)
+      }
+    });
+    
+    await setPromptTags(tx, prompt.id, prompt.tags || []);
+    await recordPromptRevision(tx, prompt.id, user.id);
+  });
+  
+  return NextResponse.json({ prompt: await findFormattedPrompt(prompt.id) });
+}
+
+// Update a single prompt, keeping its owner, usage history and whether it's a core prompt.
+// Edits are recorded as revisions, so the previous wording can be restored.
+async function handleUpdatePrompt({ prompt }, user) {
+  const existingPrompt = prompt?.id && await prisma.prompt.findUnique({
+    where: { id: prompt.id }
+  });
+  
+  if (!existingPrompt) {
+    return NextResponse.json({ error: 'Prompt not found' }, { status: 404 });
+  }
+  
+  if (!canModifyOwnedItem(existingPrompt, user)) {
+    return NextResponse.json({ error: 'You can only edit your own prompts' }, { status: 403 });
+  }
+  
+  const promptData = promptDataFromClient(prompt, existingPrompt.isUserCreated, user);
+  
+  await prisma.$transaction(async (tx) => {
+    // Prompts saved before revisions were kept have no history yet; start it with the old version
+    await recordPromptRevision(tx, prompt.id, existingPrompt.userId);
+    
+    await tx.prompt.update({
+      where: { id: prompt.id },
+      data: promptData
+    });
+    
+    await setPromptTags(tx, prompt.id, prompt.tags || []);
+    await recordPromptRevision(tx, prompt.id, user.id);
+  });
+  
+  return NextResponse.json({ prompt: await findFormattedPrompt(prompt.id) });
+}
+
+// Delete a single prompt (its responses, favorites and recent uses are deleted with it)
+async function handleDeletePrompt({ promptId }, user) {
+  const existingPrompt = await prisma.prompt.findUnique({
+    where: { id: promptId }
+  });
+  
+  if (!existingPrompt) {
+    return NextResponse.json({ error: 'Prompt not found' }, { status: 404 });
+  }
+  
+  if (!canModifyOwnedItem(existingPrompt, user)) {
+    return NextResponse.json({ error: 'You can only delete your own prompts' }, { status: 403 });
+  }
+  
+  await prisma.prompt.delete({
+    where: { id: promptId }
+  });
+  
+  return NextResponse.json({ success: true });
+}
+
+// Get a prompt's revisions, newest first
+async function handleGetPromptRevisions({ promptId }, user) {
+  const prompt = promptId && await prisma.prompt.findFirst({
+    where: {
+      id: promptId,
+      AND: [visibleWithCoreToUser(user.id)]
     }
+  });
+  
+  if (!prompt) {
+    return NextResponse.json({ error: 'Prompt not found' }, { status: 404 });
+  }
+  
+  const revisions = await prisma.promptRevision.findMany({
+    where: { promptId },
+    include: {
+      user: {
+        select: {
+          firstName: true,
+          lastName: true
+        }
+      }
+    },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+  });
+  
+  return NextResponse.json({ revisions: revisions.map(formatRevisionFromDb) });
+}
+
+// Restore a prompt to an earlier revision; the restored version is recorded as a new revision
+async function handleRestorePromptRevision({ revisionId }, user) {
+  const revision = revisionId && await prisma.promptRevision.findUnique({
+    where: { id: revisionId },
+    include: { prompt: true }
+  });
+  
+  if (!revision) {
+    return NextResponse.json({ error: 'Revision not found' }, { status: 404 });
+  }
+  
+  if (!canModifyOwnedItem(revision.prompt, user)) {
+    return NextResponse.json({ error: 'You can only restore your own prompts' }, { status: 403 });
+  }
+  
+  // The revision's category may have been deleted since
+  const promptData = promptDataFromRevision(revision);
+  if (promptData.categoryId && !await prisma.category.findUnique({ where: { id: promptData.categoryId } })) {
+    promptData.categoryId = null;
+  }
+  
+  await prisma.$transaction(async (tx) => {
+    await tx.prompt.update({
+      where: { id: revision.promptId },
+      data: {
+        ...promptData,
+        lastEdited: new Date()
+      }
+    });
     
-    const userId = authCheck.user.id;
+    await setPromptTags(tx, revision.promptId, revisionTags(revision));
+    await recordPromptRevision(tx, revision.promptId, user.id);
+  });
+  
+  return NextResponse.json({ prompt: await findFormattedPrompt(revision.promptId) });
+}
+
+// Store favorites
+async function handleStoreFavorites({ favorites }, user) {
+  try {
+    const userId = user.id;
     
     // Start a transaction to ensure data consistency
     await prisma.$transaction(async (tx) => {
@@ -664,8 +1179,11 @@ async function handleStoreFavorites({ favorites }) {
       // Create new user favorites
       for (const promptId of favorites) {
         // Check if prompt exists
-        const promptExists = await tx.prompt.findUnique({
-          where: { id: promptId }
+        const promptExists = await tx.prompt.findFirst({
+          where: {
+            id: promptId,
+            ...visibleWithCoreToUser(userId)
+          }
         });
         
         if (promptExists) {
@@ -700,19 +1218,36 @@ async function handleStoreFavorites({ favorites }) {
   }
 }
 
+// Add a single prompt to the user's favorites
+async function handleAddFavorite({ promptId }, user) {
+  const prompt = await findVisiblePrompt(promptId, user);
+  
+  if (!prompt) {
+    return NextResponse.json({ error: 'Prompt not found' }, { status: 404 });
+  }
+  
+  await prisma.userFavorite.upsert({
+    where: { userId_promptId: { userId: user.id, promptId } },
+    update: {},
+    create: { userId: user.id, promptId }
+  });
+  
+  return NextResponse.json({ promptId, isFavorite: true });
+}
+
+// Remove a single prompt from the user's favorites
+async function handleRemoveFavorite({ promptId }, user) {
+  await prisma.userFavorite.deleteMany({
+    where: { userId: user.id, promptId }
+  });
+  
+  return NextResponse.json({ promptId, isFavorite: false });
+}
+
 // Store recently used
-async function handleStoreRecentlyUsed({ recentlyUsed }) {
+async function handleStoreRecentlyUsed({ recentlyUsed }, user) {
   try {
-    // Get authenticated user
-    const authCheck = await checkUserAuth();
-    if (!authCheck.isAuthenticated) {
-      return NextResponse.json({
-        success: false,
-        error: 'User not authenticated'
-      }, { status: 401 });
-    }
-    
-    const userId = authCheck.user.id;
+    const userId = user.id;
     
     // Start a transaction
     await prisma.$transaction(async (tx) => {
@@ -726,8 +1261,11 @@ async function handleStoreRecentlyUsed({ recentlyUsed }) {
         const promptId = recentlyUsed[i];
         
         // Check if prompt exists
-        const promptExists = await tx.prompt.findUnique({
-          where: { id: promptId }
+        const promptExists = await tx.prompt.findFirst({
+          where: {
+            id: promptId,
+            ...visibleWithCoreToUser(userId)
+          }
         });
         
         if (promptExists) {
@@ -765,28 +1303,67 @@ async function handleStoreRecentlyUsed({ recentlyUsed }) {
 }
 
 // Store user categories (replacing all)
-async function handleStoreUserCategories({ categories }) {
-  // Delete existing user categories
-  await prisma.category.deleteMany({
-    where: { isUserCreated: true }
+async function handleStoreUserCategories({ categories }, user) {
+  const existingCategories = await prisma.category.findMany({
+    where: { isUserCreated: true, userId: user.id }
   });
   
-  // Create new categories
-  for (const category of categories) {
-    await prisma.category.create({
-      data: {
-        id: category.id,
+  const newCategoryIds = new Set(categories.map(c => c.id));
+  const removedCategoryIds = existingCategories
+    .filter(c => !newCategoryIds.has(c.id))
+    .map(c => c.id);
+  
+  await prisma.$transaction(async (tx) => {
+    // Delete the user's categories that aren't in the new set, uncategorizing their prompts
+    if (removedCategoryIds.length > 0) {
+      await tx.prompt.updateMany({
+        where: { categoryId: { in: removedCategoryIds } },
+        data: { categoryId: null }
+      });
+      
+      await tx.category.deleteMany({
+        where: { id: { in: removedCategoryIds } }
+      });
+    }
+    
+    // Update or create the user's categories, skipping ones owned by someone else
+    for (const category of categories) {
+      const existing = await tx.category.findUnique({
+        where: { id: category.id }
+      });
+      
+      if (existing && existing.userId !== user.id) {
+        continue;
+      }
+      
+      const data = {
         name: category.name,
-        isUserCreated: true
+        visibility: normalizeUserVisibility(category.visibility)
+      };
+      
+      if (existing) {
+        await tx.category.update({
+          where: { id: category.id },
+          data
+        });
+      } else {
+        await tx.category.create({
+          data: {
+            id: category.id,
+            isUserCreated: true,
+            userId: user.id,
+            ...data
+          }
+        });
       }
-    });
-  }
+    }
+  });
   
   return NextResponse.json({ success: true });
 }
 
 // Add user categories (appending to existing)
-async function handleAddUserCategories({ categories }) {
+async function handleAddUserCategories({ categories }, user) {
   // Create new categories
   for (const category of categories) {
     // Check if category already exists
@@ -803,7 +1380,9 @@ async function handleAddUserCategories({ categories }) {
       data: {
         id: category.id,
         name: category.name,
-        isUserCreated: true
+        isUserCreated: true,
+        userId: user.id,
+        visibility: normalizeUserVisibility(category.visibility)
       }
     });
   }
@@ -811,6 +1390,186 @@ async function handleAddUserCategories({ categories }) {
   return NextResponse.json({ success: true });
 }
 
+// Create a single category owned by the user
+async function handleCreateCategory({ category }, user) {
+  const name = category?.name?.trim();
+  
+  if (!category?.id || !name) {
+    return NextResponse.json({ error: 'Category id and name are required' }, { status: 400 });
+  }
+  
+  const existingCategory = await prisma.category.findUnique({
+    where: { id: category.id }
+  });
+  
+  if (existingCategory) {
+    return NextResponse.json({ error: 'A category with this id already exists' }, { status: 409 });
+  }
+  
+  const parentId = category.parentId || null;
+  if (parentId && !await findVisibleCategory(parentId, user)) {
+    return NextResponse.json({ error: 'Parent category not found' }, { status: 400 });
+  }
+  
+  // New categories go after siblings that have been put in order, or in name order among
+  // siblings that never have
+  const lastSibling = await prisma.category.findFirst({
+    where: { parentId },
+    orderBy: { sortOrder: 'desc' }
+  });
+  
+  const created = await prisma.category.create({
+    data: {
+      id: category.id,
+      name,
+      isUserCreated: true,
+      userId: user.id,
+      visibility: normalizeUserVisibility(category.visibility),
+      parentId,
+      sortOrder: lastSibling?.sortOrder > 0 ? lastSibling.sortOrder + 1 : 0
+    }
+  });
+  
+  return NextResponse.json({ category: formatCategoryFromDb(created) });
+}
+
+// Rename a single category or change its visibility
+async function handleUpdateCategory({ category }, user) {
+  const existingCategory = category?.id && await prisma.category.findUnique({
+    where: { id: category.id }
+  });
+  
+  if (!existingCategory) {
+    return NextResponse.json({ error: 'Category not found' }, { status: 404 });
+  }
+  
+  if (!canModifyOwnedItem(existingCategory, user)) {
+    return NextResponse.json({ error: 'You can only edit your own categories' }, { status: 403 });
+  }
+  
+  const updated = await prisma.category.update({
+    where: { id: category.id },
+    data: {
+      name: category.name?.trim() || existingCategory.name,
+      visibility: category.visibility !== undefined
+        ? normalizeUserVisibility(category.visibility)
+        : existingCategory.visibility
+    }
+  });
+  
+  return NextResponse.json({ category: formatCategoryFromDb(updated) });
+}
+
+// Move a category under a new parent (or to the top level) and before one of its new siblings
+// Siblings are renumbered so the order is explicit; their order relative to each other is kept.
+async function handleMoveCategory({ categoryId, parentId: requestedParentId, beforeId }, user) {
+  const parentId = requestedParentId || null;
+  
+  const existingCategory = await prisma.category.findUnique({
+    where: { id: categoryId }
+  });
+  
+  if (!existingCategory) {
+    return NextResponse.json({ error: 'Category not found' }, { status: 404 });
+  }
+  
+  if (!canModifyOwnedItem(existingCategory, user)) {
+    return NextResponse.json({ error: 'You can only move your own categories' }, { status: 403 });
+  }
+  
+  if (parentId && !await findVisibleCategory(parentId, user)) {
+    return NextResponse.json({ error: 'Parent category not found' }, { status: 400 });
+  }
+  
+  // The cycle check walks the whole tree (ids only), since the user's categories can have
+  // subcategories they can't see
+  const tree = await prisma.category.findMany({
+    select: { id: true, parentId: true }
+  });
+  
+  if (parentId && isDescendantOf(tree, parentId, categoryId)) {
+    return NextResponse.json({ error: 'A category cannot be moved inside itself' }, { status: 400 });
+  }
+  
+  // Order among the siblings the user can see; ones they can't change keep their position
+  const siblings = (await prisma.category.findMany({
+    where: {
+      parentId,
+      id: { not: categoryId },
+      ...visibleWithCoreToUser(user.id)
+    }
+  })).sort(compareCategories);
+  
+  const beforeIndex = siblings.findIndex(c => c.id === beforeId);
+  siblings.splice(beforeIndex === -1 ? siblings.length : beforeIndex, 0, { ...existingCategory, parentId });
+  
+  // Send back every category that moved or was renumbered
+  const changed = await prisma.$transaction(
+    siblings
+      .map((sibling, index) => ({ sibling, sortOrder: index + 1 }))
+      .filter(({ sibling, sortOrder }) =>
+        sibling.id === categoryId || (sibling.sortOrder !== sortOrder && canModifyOwnedItem(sibling, user))
+      )
+      .map(({ sibling, sortOrder }) => prisma.category.update({
+        where: { id: sibling.id },
+        data: sibling.id === categoryId ? { parentId, sortOrder } : { sortOrder }
+      }))
+  );
+  
+  return NextResponse.json({ categories: changed.map(formatCategoryFromDb) });
+}
+
+// A category the user can see (core, their own or shared), or null
+async function findVisibleCategory(categoryId, user) {
+  return prisma.category.findFirst({
+    where: {
+      id: categoryId,
+      ...visibleWithCoreToUser(user.id)
+    }
+  });
+}
+
+// Find a prompt the user can see (their own, shared or core)
+async function findVisiblePrompt(promptId, user) {
+  return prisma.prompt.findFirst({
+    where: {
+      id: promptId,
+      ...visibleWithCoreToUser(user.id)
+    }
+  });
+}
+
+// Delete a single category, uncategorizing its prompts and moving its subcategories up a level
+async function handleDeleteCategory({ categoryId }, user) {
+  const existingCategory = await prisma.category.findUnique({
+    where: { id: categoryId }
+  });
+  
+  if (!existingCategory) {
+    return NextResponse.json({ error: 'Category not found' }, { status: 404 });
+  }
+  
+  if (!canModifyOwnedItem(existingCategory, user)) {
+    return NextResponse.json({ error: 'You can only delete your own categories' }, { status: 403 });
+  }
+  
+  await prisma.$transaction([
+    prisma.prompt.updateMany({
+      where: { categoryId },
+      data: { categoryId: null }
+    }),
+    prisma.category.updateMany({
+      where: { parentId: categoryId },
+      data: { parentId: existingCategory.parentId }
+    }),
+    prisma.category.delete({
+      where: { id: categoryId }
+    })
+  ]);
+  
+  return NextResponse.json({ success: true });
+}
+
 // Store responses (replacing all)
 async function handleStoreResponses({ responses }) {
   try {
@@ -837,10 +1596,18 @@ async function handleStoreResponses({ responses }) {
             totalTokens: response.totalTokens,
             createdAt: new Date(response.createdAt || Date.now()),
             lastEdited: response.lastEdited ? new Date(response.lastEdited) : null,
-            variablesUsed: response.variablesUsed ? JSON.stringify(response.variablesUsed) : null
+            variablesUsed: response.variablesUsed ? JSON.stringify(response.variablesUsed) : null,
+            provider: response.provider || null,
+            temperature: response.temperature ?? null,
+            maxTokens: response.maxTokens || null,
+            systemPrompt: response.systemPrompt || null,
+            instruction: response.instruction || null,
+            ...parseResponseFeedback(response).data
           }
         });
       }
+      
+      await linkResponseParents(tx, responses);
     });
     
     // Verify operation
@@ -856,15 +1623,48 @@ async function handleStoreResponses({ responses }) {
   }
 }
 
-// Add responses (appending to existing)
-async function handleAddResponses({ responses }) {
+// Restore refinement links after writing a set of responses
+// Responses are created in any order, so parents are linked afterwards and only when they exist
+async function linkResponseParents(client, responses) {
+  for (const response of responses) {
+    if (!response.id || !response.parentId) {
+      continue;
+    }
+    
+    const parent = await client.response.findUnique({
+      where: { id: response.parentId },
+      select: { id: true }
+    });
+    
+    if (parent) {
+      await client.response.updateMany({
+        where: { id: response.id, parentId: null },
+        data: { parentId: parent.id }
+      });
+    }
+  }
+}
+
+// Add responses (appending to existing), owned by the importing user
+async function handleAddResponses({ responses }, user) {
   try {
-    let added = 0;
     let skipped = 0;
+    const addedResponses = [];
+    
+    // Responses can only be attached to prompts the user can see
+    const promptIds = [...new Set(responses.map(response => response.promptId).filter(Boolean))];
+    const visiblePrompts = await prisma.prompt.findMany({
+      where: {
+        id: { in: promptIds },
+        ...visibleWithCoreToUser(user.id)
+      },
+      select: { id: true }
+    });
+    const visiblePromptIds = new Set(visiblePrompts.map(prompt => prompt.id));
     
     // Create new responses one by one
     for (const response of responses) {
-      if (!response.id || !response.promptId) {
+      if (!response.id || !visiblePromptIds.has(response.promptId)) {
         skipped++;
         continue;
       }
@@ -884,6 +1684,7 @@ async function handleAddResponses({ responses }) {
         data: {
           id: response.id,
           promptId: response.promptId,
+          userId: user.id,
           responseText: response.responseText || '',
           modelUsed: response.modelUsed,
           promptTokens: response.promptTokens,
@@ -891,13 +1692,22 @@ async function handleAddResponses({ responses }) {
           totalTokens: response.totalTokens,
           createdAt: new Date(response.createdAt || Date.now()),
           lastEdited: response.lastEdited ? new Date(response.lastEdited) : null,
-          variablesUsed: response.variablesUsed ? JSON.stringify(response.variablesUsed) : null
+          variablesUsed: response.variablesUsed ? JSON.stringify(response.variablesUsed) : null,
+          provider: response.provider || null,
+          temperature: response.temperature ?? null,
+          maxTokens: response.maxTokens || null,
+          systemPrompt: response.systemPrompt || null,
+          instruction: response.instruction || null,
+          ...parseResponseFeedback(response).data
         }
       });
-      added++;
+      addedResponses.push(response);
     }
     
-    return NextResponse.json({ success: true, added, skipped });
+    // Only the responses added here are linked, so an import can't re-parent existing ones
+    await linkResponseParents(prisma, addedResponses);
+    
+    return NextResponse.json({ success: true, added: addedResponses.length, skipped });
   } catch (error) {
     console.error('Failed to add responses:', error);
     return NextResponse.json({ 
@@ -909,21 +1719,14 @@ async function handleAddResponses({ responses }) {
 
 // Clear all data
 async function handleClearData() {
-  // Get authenticated user
-  const authCheck = await checkUserAuth();
-  if (!authCheck.isAuthenticated || !authCheck.user.isAdmin) {
-    console.log('User not authenticated or not admin, cannot clear data');
-    return NextResponse.json({
-      success: false,
-      error: 'Admin privileges required'
-    }, { status: 401 });
-  }
-
   try {
     
     // Delete all data in all tables, maintaining referential integrity order
     await prisma.$transaction([
+      prisma.rundownSlot.deleteMany(),
+      prisma.rundown.deleteMany(),
       prisma.response.deleteMany(),
+      prisma.promptRevision.deleteMany(),
       prisma.userRecentlyUsed.deleteMany(),
       prisma.userFavorite.deleteMany(),
       prisma.promptTag.deleteMany(),
@@ -958,10 +1761,118 @@ function formatPromptFromDb(dbPrompt) {
     promptText: dbPrompt.promptText,
     tags: tags,
     isUserCreated: dbPrompt.isUserCreated,
+    userId: dbPrompt.userId,
+    visibility: dbPrompt.visibility,
     usageCount: dbPrompt.usageCount,
     createdAt: dbPrompt.createdAt.toISOString(),
     lastUsed: dbPrompt.lastUsed ? dbPrompt.lastUsed.toISOString() : null,
-    lastEdited: dbPrompt.lastEdited ? dbPrompt.lastEdited.toISOString() : null
+    lastEdited: dbPrompt.lastEdited ? dbPrompt.lastEdited.toISOString() : null,
+    provider: dbPrompt.provider,
+    model: dbPrompt.model,
+    temperature: dbPrompt.temperature,
+    maxTokens: dbPrompt.maxTokens,
+    systemPrompt: dbPrompt.systemPrompt,
+    revisionId: dbPrompt.revisions?.[0]?.id || null,
+    ...(dbPrompt.user && {
+      owner: {
+        firstName: dbPrompt.user.firstName,
+        lastName: dbPrompt.user.lastName
+      }
+    })
+  };
+}
+
+// Helper function to extract optional generation settings from a prompt
+function promptGenerationSettings(prompt) {
+  const temperature = parseFloat(prompt.temperature);
+  const maxTokens = parseInt(prompt.maxTokens);
+  
+  return {
+    provider: prompt.provider || null,
+    model: prompt.model || null,
+    temperature: Number.isFinite(temperature) ? temperature : null,
+    maxTokens: Number.isFinite(maxTokens) ? maxTokens : null,
+    systemPrompt: prompt.systemPrompt || null,
+  };
+}
+
+// Helper function to format category from database
+function formatCategoryFromDb(dbCategory) {
+  return {
+    id: dbCategory.id,
+    name: dbCategory.name,
+    isUserCreated: dbCategory.isUserCreated,
+    userId: dbCategory.userId,
+    visibility: dbCategory.visibility,
+    parentId: dbCategory.parentId,
+    sortOrder: dbCategory.sortOrder
+  };
+}
+
+// Helper function to build the stored fields of a prompt sent by the client
+function promptDataFromClient(prompt, isUserCreated, user) {
+  return {
+    title: prompt.title,
+    description: prompt.description || '',
+    categoryId: prompt.category || null,
+    promptText: prompt.promptText,
+    isUserCreated,
+    ...promptOwnership(prompt, isUserCreated, user),
+    lastEdited: prompt.lastEdited ? new Date(prompt.lastEdited) : null,
+    ...promptGenerationSettings(prompt),
+  };
+}
+
+// Helper function to get the creation and usage history of a prompt sent by the client
+function promptHistoryFromClient(prompt) {
+  return {
+    usageCount: prompt.usageCount || 0,
+    createdAt: new Date(prompt.createdAt || new Date()),
+    lastUsed: prompt.lastUsed ? new Date(prompt.lastUsed) : null,
+  };
+}
+
+// Helper function to get the owner and visibility a stored prompt should have
+function promptOwnership(prompt, isUserCreated, user) {
+  if (!isUserCreated) {
+    return { userId: null, visibility: VISIBILITY_CORE };
+  }
+  
+  return {
+    userId: user.id,
+    visibility: normalizeUserVisibility(prompt.visibility)
+  };
+}
+
+// Helper function to format rundown from database
+function formatRundownFromDb(dbRundown) {
+  return {
+    id: dbRundown.id,
+    title: dbRundown.title,
+    showDate: dbRundown.showDate,
+    createdAt: dbRundown.createdAt.toISOString(),
+    updatedAt: dbRundown.updatedAt.toISOString(),
+    slots: dbRundown.slots.map(slot => {
+      let variables = {};
+      if (slot.variables) {
+        try {
+          variables = JSON.parse(slot.variables);
+        } catch (error) {
+          console.error('Error parsing rundown slot variables JSON:', error);
+        }
+      }
+      
+      return {
+        id: slot.id,
+        promptId: slot.promptId,
+        position: slot.position,
+        label: slot.label || '',
+        variables,
+        targetSeconds: slot.targetSeconds,
+        responseId: slot.responseId,
+        responseText: slot.response?.responseText || null
+      };
+    })
   };
 }
 
@@ -987,9 +1898,20 @@ function formatResponseFromDb(dbResponse) {
     totalTokens: dbResponse.totalTokens,
     createdAt: dbResponse.createdAt.toISOString(),
     lastEdited: dbResponse.lastEdited ? dbResponse.lastEdited.toISOString() : null,
-    variablesUsed
+    variablesUsed,
+    parentId: dbResponse.parentId,
+    instruction: dbResponse.instruction,
+    provider: dbResponse.provider,
+    temperature: dbResponse.temperature,
+    maxTokens: dbResponse.maxTokens,
+    systemPrompt: dbResponse.systemPrompt,
+    revisionId: dbResponse.revisionId,
+    thumbs: dbResponse.thumbs,
+    rating: dbResponse.rating,
+    airedAt: dbResponse.airedAt ? dbResponse.airedAt.toISOString() : null,
+    notes: dbResponse.notes
   };
-
+  
   // Include user information if available
   if (dbResponse.user) {
     formattedResponse.user = {
@@ -0,0 +1,263 @@
+import { NextResponse } from 'next/server';
+import { submitWithRetry, validateGenerationOptions } from '../../../../lib/openaiService';
+import { hasProvider } from '../../../../lib/providers';
+import { formatServerSentEvent } from '../../../../lib/serverSentEvents';
+import { checkUserAuth } from '../client-auth';
+import { prisma, getUserShowProfile } from '../../../../lib/db';
+import { recordUsage, checkUsageBudget } from '../../../../lib/usageLedger';
+import { checkRateLimit, getRateLimitKey, createRateLimitResponse } from '../../../../lib/rateLimiter';
+import { visibleWithCoreToUser } from '../../../../lib/visibility';
+
+// Upper bound on rows per batch, so one request can't queue an entire shift's worth of spend
+const MAX_BATCH_ROWS = parseInt(process.env.BATCH_MAX_ROWS) || 100;
+
+// How often a batch waiting on the per-minute limit checks for room
+const RATE_LIMIT_POLL_MS = 1000;
+
+/**
+ * Formats a saved response for the client
+ * @param {Object} dbResponse - Response record with its user
+ * @returns {Object} Response in the same shape the db API returns
+ */
+function formatSavedResponse(dbResponse) {
+  return {
+    id: dbResponse.id,
+    promptId: dbResponse.promptId,
+    responseText: dbResponse.responseText,
+    modelUsed: dbResponse.modelUsed,
+    promptTokens: dbResponse.promptTokens,
+    completionTokens: dbResponse.completionTokens,
+    totalTokens: dbResponse.totalTokens,
+    createdAt: dbResponse.createdAt.toISOString(),
+    lastEdited: null,
+    variablesUsed: dbResponse.variablesUsed ? JSON.parse(dbResponse.variablesUsed) : null,
+    parentId: dbResponse.parentId,
+    instruction: dbResponse.instruction,
+    provider: dbResponse.provider,
+    temperature: dbResponse.temperature,
+    maxTokens: dbResponse.maxTokens,
+    systemPrompt: dbResponse.systemPrompt,
+    revisionId: dbResponse.revisionId,
+    thumbs: null,
+    rating: null,
+    airedAt: null,
+    notes: null,
+    ...(dbResponse.user && {
+      user: {
+        firstName: dbResponse.user.firstName,
+        lastName: dbResponse.user.lastName
+      }
+    })
+  };
+}
+
+/**
+ * Generates and saves a response for one row of variables
+ * @param {Object} prompt - The prompt record with its newest revision
+ * @param {Object} variables - The row's variable values
+ * @param {Object} options - Generation options
+ * @param {string} userId - The user the response belongs to
+ * @returns {Promise<Object>} The saved response, formatted for the client
+ */
+async function generateRow(prompt, variables, options, userId) {
+  const result = await submitWithRetry(prompt.promptText, variables, options);
+  await recordUsage(userId, result, 'batch');
+  
+  const saved = await prisma.response.create({
+    data: {
+      id: `response_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+      promptId: prompt.id,
+      userId,
+      responseText: result.responseText,
+      modelUsed: result.modelUsed,
+      promptTokens: result.promptTokens,
+      completionTokens: result.completionTokens,
+      totalTokens: result.totalTokens,
+      createdAt: new Date(),
+      variablesUsed: JSON.stringify(variables),
+      provider: result.provider || null,
+      temperature: result.temperature ?? null,
+      maxTokens: result.maxTokens || null,
+      systemPrompt: result.systemPrompt || null,
+      cacheKey: result.cacheKey || null,
+      revisionId: prompt.revisions[0]?.id || null
+    },
+    include: {
+      user: {
+        select: {
+          firstName: true,
+          lastName: true
+        }
+      }
+    }
+  });
+  
+  return formatSavedResponse(saved);
+}
+
+/**
+ * Waits until the user's per-minute limit has room for another row, then counts it
+ * Checks again every second, so a batch the client has cancelled stops waiting.
+ * @param {string} key - Key from getRateLimitKey
+ * @param {function} isCancelled - Returns true once the client has gone away
+ * @returns {Promise<void>}
+ */
+async function waitForRateLimit(key, isCancelled) {
+  while (!isCancelled() && checkRateLimit(key)) {
+    await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_POLL_MS));
+  }
+}
+
+/**
+ * POST handler running one prompt across a list of variable rows
+ * Rows are generated one at a time (with retry backoff) and each result is saved as a Response.
+ * Progress is reported as server-sent events: "row" with { index, status, response | error }
+ * as each row starts and finishes, then "done" with { completed, failed }
+ * @param {Request} request - The incoming request object
+ * @returns {Response} The streaming progress response
+ */
+export async function POST(request) {
+  try {
+    // Check authentication without using middleware
+    const authCheck = await checkUserAuth();
+    if (!authCheck.isAuthenticated) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+    
+    const { promptId, rows, provider, model, temperature, maxTokens, systemPrompt } = await request.json();
+    
+    if (!promptId) {
+      return NextResponse.json({ error: 'Prompt ID is required' }, { status: 400 });
+    }
+    
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return NextResponse.json({ error: 'At least one row of variables is required' }, { status: 400 });
+    }
+    
+    if (rows.length > MAX_BATCH_ROWS) {
+      return NextResponse.json(
+        { error: `A batch can have at most ${MAX_BATCH_ROWS} rows` },
+        { status: 400 }
+      );
+    }
+    
+    if (rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      return NextResponse.json({ error: 'Each row must be an object of variable values' }, { status: 400 });
+    }
+    
+    if (provider && !hasProvider(provider)) {
+      return NextResponse.json({ error: `Unknown AI provider: ${provider}` }, { status: 400 });
+    }
+    
+    const options = { provider, model, temperature, maxTokens, systemPrompt };
+    
+    const optionsError = validateGenerationOptions(options);
+    if (optionsError) {
+      return NextResponse.json({ error: optionsError }, { status: 400 });
+    }
+    
+    const userId = authCheck.user.id;
+    
+    // Responses must link to a saved prompt the user can see, and the stored text is what gets generated
+    const prompt = await prisma.prompt.findFirst({
+      where: { AND: [{ id: promptId }, visibleWithCoreToUser(userId)] },
+      include: {
+        revisions: {
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          take: 1,
+          select: { id: true }
+        }
+      }
+    });
+    if (!prompt) {
+      return NextResponse.json({ error: 'Prompt not found' }, { status: 404 });
+    }
+    
+    // Counts the first row; the rest are counted as they run
+    const rateLimitKey = getRateLimitKey(request, userId);
+    const rateLimitError = checkRateLimit(rateLimitKey);
+    if (rateLimitError) {
+      return createRateLimitResponse(rateLimitError);
+    }
+    
+    const budgetError = await checkUsageBudget(userId);
+    if (budgetError) {
+      return NextResponse.json({ error: budgetError }, { status: 403 });
+    }
+    
+    options.showProfile = await getUserShowProfile(userId);
+    
+    const encoder = new TextEncoder();
+    let cancelled = false;
+    
+    // Stop queuing rows if the client goes away; the row in progress still finishes
+    request.signal?.addEventListener('abort', () => { cancelled = true; });
+    
+    const stream = new ReadableStream({
+      async start(controller) {
+        const send = (event, data) => {
+          if (!cancelled) {
+            controller.enqueue(encoder.encode(formatServerSentEvent(event, data)));
+          }
+        };
+        
+        let completed = 0;
+        let failed = 0;
+        
+        for (let index = 0; index < rows.length && !cancelled; index++) {
+          // Each row is a generation, so a batch bigger than the per-minute limit runs at the limit
+          if (index > 0) {
+            await waitForRateLimit(rateLimitKey, () => cancelled);
+            if (cancelled) break;
+          }
+          
+          // A long batch can cross the budget part way through
+          const budgetError = await checkUsageBudget(userId);
+          if (budgetError) {
+            for (let remaining = index; remaining < rows.length; remaining++) {
+              send('row', { index: remaining, status: 'error', error: budgetError });
+            }
+            failed += rows.length - index;
+            break;
+          }
+          
+          send('row', { index, status: 'running' });
+          
+          try {
+            const response = await generateRow(prompt, rows[index], options, userId);
+            completed++;
+            send('row', { index, status: 'done', response });
+          } catch (error) {
+            failed++;
+            console.error(`Batch row ${index} failed:`, error);
+            send('row', { index, status: 'error', error: error.message || 'Generation failed' });
+          }
+        }
+        
+        send('done', { completed, failed });
+        
+        if (!cancelled) {
+          controller.close();
+        }
+      },
+      cancel() {
+        cancelled = true;
+      }
+    });
+    
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive'
+      }
+    });
+  } catch (error) {
+    console.error('Batch API route error:', error);
+    
+    return NextResponse.json(
+      { error: error.message || 'An error occurred processing your request' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server';
+import { getResponseCacheKey, validateGenerationOptions } from '../../../../lib/openaiService';
+import { hasProvider } from '../../../../lib/providers';
+import { findCachedResponse } from '../../../../lib/responseCache';
+import { checkUserAuth } from '../client-auth';
+import { getUserShowProfile } from '../../../../lib/db';
+import { checkRateLimit, getRateLimitKey, createRateLimitResponse } from '../../../../lib/rateLimiter';
+
+/**
+ * Formats a cached response for the client
+ * @param {Object} dbResponse - Response record with its user
+ * @returns {Object} Response in the same shape the db API returns
+ */
+function formatCachedResponse(dbResponse) {
+  return {
+    id: dbResponse.id,
+    promptId: dbResponse.promptId,
+    responseText: dbResponse.responseText,
+    modelUsed: dbResponse.modelUsed,
+    promptTokens: dbResponse.promptTokens,
+    completionTokens: dbResponse.completionTokens,
+    totalTokens: dbResponse.totalTokens,
+    createdAt: dbResponse.createdAt.toISOString(),
+    lastEdited: dbResponse.lastEdited ? dbResponse.lastEdited.toISOString() : null,
+    variablesUsed: dbResponse.variablesUsed ? JSON.parse(dbResponse.variablesUsed) : null,
+    parentId: dbResponse.parentId,
+    instruction: dbResponse.instruction,
+    provider: dbResponse.provider,
+    temperature: dbResponse.temperature,
+    maxTokens: dbResponse.maxTokens,
+    systemPrompt: dbResponse.systemPrompt,
+    ...(dbResponse.user && {
+      user: {
+        firstName: dbResponse.user.firstName,
+        lastName: dbResponse.user.lastName
+      }
+    })
+  };
+}
+
+/**
+ * POST handler looking up a recent saved response to an identical request
+ * Takes the same body as /api/openai and builds the request the same way (variables, feeds,
+ * show profile and model settings), but never calls the provider.
+ * @param {Request} request - The incoming request object
+ * @returns {NextResponse} { cacheKey, response } where response is null on a miss
+ */
+export async function POST(request) {
+  try {
+    // Check authentication without using middleware
+    const authCheck = await checkUserAuth();
+    if (!authCheck.isAuthenticated) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+    
+    const { promptText, variables, provider, model, temperature, maxTokens, systemPrompt, targetSeconds } = await request.json();
+    
+    if (!promptText) {
+      return NextResponse.json({ error: 'Prompt text is required' }, { status: 400 });
+    }
+    
+    if (provider && !hasProvider(provider)) {
+      return NextResponse.json({ error: `Unknown AI provider: ${provider}` }, { status: 400 });
+    }
+    
+    const options = { provider, model, temperature, maxTokens, systemPrompt, targetSeconds };
+    
+    const optionsError = validateGenerationOptions(options);
+    if (optionsError) {
+      return NextResponse.json({ error: optionsError }, { status: 400 });
+    }
+    
+    const userId = authCheck.user.id;
+    
+    // Building the key fetches any {{rss=...}} feeds, so lookups are limited like generations;
+    // they're counted in their own window so checking the cache doesn't use up a generation
+    const rateLimitError = checkRateLimit(`cache:${getRateLimitKey(request, userId)}`);
+    if (rateLimitError) {
+      return createRateLimitResponse(rateLimitError);
+    }
+    
+    // The show profile is part of the system prompt, so it's part of the key
+    options.showProfile = await getUserShowProfile(userId);
+    
+    const cacheKey = await getResponseCacheKey(promptText, variables || {}, options);
+    const cached = await findCachedResponse(cacheKey, authCheck.user);
+    
+    return NextResponse.json({
+      cacheKey,
+      response: cached ? formatCachedResponse(cached) : null
+    });
+  } catch (error) {
+    console.error('Cache API route error:', error);
+    
+    return NextResponse.json(
+      { error: error.message || 'An error occurred processing your request' },
+      { status: 500 }
+    );
+  }
+}
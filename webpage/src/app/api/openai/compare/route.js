@@ -0,0 +1,136 @@
+import { NextResponse } from 'next/server';
+import { submitToAi, validateGenerationOptions } from '../../../../lib/openaiService';
+import { hasProvider } from '../../../../lib/providers';
+import { formatServerSentEvent } from '../../../../lib/serverSentEvents';
+import { MIN_COMPARE_VARIANTS, MAX_COMPARE_VARIANTS } from '../../../../lib/modelCompare';
+import { checkUserAuth } from '../client-auth';
+import { getUserShowProfile } from '../../../../lib/db';
+import { recordUsage, checkUsageBudget } from '../../../../lib/usageLedger';
+import { checkRateLimit, getRateLimitKey, createRateLimitResponse } from '../../../../lib/rateLimiter';
+
+/**
+ * POST handler sending one prompt to several models or settings at once
+ * Variants are generated in parallel (within the station's concurrency limit) and nothing is saved;
+ * the client saves the ones it keeps.
+ * Results are reported as server-sent events: "result" with { index, latencyMs, response | error }
+ * as each variant finishes, then "done" with { completed, failed }
+ * @param {Request} request - The incoming request object
+ * @returns {Response} The streaming results response
+ */
+export async function POST(request) {
+  try {
+    // Check authentication without using middleware
+    const authCheck = await checkUserAuth();
+    if (!authCheck.isAuthenticated) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+    
+    const { promptText, variables, variants, systemPrompt, targetSeconds } = await request.json();
+    
+    if (!promptText) {
+      return NextResponse.json({ error: 'Prompt text is required' }, { status: 400 });
+    }
+    
+    if (!Array.isArray(variants) || variants.length < MIN_COMPARE_VARIANTS || variants.length > MAX_COMPARE_VARIANTS) {
+      return NextResponse.json(
+        { error: `A comparison needs between ${MIN_COMPARE_VARIANTS} and ${MAX_COMPARE_VARIANTS} models` },
+        { status: 400 }
+      );
+    }
+    
+    const userId = authCheck.user.id;
+    
+    const showProfile = await getUserShowProfile(userId);
+    const variantOptions = [];
+    
+    for (const [index, variant] of variants.entries()) {
+      if (!variant || typeof variant !== 'object') {
+        return NextResponse.json({ error: `Model ${index + 1} has no settings` }, { status: 400 });
+      }
+      
+      const { provider, model, temperature, maxTokens } = variant;
+      
+      if (provider && !hasProvider(provider)) {
+        return NextResponse.json({ error: `Unknown AI provider: ${provider}` }, { status: 400 });
+      }
+      
+      const options = { provider, model, temperature, maxTokens, systemPrompt, targetSeconds };
+      
+      const optionsError = validateGenerationOptions(options);
+      if (optionsError) {
+        return NextResponse.json({ error: `Model ${index + 1}: ${optionsError}` }, { status: 400 });
+      }
+      
+      variantOptions.push({ ...options, showProfile });
+    }
+    
+    // Only a valid comparison is counted; each model is a generation of its own
+    const rateLimitError = checkRateLimit(getRateLimitKey(request, userId), variants.length);
+    if (rateLimitError) {
+      return createRateLimitResponse(rateLimitError);
+    }
+    
+    const budgetError = await checkUsageBudget(userId);
+    if (budgetError) {
+      return NextResponse.json({ error: budgetError }, { status: 403 });
+    }
+    
+    const encoder = new TextEncoder();
+    let cancelled = false;
+    
+    // Stop reporting if the client goes away; requests already sent still finish
+    request.signal?.addEventListener('abort', () => { cancelled = true; });
+    
+    const stream = new ReadableStream({
+      async start(controller) {
+        const send = (event, data) => {
+          if (!cancelled) {
+            controller.enqueue(encoder.encode(formatServerSentEvent(event, data)));
+          }
+        };
+        
+        let completed = 0;
+        let failed = 0;
+        
+        await Promise.all(variantOptions.map(async (options, index) => {
+          const startedAt = Date.now();
+          
+          try {
+            const response = await submitToAi(promptText, variables || {}, options);
+            await recordUsage(userId, response, 'compare');
+            completed++;
+            send('result', { index, latencyMs: Date.now() - startedAt, response });
+          } catch (error) {
+            failed++;
+            console.error(`Compare model ${index + 1} failed:`, error);
+            send('result', { index, latencyMs: Date.now() - startedAt, error: error.message || 'Generation failed' });
+          }
+        }));
+        
+        send('done', { completed, failed });
+        
+        if (!cancelled) {
+          controller.close();
+        }
+      },
+      cancel() {
+        cancelled = true;
+      }
+    });
+    
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive'
+      }
+    });
+  } catch (error) {
+    console.error('Compare API route error:', error);
+    
+    return NextResponse.json(
+      { error: error.message || 'An error occurred processing your request' },
+      { status: 500 }
+    );
+  }
+}
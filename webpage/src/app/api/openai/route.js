@@ -1,9 +1,91 @@
 import { NextResponse } from 'next/server';
-import { submitToOpenAI } from '../../../lib/openaiService';
+import { submitToAi, streamToAi, validateGenerationOptions } from '../../../lib/openaiService';
+import { hasProvider, listProviders, getDefaultProviderId } from '../../../lib/providers';
+import { formatServerSentEvent } from '../../../lib/serverSentEvents';
 import { checkUserAuth } from './client-auth';
+import { getUserShowProfile } from '../../../lib/db';
+import { recordUsage, checkUsageBudget } from '../../../lib/usageLedger';
+import { checkRateLimit, getRateLimitKey, createRateLimitResponse } from '../../../lib/rateLimiter';
 
 /**
- * POST handler for OpenAI API requests
+ * GET handler listing the available AI providers
+ * @returns {NextResponse} The providers and the station default
+ */
+export async function GET() {
+  return NextResponse.json({
+    providers: listProviders(),
+    defaultProvider: getDefaultProviderId()
+  });
+}
+
+/**
+ * Builds a server-sent event response that relays generated text as it arrives
+ * Emits "delta" events with { text }, then "done" with the full response,
+ * or "error" with { error } if generation fails (plus status, scope and retryAfter when rate limited)
+ * @param {Request} request - The incoming request (used to detect disconnects)
+ * @param {string} promptText - The prompt text
+ * @param {Object} variables - Variables to replace in the prompt
+ * @param {Object} options - Generation options
+ * @param {string} userId - The user the usage is recorded against
+ * @returns {Response} The streaming response
+ */
+function createStreamResponse(request, promptText, variables, options, userId) {
+  const encoder = new TextEncoder();
+  const abortController = new AbortController();
+  
+  // Stop generating (and paying for tokens) if the client goes away
+  request.signal?.addEventListener('abort', () => abortController.abort());
+  
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        if (!abortController.signal.aborted) {
+          controller.enqueue(encoder.encode(formatServerSentEvent(event, data)));
+        }
+      };
+      
+      try {
+        const response = await streamToAi(
+          promptText,
+          variables,
+          options,
+          (text) => send('delta', { text }),
+          abortController.signal
+        );
+        await recordUsage(userId, response, 'generate');
+        send('done', response);
+      } catch (error) {
+        // A cancelled stream still used the prompt and whatever was generated before it stopped
+        if (error.partialUsage) {
+          await recordUsage(userId, error.partialUsage, 'generate');
+        }
+        
+        send('error', {
+          error: error.message || 'An error occurred processing your request',
+          ...(error.status === 429 && { status: 429, scope: error.scope, retryAfter: error.retryAfter })
+        });
+      } finally {
+        if (!abortController.signal.aborted) {
+          controller.close();
+        }
+      }
+    },
+    cancel() {
+      abortController.abort();
+    }
+  });
+  
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive'
+    }
+  });
+}
+
+/**
+ * POST handler for AI generation requests
  * @param {Request} request - The incoming request object
  * @returns {NextResponse} The API response
  */
@@ -12,13 +94,10 @@ export async function POST(request) {
     // Check authentication without using middleware
     const authCheck = await checkUserAuth();
     if (!authCheck.isAuthenticated) {
-      // For debugging, still allow the request but include auth info in response
-      console.log('OpenAI API: User not authenticated:', authCheck.message);
-      // Uncomment to enforce authentication:
-      // return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
     }
     
-    const { promptText, variables } = await request.json();
+    const { promptText, variables, provider, model, temperature, maxTokens, systemPrompt, targetSeconds, followUps, stream } = await request.json();
     
     if (!promptText) {
       return NextResponse.json(
@@ -27,12 +106,52 @@ export async function POST(request) {
       );
     }
     
-    const response = await submitToOpenAI(promptText, variables || {});
+    if (provider && !hasProvider(provider)) {
+      return NextResponse.json(
+        { error: `Unknown AI provider: ${provider}` },
+        { status: 400 }
+      );
+    }
+    
+    const options = { provider, model, temperature, maxTokens, systemPrompt, targetSeconds, followUps };
+    
+    const optionsError = validateGenerationOptions(options);
+    if (optionsError) {
+      return NextResponse.json(
+        { error: optionsError },
+        { status: 400 }
+      );
+    }
+    
+    const userId = authCheck.user.id;
+    
+    const rateLimitError = checkRateLimit(getRateLimitKey(request, userId));
+    if (rateLimitError) {
+      return createRateLimitResponse(rateLimitError);
+    }
+    
+    const budgetError = await checkUsageBudget(userId);
+    if (budgetError) {
+      return NextResponse.json({ error: budgetError }, { status: 403 });
+    }
+    
+    options.showProfile = await getUserShowProfile(userId);
+    
+    if (stream) {
+      return createStreamResponse(request, promptText, variables || {}, options, userId);
+    }
+    
+    const response = await submitToAi(promptText, variables || {}, options);
+    await recordUsage(userId, response, 'generate');
     
     return NextResponse.json(response);
   } catch (error) {
     console.error('API route error:', error);
     
+    if (error.status === 429) {
+      return createRateLimitResponse(error);
+    }
+    
     return NextResponse.json(
       { error: error.message || 'An error occurred processing your request' },
       { status: 500 }
@@ -0,0 +1,40 @@
+'use client';
+
+import React from 'react';
+import { PromptProvider } from '../../context/PromptContext';
+import { SettingsProvider } from '../../context/SettingsContext';
+import { RundownBuilder } from '../../components/RundownBuilder';
+import { useAuth } from '../../context/AuthContext';
+
+// Rundown builder: sequences prompts into a show
+export default function RundownPage() {
+  const { user, isAuthenticated, loading } = useAuth();
+  
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+        <div className="text-2xl font-semibold text-gray-800 dark:text-gray-200">Loading...</div>
+      </div>
+    );
+  }
+  
+  if (!isAuthenticated) {
+    // Redirect to login if not authenticated
+    window.location.href = '/login?redirect=/rundown';
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+        <div className="text-2xl font-semibold text-gray-800 dark:text-gray-200">Redirecting to login...</div>
+      </div>
+    );
+  }
+  
+  return (
+    <SettingsProvider>
+      <PromptProvider>
+        <div className="relative min-h-screen bg-gray-50 dark:bg-gray-900">
+          <RundownBuilder />
+        </div>
+      </PromptProvider>
+    </SettingsProvider>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,303 @@
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { Modal } from './ui/Modal';
+import { Button } from './ui/Button';
+import { TextArea, Label, FormGroup } from './ui/Input';
+import { detectVariableSpecs, validateVariableValue } from '../lib/formatPromptDisplay';
+import { csvToVariableRows, buildCsvHeader, buildCsvLine } from '../lib/csv';
+import { usePrompts } from '../context/PromptContext';
+import { useSettings } from '../context/SettingsContext';
+import { fillAutomaticVariables } from '../lib/dynamicVariables';
+import { getTrackVariableNames, getTrackVariables } from '../lib/playlistImport';
+import { showToast } from '../lib/toastUtil';
+
+const STATUS_STYLES = {
+  queued: 'text-gray-500 dark:text-gray-400',
+  running: 'text-blue-600 dark:text-blue-400',
+  done: 'text-green-600 dark:text-green-400',
+  error: 'text-red-600 dark:text-red-400',
+  cancelled: 'text-gray-400 dark:text-gray-500',
+};
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Generating...',
+  done: 'Saved',
+  error: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+export function BatchModal({ isOpen, onClose, prompt, onViewResponses }) {
+  const [csvText, setCsvText] = useState('');
+  // Per-row progress once a batch has started: { status, error }
+  const [progress, setProgress] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const { runBatchForPrompt } = usePrompts();
+  const { showProfile, playlist } = useSettings();
+  const abortControllerRef = useRef(null);
+  const fileInputRef = useRef(null);
+  
+  // Reset when a different prompt is opened
+  useEffect(() => {
+    if (isOpen) {
+      setCsvText('');
+      setProgress([]);
+      setSummary(null);
+    }
+  }, [isOpen, prompt]);
+  
+  const specs = useMemo(() => detectVariableSpecs(prompt?.promptText), [prompt]);
+  const variables = useMemo(() => specs.map(spec => spec.name), [specs]);
+  const trackVariables = useMemo(() => getTrackVariableNames(variables), [variables]);
+  
+  // Parse the pasted CSV, filling columns it doesn't have the same way VariableModal pre-fills fields
+  const parsed = useMemo(() => {
+    if (!csvText.trim()) {
+      return { rows: [], unknownColumns: [], rowErrors: [] };
+    }
+    
+    const { rows, unknownColumns } = csvToVariableRows(csvText, variables);
+    
+    const now = new Date();
+    const filledRows = rows.map(row => fillAutomaticVariables(specs, row, showProfile, now));
+    
+    const rowErrors = filledRows.map(values => {
+      const problems = specs
+        .map(spec => {
+          const error = validateVariableValue(spec, values[spec.name]);
+          return error ? `${spec.name}: ${error}` : null;
+        })
+        .filter(Boolean);
+      return problems.length > 0 ? problems.join('; ') : null;
+    });
+    
+    return { rows: filledRows, unknownColumns, rowErrors };
+  }, [csvText, specs, variables, showProfile]);
+  
+  if (!prompt) return null;
+  
+  const invalidRowCount = parsed.rowErrors.filter(Boolean).length;
+  const canStart = !isRunning && parsed.rows.length > 0 && invalidRowCount === 0;
+  const hasStarted = progress.length > 0;
+  
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+      setCsvText(String(reader.result || ''));
+      setProgress([]);
+      setSummary(null);
+    };
+    reader.onerror = () => showToast('Could not read the selected file', 'error');
+    reader.readAsText(file);
+    
+    // Allow choosing the same file again
+    e.target.value = '';
+  };
+  
+  // Writes one row per playlist track, so the rows can still be edited before generating
+  const handleUsePlaylist = () => {
+    const lines = playlist.map(track => {
+      const values = getTrackVariables(track, trackVariables);
+      return buildCsvLine(trackVariables.map(variable => values[variable]));
+    });
+    
+    setCsvText([buildCsvHeader(trackVariables), ...lines].join('\n'));
+    setProgress([]);
+    setSummary(null);
+  };
+  
+  const updateRow = (index, changes) => {
+    setProgress(prev => prev.map((row, i) => i === index ? { ...row, ...changes } : row));
+  };
+  
+  const handleStart = async () => {
+    if (!canStart) return;
+    
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    
+    setProgress(parsed.rows.map(() => ({ status: 'queued', error: null })));
+    setSummary(null);
+    setIsRunning(true);
+    
+    try {
+      const result = await runBatchForPrompt(prompt, parsed.rows, {
+        signal: abortController.signal,
+        onRow: ({ index, status, error }) => updateRow(index, { status, error: error || null })
+      });
+      
+      setSummary(result);
+      showToast(
+        `Batch finished: ${result.completed} saved${result.failed > 0 ? `, ${result.failed} failed` : ''}`,
+        result.failed > 0 ? 'warning' : 'success'
+      );
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setProgress(prev => prev.map(row =>
+          row.status === 'queued' || row.status === 'running' ? { ...row, status: 'cancelled' } : row
+        ));
+      } else {
+        showToast(error.message || 'Batch generation failed', 'error');
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setIsRunning(false);
+    }
+  };
+  
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+  
+  const handleClose = () => {
+    handleCancel();
+    onClose();
+  };
+  
+  const savedCount = progress.filter(row => row.status === 'done').length;
+  
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title="Batch Generate"
+      maxWidth="lg"
+      footer={
+        <div className="flex justify-between w-full">
+          <Button variant="secondary" onClick={handleClose}>
+            Close
+          </Button>
+          <div className="flex gap-2">
+            {savedCount > 0 && !isRunning && onViewResponses && (
+              <Button variant="secondary" onClick={() => { onClose(); onViewResponses(prompt); }}>
+                View Responses
+              </Button>
+            )}
+            {isRunning ? (
+              <Button
+                className="bg-red-600 hover:bg-red-700 dark:bg-red-700 dark:hover:bg-red-800 text-white"
+                onClick={handleCancel}
+              >
+                Stop
+              </Button>
+            ) : (
+              <Button
+                className="bg-green-600 hover:bg-green-700 dark:bg-green-700 dark:hover:bg-green-800 text-white"
+                onClick={handleStart}
+                disabled={!canStart}
+              >
+                {parsed.rows.length > 0 ? `Generate ${parsed.rows.length} Response${parsed.rows.length !== 1 ? 's' : ''}` : 'Generate'}
+              </Button>
+            )}
+          </div>
+        </div>
+      }
+    >
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+        Run "<span className="font-semibold">{prompt.title}</span>" once per row. Each result is saved to the prompt's responses.
+      </p>
+      
+      <FormGroup>
+        <div className="flex items-center justify-between">
+          <Label htmlFor="batch-csv">Variable rows (CSV with a header line)</Label>
+          <div className="flex gap-3">
+            {trackVariables.length > 0 && playlist.length > 0 && (
+              <button
+                type="button"
+                className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                onClick={handleUsePlaylist}
+                disabled={isRunning}
+              >
+                Use playlist ({playlist.length})
+              </button>
+            )}
+            <button
+              type="button"
+              className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isRunning}
+            >
+              Upload CSV...
+            </button>
+          </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv"
+            className="hidden"
+            onChange={handleFileChange}
+          />
+        </div>
+        <TextArea
+          id="batch-csv"
+          value={csvText}
+          onChange={(e) => {
+            setCsvText(e.target.value);
+            setProgress([]);
+            setSummary(null);
+          }}
+          placeholder={`${buildCsvHeader(variables)}\n...`}
+          className="resize-y h-32 font-mono text-xs"
+          disabled={isRunning}
+        />
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+          Header columns: <span className="font-mono">{buildCsvHeader(variables) || '(this prompt has no variables)'}</span>.
+          Missing columns use defaults, the show profile and built-in values.
+        </p>
+      </FormGroup>
+      
+      {parsed.unknownColumns.length > 0 && (
+        <p className="text-xs text-yellow-600 dark:text-yellow-400 mt-2">
+          Ignoring columns that aren't variables in this prompt: {parsed.unknownColumns.join(', ')}
+        </p>
+      )}
+      
+      {parsed.rows.length > 0 && (
+        <div className="mt-4 max-h-64 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md">
+          <table className="w-full text-xs">
+            <thead className="bg-gray-50 dark:bg-gray-800 sticky top-0">
+              <tr className="text-left text-gray-600 dark:text-gray-300">
+                <th className="px-2 py-1 w-8">#</th>
+                <th className="px-2 py-1">Values</th>
+                <th className="px-2 py-1 w-32">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {parsed.rows.map((row, index) => {
+                const rowProgress = progress[index];
+                const rowError = rowProgress?.error || parsed.rowErrors[index];
+                const status = rowProgress?.status || (parsed.rowErrors[index] ? 'error' : null);
+                
+                return (
+                  <tr key={index} className="border-t border-gray-100 dark:border-gray-700 align-top">
+                    <td className="px-2 py-1 text-gray-500 dark:text-gray-400">{index + 1}</td>
+                    <td className="px-2 py-1 text-gray-800 dark:text-gray-200">
+                      <div className="truncate max-w-md">
+                        {variables.map(variable => row[variable]).filter(Boolean).join(' · ')}
+                      </div>
+                      {rowError && <div className="text-red-600 dark:text-red-400">{rowError}</div>}
+                    </td>
+                    <td className={`px-2 py-1 ${status ? STATUS_STYLES[status] : 'text-gray-400'}`}>
+                      {status ? (rowProgress ? STATUS_LABELS[status] : 'Invalid') : 'Ready'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      
+      {hasStarted && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          {savedCount} of {progress.length} saved
+          {summary && summary.failed > 0 && ` · ${summary.failed} failed`}
+          {!isRunning && progress.some(row => row.status === 'cancelled') && ' · stopped (a row that was generating may still be saved)'}
+        </p>
+      )}
+    </Modal>
+  );
+}
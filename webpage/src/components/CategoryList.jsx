@@ -1,125 +1,285 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import Link from 'next/link';
 import { usePrompts } from '../context/PromptContext';
 import { useAuth } from '../context/AuthContext';
+import { buildCategoryTree, isDescendantOf } from '../lib/categoryTree';
+import { showToast } from '../lib/toastUtil';
+
+const SPECIAL_CATEGORY_IDS = ['all', 'recent', 'favorites'];
+
+/**
+ * Works out where a dragged category would land, from the pointer's height over a row
+ * @param {DragEvent} event - The drag event over the row
+ * @returns {string} 'before', 'inside' or 'after'
+ */
+function getDropPosition(event) {
+  const rect = event.currentTarget.getBoundingClientRect();
+  const offset = (event.clientY - rect.top) / rect.height;
+  
+  if (offset < 0.25) return 'before';
+  if (offset > 0.75) return 'after';
+  return 'inside';
+}
 
 export function CategoryList() {
-  const { categories, activeCategory, setActiveCategory } = usePrompts();
+  const { categories, activeCategory, setActiveCategory, moveCategory } = usePrompts();
   const { user, logout } = useAuth();
+  // Categories whose subcategories are hidden
+  const [collapsedIds, setCollapsedIds] = useState(new Set());
+  const [draggedId, setDraggedId] = useState(null);
+  // Where the dragged category would be dropped: { id, position }
+  const [dropTarget, setDropTarget] = useState(null);
   
   // Sort and organize categories
-  const organizedCategories = useMemo(() => {
-    if (!categories || !categories.length) return [];
+  const { specialCategories, definedCategories, categoryTree } = useMemo(() => {
+    if (!categories || !categories.length) {
+      return { specialCategories: [], definedCategories: [], categoryTree: [] };
+    }
     
     // Extract special categories (first 3)
     const allPrompts = categories.find(c => c.id === 'all');
     const recentlyUsed = categories.find(c => c.id === 'recent');
     const favorites = categories.find(c => c.id === 'favorites');
     
-    // Get remaining categories
-    const remainingCategories = categories.filter(c => 
-      !['all', 'recent', 'favorites'].includes(c.id)
-    );
+    // Get remaining categories, nested and ordered
+    const remainingCategories = categories.filter(c => !SPECIAL_CATEGORY_IDS.includes(c.id));
     
-    // Sort remaining categories: numeric first (in order), then alphabetically
-    const sortedCategories = [...remainingCategories].sort((a, b) => {
-      // Check if name starts with number
-      const aStartsWithNum = /^\d/.test(a.name);
-      const bStartsWithNum = /^\d/.test(b.name);
-      
-      // If both start with number, sort numerically
-      if (aStartsWithNum && bStartsWithNum) {
-        const aNum = parseInt(a.name.match(/^\d+/)[0]);
-        const bNum = parseInt(b.name.match(/^\d+/)[0]);
-        return aNum - bNum;
+    return {
+      // Special categories first (if they exist) - reordered: Favorites, Recently Used, All Prompts
+      specialCategories: [favorites, recentlyUsed, allPrompts].filter(Boolean),
+      definedCategories: remainingCategories,
+      categoryTree: buildCategoryTree(remainingCategories)
+    };
+  }, [categories]);
+  
+  // Users can rearrange their own categories; admins can also rearrange the core ones
+  const canMove = (category) => category.isUserCreated
+    ? category.userId === user?.id
+    : Boolean(user?.isAdmin);
+  
+  const toggleCollapsed = (categoryId) => {
+    setCollapsedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(categoryId)) {
+        next.delete(categoryId);
+      } else {
+        next.add(categoryId);
       }
-      
-      // If only a starts with number, a comes first
-      if (aStartsWithNum) return -1;
-      
-      // If only b starts with number, b comes first
-      if (bStartsWithNum) return 1;
-      
-      // Otherwise, sort alphabetically
-      return a.name.localeCompare(b.name);
+      return next;
     });
+  };
+  
+  const clearDrag = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+  
+  const handleMove = async (parentId, beforeId) => {
+    const categoryId = draggedId;
+    clearDrag();
     
-    // Return organized array
-    return [
-      // Special categories first (if they exist) - reordered: Favorites, Recently Used, All Prompts
-      ...(favorites ? [favorites] : []),
-      ...(recentlyUsed ? [recentlyUsed] : []),
-      ...(allPrompts ? [allPrompts] : []),
-      // Then the sorted remaining categories
-      ...(sortedCategories.length > 0 ? ['separator'] : []), // Add separator if we have categories
-      ...sortedCategories
-    ];
-  }, [categories]);
+    try {
+      await moveCategory(categoryId, parentId, beforeId);
+    } catch (error) {
+      showToast(error.message || 'Failed to move category.', 'error');
+    }
+  };
   
-  // Render category item
-  const renderCategory = (category) => {
-    // If this is the separator
-    if (category === 'separator') {
-      return <hr key="separator" className="my-2 border-gray-200 dark:border-gray-700" />;
+  const handleDragOver = (event, node) => {
+    // A category can't be dropped on itself or into one of its own subcategories
+    if (!draggedId || isDescendantOf(definedCategories, node.id, draggedId)) {
+      return;
     }
     
-    // Otherwise render the category
-    return (
-      <div
-        key={category.id}
-        className={`
-          px-2 py-1.5 rounded-md cursor-pointer flex items-center justify-between transition-colors
-          ${activeCategory === category.id 
-            ? 'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300 font-semibold' 
-            : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}
-        `}
-        onClick={() => setActiveCategory(category.id)}
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const position = getDropPosition(event);
+    if (dropTarget?.id !== node.id || dropTarget?.position !== position) {
+      setDropTarget({ id: node.id, position });
+    }
+  };
+  
+  const handleDrop = (event, node, siblings) => {
+    if (!draggedId || isDescendantOf(definedCategories, node.id, draggedId)) {
+      return;
+    }
+    
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const position = getDropPosition(event);
+    
+    if (position === 'inside') {
+      // Show the category in its new home
+      setCollapsedIds(prev => {
+        const next = new Set(prev);
+        next.delete(node.id);
+        return next;
+      });
+      handleMove(node.id, null);
+    } else if (position === 'before') {
+      handleMove(node.treeParentId, node.id);
+    } else {
+      const nextSibling = siblings
+        .slice(siblings.indexOf(node) + 1)
+        .find(sibling => sibling.id !== draggedId);
+      handleMove(node.treeParentId, nextSibling?.id || null);
+    }
+  };
+  
+  // Render the icon shown before a special category's name
+  const renderIcon = (category) => (
+    <>
+      {category.id === 'favorites' && (
+        <svg 
+          className="w-4 h-4 mr-1.5 text-yellow-500 dark:text-yellow-400" 
+          fill="currentColor" 
+          viewBox="0 0 24 24" 
+          xmlns="http://www.w3.org/2000/svg"
+        >
+          <path d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+        </svg>
+      )}
+      {category.id === 'recent' && (
+        <svg 
+          className="w-4 h-4 mr-1.5 text-green-500 dark:text-green-400" 
+          fill="none" 
+          stroke="currentColor" 
+          viewBox="0 0 24 24" 
+          xmlns="http://www.w3.org/2000/svg"
+        >
+          <path 
+            strokeLinecap="round" 
+            strokeLinejoin="round" 
+            strokeWidth="2" 
+            d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" 
+          />
+        </svg>
+      )}
+    </>
+  );
+  
+  // Render category item
+  const renderCategory = (category, { dragProps = {}, indent = 0, toggle = null, dropClass = '' } = {}) => (
+    <div
+      key={category.id}
+      className={`
+        px-2 py-1.5 rounded-md cursor-pointer flex items-center justify-between transition-colors
+        ${activeCategory === category.id 
+          ? 'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300 font-semibold' 
+          : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}
+        ${draggedId === category.id ? 'opacity-50' : ''}
+        ${dropClass}
+      `}
+      style={indent > 0 ? { paddingLeft: `${0.5 + indent * 0.75}rem` } : undefined}
+      onClick={() => setActiveCategory(category.id)}
+      {...dragProps}
+    >
+      <span className="truncate mr-2 flex-grow text-sm leading-tight tracking-tight flex items-center max-w-[calc(100%-1.75rem)]">
+        {toggle}
+        {renderIcon(category)}
+        {category.name}
+      </span>
+      <span className="min-w-6 h-5 text-center text-xs leading-none py-0.5 px-1.5 rounded-full inline-flex items-center justify-center font-medium transition-colors bg-gray-200 text-gray-600 dark:bg-gray-600 dark:text-gray-200 dark:border dark:border-gray-500">
+        {category.count}
+      </span>
+    </div>
+  );
+  
+  // Render a category from the tree, followed by its subcategories unless it is collapsed
+  const renderTreeNode = (node, siblings) => {
+    const hasChildren = node.children.length > 0;
+    const isCollapsed = collapsedIds.has(node.id);
+    const dropPosition = dropTarget?.id === node.id ? dropTarget.position : null;
+    
+    const toggle = hasChildren ? (
+      <button
+        type="button"
+        className="w-4 h-4 mr-1 flex-shrink-0 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+        aria-label={isCollapsed ? `Expand ${node.name}` : `Collapse ${node.name}`}
+        onClick={(e) => {
+          e.stopPropagation();
+          toggleCollapsed(node.id);
+        }}
       >
-        <span className="truncate mr-2 flex-grow text-sm leading-tight tracking-tight flex items-center max-w-[calc(100%-1.75rem)]">
-          {category.id === 'favorites' && (
-            <svg 
-              className="w-4 h-4 mr-1.5 text-yellow-500 dark:text-yellow-400" 
-              fill="currentColor" 
-              viewBox="0 0 24 24" 
-              xmlns="http://www.w3.org/2000/svg"
-            >
-              <path d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
-            </svg>
-          )}
-          {category.id === 'recent' && (
-            <svg 
-              className="w-4 h-4 mr-1.5 text-green-500 dark:text-green-400" 
-              fill="none" 
-              stroke="currentColor" 
-              viewBox="0 0 24 24" 
-              xmlns="http://www.w3.org/2000/svg"
-            >
-              <path 
-                strokeLinecap="round" 
-                strokeLinejoin="round" 
-                strokeWidth="2" 
-                d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" 
-              />
-            </svg>
-          )}
-          {category.name}
-        </span>
-        <span className="min-w-6 h-5 text-center text-xs leading-none py-0.5 px-1.5 rounded-full inline-flex items-center justify-center font-medium transition-colors bg-gray-200 text-gray-600 dark:bg-gray-600 dark:text-gray-200 dark:border dark:border-gray-500">
-          {category.count}
-        </span>
-      </div>
+        <svg
+          className={`w-4 h-4 transition-transform ${isCollapsed ? '' : 'rotate-90'}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+          xmlns="http://www.w3.org/2000/svg"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+        </svg>
+      </button>
+    ) : (
+      <span className="w-4 h-4 mr-1 flex-shrink-0" />
+    );
+    
+    const dragProps = {
+      draggable: canMove(node),
+      onDragStart: (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', node.id);
+        setDraggedId(node.id);
+      },
+      onDragEnd: clearDrag,
+      onDragOver: (e) => handleDragOver(e, node),
+      onDrop: (e) => handleDrop(e, node, siblings)
+    };
+    
+    const dropClass = {
+      before: 'border-t-2 border-blue-500',
+      after: 'border-b-2 border-blue-500',
+      inside: 'ring-2 ring-blue-500'
+    }[dropPosition] || '';
+    
+    return (
+      <React.Fragment key={node.id}>
+        {renderCategory(node, { dragProps, indent: node.depth, toggle, dropClass })}
+        {hasChildren && !isCollapsed && node.children.map(child => renderTreeNode(child, node.children))}
+      </React.Fragment>
     );
   };
   
   const handleLogout = async () => {
     await logout();
   };
-
+  
   return (
     <div className="py-3 px-1 categories-panel">
       <h2 className="text-base font-medium text-gray-700 dark:text-gray-300 mb-3 px-1 category-heading">CATEGORIES</h2>
       <div className="category-list">
-        {organizedCategories.map(category => renderCategory(category))}
+        {specialCategories.map(category => renderCategory(category))}
+        {categoryTree.length > 0 && (
+          <hr className="my-2 border-gray-200 dark:border-gray-700" />
+        )}
+        {categoryTree.map(node => renderTreeNode(node, categoryTree))}
+        
+        {/* Drop here to move the dragged category to the top level, at the end */}
+        {draggedId && (
+          <div
+            className={`mt-1 px-2 py-1.5 rounded-md border border-dashed text-xs text-center transition-colors ${
+              dropTarget?.id === null
+                ? 'border-blue-500 text-blue-600 dark:text-blue-400'
+                : 'border-gray-300 dark:border-gray-600 text-gray-500 dark:text-gray-400'
+            }`}
+            onDragOver={(e) => {
+              e.preventDefault();
+              if (dropTarget?.id !== null) {
+                setDropTarget({ id: null, position: 'after' });
+              }
+            }}
+            onDragLeave={() => setDropTarget(null)}
+            onDrop={(e) => {
+              e.preventDefault();
+              handleMove(null, null);
+            }}
+          >
+            Move to top level
+          </div>
+        )}
       </div>
       
       {/* User info and logout section */}
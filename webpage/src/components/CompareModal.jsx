@@ -0,0 +1,357 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Modal } from './ui/Modal';
+import { Button } from './ui/Button';
+import { Input, Label, Select } from './ui/Input';
+import { ReadTimeInfo } from './ReadTimeInfo';
+import { usePrompts } from '../context/PromptContext';
+import { getAiProviders } from '../lib/apiClient';
+import { getTargetSeconds } from '../lib/readTime';
+import { MIN_COMPARE_VARIANTS, MAX_COMPARE_VARIANTS, getVariantOptions, describeVariant, formatLatency } from '../lib/modelCompare';
+import { showToast } from '../lib/toastUtil';
+
+// Tailwind needs whole class names, so map column counts to them
+const GRID_COLUMNS = {
+  2: 'md:grid-cols-2',
+  3: 'md:grid-cols-3',
+  4: 'md:grid-cols-4',
+};
+
+const EMPTY_VARIANT = { provider: '', model: '', temperature: '', maxTokens: '' };
+
+// Starts from the prompt's own settings, then a second column to change
+function getInitialVariants(prompt) {
+  return [
+    {
+      provider: prompt?.provider || '',
+      model: prompt?.model || '',
+      temperature: prompt?.temperature != null ? String(prompt.temperature) : '',
+      maxTokens: prompt?.maxTokens != null ? String(prompt.maxTokens) : ''
+    },
+    { ...EMPTY_VARIANT }
+  ];
+}
+
+export function CompareModal({ isOpen, onClose, prompt, variables, onViewResponses }) {
+  const [variants, setVariants] = useState(() => getInitialVariants(prompt));
+  // Per-column results once a comparison has started: { status, response, error, latencyMs, savedId }
+  const [results, setResults] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [aiProviders, setAiProviders] = useState([]);
+  const { comparePrompt, saveResponse } = usePrompts();
+  const abortControllerRef = useRef(null);
+  
+  // Reset when a different prompt is opened
+  useEffect(() => {
+    if (isOpen) {
+      setVariants(getInitialVariants(prompt));
+      setResults([]);
+    }
+  }, [isOpen, prompt]);
+  
+  // Load the provider list for the model pickers
+  useEffect(() => {
+    if (isOpen) {
+      getAiProviders()
+        .then(data => setAiProviders(data.providers || []))
+        .catch(() => setAiProviders([]));
+    }
+  }, [isOpen]);
+  
+  if (!prompt) return null;
+  
+  const updateVariant = (index, changes) => {
+    // Settings can't change under a running comparison
+    if (isRunning) return;
+    setVariants(prev => prev.map((variant, i) => i === index ? { ...variant, ...changes } : variant));
+    setResults([]);
+  };
+  
+  const addVariant = () => {
+    setVariants(prev => [...prev, { ...EMPTY_VARIANT }]);
+    setResults([]);
+  };
+  
+  const removeVariant = (index) => {
+    setVariants(prev => prev.filter((_, i) => i !== index));
+    setResults([]);
+  };
+  
+  const updateResult = (index, changes) => {
+    setResults(prev => prev.map((result, i) => i === index ? { ...result, ...changes } : result));
+  };
+  
+  const handleRun = async () => {
+    const variantOptions = variants.map(getVariantOptions);
+    
+    const invalidIndex = variantOptions.findIndex(options =>
+      (options.temperature !== undefined && (isNaN(options.temperature) || options.temperature < 0 || options.temperature > 2)) ||
+      (options.maxTokens !== undefined && (!Number.isInteger(options.maxTokens) || options.maxTokens < 1))
+    );
+    if (invalidIndex >= 0) {
+      showToast(`Model ${invalidIndex + 1}: temperature must be between 0 and 2 and max tokens a positive whole number.`, 'error');
+      return;
+    }
+    
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    
+    setResults(variants.map(() => ({ status: 'running', response: null, error: null, latencyMs: null, savedId: null })));
+    setIsRunning(true);
+    
+    try {
+      const summary = await comparePrompt(prompt, variables || {}, variantOptions, {
+        signal: abortController.signal,
+        onResult: ({ index, latencyMs, response, error }) => updateResult(index, {
+          status: response ? 'done' : 'error',
+          response: response || null,
+          error: error || null,
+          latencyMs
+        })
+      }, {
+        targetSeconds: getTargetSeconds(variables) || undefined
+      });
+      
+      if (summary.failed > 0) {
+        showToast(`${summary.failed} of ${variants.length} models failed`, 'warning');
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setResults(prev => prev.map(result =>
+          result.status === 'running' ? { ...result, status: 'error', error: 'Cancelled' } : result
+        ));
+      } else {
+        setResults([]);
+        showToast(error.message || 'Comparison failed', 'error');
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setIsRunning(false);
+    }
+  };
+  
+  // Saves the given columns as responses, skipping any already saved
+  const handleSave = async (indexes) => {
+    const toSave = indexes.filter(index => results[index]?.status === 'done' && !results[index].savedId);
+    if (toSave.length === 0) return;
+    
+    setIsSaving(true);
+    let savedCount = 0;
+    
+    try {
+      for (const index of toSave) {
+        const saved = await saveResponse({
+          ...results[index].response,
+          promptId: prompt.id,
+          variablesUsed: variables || {}
+        });
+        updateResult(index, { savedId: saved.id });
+        savedCount++;
+      }
+      
+      showToast(`Saved ${savedCount} response${savedCount !== 1 ? 's' : ''}`, 'success');
+    } catch (error) {
+      showToast(error.message || 'Failed to save response', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+  
+  const handleClose = () => {
+    handleCancel();
+    onClose();
+  };
+  
+  const unsavedIndexes = results
+    .map((result, index) => result.status === 'done' && !result.savedId ? index : -1)
+    .filter(index => index >= 0);
+  const hasSaved = results.some(result => result.savedId);
+  const variableEntries = Object.entries(variables || {}).filter(([, value]) => value !== '' && value != null);
+  
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title="Compare Models"
+      maxWidth="5xl"
+      footer={
+        <div className="flex justify-between w-full">
+          <Button variant="secondary" onClick={handleClose}>
+            Close
+          </Button>
+          <div className="flex gap-2">
+            {hasSaved && !isRunning && onViewResponses && (
+              <Button variant="secondary" onClick={() => { onClose(); onViewResponses(prompt); }}>
+                View Responses
+              </Button>
+            )}
+            {unsavedIndexes.length > 1 && !isRunning && (
+              <Button variant="secondary" onClick={() => handleSave(unsavedIndexes)} disabled={isSaving}>
+                Save All ({unsavedIndexes.length})
+              </Button>
+            )}
+            {isRunning ? (
+              <Button
+                className="bg-red-600 hover:bg-red-700 dark:bg-red-700 dark:hover:bg-red-800 text-white"
+                onClick={handleCancel}
+              >
+                Stop
+              </Button>
+            ) : (
+              <Button
+                className="bg-green-600 hover:bg-green-700 dark:bg-green-700 dark:hover:bg-green-800 text-white"
+                onClick={handleRun}
+                disabled={isSaving}
+              >
+                {results.length > 0 ? 'Run Again' : `Compare ${variants.length} Models`}
+              </Button>
+            )}
+          </div>
+        </div>
+      }
+    >
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-2">
+        Send "<span className="font-semibold">{prompt.title}</span>" to {MIN_COMPARE_VARIANTS}-{MAX_COMPARE_VARIANTS} models or settings at once. Nothing is saved until you pick a result to keep.
+      </p>
+      
+      {variableEntries.length > 0 && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+          {variableEntries.map(([name, value]) => `${name}: ${value}`).join(' · ')}
+        </p>
+      )}
+      
+      <div className={`grid grid-cols-1 ${GRID_COLUMNS[variants.length] || ''} gap-3`}>
+        {variants.map((variant, index) => {
+          const result = results[index];
+          const response = result?.response;
+          
+          return (
+            <div key={index} className="flex flex-col border border-gray-200 dark:border-gray-700 rounded-md p-3 min-w-0">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm font-medium text-gray-800 dark:text-gray-200">Model {index + 1}</span>
+                {variants.length > MIN_COMPARE_VARIANTS && !isRunning && (
+                  <button
+                    type="button"
+                    className="text-xs text-red-600 dark:text-red-400 hover:underline"
+                    onClick={() => removeVariant(index)}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+              
+              <div className="space-y-2 mb-3">
+                <div>
+                  <Label htmlFor={`compare-provider-${index}`} className="text-xs">Provider</Label>
+                  <Select
+                    id={`compare-provider-${index}`}
+                    value={variant.provider}
+                    onChange={(e) => updateVariant(index, { provider: e.target.value })}
+                  >
+                    <option value="">-- Your Default --</option>
+                    {aiProviders.filter(p => p.configured || p.id === variant.provider).map(p => (
+                      <option key={p.id} value={p.id}>
+                        {p.name}
+                      </option>
+                    ))}
+                  </Select>
+                </div>
+                <div>
+                  <Label htmlFor={`compare-model-${index}`} className="text-xs">Model</Label>
+                  <Input
+                    id={`compare-model-${index}`}
+                    value={variant.model}
+                    onChange={(e) => updateVariant(index, { model: e.target.value })}
+                    placeholder={aiProviders.find(p => p.id === variant.provider)?.defaultModel || 'Provider default'}
+                    disabled={isRunning}
+                  />
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <Label htmlFor={`compare-temperature-${index}`} className="text-xs">Temperature</Label>
+                    <Input
+                      id={`compare-temperature-${index}`}
+                      type="number"
+                      min="0"
+                      max="2"
+                      step="0.1"
+                      value={variant.temperature}
+                      onChange={(e) => updateVariant(index, { temperature: e.target.value })}
+                      placeholder="Default"
+                      disabled={isRunning}
+                    />
+                  </div>
+                  <div>
+                    <Label htmlFor={`compare-max-tokens-${index}`} className="text-xs">Max Tokens</Label>
+                    <Input
+                      id={`compare-max-tokens-${index}`}
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={variant.maxTokens}
+                      onChange={(e) => updateVariant(index, { maxTokens: e.target.value })}
+                      placeholder="Default"
+                      disabled={isRunning}
+                    />
+                  </div>
+                </div>
+              </div>
+              
+              {result && (
+                <div className="flex flex-col flex-1 border-t border-gray-200 dark:border-gray-700 pt-2">
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 truncate" title={describeVariant(variant, aiProviders)}>
+                    {response?.modelUsed || describeVariant(variant, aiProviders)}
+                  </p>
+                  
+                  {result.status === 'running' && (
+                    <p className="text-sm text-blue-600 dark:text-blue-400">Generating...</p>
+                  )}
+                  
+                  {result.status === 'error' && (
+                    <p className="text-sm text-red-600 dark:text-red-400">{result.error}</p>
+                  )}
+                  
+                  {response && (
+                    <>
+                      <div className="flex-1 max-h-80 overflow-y-auto text-sm whitespace-pre-wrap text-gray-800 dark:text-gray-200 mb-2">
+                        {response.responseText}
+                      </div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400 space-y-0.5 mb-2">
+                        <p>Latency: {formatLatency(result.latencyMs)}</p>
+                        {response.totalTokens != null && (
+                          <p>Tokens: {response.promptTokens ?? '?'} in / {response.completionTokens ?? '?'} out ({response.totalTokens} total)</p>
+                        )}
+                      </div>
+                      <ReadTimeInfo text={response.responseText} variables={variables} className="mb-2" />
+                      <Button
+                        variant={result.savedId ? 'ghost' : 'success'}
+                        onClick={() => handleSave([index])}
+                        disabled={isSaving || !!result.savedId}
+                      >
+                        {result.savedId ? 'Saved' : 'Save This One'}
+                      </Button>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      
+      {variants.length < MAX_COMPARE_VARIANTS && !isRunning && (
+        <button
+          type="button"
+          className="mt-3 text-sm text-blue-600 dark:text-blue-400 hover:underline"
+          onClick={addVariant}
+        >
+          + Add another model
+        </button>
+      )}
+    </Modal>
+  );
+}
@@ -183,6 +183,7 @@ export default function DbStatsPanel({ refreshTrigger = 0 }) {
               {statItem('Users', stats.userCount)}
               {statItem('Global Settings', stats.settingCount)}
               {statItem('User Settings', stats.userSettingCount)}
+              {statItem('AI Usage Records', stats.usageRecordCount)}
             </>
           ) : (
             <>
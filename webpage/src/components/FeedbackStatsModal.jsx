@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { Modal } from './ui/Modal';
+import { Select } from './ui/Input';
+import { MAX_RATING } from '../lib/responseFeedback';
+import storage from '../lib/storage';
+
+// Orders for the per-prompt table; unrated prompts sort after rated ones
+const PROMPT_SORTS = {
+  responses: { label: 'Most responses', compare: (a, b) => b.responses - a.responses },
+  lowestRated: {
+    label: 'Lowest rated',
+    compare: (a, b) => (a.averageRating ?? Infinity) - (b.averageRating ?? Infinity)
+  },
+  thumbsDown: { label: 'Most thumbs down', compare: (a, b) => b.thumbsDown - a.thumbsDown },
+  leastAired: { label: 'Least aired', compare: (a, b) => airedShare(a) - airedShare(b) },
+  oldest: {
+    label: 'Longest since last response',
+    compare: (a, b) => new Date(a.lastResponseAt) - new Date(b.lastResponseAt)
+  }
+};
+
+/**
+ * Gets the share of a group's responses that aired
+ * @param {Object} totals - Feedback totals
+ * @returns {number} Share from 0 to 1
+ */
+function airedShare(totals) {
+  return totals.responses > 0 ? totals.aired / totals.responses : 0;
+}
+
+const headerClass = 'px-3 py-2 text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider';
+
+/**
+ * Table of feedback totals, one row per prompt or model
+ * @param {Object} props - Component props
+ * @param {Object[]} props.rows - Feedback totals
+ * @param {string} props.label - Heading of the first column
+ * @param {Function} props.renderName - Renders the first column of a row
+ * @param {Function} props.rowKey - Gets a row's key
+ * @returns {JSX.Element} The table
+ */
+function StatsTable({ rows, label, renderName, rowKey }) {
+  return (
+    <div className="overflow-x-auto max-h-[60vh] overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md">
+      <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+        <thead className="bg-gray-50 dark:bg-gray-700 sticky top-0">
+          <tr>
+            <th className={`${headerClass} text-left`}>{label}</th>
+            <th className={`${headerClass} text-right`}>Responses</th>
+            <th className={`${headerClass} text-right`}>Up / Down</th>
+            <th className={`${headerClass} text-right`}>Rating</th>
+            <th className={`${headerClass} text-right`}>Aired</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+          {rows.map(row => (
+            <tr key={rowKey(row)}>
+              <td className="px-3 py-2 text-gray-900 dark:text-white">{renderName(row)}</td>
+              <td className="px-3 py-2 text-right text-gray-900 dark:text-white">{row.responses}</td>
+              <td className="px-3 py-2 text-right whitespace-nowrap">
+                <span className="text-green-600 dark:text-green-400">{row.thumbsUp}</span>
+                <span className="text-gray-400"> / </span>
+                <span className="text-red-600 dark:text-red-400">{row.thumbsDown}</span>
+              </td>
+              <td className="px-3 py-2 text-right whitespace-nowrap text-gray-900 dark:text-white">
+                {row.averageRating != null ? (
+                  <>
+                    {row.averageRating.toFixed(1)} / {MAX_RATING}
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{row.rated} rated</div>
+                  </>
+                ) : (
+                  <span className="text-gray-400">—</span>
+                )}
+              </td>
+              <td className="px-3 py-2 text-right whitespace-nowrap text-gray-900 dark:text-white">
+                {row.aired}
+                <div className="text-xs text-gray-500 dark:text-gray-400">{Math.round(airedShare(row) * 100)}%</div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Modal showing response feedback rolled up per prompt and per model, to spot prompts worth
+ * retiring and the models whose copy gets used on air
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Function to close the modal
+ * @returns {JSX.Element} The FeedbackStatsModal component
+ */
+export function FeedbackStatsModal({ isOpen, onClose }) {
+  const [stats, setStats] = useState(null);
+  const [view, setView] = useState('prompts');
+  const [promptSort, setPromptSort] = useState('responses');
+  
+  useEffect(() => {
+    if (isOpen) {
+      setStats(null);
+      storage.getFeedbackStats().then(setStats);
+    }
+  }, [isOpen]);
+  
+  const tabClass = (tab) => `px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${
+    view === tab
+      ? 'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300'
+      : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+  }`;
+  
+  const sortedPrompts = stats ? [...stats.prompts].sort(PROMPT_SORTS[promptSort].compare) : [];
+  
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Response Feedback" maxWidth="4xl">
+      <div className="p-2 space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div className="flex gap-1">
+            <button type="button" className={tabClass('prompts')} onClick={() => setView('prompts')}>
+              By prompt
+            </button>
+            <button type="button" className={tabClass('models')} onClick={() => setView('models')}>
+              By model
+            </button>
+          </div>
+          
+          {view === 'prompts' && (
+            <div className="w-60">
+              <Select
+                value={promptSort}
+                onChange={(e) => setPromptSort(e.target.value)}
+                aria-label="Sort prompts"
+              >
+                {Object.entries(PROMPT_SORTS).map(([key, sort]) => (
+                  <option key={key} value={key}>{sort.label}</option>
+                ))}
+              </Select>
+            </div>
+          )}
+        </div>
+        
+        {!stats ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Loading feedback...</p>
+        ) : stats.prompts.length === 0 ? (
+          <p className="text-sm text-gray-400 italic">No saved responses yet. Rate responses from their Saved Responses view.</p>
+        ) : view === 'prompts' ? (
+          <StatsTable
+            rows={sortedPrompts}
+            label="Prompt"
+            rowKey={row => row.promptId}
+            renderName={row => (
+              <>
+                {row.title}
+                <div className="text-xs text-gray-500 dark:text-gray-400">
+                  {row.isUserCreated ? 'User prompt' : 'Core prompt'} · last response {new Date(row.lastResponseAt).toLocaleDateString()}
+                </div>
+              </>
+            )}
+          />
+        ) : (
+          <StatsTable
+            rows={stats.models}
+            label="Model"
+            rowKey={row => `${row.provider || ''}:${row.model || ''}`}
+            renderName={row => (
+              <>
+                {row.model || 'Unknown model'}
+                {row.provider && <div className="text-xs text-gray-500 dark:text-gray-400">{row.provider}</div>}
+              </>
+            )}
+          />
+        )}
+      </div>
+    </Modal>
+  );
+}
@@ -1,14 +1,23 @@
 import React, { useState } from 'react';
+import Link from 'next/link';
+import { usePathname } from 'next/navigation';
 import { IconButton } from './ui/Button';
 import { SettingsModal } from './SettingsModal';
 import { NewPromptModal } from './NewPromptModal';
 import { HelpModal } from './HelpModal';
+import { PlaylistImportModal } from './PlaylistImportModal';
+import { FeedbackStatsModal } from './FeedbackStatsModal';
 import { ThemeToggle } from './ThemeToggle';
+import { SearchBar } from './SearchBar';
 
-export function Header({ onOpenNewPrompt }) {
+export function Header({ onOpenNewPrompt, onOpenSearchPrompt, onOpenSearchResponse }) {
   const [isSettingsModalOpen, setIsSettingsModalOpen] = useState(false);
   const [isNewPromptModalOpen, setIsNewPromptModalOpen] = useState(false);
   const [isHelpModalOpen, setIsHelpModalOpen] = useState(false);
+  const [isPlaylistModalOpen, setIsPlaylistModalOpen] = useState(false);
+  const [isFeedbackModalOpen, setIsFeedbackModalOpen] = useState(false);
+  const pathname = usePathname();
+  const isRundownPage = pathname?.startsWith('/rundown');
   
   return (
     <header className="bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 sticky top-0 z-[10]">
@@ -41,9 +50,68 @@ export function Header({ onOpenNewPrompt }) {
           </div>
         </div>
         
+        {/* Search is only offered where its results can be opened */}
+        {onOpenSearchPrompt && (
+          <div className="flex-1 flex justify-center px-4">
+            <SearchBar
+              onOpenPrompt={onOpenSearchPrompt}
+              onOpenResponse={onOpenSearchResponse}
+            />
+          </div>
+        )}
+        
         <div className="flex items-center gap-2">
+          <Link
+            href={isRundownPage ? '/main' : '/rundown'}
+            className="text-sm font-medium px-2 py-1 rounded-md text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700 transition-colors"
+          >
+            {isRundownPage ? 'Prompts' : 'Rundowns'}
+          </Link>
+          
           <ThemeToggle />
           
+          <IconButton
+            title="Import Playlist"
+            onClick={() => setIsPlaylistModalOpen(true)}
+            icon={
+              <svg
+                className="w-5 h-5"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+                xmlns="http://www.w3.org/2000/svg"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth="2"
+                  d="M9 19V6l12-3v13M9 19c0 1.105-1.343 2-3 2s-3-.895-3-2 1.343-2 3-2 3 .895 3 2zm12-3c0 1.105-1.343 2-3 2s-3-.895-3-2 1.343-2 3-2 3 .895 3 2zM9 10l12-3"
+                />
+              </svg>
+            }
+          />
+          
+          <IconButton
+            title="Response Feedback"
+            onClick={() => setIsFeedbackModalOpen(true)}
+            icon={
+              <svg
+                className="w-5 h-5"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+                xmlns="http://www.w3.org/2000/svg"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth="2"
+                  d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"
+                />
+              </svg>
+            }
+          />
+          
           <IconButton
             title="Help & Quick Start Guide"
             onClick={() => setIsHelpModalOpen(true)}
@@ -92,13 +160,23 @@ export function Header({ onOpenNewPrompt }) {
             }
           />
         </div>
-      
+        
         {/* Modals */}
         <HelpModal
           isOpen={isHelpModalOpen}
           onClose={() => setIsHelpModalOpen(false)}
         />
         
+        <PlaylistImportModal
+          isOpen={isPlaylistModalOpen}
+          onClose={() => setIsPlaylistModalOpen(false)}
+        />
+        
+        <FeedbackStatsModal
+          isOpen={isFeedbackModalOpen}
+          onClose={() => setIsFeedbackModalOpen(false)}
+        />
+        
         <SettingsModal
           isOpen={isSettingsModalOpen}
           onClose={() => setIsSettingsModalOpen(false)}
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { Header } from './Header';
 import { CategoryList } from './CategoryList';
 import { PromptList } from './PromptList';
@@ -10,7 +10,15 @@ import { ResponseListModal } from './ResponseListModal';
 import { usePrompts } from '../context/PromptContext';
 
 export function HomePage() {
-  const { submitPromptToAi, getResponsesForPrompt } = usePrompts();
+  const {
+    streamPromptToAi,
+    findCachedResponse,
+    getResponsesForPrompt,
+    corePrompts,
+    userPrompts,
+    categories,
+    setActiveCategory
+  } = usePrompts();
   const [isNewPromptModalOpen, setIsNewPromptModalOpen] = useState(false);
   
   // States for OpenAI integration
@@ -23,26 +31,66 @@ export function HomePage() {
   const [responseError, setResponseError] = useState(null);
   const [currentResponseIndex, setCurrentResponseIndex] = useState(0);
   const [responsesList, setResponsesList] = useState([]);
+  const [streamingText, setStreamingText] = useState('');
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [currentVariables, setCurrentVariables] = useState({});
+  const abortControllerRef = useRef(null);
   
-  // Handler for submitting prompt to AI
-  const handleSubmitToAi = async (prompt, variables = {}) => {
-    setCurrentPrompt(prompt);
+  // Streams a response into the response modal, offering a cached one first unless forceFresh is set
+  const generateResponse = async (prompt, variables = {}, { forceFresh = false } = {}) => {
+    // Only one generation at a time
+    abortControllerRef.current?.abort();
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    
+    setCurrentVariables(variables);
     setResponseError(null);
     setAiResponse(null);
+    setStreamingText('');
     setIsLoading(true);
-    setResponseModalOpen(true);
     
     try {
-      const result = await submitPromptToAi(prompt, variables);
+      const cached = forceFresh ? null : await findCachedResponse(prompt, variables);
+      if (cached) {
+        if (!abortController.signal.aborted) {
+          setAiResponse({ ...cached, fromCache: true });
+        }
+        return;
+      }
+      
+      setIsStreaming(true);
+      const result = await streamPromptToAi(prompt, variables, {
+        onDelta: (text) => setStreamingText(current => current + text),
+        signal: abortController.signal
+      });
       setAiResponse(result);
     } catch (error) {
-      console.error('Error submitting to AI:', error);
-      setResponseError(error);
+      if (error.name !== 'AbortError') {
+        console.error('Error submitting to AI:', error);
+        setResponseError(error);
+      }
     } finally {
-      setIsLoading(false);
+      // A newer request may have replaced this one
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+        setIsLoading(false);
+        setIsStreaming(false);
+      }
     }
   };
   
+  // Handler for cancelling a response mid-stream
+  const handleCancelResponse = () => {
+    abortControllerRef.current?.abort();
+  };
+  
+  // Handler for submitting prompt to AI
+  const handleSubmitToAi = (prompt, variables = {}) => {
+    setCurrentPrompt(prompt);
+    setResponseModalOpen(true);
+    generateResponse(prompt, variables);
+  };
+  
   // Handler for viewing response history
   const handleViewResponses = (prompt) => {
     setCurrentPrompt(prompt);
@@ -62,9 +110,36 @@ export function HomePage() {
     setResponseHistoryModalOpen(true);
   };
   
+  // Handler for opening a prompt found by search: show its category and scroll to its card
+  const handleOpenSearchPrompt = (result) => {
+    const hasCategory = categories.some(c => c.id === result.category);
+    setActiveCategory(hasCategory ? result.category : 'all');
+    
+    // Wait for the list to render the category before scrolling
+    setTimeout(() => {
+      document.getElementById(`prompt-${result.id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, 100);
+  };
+  
+  // Handler for opening a response found by search in the response history
+  const handleOpenSearchResponse = (result) => {
+    const prompt = [...corePrompts, ...userPrompts].find(p => p.id === result.promptId)
+      || { id: result.promptId, title: result.promptTitle };
+    const responses = getResponsesForPrompt(result.promptId);
+    
+    setCurrentPrompt(prompt);
+    setResponsesList(responses);
+    setCurrentResponseIndex(Math.max(0, responses.findIndex(r => r.id === result.id)));
+    setResponseHistoryModalOpen(true);
+  };
+  
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex flex-col">
-      <Header onOpenNewPrompt={() => setIsNewPromptModalOpen(true)} />
+      <Header
+        onOpenNewPrompt={() => setIsNewPromptModalOpen(true)}
+        onOpenSearchPrompt={handleOpenSearchPrompt}
+        onOpenSearchResponse={handleOpenSearchResponse}
+      />
       
       <main className="flex-grow container mx-auto px-4 py-4">
         <div className="grid grid-cols-12 gap-4 relative min-h-[calc(100vh-100px)]">
@@ -98,21 +173,11 @@ export function HomePage() {
         response={aiResponse}
         loading={isLoading}
         error={responseError}
-        onNewResponse={async (prompt, variables) => {
-          // Generate a new response with the same prompt and variables
-          setIsLoading(true);
-          setResponseError(null);
-          
-          try {
-            const result = await submitPromptToAi(prompt, variables);
-            setAiResponse(result);
-          } catch (error) {
-            console.error('Error submitting to AI:', error);
-            setResponseError(error);
-          } finally {
-            setIsLoading(false);
-          }
-        }}
+        streaming={isStreaming}
+        streamingText={streamingText}
+        onCancel={handleCancelResponse}
+        variables={currentVariables}
+        onNewResponse={(prompt, variables) => generateResponse(prompt, variables, { forceFresh: true })}
       />
       
       <ResponseListModal
@@ -4,52 +4,100 @@ import { Button, IconButton } from './ui/Button';
 import { Input, TextArea, Select, Label, FormGroup } from './ui/Input';
 import { usePrompts } from '../context/PromptContext';
 import { showToast } from '../lib/toastUtil';
+import { getAiProviders } from '../lib/apiClient';
+import { VISIBILITY_PRIVATE, USER_VISIBILITY_OPTIONS } from '../lib/visibility';
+import { buildCategoryTree, flattenCategoryTree } from '../lib/categoryTree';
+import { PromptHistoryPanel } from './PromptHistoryPanel';
 
 export function NewPromptModal({ isOpen, onClose, promptToEdit = null }) {
-  const { CORE_CATEGORIES, userCategories, addPrompt, updatePrompt } = usePrompts();
+  const { coreCategories, userCategories, addPrompt, updatePrompt } = usePrompts();
   
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [category, setCategory] = useState('');
+  const [visibility, setVisibility] = useState(VISIBILITY_PRIVATE);
   const [promptText, setPromptText] = useState('');
   const [tags, setTags] = useState([]);
   const [tagInput, setTagInput] = useState('');
   const [charCount, setCharCount] = useState(0);
   
+  // Optional generation settings
+  const [showGenerationSettings, setShowGenerationSettings] = useState(false);
+  const [aiProviders, setAiProviders] = useState([]);
+  const [provider, setProvider] = useState('');
+  const [model, setModel] = useState('');
+  const [temperature, setTemperature] = useState('');
+  const [maxTokens, setMaxTokens] = useState('');
+  const [systemPrompt, setSystemPrompt] = useState('');
+  
+  // Version history, when editing
+  const [showHistory, setShowHistory] = useState(false);
+  
   const tagInputRef = useRef(null);
   const titleInputRef = useRef(null);
   
   const isEditing = !!promptToEdit;
   
+  // Fill form with a saved prompt's data
+  const fillForm = (prompt) => {
+    setTitle(prompt.title || '');
+    setDescription(prompt.description || '');
+    setCategory(prompt.category || '');
+    setVisibility(prompt.visibility || VISIBILITY_PRIVATE);
+    
+    // Normalize newlines in promptText
+    const normalizedPromptText = prompt.promptText.replace(/\\n/g, '\n');
+    setPromptText(normalizedPromptText);
+    
+    setTags(prompt.tags || []);
+    setCharCount(prompt.description?.length || 0);
+    
+    setProvider(prompt.provider || '');
+    setModel(prompt.model || '');
+    setTemperature(prompt.temperature != null ? String(prompt.temperature) : '');
+    setMaxTokens(prompt.maxTokens != null ? String(prompt.maxTokens) : '');
+    setSystemPrompt(prompt.systemPrompt || '');
+    setShowGenerationSettings(!!(prompt.provider || prompt.model || prompt.temperature != null || prompt.maxTokens || prompt.systemPrompt));
+  };
+  
   // Reset form when modal opens/closes
   useEffect(() => {
     if (isOpen) {
       if (isEditing) {
         // Fill form with existing prompt data
-        setTitle(promptToEdit.title || '');
-        setDescription(promptToEdit.description || '');
-        setCategory(promptToEdit.category || '');
-        
-        // Normalize newlines in promptText
-        const normalizedPromptText = promptToEdit.promptText.replace(/\\n/g, '\n');
-        setPromptText(normalizedPromptText);
-        
-        setTags(promptToEdit.tags || []);
-        setCharCount(promptToEdit.description?.length || 0);
+        fillForm(promptToEdit);
       } else {
         // Clear form for new prompt
         setTitle('');
         setDescription('');
         setCategory('');
+        setVisibility(VISIBILITY_PRIVATE);
         setPromptText('');
         setTags([]);
         setCharCount(0);
+        
+        setProvider('');
+        setModel('');
+        setTemperature('');
+        setMaxTokens('');
+        setSystemPrompt('');
+        setShowGenerationSettings(false);
       }
       
       setTagInput('');
+      setShowHistory(false);
     }
   }, [isOpen, isEditing, promptToEdit]);
   
+  // Load the provider list for the generation settings
+  useEffect(() => {
+    if (isOpen) {
+      getAiProviders()
+        .then(data => setAiProviders(data.providers || []))
+        .catch(() => setAiProviders([]));
+    }
+  }, [isOpen]);
+  
   // Focus first input when modal opens
   useEffect(() => {
     if (isOpen && titleInputRef.current) {
@@ -98,6 +146,30 @@ export function NewPromptModal({ isOpen, onClose, promptToEdit = null }) {
       return;
     }
     
+    // Blank fields mean "use the default"
+    const parsedTemperature = temperature.trim() === '' ? null : parseFloat(temperature);
+    const parsedMaxTokens = maxTokens.trim() === '' ? null : parseInt(maxTokens, 10);
+    
+    if (parsedTemperature !== null && (isNaN(parsedTemperature) || parsedTemperature < 0 || parsedTemperature > 2)) {
+      showToast('Temperature must be between 0 and 2.', 'error');
+      setShowGenerationSettings(true);
+      return;
+    }
+    
+    if (parsedMaxTokens !== null && (isNaN(parsedMaxTokens) || parsedMaxTokens < 1)) {
+      showToast('Max tokens must be a positive whole number.', 'error');
+      setShowGenerationSettings(true);
+      return;
+    }
+    
+    const generationSettings = {
+      provider: provider || null,
+      model: model.trim() || null,
+      temperature: parsedTemperature,
+      maxTokens: parsedMaxTokens,
+      systemPrompt: systemPrompt.trim() || null,
+    };
+    
     try {
       if (isEditing) {
         // Update existing prompt
@@ -106,8 +178,10 @@ export function NewPromptModal({ isOpen, onClose, promptToEdit = null }) {
           title: title.trim(),
           description: description.trim(),
           category: category || null,
+          visibility,
           promptText: promptText.trim(),
           tags: [...tags],
+          ...generationSettings,
         });
         
         if (success) {
@@ -122,8 +196,10 @@ export function NewPromptModal({ isOpen, onClose, promptToEdit = null }) {
           title: title.trim(),
           description: description.trim(),
           category: category || null,
+          visibility,
           promptText: promptText.trim(),
           tags: [...tags],
+          ...generationSettings,
         });
         
         if (newPrompt) {
@@ -139,11 +215,11 @@ export function NewPromptModal({ isOpen, onClose, promptToEdit = null }) {
     }
   };
   
-  // Combine core and user categories for the dropdown
-  const allCategories = [
-    ...CORE_CATEGORIES,
+  // Combine core and user categories for the dropdown, subcategories under their parents
+  const allCategories = flattenCategoryTree(buildCategoryTree([
+    ...coreCategories,
     ...userCategories
-  ].sort((a, b) => a.name.localeCompare(b.name));
+  ]));
   
   return (
     <Modal
@@ -211,7 +287,22 @@ export function NewPromptModal({ isOpen, onClose, promptToEdit = null }) {
               <option value="">-- Select Category --</option>
               {allCategories.map((cat) => (
                 <option key={cat.id} value={cat.id}>
-                  {cat.name}
+                  {`${'— '.repeat(cat.depth)}${cat.name}`}
+                </option>
+              ))}
+            </Select>
+          </FormGroup>
+          
+          <FormGroup>
+            <Label htmlFor="promptVisibility">Visibility</Label>
+            <Select
+              id="promptVisibility"
+              value={visibility}
+              onChange={(e) => setVisibility(e.target.value)}
+            >
+              {USER_VISIBILITY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
                 </option>
               ))}
             </Select>
@@ -271,10 +362,127 @@ export function NewPromptModal({ isOpen, onClose, promptToEdit = null }) {
             className="font-mono text-sm resize-y h-36 min-h-[9rem]"
             required
           />
-          <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 text-left">
+          <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 text-left flex justify-between gap-4">
             <span>⟺ Drag bottom edge to resize</span>
+            <span className="font-mono">{'{{Year|number}} {{Length|choice:15s,30s|default:30s}} {{Notes|multiline|optional}}'}</span>
           </div>
         </FormGroup>
+        
+        {/* Generation Settings */}
+        <div className="md:col-span-2">
+          <button
+            type="button"
+            className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-blue-600 dark:hover:text-blue-400"
+            onClick={() => setShowGenerationSettings(!showGenerationSettings)}
+          >
+            <svg 
+              className={`w-4 h-4 mr-1 transition-transform ${showGenerationSettings ? 'rotate-90' : ''}`}
+              fill="none" 
+              stroke="currentColor" 
+              viewBox="0 0 24 24" 
+              xmlns="http://www.w3.org/2000/svg"
+            >
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+            Generation Settings <span className="ml-1 text-gray-500 dark:text-gray-400">(Optional)</span>
+          </button>
+          
+          {showGenerationSettings && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+              <FormGroup>
+                <Label htmlFor="promptProvider">Provider</Label>
+                <Select
+                  id="promptProvider"
+                  value={provider}
+                  onChange={(e) => setProvider(e.target.value)}
+                >
+                  <option value="">-- Your Default --</option>
+                  {aiProviders.filter(p => p.configured || p.id === provider).map(p => (
+                    <option key={p.id} value={p.id}>
+                      {p.name}
+                    </option>
+                  ))}
+                </Select>
+              </FormGroup>
+              
+              <FormGroup>
+                <Label htmlFor="promptModel">Model</Label>
+                <Input
+                  id="promptModel"
+                  value={model}
+                  onChange={(e) => setModel(e.target.value)}
+                  placeholder={aiProviders.find(p => p.id === provider)?.defaultModel || 'Provider default'}
+                />
+              </FormGroup>
+              
+              <FormGroup>
+                <Label htmlFor="promptTemperature">Temperature</Label>
+                <Input
+                  id="promptTemperature"
+                  type="number"
+                  min="0"
+                  max="2"
+                  step="0.1"
+                  value={temperature}
+                  onChange={(e) => setTemperature(e.target.value)}
+                  placeholder="Default (0.7)"
+                />
+              </FormGroup>
+              
+              <FormGroup>
+                <Label htmlFor="promptMaxTokens">Max Tokens</Label>
+                <Input
+                  id="promptMaxTokens"
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={maxTokens}
+                  onChange={(e) => setMaxTokens(e.target.value)}
+                  placeholder="Default (2048)"
+                />
+              </FormGroup>
+              
+              <FormGroup className="md:col-span-2">
+                <Label htmlFor="promptSystemPrompt">System Prompt</Label>
+                <TextArea
+                  id="promptSystemPrompt"
+                  value={systemPrompt}
+                  onChange={(e) => setSystemPrompt(e.target.value)}
+                  placeholder="Leave blank to use the default radio show prep assistant instructions"
+                  className="text-sm resize-y h-20"
+                />
+              </FormGroup>
+            </div>
+          )}
+        </div>
+        
+        {/* Version History */}
+        {isEditing && (
+          <div className="md:col-span-2">
+            <button
+              type="button"
+              className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-blue-600 dark:hover:text-blue-400"
+              onClick={() => setShowHistory(!showHistory)}
+            >
+              <svg 
+                className={`w-4 h-4 mr-1 transition-transform ${showHistory ? 'rotate-90' : ''}`}
+                fill="none" 
+                stroke="currentColor" 
+                viewBox="0 0 24 24" 
+                xmlns="http://www.w3.org/2000/svg"
+              >
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+              </svg>
+              Version History
+            </button>
+            
+            {showHistory && (
+              <div className="mt-3">
+                <PromptHistoryPanel promptId={promptToEdit.id} onRestored={fillForm} />
+              </div>
+            )}
+          </div>
+        )}
       </div>
     </Modal>
   );
@@ -0,0 +1,249 @@
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { Modal } from './ui/Modal';
+import { Button } from './ui/Button';
+import { TextArea, Label, Select, FormGroup } from './ui/Input';
+import { useSettings } from '../context/SettingsContext';
+import { parsePlaylist, formatTrack, PLAYLIST_FORMATS, TRACK_FIELDS, MAX_PLAYLIST_TRACKS } from '../lib/playlistImport';
+import { showToast } from '../lib/toastUtil';
+
+// Rows shown in the import preview; the full list is still imported
+const PREVIEW_LIMIT = 50;
+
+export function PlaylistImportModal({ isOpen, onClose }) {
+  const [text, setText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [format, setFormat] = useState('auto');
+  // CSV column mapping chosen by the user; null uses the guess from the header
+  const [mapping, setMapping] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const { playlist, updatePlaylist } = useSettings();
+  const fileInputRef = useRef(null);
+  
+  useEffect(() => {
+    if (isOpen) {
+      setText('');
+      setFileName('');
+      setFormat('auto');
+      setMapping(null);
+    }
+  }, [isOpen]);
+  
+  const parsed = useMemo(() => {
+    if (!text.trim()) {
+      return { format: null, tracks: [], columns: [], mapping: null };
+    }
+    
+    return parsePlaylist(text, { format, fileName, mapping });
+  }, [text, format, fileName, mapping]);
+  
+  const handleTextChange = (value, name = '') => {
+    setText(value);
+    setFileName(name);
+    setMapping(null);
+  };
+  
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => handleTextChange(String(reader.result || ''), file.name);
+    reader.onerror = () => showToast('Could not read the selected file', 'error');
+    reader.readAsText(file);
+    
+    // Allow choosing the same file again
+    e.target.value = '';
+  };
+  
+  const handleMappingChange = (field, value) => {
+    setMapping({ ...parsed.mapping, [field]: parseInt(value) });
+  };
+  
+  const handleSave = async (tracks, message) => {
+    setIsSaving(true);
+    try {
+      const savedTracks = await updatePlaylist(tracks);
+      showToast(message(savedTracks.length), 'success');
+      return true;
+    } catch (error) {
+      showToast(error.message || 'Failed to save playlist', 'error');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  
+  const handleImport = async (append) => {
+    const tracks = append ? [...playlist, ...parsed.tracks] : parsed.tracks;
+    if (tracks.length > MAX_PLAYLIST_TRACKS) {
+      showToast(`Only the first ${MAX_PLAYLIST_TRACKS} tracks are kept`, 'warning');
+    }
+    
+    const saved = await handleSave(tracks, count => `Playlist now has ${count} track${count !== 1 ? 's' : ''}`);
+    if (saved) {
+      onClose();
+    }
+  };
+  
+  const handleClear = async () => {
+    if (!confirm('Remove all tracks from your playlist?')) return;
+    await handleSave([], () => 'Playlist cleared');
+  };
+  
+  const canImport = !isSaving && parsed.tracks.length > 0;
+  
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Import Playlist"
+      maxWidth="lg"
+      footer={
+        <div className="flex justify-between w-full">
+          <Button variant="secondary" onClick={onClose}>
+            Close
+          </Button>
+          <div className="flex gap-2">
+            <Button variant="secondary" onClick={() => handleImport(true)} disabled={!canImport || playlist.length === 0}>
+              Add to Playlist
+            </Button>
+            <Button
+              className="bg-green-600 hover:bg-green-700 dark:bg-green-700 dark:hover:bg-green-800 text-white"
+              onClick={() => handleImport(false)}
+              disabled={!canImport}
+            >
+              {parsed.tracks.length > 0 ? `Import ${parsed.tracks.length} Track${parsed.tracks.length !== 1 ? 's' : ''}` : 'Import'}
+            </Button>
+          </div>
+        </div>
+      }
+    >
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+        Import tracks from your music log. Prompts with variables like {'{{Artist}}'}, {'{{Song}}'} or {'{{Album}}'} can then be filled from any track, or batch generated across the playlist.
+      </p>
+      
+      <div className="flex items-center justify-between text-sm mb-4 p-2 rounded bg-gray-50 dark:bg-gray-800">
+        <span className="text-gray-700 dark:text-gray-300">
+          Your playlist: {playlist.length} track{playlist.length !== 1 ? 's' : ''}
+        </span>
+        {playlist.length > 0 && (
+          <button
+            type="button"
+            className="text-xs text-red-600 dark:text-red-400 hover:underline"
+            onClick={handleClear}
+            disabled={isSaving}
+          >
+            Clear playlist
+          </button>
+        )}
+      </div>
+      
+      <FormGroup>
+        <Label htmlFor="playlist-format">Format</Label>
+        <Select
+          id="playlist-format"
+          value={format}
+          onChange={(e) => {
+            setFormat(e.target.value);
+            setMapping(null);
+          }}
+        >
+          {PLAYLIST_FORMATS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </Select>
+        {format === 'auto' && parsed.format && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            Detected: {PLAYLIST_FORMATS.find(option => option.value === parsed.format)?.label}
+          </p>
+        )}
+      </FormGroup>
+      
+      <FormGroup>
+        <div className="flex items-center justify-between">
+          <Label htmlFor="playlist-text">Playlist (M3U, CSV export or log text)</Label>
+          <button
+            type="button"
+            className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+            onClick={() => fileInputRef.current?.click()}
+          >
+            Upload file...
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".m3u,.m3u8,.csv,.tsv,.txt,.log,text/csv,text/plain,audio/x-mpegurl"
+            className="hidden"
+            onChange={handleFileChange}
+          />
+        </div>
+        <TextArea
+          id="playlist-text"
+          value={text}
+          onChange={(e) => handleTextChange(e.target.value, fileName)}
+          placeholder={'#EXTINF:215,Depeche Mode - Enjoy the Silence\nor\n6:02 PM Molchat Doma - Sudno - Etazhi (Sacred Bones)'}
+          className="resize-y h-32 font-mono text-xs"
+        />
+        {fileName && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Loaded from {fileName}</p>
+        )}
+      </FormGroup>
+      
+      {parsed.format === 'csv' && parsed.columns.length > 0 && (
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 mb-4">
+          {TRACK_FIELDS.map(field => (
+            <div key={field.key}>
+              <Label htmlFor={`playlist-column-${field.key}`} className="text-xs">{field.label} column</Label>
+              <Select
+                id={`playlist-column-${field.key}`}
+                value={String(parsed.mapping[field.key])}
+                onChange={(e) => handleMappingChange(field.key, e.target.value)}
+              >
+                <option value="-1">(none)</option>
+                {parsed.columns.map((column, index) => (
+                  <option key={index} value={String(index)}>{column || `Column ${index + 1}`}</option>
+                ))}
+              </Select>
+            </div>
+          ))}
+        </div>
+      )}
+      
+      {text.trim() && parsed.tracks.length === 0 && (
+        <p className="text-xs text-yellow-600 dark:text-yellow-400">
+          No tracks found. Check the format{parsed.format === 'csv' ? ' and the artist/song columns' : ''}.
+        </p>
+      )}
+      
+      {parsed.tracks.length > 0 && (
+        <div className="max-h-64 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md">
+          <table className="w-full text-xs">
+            <thead className="bg-gray-50 dark:bg-gray-800 sticky top-0">
+              <tr className="text-left text-gray-600 dark:text-gray-300">
+                <th className="px-2 py-1 w-8">#</th>
+                <th className="px-2 py-1">Track</th>
+                <th className="px-2 py-1">Album</th>
+                <th className="px-2 py-1 w-24">Played</th>
+              </tr>
+            </thead>
+            <tbody>
+              {parsed.tracks.slice(0, PREVIEW_LIMIT).map((track, index) => (
+                <tr key={index} className="border-t border-gray-100 dark:border-gray-700 align-top text-gray-800 dark:text-gray-200">
+                  <td className="px-2 py-1 text-gray-500 dark:text-gray-400">{index + 1}</td>
+                  <td className="px-2 py-1">{formatTrack(track)}</td>
+                  <td className="px-2 py-1">{[track.album, track.year].filter(Boolean).join(', ')}</td>
+                  <td className="px-2 py-1 text-gray-500 dark:text-gray-400">{track.playedAt}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {parsed.tracks.length > PREVIEW_LIMIT && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 px-2 py-1">
+              ...and {parsed.tracks.length - PREVIEW_LIMIT} more
+            </p>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+}
@@ -1,16 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { usePrompts } from '../context/PromptContext';
+import { useAuth } from '../context/AuthContext';
 import { IconButton } from './ui/Button';
 import { detectVariables } from '../lib/formatPromptDisplay';
+import { VISIBILITY_SHARED } from '../lib/visibility';
 
-export function PromptCard({ prompt, onCopy, onEdit, onSubmitToAi, onViewResponses }) {
+export function PromptCard({ prompt, onCopy, onEdit, onSubmitToAi, onBatch, onCompare, onViewResponses }) {
   const { favorites, toggleFavorite, deletePrompt, countResponsesForPrompt } = usePrompts();
+  const { user } = useAuth();
   const [showCopyToast, setShowCopyToast] = useState(false);
   const [responseCount, setResponseCount] = useState(0);
   
   const isFavorite = favorites.includes(prompt.id);
   const hasVariables = detectVariables(prompt.promptText).length > 0;
   
+  // User prompts can only be changed by their owner; core prompts only by admins
+  const isOwner = prompt.isUserCreated && prompt.userId === user?.id;
+  const canEdit = prompt.isUserCreated ? isOwner : !!user?.isAdmin;
+  const isShared = prompt.isUserCreated && prompt.visibility === VISIBILITY_SHARED;
+  
   // Get response count when component mounts
   useEffect(() => {
     if (prompt?.id) {
@@ -57,6 +65,16 @@ export function PromptCard({ prompt, onCopy, onEdit, onSubmitToAi, onViewRespons
     onSubmitToAi(prompt);
   };
   
+  const handleBatchClick = (e) => {
+    e.stopPropagation();
+    onBatch(prompt);
+  };
+  
+  const handleCompareClick = (e) => {
+    e.stopPropagation();
+    onCompare(prompt);
+  };
+  
   // New handler for viewing responses
   const handleViewResponsesClick = (e) => {
     e.stopPropagation();
@@ -65,6 +83,7 @@ export function PromptCard({ prompt, onCopy, onEdit, onSubmitToAi, onViewRespons
   
   return (
     <div 
+      id={`prompt-${prompt.id}`}
       className={`
         bg-white dark:bg-gray-800 rounded-md border border-gray-200 dark:border-gray-700 p-3 hover:shadow-md shadow-sm mb-3 transition-shadow duration-200 relative
         ${hasVariables ? 'clickable-prompt cursor-pointer' : 'opacity-95'}
@@ -96,6 +115,14 @@ export function PromptCard({ prompt, onCopy, onEdit, onSubmitToAi, onViewRespons
         {prompt.description || 'No description available.'}
       </p>
       
+      {isShared && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-2 ml-1">
+          {isOwner
+            ? 'Shared with the station'
+            : `Shared by ${[prompt.owner?.firstName, prompt.owner?.lastName].filter(Boolean).join(' ') || 'another user'}`}
+        </p>
+      )}
+      
       {!hasVariables && (
         <div className="flex items-center gap-1 mb-2 ml-1">
           <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -128,7 +155,7 @@ export function PromptCard({ prompt, onCopy, onEdit, onSubmitToAi, onViewRespons
         
         {/* Delete button on the far left */}
         <div className="flex-none">
-          {prompt.isUserCreated && (
+          {isOwner && (
             <IconButton
               onClick={handleDeleteClick}
               title="Delete Prompt"
@@ -155,7 +182,7 @@ export function PromptCard({ prompt, onCopy, onEdit, onSubmitToAi, onViewRespons
         </div>
         
         {/* Visual separator when delete button is shown */}
-        {prompt.isUserCreated && <div className="border-r border-gray-200 dark:border-gray-700 h-6 mx-2"></div>}
+        {isOwner && <div className="border-r border-gray-200 dark:border-gray-700 h-6 mx-2"></div>}
         
         <div className="flex items-center space-x-1 ml-auto flex-grow justify-end">
           
@@ -226,27 +253,78 @@ export function PromptCard({ prompt, onCopy, onEdit, onSubmitToAi, onViewRespons
             }
           />
           
-          <IconButton
-            onClick={handleEditClick}
-            title="Edit Prompt"
-            className="hover:text-green-600 dark:hover:text-green-400"
-            icon={
-              <svg 
-                className="w-4 h-4" 
-                fill="none" 
-                stroke="currentColor" 
-                viewBox="0 0 24 24" 
-                xmlns="http://www.w3.org/2000/svg"
-              >
-                <path 
-                  strokeLinecap="round" 
-                  strokeLinejoin="round" 
-                  strokeWidth="2" 
-                  d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.5L15.232 5.232z"
-                />
-              </svg>
-            }
-          />
+          {onCompare && (
+            <IconButton
+              onClick={handleCompareClick}
+              title="Compare Models"
+              className="hover:text-purple-600 dark:hover:text-purple-400"
+              icon={
+                <svg 
+                  className="w-4 h-4" 
+                  fill="none" 
+                  stroke="currentColor" 
+                  viewBox="0 0 24 24" 
+                  xmlns="http://www.w3.org/2000/svg"
+                >
+                  <path 
+                    strokeLinecap="round" 
+                    strokeLinejoin="round" 
+                    strokeWidth="2" 
+                    d="M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2"
+                  />
+                </svg>
+              }
+            />
+          )}
+          
+          {/* Batch generation needs variables to vary */}
+          {hasVariables && onBatch && (
+            <IconButton
+              onClick={handleBatchClick}
+              title="Batch Generate from CSV"
+              className="hover:text-purple-600 dark:hover:text-purple-400"
+              icon={
+                <svg 
+                  className="w-4 h-4" 
+                  fill="none" 
+                  stroke="currentColor" 
+                  viewBox="0 0 24 24" 
+                  xmlns="http://www.w3.org/2000/svg"
+                >
+                  <path 
+                    strokeLinecap="round" 
+                    strokeLinejoin="round" 
+                    strokeWidth="2" 
+                    d="M4 6h16M4 10h16M4 14h16M4 18h16"
+                  />
+                </svg>
+              }
+            />
+          )}
+          
+          {canEdit && (
+            <IconButton
+              onClick={handleEditClick}
+              title="Edit Prompt"
+              className="hover:text-green-600 dark:hover:text-green-400"
+              icon={
+                <svg 
+                  className="w-4 h-4" 
+                  fill="none" 
+                  stroke="currentColor" 
+                  viewBox="0 0 24 24" 
+                  xmlns="http://www.w3.org/2000/svg"
+                >
+                  <path 
+                    strokeLinecap="round" 
+                    strokeLinejoin="round" 
+                    strokeWidth="2" 
+                    d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.5L15.232 5.232z"
+                  />
+                </svg>
+              }
+            />
+          )}
           
           {/* View Response History button */}
           {responseCount > 0 && (
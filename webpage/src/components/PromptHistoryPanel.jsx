@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from './ui/Button';
+import { usePrompts } from '../context/PromptContext';
+import { diffWords } from '../lib/textDiff';
+import { showToast } from '../lib/toastUtil';
+import storage from '../lib/storage';
+
+// Settings compared between revisions besides the texts that get a word diff
+const OTHER_FIELDS = [
+  { key: 'category', label: 'Category' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'provider', label: 'Provider' },
+  { key: 'model', label: 'Model' },
+  { key: 'temperature', label: 'Temperature' },
+  { key: 'maxTokens', label: 'Max tokens' },
+  { key: 'systemPrompt', label: 'System prompt' }
+];
+
+/**
+ * Formats a revision's author
+ * @param {Object} revision - Revision with an optional user
+ * @returns {string} The author's name
+ */
+function formatAuthor(revision) {
+  const name = [revision.user?.firstName, revision.user?.lastName].filter(Boolean).join(' ');
+  return name || 'Unknown';
+}
+
+/**
+ * Renders a word-level diff between two texts
+ * @param {Object} props - Component props
+ * @param {string} props.oldText - The earlier text
+ * @param {string} props.newText - The later text
+ * @param {string} [props.className] - Extra classes for the container
+ * @returns {JSX.Element} The diff
+ */
+function TextDiff({ oldText, newText, className = '' }) {
+  return (
+    <div className={`whitespace-pre-wrap break-words ${className}`}>
+      {diffWords(oldText, newText).map((segment, index) => {
+        if (segment.type === 'added') {
+          return (
+            <ins key={index} className="no-underline bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200 rounded-sm">
+              {segment.text}
+            </ins>
+          );
+        }
+        
+        if (segment.type === 'removed') {
+          return (
+            <del key={index} className="bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-200 rounded-sm">
+              {segment.text}
+            </del>
+          );
+        }
+        
+        return <React.Fragment key={index}>{segment.text}</React.Fragment>;
+      })}
+    </div>
+  );
+}
+
+/**
+ * Version history for a prompt: every saved revision with who saved it and when, a word-level
+ * diff against the revision before it, and one-click restore
+ * @param {Object} props - Component props
+ * @param {string} props.promptId - The prompt's ID
+ * @param {Function} [props.onRestored] - Called with the restored prompt
+ * @returns {JSX.Element} The history panel
+ */
+export function PromptHistoryPanel({ promptId, onRestored }) {
+  const { restorePromptRevision } = usePrompts();
+  const [revisions, setRevisions] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRestoring, setIsRestoring] = useState(false);
+  
+  const loadRevisions = async () => {
+    setIsLoading(true);
+    const loaded = await storage.getPromptRevisions(promptId);
+    setRevisions(loaded);
+    setSelectedId(loaded[0]?.id || null);
+    setIsLoading(false);
+  };
+  
+  useEffect(() => {
+    loadRevisions();
+  }, [promptId]);
+  
+  const handleRestore = async (revision) => {
+    setIsRestoring(true);
+    
+    try {
+      const restoredPrompt = await restorePromptRevision(revision.id);
+      showToast(`Restored the version from ${new Date(revision.createdAt).toLocaleString()}`);
+      onRestored?.(restoredPrompt);
+      await loadRevisions();
+    } catch (error) {
+      showToast(`Error: ${error.message}`, 'error');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+  
+  if (isLoading) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading history...</p>;
+  }
+  
+  if (revisions.length === 0) {
+    return <p className="text-sm text-gray-400 italic">No earlier versions have been saved.</p>;
+  }
+  
+  const selectedIndex = revisions.findIndex(r => r.id === selectedId);
+  const selected = revisions[selectedIndex];
+  // Revisions are newest first, so the one before the selected revision comes after it
+  const previous = revisions[selectedIndex + 1] || null;
+  
+  const changedFields = previous
+    ? OTHER_FIELDS.filter(({ key }) => JSON.stringify(previous[key]) !== JSON.stringify(selected[key]))
+    : [];
+  
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <ul className="max-h-72 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md divide-y divide-gray-100 dark:divide-gray-700">
+        {revisions.map((revision, index) => (
+          <li key={revision.id}>
+            <button
+              type="button"
+              className={`w-full text-left px-3 py-2 text-sm transition-colors ${
+                revision.id === selectedId
+                  ? 'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300'
+                  : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+              onClick={() => setSelectedId(revision.id)}
+            >
+              <span className="block font-medium">
+                {new Date(revision.createdAt).toLocaleString()}
+                {index === 0 && (
+                  <span className="ml-2 text-xs font-normal text-green-600 dark:text-green-400">Current</span>
+                )}
+              </span>
+              <span className="block text-xs text-gray-500 dark:text-gray-400">{formatAuthor(revision)}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+      
+      {selected && (
+        <div className="md:col-span-2 space-y-3 text-sm text-gray-800 dark:text-gray-200">
+          <div className="flex items-center justify-between gap-2">
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {previous
+                ? `Changes from the version of ${new Date(previous.createdAt).toLocaleString()}`
+                : 'First saved version'}
+            </p>
+            {selectedIndex > 0 && (
+              <Button
+                variant="secondary"
+                size="small"
+                disabled={isRestoring}
+                onClick={() => handleRestore(selected)}
+              >
+                {isRestoring ? 'Restoring...' : 'Restore this version'}
+              </Button>
+            )}
+          </div>
+          
+          <TextDiff
+            className="font-semibold"
+            oldText={previous ? previous.title : selected.title}
+            newText={selected.title}
+          />
+          
+          {(selected.description || previous?.description) && (
+            <TextDiff
+              className="text-gray-600 dark:text-gray-400"
+              oldText={previous ? previous.description : selected.description}
+              newText={selected.description}
+            />
+          )}
+          
+          <TextDiff
+            className="font-mono text-xs p-2 border border-gray-200 dark:border-gray-700 rounded-md max-h-56 overflow-y-auto"
+            oldText={previous ? previous.promptText : selected.promptText}
+            newText={selected.promptText}
+          />
+          
+          {changedFields.length > 0 && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Also changed: {changedFields.map(field => field.label).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
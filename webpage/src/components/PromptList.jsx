@@ -2,6 +2,8 @@ import React, { useMemo, useState, useCallback, useEffect } from 'react';
 import { usePrompts } from '../context/PromptContext';
 import { PromptCard } from './PromptCard';
 import { VariableModal } from './VariableModal';
+import { BatchModal } from './BatchModal';
+import { CompareModal } from './CompareModal';
 import { NewPromptModal } from './NewPromptModal';
 import { TagFilter } from './TagFilter';
 import { Button, IconButton } from './ui/Button';
@@ -14,6 +16,7 @@ export function PromptList({ onSubmitToAi, onViewResponses }) {
     recentlyUsed,
     activeCategory,
     categories,
+    getCategoryIds,
     submitPromptToAi
   } = usePrompts();
   
@@ -36,6 +39,9 @@ export function PromptList({ onSubmitToAi, onViewResponses }) {
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [promptToEdit, setPromptToEdit] = useState(null);
   const [submitToAiMode, setSubmitToAiMode] = useState(false);
+  const [batchPrompt, setBatchPrompt] = useState(null);
+  // Prompt and filled-in variables being compared across models
+  const [compareTarget, setCompareTarget] = useState(null);
   const [selectedTags, setSelectedTags] = useState([]);
   
   // Get current category name
@@ -67,7 +73,9 @@ export function PromptList({ onSubmitToAi, onViewResponses }) {
       // No additional sorting for recently used to preserve the usage order
       return result;
     } else {
-      result = allPrompts.filter(p => p.category === activeCategory);
+      // A category also shows the prompts in its subcategories
+      const categoryIds = getCategoryIds(activeCategory);
+      result = allPrompts.filter(p => categoryIds.has(p.category));
     }
     
     // Sort prompts by title, handling numeric prefixes and alphabetical order
@@ -97,7 +105,7 @@ export function PromptList({ onSubmitToAi, onViewResponses }) {
       // Otherwise, sort alphabetically
       return titleA.localeCompare(titleB);
     });
-  }, [corePrompts, userPrompts, activeCategory, favorites, recentlyUsed]);
+  }, [corePrompts, userPrompts, activeCategory, favorites, recentlyUsed, getCategoryIds]);
   
   // Add favorite status to prompts
   const promptsWithStatus = useMemo(() => {
@@ -165,6 +173,26 @@ export function PromptList({ onSubmitToAi, onViewResponses }) {
     }
   };
   
+  const handleBatch = (prompt) => {
+    setBatchPrompt(prompt);
+  };
+  
+  // Prompts with variables are filled in first, like Submit to AI
+  const handleCompare = (prompt) => {
+    const hasVariables = prompt.promptText && prompt.promptText.includes('{{');
+    
+    if (hasVariables) {
+      setSelectedPrompt(prompt);
+      setIsVariableModalOpen(true);
+    } else {
+      setCompareTarget({ prompt, variables: {} });
+    }
+  };
+  
+  const handleVariableCompare = (prompt, variables) => {
+    setCompareTarget({ prompt, variables });
+  };
+  
   const handleViewResponses = (prompt) => {
     if (onViewResponses) {
       onViewResponses(prompt);
@@ -239,6 +267,8 @@ export function PromptList({ onSubmitToAi, onViewResponses }) {
               onCopy={handleCopyPrompt}
               onEdit={handleEditPrompt}
               onSubmitToAi={handleSubmitToAi}
+              onBatch={handleBatch}
+              onCompare={handleCompare}
               onViewResponses={handleViewResponses}
             />
           ))}
@@ -262,6 +292,24 @@ export function PromptList({ onSubmitToAi, onViewResponses }) {
           setIsVariableModalOpen(false);
         }}
         onSubmitToAi={handleVariableSubmitToAi}
+        onCompare={handleVariableCompare}
+      />
+      
+      {/* Batch Generation Modal */}
+      <BatchModal
+        isOpen={!!batchPrompt}
+        onClose={() => setBatchPrompt(null)}
+        prompt={batchPrompt}
+        onViewResponses={handleViewResponses}
+      />
+      
+      {/* Model Comparison Modal */}
+      <CompareModal
+        isOpen={!!compareTarget}
+        onClose={() => setCompareTarget(null)}
+        prompt={compareTarget?.prompt}
+        variables={compareTarget?.variables}
+        onViewResponses={handleViewResponses}
       />
       
       {/* Edit Prompt Modal */}
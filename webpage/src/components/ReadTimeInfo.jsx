@@ -0,0 +1,44 @@
+import React from 'react';
+import { useSettings } from '../context/SettingsContext';
+import { estimateReadTime, getWordsPerMinute, getTargetSeconds, getReadTimeFit, formatDuration } from '../lib/readTime';
+
+const FIT_STYLES = {
+  fits: 'text-green-600 dark:text-green-400',
+  long: 'text-red-600 dark:text-red-400',
+  short: 'text-yellow-600 dark:text-yellow-400',
+};
+
+/**
+ * Shows a script's estimated read time and how it compares with the target length
+ * @param {Object} props - Component props
+ * @param {string} props.text - The script text
+ * @param {Object} [props.variables] - Variables used for the script; a length-like variable sets the target
+ * @param {string} [props.className] - Extra classes for the wrapper
+ * @returns {JSX.Element|null} The read time line, or null for empty text
+ */
+export function ReadTimeInfo({ text, variables, className = '' }) {
+  const { showProfile } = useSettings();
+  
+  if (!text?.trim()) return null;
+  
+  const wordsPerMinute = getWordsPerMinute(showProfile);
+  const { words, seconds } = estimateReadTime(text, wordsPerMinute);
+  const targetSeconds = getTargetSeconds(variables);
+  const fit = targetSeconds ? getReadTimeFit(seconds, targetSeconds) : null;
+  
+  let fitLabel = '';
+  if (fit?.status === 'fits') {
+    fitLabel = `Fits the ${formatDuration(targetSeconds)} target`;
+  } else if (fit) {
+    fitLabel = `${Math.abs(fit.difference)}s ${fit.status === 'long' ? 'over' : 'under'} the ${formatDuration(targetSeconds)} target`;
+  }
+  
+  return (
+    <div className={`flex flex-wrap gap-x-3 text-xs ${className}`}>
+      <span className="text-gray-500 dark:text-gray-400">
+        Read time: ~{formatDuration(seconds) || '0:00'} ({words} words at {wordsPerMinute} wpm)
+      </span>
+      {fit && <span className={FIT_STYLES[fit.status]}>{fitLabel}</span>}
+    </div>
+  );
+}
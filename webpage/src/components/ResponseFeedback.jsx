@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from './ui/Button';
+import { Input, TextArea } from './ui/Input';
+import { usePrompts } from '../context/PromptContext';
+import { THUMBS_UP, THUMBS_DOWN, MAX_RATING, MAX_NOTES_LENGTH } from '../lib/responseFeedback';
+import { showToast } from '../lib/toastUtil';
+
+/**
+ * Formats a timestamp for a datetime-local input
+ * @param {string} isoString - ISO timestamp
+ * @returns {string} Local "YYYY-MM-DDTHH:mm", or an empty string
+ */
+function toLocalInputValue(isoString) {
+  if (!isoString) return '';
+  
+  const date = new Date(isoString);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Feedback controls for a saved response: thumbs up/down, a star rating, when it aired and notes
+ * Votes, ratings and the aired time save as soon as they change; notes save with their own button.
+ * @param {Object} props - Component props
+ * @param {Object} props.response - The response being rated
+ * @param {Function} [props.onSaved] - Called with the updated response
+ * @returns {JSX.Element} The feedback controls
+ */
+export function ResponseFeedback({ response, onSaved }) {
+  const { saveResponseFeedback } = usePrompts();
+  const [notes, setNotes] = useState(response.notes || '');
+  const [airedAt, setAiredAt] = useState(toLocalInputValue(response.airedAt));
+  const [isSaving, setIsSaving] = useState(false);
+  
+  useEffect(() => {
+    setNotes(response.notes || '');
+  }, [response.id, response.notes]);
+  
+  useEffect(() => {
+    setAiredAt(toLocalInputValue(response.airedAt));
+  }, [response.id, response.airedAt]);
+  
+  const save = async (feedback) => {
+    setIsSaving(true);
+    
+    try {
+      const savedResponse = await saveResponseFeedback(response.id, feedback);
+      onSaved?.(savedResponse);
+    } catch (error) {
+      showToast(`Error: ${error.message}`, 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  
+  // Clicking the current vote or rating again clears it
+  const handleThumbs = (thumbs) => save({ thumbs: response.thumbs === thumbs ? null : thumbs });
+  const handleRating = (rating) => save({ rating: response.rating === rating ? null : rating });
+  
+  // A corrected aired time is saved once the field loses focus, not on every keystroke
+  const handleAiredAtBlur = () => {
+    if (airedAt && airedAt !== toLocalInputValue(response.airedAt)) {
+      save({ airedAt: new Date(airedAt).toISOString() });
+    }
+  };
+  
+  const notesChanged = notes.trim() !== (response.notes || '');
+  
+  const thumbsClass = (active, activeColors) => `p-1 rounded-md transition-colors disabled:opacity-50 ${
+    active ? activeColors : 'text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
+  }`;
+  
+  return (
+    <div className="mb-4 p-3 border border-gray-200 dark:border-gray-700 rounded-md space-y-3 text-sm text-gray-700 dark:text-gray-300">
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2">
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            title="Thumbs up"
+            aria-pressed={response.thumbs === THUMBS_UP}
+            disabled={isSaving}
+            onClick={() => handleThumbs(THUMBS_UP)}
+            className={thumbsClass(response.thumbs === THUMBS_UP, 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300')}
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M14 10h4.764a2 2 0 011.789 2.894l-3.5 7A2 2 0 0115.263 21h-4.017c-.163 0-.326-.02-.485-.06L7 20m7-10V5a2 2 0 00-2-2h-.095c-.5 0-.905.405-.905.905 0 .714-.211 1.412-.608 2.006L7 11v9m7-10h-2M7 20H5a2 2 0 01-2-2v-6a2 2 0 012-2h2.5" />
+            </svg>
+          </button>
+          <button
+            type="button"
+            title="Thumbs down"
+            aria-pressed={response.thumbs === THUMBS_DOWN}
+            disabled={isSaving}
+            onClick={() => handleThumbs(THUMBS_DOWN)}
+            className={thumbsClass(response.thumbs === THUMBS_DOWN, 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300')}
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10 14H5.236a2 2 0 01-1.789-2.894l3.5-7A2 2 0 018.736 3h4.018a2 2 0 01.485.06l3.76.94m-7 10v5a2 2 0 002 2h.096c.5 0 .905-.405.905-.904 0-.715.211-1.413.608-2.008L17 13V4m-7 10h2m5-10h2a2 2 0 012 2v6a2 2 0 01-2 2h-2.5" />
+            </svg>
+          </button>
+        </div>
+        
+        <div className="flex items-center" role="group" aria-label="Rating">
+          {Array.from({ length: MAX_RATING }, (_, index) => index + 1).map(star => (
+            <button
+              key={star}
+              type="button"
+              title={`${star} of ${MAX_RATING}`}
+              disabled={isSaving}
+              onClick={() => handleRating(star)}
+              className={`text-xl leading-none px-0.5 disabled:opacity-50 ${
+                response.rating >= star ? 'text-yellow-500' : 'text-gray-300 dark:text-gray-600 hover:text-yellow-400'
+              }`}
+            >
+              ★
+            </button>
+          ))}
+        </div>
+        
+        <div className="flex items-center gap-2">
+          {response.airedAt ? (
+            <>
+              <span className="text-green-700 dark:text-green-400 font-medium">Aired</span>
+              <div className="w-52">
+                <Input
+                  type="datetime-local"
+                  value={airedAt}
+                  onChange={(e) => setAiredAt(e.target.value)}
+                  onBlur={handleAiredAtBlur}
+                  disabled={isSaving}
+                  className="text-sm py-1"
+                />
+              </div>
+              <Button variant="secondary" size="small" disabled={isSaving} onClick={() => save({ airedAt: null })}>
+                Not aired
+              </Button>
+            </>
+          ) : (
+            <Button
+              variant="secondary"
+              size="small"
+              disabled={isSaving}
+              onClick={() => save({ airedAt: new Date().toISOString() })}
+            >
+              Mark as aired
+            </Button>
+          )}
+        </div>
+      </div>
+      
+      <div className="flex items-start gap-2">
+        <TextArea
+          rows={2}
+          value={notes}
+          maxLength={MAX_NOTES_LENGTH}
+          onChange={(e) => setNotes(e.target.value)}
+          placeholder="Notes: what worked, what didn't, listener reaction..."
+          className="text-sm"
+        />
+        <Button
+          variant="secondary"
+          size="small"
+          disabled={!notesChanged || isSaving}
+          onClick={() => save({ notes })}
+        >
+          Save notes
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,12 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Modal } from './ui/Modal';
 import { Button, IconButton } from './ui/Button';
+import { Input } from './ui/Input';
 import { usePrompts } from '../context/PromptContext';
+import { ReadTimeInfo } from './ReadTimeInfo';
+import { ResponseFeedback } from './ResponseFeedback';
+import { getResponseThread, getRefinements } from '../lib/responseThreads';
+import { showToast } from '../lib/toastUtil';
 
 /**
  * Modal for viewing and managing saved responses for a prompt
@@ -12,7 +17,7 @@ import { usePrompts } from '../context/PromptContext';
  * @returns {JSX.Element} The ResponseHistoryModal component
  */
 export function ResponseHistoryModal({ isOpen, onClose, promptId, initialIndex = 0, onResponseDeleted }) {
-  const { getResponsesForPrompt, deleteResponse, updateResponse } = usePrompts();
+  const { getResponsesForPrompt, deleteResponse, updateResponse, refineResponse } = usePrompts();
   const [responses, setResponses] = useState([]);
   const [currentIndex, setCurrentIndex] = useState(0);
   const [copySuccess, setCopySuccess] = useState(false);
@@ -21,7 +26,11 @@ export function ResponseHistoryModal({ isOpen, onClose, promptId, initialIndex =
   const [editedText, setEditedText] = useState('');
   const [hasEdits, setHasEdits] = useState(false);
   const [noResponses, setNoResponses] = useState(false);
+  const [refineInstruction, setRefineInstruction] = useState('');
+  const [isRefining, setIsRefining] = useState(false);
   const textareaRef = useRef(null);
+  // Response to show after the list reloads, e.g. a refinement that was just saved
+  const focusResponseIdRef = useRef(null);
   
   // Load responses when the modal opens
   useEffect(() => {
@@ -29,9 +38,10 @@ export function ResponseHistoryModal({ isOpen, onClose, promptId, initialIndex =
       const promptResponses = getResponsesForPrompt(promptId);
       setResponses(promptResponses);
       
-      // Set the current index to the initialIndex, but make sure it's within bounds
+      // Set the current index to the initialIndex (or a response to focus), but make sure it's within bounds
+      const focusIndex = promptResponses.findIndex(r => r.id === focusResponseIdRef.current);
       const safeIndex = promptResponses.length > 0
-        ? Math.min(initialIndex, promptResponses.length - 1)
+        ? (focusIndex >= 0 ? focusIndex : Math.min(initialIndex, promptResponses.length - 1))
         : 0;
       setCurrentIndex(safeIndex);
       
@@ -63,6 +73,14 @@ export function ResponseHistoryModal({ isOpen, onClose, promptId, initialIndex =
     }
   }, [currentIndex, responses]);
   
+  // Clear the follow-up and focus when the modal closes
+  useEffect(() => {
+    if (!isOpen) {
+      focusResponseIdRef.current = null;
+      setRefineInstruction('');
+    }
+  }, [isOpen]);
+  
   // Reset editing state
   const resetEditing = () => {
     setIsEditing(false);
@@ -193,6 +211,54 @@ export function ResponseHistoryModal({ isOpen, onClose, promptId, initialIndex =
     setIsEditing(false);
   };
   
+  // Jump to another response in the same thread
+  const handleSelectThreadResponse = (responseId) => {
+    const index = responses.findIndex(r => r.id === responseId);
+    if (index < 0 || index === currentIndex) return;
+    
+    if (isEditing && hasEdits && !window.confirm('You have unsaved edits. Discard them and continue?')) {
+      return;
+    }
+    
+    resetEditing();
+    setCurrentIndex(index);
+    setCopySuccess(false);
+  };
+  
+  // Keep the local list in step with feedback saved on the current response, and stay on it
+  // when the list reloads from the updated context
+  const handleFeedbackSaved = (savedResponse) => {
+    focusResponseIdRef.current = savedResponse.id;
+    setResponses(prev => prev.map(r => r.id === savedResponse.id ? savedResponse : r));
+  };
+  
+  // Send a follow-up instruction; the refinement is saved as a child of the current response
+  const handleRefine = async (e) => {
+    e.preventDefault();
+    const instruction = refineInstruction.trim();
+    const currentResponse = responses[currentIndex];
+    if (!instruction || !currentResponse) return;
+    
+    setIsRefining(true);
+    try {
+      const refined = await refineResponse(currentResponse, instruction);
+      
+      focusResponseIdRef.current = refined.id;
+      setResponses(prev => [...prev, refined]);
+      setCurrentIndex(responses.length);
+      setRefineInstruction('');
+      
+      // Same callback as deletion, so the parent refreshes its list
+      if (onResponseDeleted && typeof onResponseDeleted === 'function') {
+        onResponseDeleted(refined.id, 'refine');
+      }
+    } catch (error) {
+      showToast(error.message || 'Failed to refine the response', 'error');
+    } finally {
+      setIsRefining(false);
+    }
+  };
+  
   // Handle delete confirmation
   const handleDeleteClick = () => {
     setConfirmDelete(true);
@@ -264,6 +330,26 @@ export function ResponseHistoryModal({ isOpen, onClose, promptId, initialIndex =
     });
   };
   
+  // Where the current response sits in its refinement thread
+  const thread = responses[currentIndex] ? getResponseThread(responses[currentIndex], responses) : [];
+  const refinements = responses[currentIndex] ? getRefinements(responses[currentIndex].id, responses) : [];
+  
+  const renderThreadStep = (item, label) => (
+    <button
+      key={item.id}
+      type="button"
+      onClick={() => handleSelectThreadResponse(item.id)}
+      className={`px-2 py-0.5 rounded-full truncate max-w-[200px] ${
+        item.id === responses[currentIndex]?.id
+          ? 'bg-purple-600 text-white'
+          : 'bg-purple-100 dark:bg-purple-900/40 text-purple-800 dark:text-purple-300 hover:bg-purple-200 dark:hover:bg-purple-900/70'
+      }`}
+      title={item.instruction || 'Original response'}
+    >
+      {label}
+    </button>
+  );
+  
   // Render empty state if no responses
   if (noResponses) {
     return (
@@ -331,6 +417,27 @@ export function ResponseHistoryModal({ isOpen, onClose, promptId, initialIndex =
               )
             }
             
+            {/* Refinement thread */}
+            {(thread.length > 1 || refinements.length > 0) && (
+              <div className="mb-3 text-xs text-gray-600 dark:text-gray-300 space-y-1">
+                <div className="flex flex-wrap items-center gap-1">
+                  <span className="font-medium">Thread:</span>
+                  {thread.map((item, index) => (
+                    <React.Fragment key={item.id}>
+                      {index > 0 && <span className="text-gray-400">→</span>}
+                      {renderThreadStep(item, index === 0 && !item.instruction ? 'Original' : `"${item.instruction}"`)}
+                    </React.Fragment>
+                  ))}
+                </div>
+                {refinements.length > 0 && (
+                  <div className="flex flex-wrap items-center gap-1">
+                    <span className="font-medium">Refined into:</span>
+                    {refinements.map(item => renderThreadStep(item, `"${item.instruction}"`))}
+                  </div>
+                )}
+              </div>
+            )}
+            
             {/* Edit instruction */}
             <div className="text-left mb-2">
               <span className="text-sm text-gray-600 dark:text-gray-400">Click to edit response text</span>
@@ -356,10 +463,28 @@ export function ResponseHistoryModal({ isOpen, onClose, promptId, initialIndex =
               )}
             </div>
             
+            <ReadTimeInfo
+              text={isEditing || hasEdits ? editedText : responses[currentIndex]?.responseText}
+              variables={responses[currentIndex]?.variablesUsed}
+              className="mb-2"
+            />
+            
             {/* Response metadata */}
             <div className="text-sm text-gray-500 dark:text-gray-400 mb-4">
               <div>Created: {formatDate(responses[currentIndex]?.createdAt)}</div>
               {responses[currentIndex]?.modelUsed && <div>Model: {responses[currentIndex]?.modelUsed}</div>}
+              {responses[currentIndex]?.temperature != null && (
+                <div>
+                  Settings: temperature {responses[currentIndex]?.temperature}
+                  {responses[currentIndex]?.maxTokens && `, max ${responses[currentIndex]?.maxTokens} tokens`}
+                </div>
+              )}
+              {responses[currentIndex]?.systemPrompt && (
+                <details>
+                  <summary className="cursor-pointer">System prompt</summary>
+                  <p className="whitespace-pre-wrap mt-1">{responses[currentIndex]?.systemPrompt}</p>
+                </details>
+              )}
               {responses[currentIndex]?.totalTokens && (
                 <div>
                   Tokens: {responses[currentIndex]?.totalTokens} 
@@ -369,6 +494,34 @@ export function ResponseHistoryModal({ isOpen, onClose, promptId, initialIndex =
               )}
             </div>
             
+            {/* Thumbs, rating, aired time and notes */}
+            {!isEditing && !confirmDelete && responses[currentIndex] && (
+              <ResponseFeedback
+                response={responses[currentIndex]}
+                onSaved={handleFeedbackSaved}
+              />
+            )}
+            
+            {/* Follow-up refinement, saved as a linked response */}
+            {!isEditing && !confirmDelete && (
+              <form onSubmit={handleRefine} className="flex gap-2 mb-4">
+                <Input
+                  value={refineInstruction}
+                  onChange={(e) => setRefineInstruction(e.target.value)}
+                  placeholder='Refine it: "make it punchier", "drop the second sentence"...'
+                  disabled={isRefining}
+                  className="flex-1"
+                />
+                <Button
+                  type="submit"
+                  variant="secondary"
+                  disabled={!refineInstruction.trim() || isRefining}
+                >
+                  {isRefining ? 'Refining...' : 'Refine'}
+                </Button>
+              </form>
+            )}
+            
             {/* Actions */}
             {confirmDelete ? (
               <div className="mt-6 border-t pt-4 border-gray-200 dark:border-gray-700">
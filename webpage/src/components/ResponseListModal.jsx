@@ -84,6 +84,12 @@ export function ResponseListModal({ isOpen, onClose, responses, onSelectResponse
                   </div>
                 )}
                 
+                {response.instruction && (
+                  <div className="mb-1 text-xs text-purple-700 dark:text-purple-300 truncate" title={response.instruction}>
+                    Refined: "{response.instruction}"
+                  </div>
+                )}
+                
                 {/* Preview of response text */}
                 <div className="text-sm text-gray-700 dark:text-gray-200 mb-2 line-clamp-2">
                   {truncateText(response.responseText, 150)}
@@ -1,7 +1,12 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Modal } from './ui/Modal';
 import { Button, IconButton } from './ui/Button';
+import { Input } from './ui/Input';
 import { usePrompts } from '../context/PromptContext';
+import { useSettings } from '../context/SettingsContext';
+import { ReadTimeInfo } from './ReadTimeInfo';
+import { estimateReadTime, getWordsPerMinute, getTargetSeconds, getReadTimeFit, buildFitInstruction, MAX_FIT_ATTEMPTS } from '../lib/readTime';
+import { showToast } from '../lib/toastUtil';
 
 /**
  * Modal for displaying OpenAI responses and saving them
@@ -12,10 +17,16 @@ import { usePrompts } from '../context/PromptContext';
  * @param {Object} props.response - The response from OpenAI
  * @param {boolean} props.loading - Whether the response is loading
  * @param {Object} props.error - Any error from the API
+ * @param {boolean} props.streaming - Whether the response is still streaming in
+ * @param {string} props.streamingText - Text received so far while streaming
+ * @param {function} props.onCancel - Function to cancel a streaming response
+ * @param {Object} props.variables - Variables used for the current generation
+ * @param {function} [props.onNewResponse] - Generates a fresh response for the prompt and variables
  * @returns {JSX.Element} The ResponseModal component
  */
-export function ResponseModal({ isOpen, onClose, promptData, response, loading, error, onNewResponse }) {
-  const { saveResponse, submitPromptToAi } = usePrompts();
+export function ResponseModal({ isOpen, onClose, promptData, response, loading, error, streaming, streamingText, onCancel, variables, onNewResponse }) {
+  const { saveResponse, submitPromptToAi, refineResponse } = usePrompts();
+  const { showProfile } = useSettings();
   const [saved, setSaved] = useState(false);
   const [copySuccess, setCopySuccess] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
@@ -24,32 +35,64 @@ export function ResponseModal({ isOpen, onClose, promptData, response, loading,
   const [isLoading, setIsLoading] = useState(false);
   const [responseError, setResponseError] = useState(null);
   const [aiResponse, setAiResponse] = useState(null);
+  const [cancelled, setCancelled] = useState(false);
+  // Attempt number while "Fit to Time" is regenerating, otherwise null
+  const [fitAttempt, setFitAttempt] = useState(null);
+  // The saved record behind the shown script, which refinements link to
+  const [savedRecord, setSavedRecord] = useState(null);
+  const [refineInstruction, setRefineInstruction] = useState('');
+  const [isRefining, setIsRefining] = useState(false);
   const textareaRef = useRef(null);
+  const streamRef = useRef(null);
+  
+  const currentResponse = aiResponse || response;
+  const currentVariables = currentResponse?.variablesUsed || variables || {};
+  const currentText = editedText || currentResponse?.responseText || '';
+  const wordsPerMinute = getWordsPerMinute(showProfile);
+  const targetSeconds = getTargetSeconds(currentVariables);
+  const fit = targetSeconds ? getReadTimeFit(estimateReadTime(currentText, wordsPerMinute).seconds, targetSeconds) : null;
   
   // Handle save response
   const handleSave = async () => {
     try {
       // Use the edited text if there are edits, otherwise use the original response text
       const responseToSave = {
-        ...response,
+        ...currentResponse,
         promptId: promptData?.id,
-        responseText: hasEdits ? editedText : response.responseText
+        responseText: hasEdits ? editedText : currentResponse.responseText
       };
       
-      await saveResponse(responseToSave);
+      const savedResponse = await saveResponse(responseToSave);
       
       // Update the state to reflect saved content
       setEditedText(responseToSave.responseText);
+      setSavedRecord(savedResponse);
       setSaved(true);
     } catch (err) {
       console.error('Error saving response:', err);
     }
   };
   
+  // Handle cancelling a streaming response
+  const handleCancel = () => {
+    setCancelled(true);
+    if (typeof onCancel === 'function') {
+      onCancel();
+    }
+  };
+  
   // Handle close
   const handleClose = () => {
+    // Stop generating if the modal is closed mid-stream
+    if (streaming && typeof onCancel === 'function') {
+      onCancel();
+    }
+    
     // Reset state when modal closes
+    setCancelled(false);
     setSaved(false);
+    setSavedRecord(null);
+    setRefineInstruction('');
     setCopySuccess(false);
     setIsEditing(false);
     setHasEdits(false);
@@ -61,6 +104,7 @@ export function ResponseModal({ isOpen, onClose, promptData, response, loading,
     if (promptData) {
       // Reset states
       setSaved(false);
+      setSavedRecord(null);
       setCopySuccess(false);
       setIsEditing(false);
       setHasEdits(false);
@@ -68,7 +112,7 @@ export function ResponseModal({ isOpen, onClose, promptData, response, loading,
       // Show loading state
       if (typeof onNewResponse === 'function') {
         // Use the provided callback for generating a new response with variables from current response
-        onNewResponse(promptData, response?.variablesUsed || {});
+        onNewResponse(promptData, response?.variablesUsed || variables || {});
       } else {
         // Generate a new response directly
         try {
@@ -77,7 +121,7 @@ export function ResponseModal({ isOpen, onClose, promptData, response, loading,
           setIsLoading(true);
           
           // Generate new response with same prompt and variables
-          const result = await submitPromptToAi(promptData, response?.variablesUsed || {});
+          const result = await submitPromptToAi(promptData, response?.variablesUsed || variables || {});
           
           // Update the response
           setAiResponse(result);
@@ -92,11 +136,105 @@ export function ResponseModal({ isOpen, onClose, promptData, response, loading,
     }
   };
   
+  // Regenerate with the measured overrun until the script fits its target length,
+  // keeping whichever attempt came closest
+  const handleFitToTime = async () => {
+    if (!promptData || !targetSeconds) return;
+    
+    const distanceFromTarget = (text) => Math.abs(estimateReadTime(text, wordsPerMinute).seconds - targetSeconds);
+    let closest = { response: null, distance: distanceFromTarget(currentText) };
+    let text = currentText;
+    
+    setSaved(false);
+    setSavedRecord(null);
+    setIsEditing(false);
+    setHasEdits(false);
+    
+    try {
+      for (let attempt = 1; attempt <= MAX_FIT_ATTEMPTS; attempt++) {
+        setFitAttempt(attempt);
+        
+        const result = await submitPromptToAi(promptData, currentVariables, {
+          targetSeconds,
+          followUps: [{
+            responseText: text,
+            instruction: buildFitInstruction(text, targetSeconds, wordsPerMinute)
+          }]
+        });
+        
+        text = result.responseText;
+        const distance = distanceFromTarget(text);
+        if (distance < closest.distance) {
+          closest = { response: result, distance };
+        }
+        
+        if (getReadTimeFit(estimateReadTime(text, wordsPerMinute).seconds, targetSeconds).status === 'fits') {
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('Error fitting response to time:', error);
+      showToast(error.message || 'Failed to fit the script to time', 'error');
+    } finally {
+      setFitAttempt(null);
+    }
+    
+    if (closest.response) {
+      setAiResponse(closest.response);
+      setEditedText(closest.response.responseText);
+      
+      const { seconds } = estimateReadTime(closest.response.responseText, wordsPerMinute);
+      if (getReadTimeFit(seconds, targetSeconds).status === 'fits') {
+        showToast('Script now fits the target length', 'success');
+      } else {
+        showToast(`Closest script is ${Math.abs(seconds - targetSeconds)}s off the target`, 'warning');
+      }
+    }
+  };
+  
+  // Send a follow-up instruction; the shown script is saved first so the refinement can link to it
+  const handleRefine = async (e) => {
+    e.preventDefault();
+    const instruction = refineInstruction.trim();
+    if (!instruction || !promptData) return;
+    
+    setIsRefining(true);
+    try {
+      let parent = saved && !hasEdits ? savedRecord : null;
+      if (!parent) {
+        parent = await saveResponse({
+          ...currentResponse,
+          promptId: promptData.id,
+          responseText: currentText
+        });
+        setSavedRecord(parent);
+        setSaved(true);
+      }
+      
+      const refined = await refineResponse(parent, instruction);
+      
+      setAiResponse(refined);
+      setEditedText(refined.responseText);
+      setSavedRecord(refined);
+      setSaved(true);
+      setHasEdits(false);
+      setIsEditing(false);
+      setRefineInstruction('');
+    } catch (error) {
+      showToast(error.message || 'Failed to refine the response', 'error');
+    } finally {
+      setIsRefining(false);
+    }
+  };
+  
   // Initialize edited text and internal response state when response changes
   useEffect(() => {
     if (response) {
       setAiResponse(response);
       setEditedText(response.responseText || '');
+      // A cached response is already saved; refinements and edits apply to it directly
+      setSavedRecord(response.fromCache ? response : null);
+      setSaved(!!response.fromCache);
       // Reset loading and error states
       setIsLoading(false);
       setResponseError(null);
@@ -106,8 +244,18 @@ export function ResponseModal({ isOpen, onClose, promptData, response, loading,
   // Sync with external loading state
   useEffect(() => {
     setIsLoading(loading);
+    if (loading) {
+      setCancelled(false);
+    }
   }, [loading]);
   
+  // Keep the newest streamed text in view
+  useEffect(() => {
+    if (streamRef.current) {
+      streamRef.current.scrollTop = streamRef.current.scrollHeight;
+    }
+  }, [streamingText]);
+  
   // Sync with external error state
   useEffect(() => {
     setResponseError(error);
@@ -143,19 +291,20 @@ export function ResponseModal({ isOpen, onClose, promptData, response, loading,
   
   const handleTextChange = (e) => {
     setEditedText(e.target.value);
-    setHasEdits(e.target.value !== response?.responseText);
+    setHasEdits(e.target.value !== currentResponse?.responseText);
   };
   
   const handleSaveEdit = async () => {
     // Create a modified response object with the edited text
     const updatedResponse = {
-      ...response,
+      ...currentResponse,
       responseText: editedText
     };
     
     try {
       // Save the edited response and wait for it to complete
-      await saveResponse(updatedResponse);
+      const savedResponse = await saveResponse(updatedResponse);
+      setSavedRecord(savedResponse);
       
       // Keep the updated text visible after saving
       // This ensures the view shows the newly saved content
@@ -172,7 +321,7 @@ export function ResponseModal({ isOpen, onClose, promptData, response, loading,
   };
   
   const handleCancelEdit = () => {
-    setEditedText(response?.responseText || '');
+    setEditedText(currentResponse?.responseText || '');
     setHasEdits(false);
     setIsEditing(false);
   };
@@ -180,7 +329,7 @@ export function ResponseModal({ isOpen, onClose, promptData, response, loading,
   return (
     <Modal isOpen={isOpen} onClose={handleClose} title="AI Response" maxWidth="2xl">
       <div className="p-2">
-        {(loading || isLoading) && (
+        {(loading || isLoading) && !streaming && (
           <div className="flex justify-center items-center py-8">
             <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
           </div>
@@ -192,7 +341,74 @@ export function ResponseModal({ isOpen, onClose, promptData, response, loading,
           </div>
         )}
         
-        {!(loading || isLoading) && !(error || responseError) && (aiResponse || response) && (
+        {/* Streaming or cancelled response; Save is only offered once the stream completes */}
+        {(streaming || cancelled) && !(error || responseError) && (
+          <div>
+            {promptData && (
+              <div className="mb-4">
+                <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">Prompt</h3>
+                <p className="text-gray-700 dark:text-gray-300">{promptData.title}</p>
+              </div>
+            )}
+            
+            <div
+              ref={streamRef}
+              className="bg-gray-50 dark:bg-gray-700 p-4 rounded-md mb-4 max-h-96 overflow-y-auto"
+            >
+              <div className="text-gray-800 dark:text-gray-100 whitespace-pre-wrap p-2 min-h-[2rem]">
+                {streamingText}
+                {streaming && (
+                  <span className="inline-block w-2 h-4 ml-1 align-text-bottom bg-blue-500 animate-pulse"></span>
+                )}
+              </div>
+            </div>
+            
+            <div className="mb-4 text-xs text-gray-500 dark:text-gray-400">
+              {streaming ? (
+                <p>Generating...</p>
+              ) : (
+                <p>Generation cancelled. Partial responses can't be saved.</p>
+              )}
+            </div>
+            
+            <div className="flex justify-between mt-6">
+              <Button 
+                onClick={handleClose} 
+                className="bg-red-600 hover:bg-red-700 dark:bg-red-700 dark:hover:bg-red-800 text-white"
+              >
+                Close
+              </Button>
+              
+              {streaming ? (
+                <Button 
+                  onClick={handleCancel}
+                  variant="secondary"
+                  icon={
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  }
+                >
+                  Stop
+                </Button>
+              ) : (
+                <Button 
+                  onClick={handleNewResponse}
+                  className="bg-purple-600 hover:bg-purple-700 dark:bg-purple-700 dark:hover:bg-purple-800 text-white"
+                  icon={
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                    </svg>
+                  }
+                >
+                  New Response
+                </Button>
+              )}
+            </div>
+          </div>
+        )}
+        
+        {!(loading || isLoading) && !cancelled && !(error || responseError) && (aiResponse || response) && (
           <div>
             {/* Prompt title if available */}
             {promptData && (
@@ -202,6 +418,19 @@ export function ResponseModal({ isOpen, onClose, promptData, response, loading,
               </div>
             )}
             
+            {/* Reused from the response cache; offer a fresh generation instead */}
+            {currentResponse?.fromCache && (
+              <div className="flex items-center justify-between gap-2 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 text-blue-800 dark:text-blue-300 px-3 py-2 rounded mb-4 text-sm">
+                <span>
+                  Reused a saved response from {new Date(currentResponse.createdAt).toLocaleString()}
+                  {currentResponse.user?.firstName ? ` by ${currentResponse.user.firstName}` : ''}. No AI request was made.
+                </span>
+                <Button onClick={handleNewResponse} variant="outline" size="small">
+                  Generate Fresh
+                </Button>
+              </div>
+            )}
+            
             {/* Response content */}
             <div className="bg-gray-50 dark:bg-gray-700 p-4 rounded-md mb-4 max-h-96 overflow-y-auto">
               {isEditing ? (
@@ -223,16 +452,53 @@ export function ResponseModal({ isOpen, onClose, promptData, response, loading,
               )}
             </div>
             
+            {currentResponse?.instruction && (
+              <p className="mb-2 text-xs text-gray-500 dark:text-gray-400">
+                Refined with: "{currentResponse.instruction}"
+              </p>
+            )}
+            
+            <ReadTimeInfo text={currentText} variables={currentVariables} className="mb-2" />
+            
+            {fitAttempt && (
+              <p className="mb-2 text-xs text-blue-600 dark:text-blue-400">
+                Fitting to time (attempt {fitAttempt} of {MAX_FIT_ATTEMPTS})...
+              </p>
+            )}
+            
             {/* Response metadata */}
             {(aiResponse || response)?.modelUsed && (
               <div className="mb-4 text-xs text-gray-500 dark:text-gray-400">
                 <p>Model: {(aiResponse || response).modelUsed}</p>
+                {(aiResponse || response).temperature != null && (
+                  <p>Temperature: {(aiResponse || response).temperature}, max tokens: {(aiResponse || response).maxTokens}</p>
+                )}
                 {(aiResponse || response).totalTokens && (
                   <p>Tokens used: {(aiResponse || response).totalTokens} ({(aiResponse || response).promptTokens} prompt, {(aiResponse || response).completionTokens} completion)</p>
                 )}
               </div>
             )}
             
+            {/* Follow-up refinement, saved as a linked response */}
+            {!isEditing && promptData && (
+              <form onSubmit={handleRefine} className="flex gap-2 mb-4">
+                <Input
+                  value={refineInstruction}
+                  onChange={(e) => setRefineInstruction(e.target.value)}
+                  placeholder='Refine it: "make it punchier", "drop the second sentence"...'
+                  disabled={isRefining || fitAttempt !== null}
+                  className="flex-1"
+                />
+                <Button
+                  type="submit"
+                  variant="secondary"
+                  disabled={!refineInstruction.trim() || isRefining || fitAttempt !== null}
+                >
+                  {isRefining ? 'Refining...' : 'Refine'}
+                </Button>
+              </form>
+            )}
+            
             {/* Actions */}
             <div className="flex justify-between mt-6">
               <div>
@@ -274,6 +540,17 @@ export function ResponseModal({ isOpen, onClose, promptData, response, loading,
                   </Button>
                 ) : (
                   <>
+                    {fit && fit.status !== 'fits' && promptData && (
+                      <Button
+                        onClick={handleFitToTime}
+                        variant="secondary"
+                        disabled={fitAttempt !== null}
+                        title="Regenerate until the script fits its target length"
+                      >
+                        {fitAttempt ? 'Fitting...' : 'Fit to Time'}
+                      </Button>
+                    )}
+                    
                     <Button 
                       onClick={handleCopy} 
                       className="bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800 text-white"
@@ -0,0 +1,577 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Header } from './Header';
+import { Button, IconButton } from './ui/Button';
+import { Input, TextArea, Label, Select, FormGroup } from './ui/Input';
+import { usePrompts } from '../context/PromptContext';
+import { useSettings } from '../context/SettingsContext';
+import { detectVariableSpecs, validateVariableValue } from '../lib/formatPromptDisplay';
+import { fillAutomaticVariables } from '../lib/dynamicVariables';
+import { buildRundownScript, getTotalTargetSeconds, getSlotTitle } from '../lib/rundownScript';
+import { formatDuration } from '../lib/readTime';
+import storage from '../lib/storage';
+import { showToast } from '../lib/toastUtil';
+
+const EMPTY_RUNDOWN = { id: null, title: '', showDate: '', slots: [] };
+
+/**
+ * Gives a slot a stable key for rendering and progress tracking
+ * @param {Object} slot - Rundown slot
+ * @returns {Object} The slot with a key
+ */
+function withKey(slot) {
+  return { ...slot, key: slot.key || slot.id || `slot_${Date.now()}_${Math.random().toString(36).substr(2, 5)}` };
+}
+
+/**
+ * Converts an editable rundown into the shape the db API saves
+ * @param {Object} draft - The rundown being edited
+ * @returns {Object} Rundown payload
+ */
+function toPayload(draft) {
+  return {
+    id: draft.id || undefined,
+    title: draft.title,
+    showDate: draft.showDate || null,
+    slots: draft.slots.map(slot => ({
+      promptId: slot.promptId,
+      label: slot.label,
+      variables: slot.variables,
+      targetSeconds: parseInt(slot.targetSeconds) || null,
+      responseId: slot.responseId || null
+    }))
+  };
+}
+
+export function RundownBuilder() {
+  const { corePrompts, userPrompts, submitPromptToAi, saveResponse } = usePrompts();
+  const { showProfile } = useSettings();
+  const [rundowns, setRundowns] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_RUNDOWN);
+  const [isDirty, setIsDirty] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isGenerating, setIsGenerating] = useState(false);
+  // Generation progress per slot key: { status, error }
+  const [slotStatus, setSlotStatus] = useState({});
+  const stopRequestedRef = useRef(false);
+  
+  const allPrompts = useMemo(
+    () => [...corePrompts, ...userPrompts].sort((a, b) => a.title.localeCompare(b.title)),
+    [corePrompts, userPrompts]
+  );
+  
+  const findPrompt = (promptId) => allPrompts.find(prompt => prompt.id === promptId);
+  
+  // Load the user's rundowns once
+  useEffect(() => {
+    storage.getRundowns().then(setRundowns);
+  }, []);
+  
+  const confirmDiscard = () => !isDirty || window.confirm('You have unsaved changes to this rundown. Discard them?');
+  
+  const loadRundown = (rundown) => {
+    if (!confirmDiscard()) return;
+    setDraft({ ...rundown, showDate: rundown.showDate || '', slots: rundown.slots.map(withKey) });
+    setSlotStatus({});
+    setIsDirty(false);
+  };
+  
+  const handleNewRundown = () => {
+    if (!confirmDiscard()) return;
+    setDraft({ ...EMPTY_RUNDOWN, slots: [] });
+    setSlotStatus({});
+    setIsDirty(false);
+  };
+  
+  const updateDraft = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setIsDirty(true);
+  };
+  
+  const updateSlot = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      slots: prev.slots.map((slot, i) => i === index ? { ...slot, ...changes } : slot)
+    }));
+    setIsDirty(true);
+  };
+  
+  const handleAddSlot = () => {
+    updateDraft({
+      slots: [...draft.slots, withKey({ promptId: '', label: '', variables: {}, targetSeconds: '', responseId: null, responseText: null })]
+    });
+  };
+  
+  const handleRemoveSlot = (index) => {
+    updateDraft({ slots: draft.slots.filter((slot, i) => i !== index) });
+  };
+  
+  const handleMoveSlot = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= draft.slots.length) return;
+    
+    const slots = [...draft.slots];
+    [slots[index], slots[target]] = [slots[target], slots[index]];
+    updateDraft({ slots });
+  };
+  
+  const handlePromptChange = (index, promptId) => {
+    // A different prompt has different variables, and the old script no longer applies
+    updateSlot(index, { promptId, variables: {}, responseId: null, responseText: null });
+  };
+  
+  const handleVariableChange = (index, name, value) => {
+    updateSlot(index, { variables: { ...draft.slots[index].variables, [name]: value } });
+  };
+  
+  // Saves a rundown and returns the saved copy, keeping slot keys so progress stays attached
+  const persistRundown = async (rundown) => {
+    if (!rundown.title.trim()) {
+      throw new Error('Give the rundown a title before saving');
+    }
+    if (rundown.slots.some(slot => !slot.promptId)) {
+      throw new Error('Choose a prompt for every slot before saving');
+    }
+    
+    const saved = await storage.saveRundown(toPayload(rundown));
+    const savedDraft = {
+      ...saved,
+      showDate: saved.showDate || '',
+      slots: saved.slots.map((slot, index) => ({ ...slot, key: rundown.slots[index].key }))
+    };
+    
+    setDraft(savedDraft);
+    setIsDirty(false);
+    setRundowns(prev => [saved, ...prev.filter(r => r.id !== saved.id)]);
+    return savedDraft;
+  };
+  
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await persistRundown(draft);
+      showToast('Rundown saved', 'success');
+    } catch (error) {
+      showToast(error.message || 'Failed to save rundown', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  
+  const handleDelete = async () => {
+    if (!draft.id || !window.confirm(`Delete the rundown "${draft.title}"?`)) return;
+    
+    const deleted = await storage.deleteRundown(draft.id);
+    if (deleted) {
+      setRundowns(prev => prev.filter(r => r.id !== draft.id));
+      setDraft({ ...EMPTY_RUNDOWN, slots: [] });
+      setSlotStatus({});
+      setIsDirty(false);
+      showToast('Rundown deleted', 'success');
+    } else {
+      showToast('Failed to delete rundown', 'error');
+    }
+  };
+  
+  // Generates the given slots in show order, saving each script as a response
+  const generateSlots = async (indices) => {
+    let working;
+    try {
+      working = await persistRundown(draft);
+    } catch (error) {
+      showToast(error.message || 'Failed to save rundown', 'error');
+      return;
+    }
+    
+    stopRequestedRef.current = false;
+    setIsGenerating(true);
+    setSlotStatus(prev => {
+      const next = { ...prev };
+      indices.forEach(index => { next[working.slots[index].key] = { status: 'queued' }; });
+      return next;
+    });
+    
+    let failed = 0;
+    
+    for (const index of indices) {
+      const slot = working.slots[index];
+      
+      if (stopRequestedRef.current) {
+        setSlotStatus(prev => ({ ...prev, [slot.key]: { status: 'cancelled' } }));
+        continue;
+      }
+      
+      const prompt = findPrompt(slot.promptId);
+      const specs = detectVariableSpecs(prompt?.promptText);
+      const values = fillAutomaticVariables(specs, slot.variables, showProfile);
+      const invalid = specs
+        .map(spec => ({ spec, error: validateVariableValue(spec, values[spec.name]) }))
+        .find(check => check.error);
+      
+      if (!prompt || invalid) {
+        failed++;
+        setSlotStatus(prev => ({
+          ...prev,
+          [slot.key]: { status: 'error', error: prompt ? `${invalid.spec.name}: ${invalid.error}` : 'Prompt not found' }
+        }));
+        continue;
+      }
+      
+      setSlotStatus(prev => ({ ...prev, [slot.key]: { status: 'running' } }));
+      
+      try {
+        const result = await submitPromptToAi(prompt, values, {
+          targetSeconds: parseInt(slot.targetSeconds) || undefined
+        });
+        const savedResponse = await saveResponse(result);
+        
+        working = {
+          ...working,
+          slots: working.slots.map((s, i) => i === index
+            ? { ...s, responseId: savedResponse.id, responseText: savedResponse.responseText }
+            : s)
+        };
+        setDraft(working);
+        setSlotStatus(prev => ({ ...prev, [slot.key]: { status: 'done' } }));
+      } catch (error) {
+        failed++;
+        setSlotStatus(prev => ({ ...prev, [slot.key]: { status: 'error', error: error.message || 'Generation failed' } }));
+      }
+    }
+    
+    // Record which responses belong to the rundown
+    try {
+      await persistRundown(working);
+    } catch (error) {
+      showToast(error.message || 'Failed to save rundown', 'error');
+    }
+    
+    setIsGenerating(false);
+    
+    if (failed > 0) {
+      showToast(`${failed} segment${failed !== 1 ? 's' : ''} failed to generate`, 'warning');
+    } else if (!stopRequestedRef.current) {
+      showToast('Rundown generated', 'success');
+    }
+  };
+  
+  const handleGenerateAll = () => generateSlots(draft.slots.map((slot, index) => index));
+  
+  const handleStop = () => {
+    stopRequestedRef.current = true;
+  };
+  
+  const getScript = () => buildRundownScript(draft, findPrompt);
+  
+  const handleCopyScript = async () => {
+    try {
+      await navigator.clipboard.writeText(getScript());
+      showToast('Show script copied to clipboard', 'success');
+    } catch (error) {
+      showToast('Failed to copy show script', 'error');
+    }
+  };
+  
+  const handleDownloadScript = () => {
+    const blob = new Blob([getScript()], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    
+    // Create a link and trigger download
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${(draft.title || 'rundown').replace(/[^\w-]+/g, '_')}${draft.showDate ? `_${draft.showDate}` : ''}.txt`;
+    a.click();
+    
+    // Clean up
+    URL.revokeObjectURL(url);
+  };
+  
+  const totalSeconds = getTotalTargetSeconds(draft.slots);
+  const hasScripts = draft.slots.some(slot => slot.responseText);
+  
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex flex-col">
+      <Header />
+      
+      <main className="flex-grow container mx-auto px-4 py-4">
+        <div className="grid grid-cols-12 gap-4">
+          {/* Rundown list */}
+          <div className="col-span-12 sm:col-span-3 xl:col-span-2">
+            <div className="bg-white dark:bg-gray-800 shadow rounded-lg overflow-hidden sticky top-4 py-3 px-2">
+              <div className="flex justify-between items-center mb-3 px-1">
+                <h2 className="text-base font-medium text-gray-700 dark:text-gray-300">RUNDOWNS</h2>
+                <IconButton
+                  title="New Rundown"
+                  onClick={handleNewRundown}
+                  disabled={isGenerating}
+                  variant="primary"
+                  className="rounded-full p-1"
+                  icon={
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                    </svg>
+                  }
+                />
+              </div>
+              {rundowns.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400 px-1">No rundowns yet.</p>
+              ) : (
+                <ul className="space-y-1">
+                  {rundowns.map(rundown => (
+                    <li key={rundown.id}>
+                      <button
+                        type="button"
+                        onClick={() => loadRundown(rundown)}
+                        disabled={isGenerating}
+                        className={`w-full text-left px-2 py-1.5 rounded-md text-sm transition-colors ${
+                          rundown.id === draft.id
+                            ? 'bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300'
+                            : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                        }`}
+                      >
+                        <span className="block truncate">{rundown.title}</span>
+                        <span className="block text-xs text-gray-500 dark:text-gray-400">
+                          {rundown.showDate || 'No date'} · {rundown.slots.length} segment{rundown.slots.length !== 1 ? 's' : ''}
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+          
+          {/* Rundown editor */}
+          <div className="col-span-12 sm:col-span-9 xl:col-span-10">
+            <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-4">
+              <fieldset disabled={isGenerating} className="space-y-4">
+                <div className="grid grid-cols-12 gap-4">
+                  <FormGroup className="col-span-12 md:col-span-8">
+                    <Label htmlFor="rundown-title">Title</Label>
+                    <Input
+                      id="rundown-title"
+                      value={draft.title}
+                      onChange={(e) => updateDraft({ title: e.target.value })}
+                      placeholder="e.g., Friday Night Shift"
+                    />
+                  </FormGroup>
+                  <FormGroup className="col-span-12 md:col-span-4">
+                    <Label htmlFor="rundown-date">Show Date</Label>
+                    <Input
+                      id="rundown-date"
+                      type="date"
+                      value={draft.showDate}
+                      onChange={(e) => updateDraft({ showDate: e.target.value })}
+                    />
+                  </FormGroup>
+                </div>
+                
+                {draft.slots.length === 0 && (
+                  <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-6">
+                    Add segments in the order they air: intro, artist bios, weather, station ID, outro...
+                  </p>
+                )}
+                
+                <ol className="space-y-3">
+                  {draft.slots.map((slot, index) => {
+                    const prompt = findPrompt(slot.promptId);
+                    const specs = detectVariableSpecs(prompt?.promptText);
+                    const automatic = fillAutomaticVariables(specs, {}, showProfile);
+                    const status = slotStatus[slot.key];
+                    
+                    return (
+                      <li key={slot.key} className="border border-gray-200 dark:border-gray-700 rounded-md p-3">
+                        <div className="flex items-center justify-between mb-2">
+                          <span className="text-sm font-semibold text-gray-800 dark:text-gray-200">
+                            {index + 1}. {getSlotTitle(slot, prompt)}
+                            {slot.targetSeconds && (
+                              <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">
+                                {formatDuration(parseInt(slot.targetSeconds))}
+                              </span>
+                            )}
+                          </span>
+                          <div className="flex items-center gap-1">
+                            {status && (
+                              <span className={`text-xs mr-2 ${
+                                status.status === 'error' ? 'text-red-600 dark:text-red-400'
+                                  : status.status === 'done' ? 'text-green-600 dark:text-green-400'
+                                    : 'text-gray-500 dark:text-gray-400'
+                              }`}>
+                                {{ queued: 'Queued', running: 'Generating...', done: 'Generated', error: 'Failed', cancelled: 'Skipped' }[status.status]}
+                              </span>
+                            )}
+                            <IconButton
+                              title="Move Up"
+                              onClick={() => handleMoveSlot(index, -1)}
+                              disabled={index === 0}
+                              icon={
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 15l7-7 7 7" />
+                                </svg>
+                              }
+                            />
+                            <IconButton
+                              title="Move Down"
+                              onClick={() => handleMoveSlot(index, 1)}
+                              disabled={index === draft.slots.length - 1}
+                              icon={
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7" />
+                                </svg>
+                              }
+                            />
+                            <IconButton
+                              title="Remove Segment"
+                              variant="danger"
+                              onClick={() => handleRemoveSlot(index)}
+                              icon={
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                                </svg>
+                              }
+                            />
+                          </div>
+                        </div>
+                        
+                        <div className="grid grid-cols-12 gap-3">
+                          <FormGroup className="col-span-12 md:col-span-6">
+                            <Label htmlFor={`slot-prompt-${slot.key}`}>Prompt</Label>
+                            <Select
+                              id={`slot-prompt-${slot.key}`}
+                              value={slot.promptId}
+                              onChange={(e) => handlePromptChange(index, e.target.value)}
+                            >
+                              <option value="">Select a prompt...</option>
+                              {allPrompts.map(p => (
+                                <option key={p.id} value={p.id}>{p.title}</option>
+                              ))}
+                            </Select>
+                          </FormGroup>
+                          <FormGroup className="col-span-8 md:col-span-4">
+                            <Label htmlFor={`slot-label-${slot.key}`}>Segment Label</Label>
+                            <Input
+                              id={`slot-label-${slot.key}`}
+                              value={slot.label}
+                              onChange={(e) => updateSlot(index, { label: e.target.value })}
+                              placeholder={prompt?.title || 'e.g., Weather'}
+                            />
+                          </FormGroup>
+                          <FormGroup className="col-span-4 md:col-span-2">
+                            <Label htmlFor={`slot-target-${slot.key}`}>Target (sec)</Label>
+                            <Input
+                              id={`slot-target-${slot.key}`}
+                              type="number"
+                              min="1"
+                              value={slot.targetSeconds ?? ''}
+                              onChange={(e) => updateSlot(index, { targetSeconds: e.target.value })}
+                              placeholder="30"
+                            />
+                          </FormGroup>
+                          
+                          {specs.map(spec => (
+                            <FormGroup key={spec.name} className="col-span-12 md:col-span-6">
+                              <Label htmlFor={`slot-var-${slot.key}-${spec.name}`} className="capitalize">
+                                {spec.name.replace(/[_-]/g, ' ')}
+                              </Label>
+                              {spec.type === 'choice' ? (
+                                <Select
+                                  id={`slot-var-${slot.key}-${spec.name}`}
+                                  value={slot.variables[spec.name] || ''}
+                                  onChange={(e) => handleVariableChange(index, spec.name, e.target.value)}
+                                >
+                                  <option value="">{automatic[spec.name] ? `Default (${automatic[spec.name]})` : 'Select...'}</option>
+                                  {spec.choices.map(choice => (
+                                    <option key={choice} value={choice}>{choice}</option>
+                                  ))}
+                                </Select>
+                              ) : (
+                                <Input
+                                  id={`slot-var-${slot.key}-${spec.name}`}
+                                  type={spec.type === 'number' ? 'number' : 'text'}
+                                  value={slot.variables[spec.name] || ''}
+                                  onChange={(e) => handleVariableChange(index, spec.name, e.target.value)}
+                                  placeholder={automatic[spec.name] ? `Automatic: ${automatic[spec.name]}` : ''}
+                                />
+                              )}
+                            </FormGroup>
+                          ))}
+                        </div>
+                        
+                        {status?.error && (
+                          <p className="text-xs text-red-600 dark:text-red-400 mt-2">{status.error}</p>
+                        )}
+                        
+                        {slot.responseText && (
+                          <TextArea
+                            readOnly
+                            value={slot.responseText}
+                            className="mt-3 h-28 resize-y text-sm bg-gray-50 dark:bg-gray-900"
+                          />
+                        )}
+                        
+                        {prompt && (
+                          <div className="flex justify-end mt-2">
+                            <button
+                              type="button"
+                              className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                              onClick={() => generateSlots([index])}
+                            >
+                              {slot.responseText ? 'Regenerate' : 'Generate'} this segment
+                            </button>
+                          </div>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ol>
+                
+                <Button variant="secondary" onClick={handleAddSlot}>
+                  Add Segment
+                </Button>
+              </fieldset>
+              
+              <div className="flex flex-wrap items-center justify-between gap-2 mt-6 pt-4 border-t border-gray-200 dark:border-gray-700">
+                <div className="text-sm text-gray-600 dark:text-gray-300">
+                  {draft.slots.length} segment{draft.slots.length !== 1 ? 's' : ''}
+                  {totalSeconds > 0 && ` · ${formatDuration(totalSeconds)} target`}
+                  {isDirty && <span className="ml-2 text-yellow-600 dark:text-yellow-400">Unsaved changes</span>}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {draft.id && (
+                    <Button variant="danger" onClick={handleDelete} disabled={isGenerating}>
+                      Delete
+                    </Button>
+                  )}
+                  <Button variant="secondary" onClick={handleCopyScript} disabled={!hasScripts}>
+                    Copy Script
+                  </Button>
+                  <Button variant="secondary" onClick={handleDownloadScript} disabled={!hasScripts}>
+                    Export Script
+                  </Button>
+                  <Button variant="secondary" onClick={handleSave} disabled={isSaving || isGenerating}>
+                    {isSaving ? 'Saving...' : 'Save'}
+                  </Button>
+                  {isGenerating ? (
+                    <Button
+                      className="bg-red-600 hover:bg-red-700 dark:bg-red-700 dark:hover:bg-red-800 text-white"
+                      onClick={handleStop}
+                    >
+                      Stop After Current
+                    </Button>
+                  ) : (
+                    <Button
+                      className="bg-green-600 hover:bg-green-700 dark:bg-green-700 dark:hover:bg-green-800 text-white"
+                      onClick={handleGenerateAll}
+                      disabled={draft.slots.length === 0}
+                    >
+                      Generate All
+                    </Button>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Input, Select } from './ui/Input';
+import { useAuth } from '../context/AuthContext';
+import storage from '../lib/storage';
+
+// Wait this long after typing stops before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Date filter choices, in days back from today
+const DATE_RANGES = [
+  { value: '', label: 'Any time' },
+  { value: '7', label: 'Past week' },
+  { value: '30', label: 'Past month' },
+  { value: '365', label: 'Past year' }
+];
+
+const MINE = 'mine';
+
+/**
+ * Renders snippet segments with the matched terms highlighted
+ * @param {Object} props - Component props
+ * @param {Object[]} props.segments - Segments of { text, highlight } from the search API
+ * @returns {JSX.Element} The snippet
+ */
+function Snippet({ segments }) {
+  return (
+    <p className="text-xs text-gray-600 dark:text-gray-400 mt-0.5 line-clamp-2">
+      {segments.map((segment, index) => segment.highlight ? (
+        <mark key={index} className="bg-yellow-200 dark:bg-yellow-700 dark:text-gray-100 rounded-sm px-0.5">
+          {segment.text}
+        </mark>
+      ) : (
+        <React.Fragment key={index}>{segment.text}</React.Fragment>
+      ))}
+    </p>
+  );
+}
+
+/**
+ * Formats a user's name for a search result
+ * @param {Object|null} person - { firstName, lastName }
+ * @returns {string} The name, or an empty string
+ */
+function formatName(person) {
+  return [person?.firstName, person?.lastName].filter(Boolean).join(' ');
+}
+
+/**
+ * Full-text search over prompts and saved responses, with date, user and model filters
+ * @param {Object} props - Component props
+ * @param {Function} props.onOpenPrompt - Called with a prompt result when it is picked
+ * @param {Function} props.onOpenResponse - Called with a response result when it is picked
+ * @returns {JSX.Element} The search bar and its results panel
+ */
+export function SearchBar({ onOpenPrompt, onOpenResponse }) {
+  const { user } = useAuth();
+  const [query, setQuery] = useState('');
+  const [dateRange, setDateRange] = useState('');
+  const [userFilter, setUserFilter] = useState('');
+  const [modelFilter, setModelFilter] = useState('');
+  const [results, setResults] = useState({ prompts: [], responses: [] });
+  const [isSearching, setIsSearching] = useState(false);
+  const [isOpen, setIsOpen] = useState(false);
+  // People and models seen in results for the current text, offered as filters
+  const [seenPeople, setSeenPeople] = useState(new Map());
+  const [seenModels, setSeenModels] = useState([]);
+  const containerRef = useRef(null);
+  // Only the latest search may update the results
+  const searchIdRef = useRef(0);
+  
+  const trimmedQuery = query.trim();
+  
+  // Filter choices start over when the search text changes
+  useEffect(() => {
+    setSeenPeople(new Map());
+    setSeenModels([]);
+    setUserFilter(current => current === MINE ? current : '');
+    setModelFilter('');
+  }, [trimmedQuery]);
+  
+  // Search after typing pauses or a filter changes
+  useEffect(() => {
+    if (!trimmedQuery) {
+      setResults({ prompts: [], responses: [] });
+      setIsSearching(false);
+      return;
+    }
+    
+    const searchId = ++searchIdRef.current;
+    setIsSearching(true);
+    
+    const timer = setTimeout(async () => {
+      const from = dateRange
+        ? new Date(Date.now() - parseInt(dateRange) * 24 * 60 * 60 * 1000).toISOString()
+        : undefined;
+      
+      const found = await storage.search({
+        query: trimmedQuery,
+        from,
+        userId: userFilter === MINE ? user?.id : userFilter || undefined,
+        model: modelFilter || undefined
+      });
+      
+      if (searchId !== searchIdRef.current) {
+        return;
+      }
+      
+      setResults(found);
+      setIsSearching(false);
+      
+      // Remember who and which models turned up so they can be used as filters
+      setSeenPeople(prev => {
+        const next = new Map(prev);
+        found.prompts.forEach(p => p.userId && p.owner && next.set(p.userId, formatName(p.owner)));
+        found.responses.forEach(r => r.userId && r.user && next.set(r.userId, formatName(r.user)));
+        return next;
+      });
+      setSeenModels(prev => [...new Set([
+        ...prev,
+        ...found.prompts.map(p => p.model),
+        ...found.responses.map(r => r.modelUsed)
+      ].filter(Boolean))].sort());
+    }, SEARCH_DEBOUNCE_MS);
+    
+    return () => clearTimeout(timer);
+  }, [trimmedQuery, dateRange, userFilter, modelFilter, user?.id]);
+  
+  // Close the results when clicking elsewhere (but not in a filter's dropdown)
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (window.modalClickOutsideDisabled || event.target.closest('[data-dropdown-option]')) {
+        return;
+      }
+      
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    }
+    
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [isOpen]);
+  
+  const otherPeople = useMemo(
+    () => [...seenPeople].filter(([id]) => id !== user?.id),
+    [seenPeople, user?.id]
+  );
+  
+  const handleOpenPrompt = (result) => {
+    setIsOpen(false);
+    onOpenPrompt?.(result);
+  };
+  
+  const handleOpenResponse = (result) => {
+    setIsOpen(false);
+    onOpenResponse?.(result);
+  };
+  
+  const hasResults = results.prompts.length > 0 || results.responses.length > 0;
+  
+  return (
+    <div ref={containerRef} className="relative w-full max-w-md">
+      <Input
+        type="search"
+        value={query}
+        placeholder="Search prompts and responses..."
+        className="text-sm py-1.5"
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={(e) => e.key === 'Escape' && setIsOpen(false)}
+      />
+      
+      {isOpen && trimmedQuery && (
+        <div className="absolute left-0 right-0 mt-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md shadow-lg z-[20] max-h-[70vh] overflow-y-auto">
+          <div className="grid grid-cols-3 gap-2 p-2 border-b border-gray-100 dark:border-gray-700">
+            <Select value={dateRange} onChange={(e) => setDateRange(e.target.value)}>
+              {DATE_RANGES.map(range => (
+                <option key={range.value} value={range.value}>{range.label}</option>
+              ))}
+            </Select>
+            <Select value={userFilter} onChange={(e) => setUserFilter(e.target.value)}>
+              <option value="">Anyone</option>
+              <option value={MINE}>Only mine</option>
+              {otherPeople.map(([id, name]) => (
+                <option key={id} value={id}>{name || 'Another user'}</option>
+              ))}
+            </Select>
+            <Select value={modelFilter} onChange={(e) => setModelFilter(e.target.value)}>
+              <option value="">Any model</option>
+              {seenModels.map(model => (
+                <option key={model} value={model}>{model}</option>
+              ))}
+            </Select>
+          </div>
+          
+          {isSearching && !hasResults && (
+            <p className="p-3 text-sm text-gray-500 dark:text-gray-400">Searching...</p>
+          )}
+          
+          {!isSearching && !hasResults && (
+            <p className="p-3 text-sm text-gray-500 dark:text-gray-400">No prompts or responses match "{trimmedQuery}".</p>
+          )}
+          
+          {results.prompts.length > 0 && (
+            <div className="py-1">
+              <h4 className="px-3 py-1 text-xs font-semibold uppercase text-gray-500 dark:text-gray-400">Prompts</h4>
+              {results.prompts.map(result => (
+                <button
+                  key={result.id}
+                  type="button"
+                  className="w-full text-left px-3 py-2 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  onClick={() => handleOpenPrompt(result)}
+                >
+                  <span className="text-sm font-medium text-blue-600 dark:text-blue-400">{result.title}</span>
+                  <Snippet segments={result.snippet} />
+                </button>
+              ))}
+            </div>
+          )}
+          
+          {results.responses.length > 0 && (
+            <div className="py-1 border-t border-gray-100 dark:border-gray-700">
+              <h4 className="px-3 py-1 text-xs font-semibold uppercase text-gray-500 dark:text-gray-400">Responses</h4>
+              {results.responses.map(result => (
+                <button
+                  key={result.id}
+                  type="button"
+                  className="w-full text-left px-3 py-2 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  onClick={() => handleOpenResponse(result)}
+                >
+                  <span className="text-sm font-medium text-gray-900 dark:text-gray-100">{result.promptTitle}</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400 ml-2">
+                    {[formatName(result.user), result.modelUsed, new Date(result.createdAt).toLocaleDateString()].filter(Boolean).join(' · ')}
+                  </span>
+                  <Snippet segments={result.snippet} />
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
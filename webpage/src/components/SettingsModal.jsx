@@ -1,31 +1,48 @@
 import React, { useState, useEffect } from 'react';
 import { Modal } from './ui/Modal';
 import { Button, IconButton } from './ui/Button';
-import { Input } from './ui/Input';
+import { Input, TextArea, Select } from './ui/Input';
 import { usePrompts } from '../context/PromptContext';
 import { useSettings } from '../context/SettingsContext';
 import { useAuth } from '../context/AuthContext';
 // Import the utility functions
 import { exportPromptData, importPromptData } from '../lib/importExportUtil';
 import { showToast } from '../lib/toastUtil';
+import { getAiProviders } from '../lib/apiClient';
+import { SHOW_PROFILE_FIELDS } from '../lib/showProfile';
+import { VISIBILITY_PRIVATE, VISIBILITY_SHARED } from '../lib/visibility';
+import { buildCategoryTree, flattenCategoryTree } from '../lib/categoryTree';
 import PasswordStrengthIndicator from './PasswordStrengthIndicator';
 import { usePasswordValidation } from '../hooks/usePasswordValidation';
 
 export function SettingsModal({ isOpen, onClose }) {
-  const { settings, updateSettings } = useSettings();
+  const { settings, updateSettings, showProfile, updateShowProfile } = useSettings();
   const { 
     userCategories, 
-    CORE_CATEGORIES, 
-    MAX_USER_CATEGORIES,
+    coreCategories, 
     addCategory,
     updateCategory,
+    updateCategoryVisibility,
     deleteCategory,
     refreshData
   } = usePrompts();
   const { user, changePassword } = useAuth();
   
+  // Only the user's own categories can be changed here
+  const ownCategoryCount = userCategories.filter(cat => cat.userId === user?.id).length;
+  
+  // Custom categories in tree order, and every category a new one can be nested under
+  const userCategoryNodes = flattenCategoryTree(buildCategoryTree(userCategories));
+  const parentCategoryOptions = flattenCategoryTree(buildCategoryTree([...coreCategories, ...userCategories]));
+  
   const [fontSize, setFontSize] = useState(settings.fontSize || 'medium');
+  const [aiProvider, setAiProvider] = useState(settings.aiProvider || '');
+  const [useResponseCache, setUseResponseCache] = useState(!!settings.useResponseCache);
+  const [aiProviders, setAiProviders] = useState([]);
+  const [defaultAiProvider, setDefaultAiProvider] = useState('');
+  const [profileData, setProfileData] = useState(showProfile);
   const [newCategoryName, setNewCategoryName] = useState('');
+  const [newCategoryParentId, setNewCategoryParentId] = useState('');
   const [editingCategory, setEditingCategory] = useState(null);
   const [error, setError] = useState('');
   const [isImporting, setIsImporting] = useState(false);
@@ -47,12 +64,31 @@ export function SettingsModal({ isOpen, onClose }) {
     renderValidationCheckmark
   } = usePasswordValidation();
   const [activeTab, setActiveTab] = useState('display');
-
+  
   // Update fontSize state when settings change
   useEffect(() => {
     setFontSize(settings.fontSize || 'medium');
+    setAiProvider(settings.aiProvider || '');
+    setUseResponseCache(!!settings.useResponseCache);
   }, [settings]);
   
+  // Keep the profile form in sync with the saved profile
+  useEffect(() => {
+    setProfileData(showProfile);
+  }, [showProfile]);
+  
+  // Load the provider list when the AI tab is opened
+  useEffect(() => {
+    if (isOpen && activeTab === 'ai') {
+      getAiProviders()
+        .then(data => {
+          setAiProviders(data.providers || []);
+          setDefaultAiProvider(data.defaultProvider || '');
+        })
+        .catch(() => setAiProviders([]));
+    }
+  }, [isOpen, activeTab]);
+  
   const handleFontSizeChange = (size) => {
     setFontSize(size);
   };
@@ -65,8 +101,9 @@ export function SettingsModal({ isOpen, onClose }) {
         return;
       }
       
-      await addCategory(newCategoryName.trim());
+      await addCategory(newCategoryName.trim(), newCategoryParentId || null);
       setNewCategoryName('');
+      setNewCategoryParentId('');
     } catch (error) {
       setError(error.message);
     }
@@ -83,6 +120,16 @@ export function SettingsModal({ isOpen, onClose }) {
     }
   };
   
+  const handleToggleCategoryVisibility = async (category) => {
+    try {
+      const visibility = category.visibility === VISIBILITY_SHARED ? VISIBILITY_PRIVATE : VISIBILITY_SHARED;
+      await updateCategoryVisibility(category.id, visibility);
+      showToast(visibility === VISIBILITY_SHARED ? 'Category shared with the station' : 'Category is now private');
+    } catch (error) {
+      showToast(`Error: ${error.message}`, 'error');
+    }
+  };
+  
   const handleSaveCategory = async (categoryId, newName) => {
     try {
       if (!newName.trim()) {
@@ -97,7 +144,17 @@ export function SettingsModal({ isOpen, onClose }) {
   };
   
   const handleSave = async () => {
-    await updateSettings({ fontSize });
+    await updateSettings({ fontSize, aiProvider, useResponseCache });
+    
+    if (JSON.stringify(profileData) !== JSON.stringify(showProfile)) {
+      try {
+        await updateShowProfile(profileData);
+      } catch (error) {
+        showToast('Failed to save show profile', 'error');
+        return;
+      }
+    }
+    
     showToast('Settings updated');
     onClose();
   };
@@ -272,6 +329,18 @@ export function SettingsModal({ isOpen, onClose }) {
         >
           Account
         </button>
+        <button
+          className={`px-4 py-2 font-medium text-sm ${activeTab === 'profile' ? 'border-b-2 border-blue-500 text-blue-600 dark:text-blue-400' : 'text-gray-500 dark:text-gray-400'}`}
+          onClick={() => setActiveTab('profile')}
+        >
+          Show Profile
+        </button>
+        <button
+          className={`px-4 py-2 font-medium text-sm ${activeTab === 'ai' ? 'border-b-2 border-blue-500 text-blue-600 dark:text-blue-400' : 'text-gray-500 dark:text-gray-400'}`}
+          onClick={() => setActiveTab('ai')}
+        >
+          AI
+        </button>
         <button
           className={`px-4 py-2 font-medium text-sm ${activeTab === 'data' ? 'border-b-2 border-blue-500 text-blue-600 dark:text-blue-400' : 'text-gray-500 dark:text-gray-400'}`}
           onClick={() => setActiveTab('data')}
@@ -379,17 +448,24 @@ export function SettingsModal({ isOpen, onClose }) {
             
             <div className="mb-4">
               <h4 className="text-sm font-medium text-gray-600 dark:text-gray-300 mb-2">
-                Your Categories (Max {MAX_USER_CATEGORIES})
+                Custom Categories
               </h4>
               
+              {ownCategoryCount < userCategories.length && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                  Categories shared by other users can only be renamed or deleted by whoever created them.
+                </p>
+              )}
+              
               {userCategories.length === 0 ? (
                 <p className="text-gray-400 italic text-sm">No custom categories added yet.</p>
               ) : (
                 <ul className="space-y-2">
-                  {userCategories.map((category) => (
+                  {userCategoryNodes.map((category) => (
                     <li 
                       key={category.id}
                       className="flex items-center justify-between py-1 group border-b border-gray-100"
+                      style={category.depth > 0 ? { paddingLeft: `${category.depth}rem` } : undefined}
                     >
                       {editingCategory === category.id ? (
                         <div className="flex-grow mr-2">
@@ -425,49 +501,61 @@ export function SettingsModal({ isOpen, onClose }) {
                       ) : (
                         <>
                           <span className="block">{category.name}</span>
-                          <div className="flex gap-2">
-                            <IconButton
-                              title="Edit Name"
-                              onClick={() => setEditingCategory(category.id)}
-                              icon={
-                                <svg 
-                                  className="w-4 h-4" 
-                                  fill="none" 
-                                  stroke="currentColor" 
-                                  viewBox="0 0 24 24" 
-                                  xmlns="http://www.w3.org/2000/svg"
-                                >
-                                  <path 
-                                    strokeLinecap="round" 
-                                    strokeLinejoin="round" 
-                                    strokeWidth="2" 
-                                    d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"
-                                  />
-                                </svg>
-                              }
-                            />
-                            <IconButton
-                              title="Delete Category"
-                              variant="danger"
-                              onClick={() => handleDeleteCategory(category.id, category.name)}
-                              icon={
-                                <svg 
-                                  className="w-4 h-4" 
-                                  fill="none" 
-                                  stroke="currentColor" 
-                                  viewBox="0 0 24 24" 
-                                  xmlns="http://www.w3.org/2000/svg"
-                                >
-                                  <path 
-                                    strokeLinecap="round" 
-                                    strokeLinejoin="round" 
-                                    strokeWidth="2" 
-                                    d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
-                                  />
-                                </svg>
-                              }
-                            />
-                          </div>
+                          {category.userId === user?.id ? (
+                            <div className="flex gap-2">
+                              <Button
+                                variant="secondary"
+                                size="small"
+                                title={category.visibility === VISIBILITY_SHARED ? 'Make private' : 'Share with station'}
+                                onClick={() => handleToggleCategoryVisibility(category)}
+                              >
+                                {category.visibility === VISIBILITY_SHARED ? 'Shared' : 'Private'}
+                              </Button>
+                              <IconButton
+                                title="Edit Name"
+                                onClick={() => setEditingCategory(category.id)}
+                                icon={
+                                  <svg 
+                                    className="w-4 h-4" 
+                                    fill="none" 
+                                    stroke="currentColor" 
+                                    viewBox="0 0 24 24" 
+                                    xmlns="http://www.w3.org/2000/svg"
+                                  >
+                                    <path 
+                                      strokeLinecap="round" 
+                                      strokeLinejoin="round" 
+                                      strokeWidth="2" 
+                                      d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"
+                                    />
+                                  </svg>
+                                }
+                              />
+                              <IconButton
+                                title="Delete Category"
+                                variant="danger"
+                                onClick={() => handleDeleteCategory(category.id, category.name)}
+                                icon={
+                                  <svg 
+                                    className="w-4 h-4" 
+                                    fill="none" 
+                                    stroke="currentColor" 
+                                    viewBox="0 0 24 24" 
+                                    xmlns="http://www.w3.org/2000/svg"
+                                  >
+                                    <path 
+                                      strokeLinecap="round" 
+                                      strokeLinejoin="round" 
+                                      strokeWidth="2" 
+                                      d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+                                    />
+                                  </svg>
+                                }
+                              />
+                            </div>
+                          ) : (
+                            <span className="text-xs text-gray-500 dark:text-gray-400">Shared</span>
+                          )}
                         </>
                       )}
                     </li>
@@ -476,23 +564,33 @@ export function SettingsModal({ isOpen, onClose }) {
               )}
             </div>
             
-            <div className={`${userCategories.length >= MAX_USER_CATEGORIES ? 'opacity-50' : ''}`}>
+            <div>
               <h4 className="text-sm font-medium text-gray-600 dark:text-gray-300 mb-2">Add New Category</h4>
               <div className="flex gap-2">
                 <Input
                   value={newCategoryName}
                   onChange={(e) => setNewCategoryName(e.target.value)}
                   placeholder="Category name..."
-                  disabled={userCategories.length >= MAX_USER_CATEGORIES}
                   onKeyDown={(e) => {
                     if (e.key === 'Enter') {
                       handleAddCategory();
                     }
                   }}
                 />
+                <Select
+                  value={newCategoryParentId}
+                  onChange={(e) => setNewCategoryParentId(e.target.value)}
+                  aria-label="Parent category"
+                >
+                  <option value="">Top level</option>
+                  {parentCategoryOptions.map(category => (
+                    <option key={category.id} value={category.id}>
+                      {`${'— '.repeat(category.depth)}${category.name}`}
+                    </option>
+                  ))}
+                </Select>
                 <Button
                   onClick={handleAddCategory}
-                  disabled={userCategories.length >= MAX_USER_CATEGORIES}
                   variant="primary"
                 >
                   Add
@@ -501,11 +599,6 @@ export function SettingsModal({ isOpen, onClose }) {
               {error && (
                 <p className="text-xs text-red-500 mt-1">{error}</p>
               )}
-              {userCategories.length >= MAX_USER_CATEGORIES && (
-                <p className="text-xs text-amber-500 mt-1">
-                  Maximum of {MAX_USER_CATEGORIES} custom categories reached.
-                </p>
-              )}
             </div>
           </section>
         )}
@@ -583,6 +676,88 @@ export function SettingsModal({ isOpen, onClose }) {
           </section>
         )}
         
+        {/* Show Profile Tab */}
+        {activeTab === 'profile' && (
+          <section>
+            <h3 className="text-lg font-semibold text-gray-800 dark:text-white mb-3">Show Profile</h3>
+            <p className="text-xs text-gray-600 dark:text-gray-400 mb-3">
+              Added to every AI request, and used to fill variables like {'{{station}}'} and {'{{show_name}}'}.
+            </p>
+            
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {SHOW_PROFILE_FIELDS.map(field => (
+                <div key={field.key} className={field.multiline ? 'md:col-span-2' : ''}>
+                  <h4 className="text-sm font-medium text-gray-600 dark:text-gray-300 mb-1">{field.label}</h4>
+                  {field.multiline ? (
+                    <TextArea
+                      id={`profile-${field.key}`}
+                      value={profileData[field.key] || ''}
+                      onChange={(e) => setProfileData({ ...profileData, [field.key]: e.target.value })}
+                      placeholder={field.placeholder}
+                      className="text-sm resize-y h-20 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600"
+                    />
+                  ) : (
+                    <Input
+                      id={`profile-${field.key}`}
+                      type={field.type || 'text'}
+                      value={profileData[field.key] || ''}
+                      onChange={(e) => setProfileData({ ...profileData, [field.key]: e.target.value })}
+                      placeholder={field.placeholder}
+                      className="dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600"
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+          </section>
+        )}
+        
+        {/* AI Settings Tab */}
+        {activeTab === 'ai' && (
+          <section>
+            <h3 className="text-lg font-semibold text-gray-800 dark:text-white mb-3">AI Settings</h3>
+            
+            <div className="mb-4">
+              <h4 className="text-sm font-medium text-gray-600 dark:text-gray-300 mb-2">AI Provider</h4>
+              <Select
+                value={aiProvider}
+                onChange={(e) => setAiProvider(e.target.value)}
+              >
+                <option value="">
+                  {`Server default${defaultAiProvider ? ` (${defaultAiProvider})` : ''}`}
+                </option>
+                {aiProviders.filter(provider => provider.configured).map(provider => (
+                  <option key={provider.id} value={provider.id}>
+                    {`${provider.name} (${provider.defaultModel})`}
+                  </option>
+                ))}
+              </Select>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                Only providers with credentials configured on the server are listed.
+              </p>
+            </div>
+            
+            <div className="mb-4">
+              <h4 className="text-sm font-medium text-gray-600 dark:text-gray-300 mb-2">Response Cache</h4>
+              <div className="flex items-center">
+                <input
+                  id="useResponseCache"
+                  type="checkbox"
+                  className="h-4 w-4 text-blue-600 rounded border-gray-300"
+                  checked={useResponseCache}
+                  onChange={(e) => setUseResponseCache(e.target.checked)}
+                />
+                <label htmlFor="useResponseCache" className="ml-2 text-sm text-gray-600 dark:text-gray-300">
+                  Reuse a recent saved response when the filled-in prompt and model settings are identical
+                </label>
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                Saves paying for the same script twice. You can always choose "Generate Fresh" instead.
+              </p>
+            </div>
+          </section>
+        )}
+        
         {/* Data Management Tab */}
         {activeTab === 'data' && (
           <section>
@@ -631,7 +806,7 @@ export function SettingsModal({ isOpen, onClose }) {
             </div>
           </section>
         )}
-        
+      
       </div>
     </Modal>
   );
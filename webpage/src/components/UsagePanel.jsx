@@ -0,0 +1,269 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { formatCost } from '@/lib/usage';
+import { showToast } from '@/lib/toastUtil';
+
+export default function UsagePanel({ refreshTrigger = 0 }) {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [defaultBudget, setDefaultBudget] = useState('');
+  // Budget fields being edited, keyed by user ID
+  const [budgetEdits, setBudgetEdits] = useState({});
+  const [savingBudget, setSavingBudget] = useState(null);
+  const [showPrices, setShowPrices] = useState(false);
+  
+  const fetchUsage = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/admin/usage');
+      
+      if (!response.ok) {
+        throw new Error('Failed to fetch usage');
+      }
+      
+      const data = await response.json();
+      setSummary(data);
+      setDefaultBudget(data.defaultBudget != null ? String(data.defaultBudget) : '');
+      setBudgetEdits({});
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  useEffect(() => {
+    fetchUsage();
+  }, [refreshTrigger]);
+  
+  const saveBudget = async (key, url, method, body) => {
+    setSavingBudget(key);
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+      
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save budget');
+      }
+      
+      showToast(data.message);
+      await fetchUsage();
+    } catch (err) {
+      console.error('Error saving budget:', err);
+      showToast(err.message, 'error');
+    } finally {
+      setSavingBudget(null);
+    }
+  };
+  
+  const formatTokens = (count) => (count || 0).toLocaleString();
+  
+  const statCard = (label, totals) => (
+    <div className="bg-gray-50 dark:bg-gray-700 p-3 rounded-md text-center">
+      <div className="text-xl font-bold text-gray-900 dark:text-white">{formatCost(totals.cost)}</div>
+      <div className="text-xs text-gray-500 dark:text-gray-400">{label}</div>
+      <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+        {formatTokens(totals.totalTokens)} tokens · {totals.requests} request{totals.requests !== 1 ? 's' : ''}
+      </div>
+    </div>
+  );
+  
+  const maxDailyCost = summary ? Math.max(...summary.daily.map(day => day.cost), 0) : 0;
+  const maxDailyTokens = summary ? Math.max(...summary.daily.map(day => day.totalTokens), 0) : 0;
+  
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-md shadow-md p-4 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">AI Usage &amp; Costs</h2>
+        <button
+          onClick={fetchUsage}
+          className="text-xs px-2 py-1 bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200 rounded hover:bg-blue-200 dark:hover:bg-blue-800 transition-colors"
+        >
+          Refresh
+        </button>
+      </div>
+      
+      {loading && !summary ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : error ? (
+        <div className="text-center py-4 text-red-500">{error}</div>
+      ) : summary ? (
+        <div className="space-y-6">
+          {/* Station-wide totals */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {statCard('Today (station)', summary.station.today)}
+            {statCard('This Month (station)', summary.station.month)}
+          </div>
+          
+          {/* Daily history */}
+          <div>
+            <h3 className="font-medium text-gray-900 dark:text-white mb-2">Last {summary.daily.length} Days</h3>
+            <div className="flex items-end gap-0.5 h-24">
+              {summary.daily.map(day => {
+                // Fall back to tokens when nothing in the period has a price
+                const share = maxDailyCost > 0 ? day.cost / maxDailyCost : (maxDailyTokens > 0 ? day.totalTokens / maxDailyTokens : 0);
+                return (
+                  <div
+                    key={day.date}
+                    className="flex-1 bg-blue-500 dark:bg-blue-400 rounded-t"
+                    style={{ height: `${Math.max(share * 100, day.requests > 0 ? 2 : 0)}%` }}
+                    title={`${new Date(day.date).toLocaleDateString()}: ${formatCost(day.cost)}, ${formatTokens(day.totalTokens)} tokens, ${day.requests} requests`}
+                  />
+                );
+              })}
+            </div>
+          </div>
+          
+          {/* Budgets */}
+          <div className="p-4 bg-gray-50 dark:bg-gray-700 rounded-md">
+            <h3 className="font-medium text-gray-900 dark:text-white mb-1">Default Monthly Budget</h3>
+            <p className="text-xs text-gray-600 dark:text-gray-400 mb-3">
+              Applies to users without their own budget. Users over budget can't generate until next month. Leave blank for no limit.
+            </p>
+            <div className="flex items-center gap-2">
+              <span className="text-sm text-gray-600 dark:text-gray-400">$</span>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={defaultBudget}
+                onChange={(e) => setDefaultBudget(e.target.value)}
+                placeholder="No limit"
+                className="w-32 p-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 dark:text-gray-100"
+              />
+              <button
+                onClick={() => saveBudget('default', '/api/admin/usage', 'PUT', { defaultMonthlyBudget: defaultBudget })}
+                disabled={savingBudget === 'default'}
+                className="px-2 py-1 text-xs font-medium rounded-md bg-blue-50 text-blue-700 hover:bg-blue-100 dark:bg-blue-900 dark:text-blue-200 dark:hover:bg-blue-800 transition-colors disabled:opacity-50"
+              >
+                {savingBudget === 'default' ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+          
+          {/* Per-user usage */}
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">User</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Today</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">This Month</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Monthly Budget</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {summary.users.map(user => {
+                  const overBudget = user.budget != null && user.month.cost >= user.budget;
+                  const budgetValue = budgetEdits[user.id] ?? (user.monthlyBudget != null ? String(user.monthlyBudget) : '');
+                  return (
+                    <tr key={user.id}>
+                      <td className="px-4 py-2">
+                        <div className="text-gray-900 dark:text-white">{[user.firstName, user.lastName].filter(Boolean).join(' ') || user.email}</div>
+                        <div className="text-xs text-gray-500 dark:text-gray-400">{user.email}</div>
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-900 dark:text-white">
+                        {formatCost(user.today.cost)}
+                        <div className="text-xs text-gray-500 dark:text-gray-400">{formatTokens(user.today.totalTokens)} tokens</div>
+                      </td>
+                      <td className={`px-4 py-2 text-right ${overBudget ? 'text-red-600 dark:text-red-400 font-medium' : 'text-gray-900 dark:text-white'}`}>
+                        {formatCost(user.month.cost)}
+                        <div className="text-xs text-gray-500 dark:text-gray-400">{formatTokens(user.month.totalTokens)} tokens</div>
+                      </td>
+                      <td className="px-4 py-2">
+                        <div className="flex items-center justify-end gap-2">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={budgetValue}
+                            onChange={(e) => setBudgetEdits(prev => ({ ...prev, [user.id]: e.target.value }))}
+                            placeholder={summary.defaultBudget != null ? `Default (${formatCost(summary.defaultBudget)})` : 'No limit'}
+                            className="w-32 p-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 dark:text-gray-100"
+                          />
+                          {budgetEdits[user.id] !== undefined && (
+                            <button
+                              onClick={() => saveBudget(user.id, `/api/admin/users/${user.id}/budget`, 'POST', { monthlyBudget: budgetEdits[user.id] })}
+                              disabled={savingBudget === user.id}
+                              className="px-2 py-1 text-xs font-medium rounded-md bg-blue-50 text-blue-700 hover:bg-blue-100 dark:bg-blue-900 dark:text-blue-200 dark:hover:bg-blue-800 transition-colors disabled:opacity-50"
+                            >
+                              {savingBudget === user.id ? 'Saving...' : 'Save'}
+                            </button>
+                          )}
+                        </div>
+                        {overBudget && (
+                          <div className="text-xs text-right text-red-600 dark:text-red-400 mt-1">Over budget</div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          
+          {/* Per-model usage */}
+          <div>
+            <h3 className="font-medium text-gray-900 dark:text-white mb-2">Models This Month</h3>
+            {summary.models.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No AI requests this month.</p>
+            ) : (
+              <div className="space-y-1">
+                {summary.models.map(model => (
+                  <div key={`${model.provider}:${model.model}`} className="flex justify-between items-center py-2 border-b border-gray-200 dark:border-gray-700 text-sm">
+                    <span className="text-gray-600 dark:text-gray-400">
+                      <span className="font-mono text-gray-900 dark:text-white">{model.model || 'Unknown model'}</span>
+                      {model.provider && <span className="ml-2 text-xs">({model.provider})</span>}
+                      {!model.priced && <span className="ml-2 text-xs text-yellow-600 dark:text-yellow-400" title="Charged at the highest price in the table">no price set</span>}
+                    </span>
+                    <span className="text-gray-900 dark:text-white">
+                      {formatTokens(model.totalTokens)} tokens · <span className="font-bold">{formatCost(model.cost)}</span>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+          
+          {/* Price table */}
+          <div>
+            <button
+              onClick={() => setShowPrices(!showPrices)}
+              className="text-xs px-2 py-1 bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200 rounded hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+            >
+              {showPrices ? 'Hide Price Table' : 'Show Price Table'}
+            </button>
+            {showPrices && (
+              <div className="mt-3">
+                <p className="text-xs text-gray-600 dark:text-gray-400 mb-2">
+                  US dollars per million tokens, matched against the start of the model name. Override with <code className="bg-gray-200 dark:bg-gray-600 px-1 rounded">AI_MODEL_PRICES</code>. Local models are free.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6">
+                  {summary.prices.map(price => (
+                    <div key={price.model} className="flex justify-between py-1 border-b border-gray-200 dark:border-gray-700 text-xs">
+                      <span className="font-mono text-gray-900 dark:text-white">{price.model}</span>
+                      <span className="text-gray-600 dark:text-gray-400">${price.input} in / ${price.output} out</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="text-center py-4 text-gray-500">No usage available</div>
+      )}
+    </div>
+  );
+}
@@ -1,40 +1,64 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Modal } from './ui/Modal';
 import { Button } from './ui/Button';
-import { Input, Label, Select, FormGroup } from './ui/Input';
-import { detectVariables, replaceVariables, getPlaceholderExample } from '../lib/formatPromptDisplay';
+import { Input, TextArea, Label, Select, FormGroup } from './ui/Input';
+import { detectVariableSpecs, detectFeedVariables, replaceVariables, getPlaceholderExample, validateVariableValue } from '../lib/formatPromptDisplay';
 import { usePrompts } from '../context/PromptContext';
+import { useSettings } from '../context/SettingsContext';
+import { getShowProfileVariables } from '../lib/showProfile';
+import { getTrackVariableNames, getTrackVariables, formatTrack } from '../lib/playlistImport';
+import { isDurationVariable } from '../lib/readTime';
+import { resolveReservedVariables, getDynamicVariableContext, getReservedVariableLabel } from '../lib/dynamicVariables';
+import { showToast } from '../lib/toastUtil';
 
-export function VariableModal({ isOpen, onClose, prompt, onCopyComplete, onSubmitToAi }) {
+export function VariableModal({ isOpen, onClose, prompt, onCopyComplete, onSubmitToAi, onCompare }) {
   const [replacements, setReplacements] = useState({});
   const [showPreview, setShowPreview] = useState(false);
+  // Reserved variables the user has chosen to type in themselves
+  const [overrides, setOverrides] = useState({});
+  // Only show validation errors once the user has tried to continue
+  const [showErrors, setShowErrors] = useState(false);
+  // Index of the playlist track the fields were filled from
+  const [selectedTrack, setSelectedTrack] = useState('');
   const { addToRecentlyUsed } = usePrompts();
+  const { showProfile, playlist } = useSettings();
   const formRef = useRef(null);
   
-  // Store variables outside of render cycle to prevent re-detection on each render
-  const variablesRef = useRef([]);
+  // Store variable specs outside of render cycle to prevent re-detection on each render
+  const specsRef = useRef([]);
   
   // Update variables only when prompt changes
   useEffect(() => {
     if (prompt?.promptText) {
-      variablesRef.current = detectVariables(prompt.promptText);
+      specsRef.current = detectVariableSpecs(prompt.promptText);
     } else {
-      variablesRef.current = [];
+      specsRef.current = [];
     }
   }, [prompt]);
   
-  // Reset form when prompt changes
+  // Reset form when prompt changes, pre-filling defaults and anything the show profile knows
   useEffect(() => {
     if (isOpen && prompt) {
-      setReplacements({});
+      const defaults = {};
+      specsRef.current.forEach(spec => {
+        if (spec.defaultValue) {
+          defaults[spec.name] = spec.defaultValue;
+        }
+      });
+      
+      const names = specsRef.current.map(spec => spec.name);
+      setReplacements({ ...defaults, ...getShowProfileVariables(showProfile, names) });
+      setOverrides({});
+      setSelectedTrack('');
+      setShowErrors(false);
       setShowPreview(false);
     }
-  }, [isOpen, prompt]);
+  }, [isOpen, prompt, showProfile]);
   
   // Focus first input when modal opens
   useEffect(() => {
-    if (isOpen && formRef.current && variablesRef.current.length > 0) {
-      const firstInput = formRef.current.querySelector('input, select');
+    if (isOpen && formRef.current && specsRef.current.length > 0) {
+      const firstInput = formRef.current.querySelector('input:not([readonly]), textarea, select');
       if (firstInput) {
         setTimeout(() => {
           firstInput.focus();
@@ -47,7 +71,22 @@ export function VariableModal({ isOpen, onClose, prompt, onCopyComplete, onSubmi
   
   // Normalize newlines in promptText
   const normalizedPromptText = prompt.promptText.replace(/\\n/g, '\n');
-  const variables = variablesRef.current;
+  const specs = specsRef.current;
+  const variables = specs.map(spec => spec.name);
+  const profileVariables = getShowProfileVariables(showProfile, variables);
+  // Variables with modifiers are declared inputs, so they're never treated as built-ins
+  const reservedCandidates = specs.filter(spec => !spec.typed).map(spec => spec.name);
+  const reservedValues = resolveReservedVariables(reservedCandidates, getDynamicVariableContext(showProfile));
+  const feedUrls = detectFeedVariables(normalizedPromptText);
+  const trackVariables = getTrackVariableNames(variables);
+  
+  const handleTrackSelect = (value) => {
+    setSelectedTrack(value);
+    const track = playlist[parseInt(value)];
+    if (track) {
+      setReplacements(prev => ({ ...prev, ...getTrackVariables(track, trackVariables) }));
+    }
+  };
   
   const handleInputChange = (variable, value) => {
     setReplacements(prev => ({
@@ -56,13 +95,65 @@ export function VariableModal({ isOpen, onClose, prompt, onCopyComplete, onSubmi
     }));
   };
   
+  const handleToggleOverride = (variable) => {
+    if (overrides[variable]) {
+      setOverrides(prev => ({ ...prev, [variable]: false }));
+    } else {
+      // Start the override from the automatic value
+      setOverrides(prev => ({ ...prev, [variable]: true }));
+      handleInputChange(variable, reservedValues[variable]);
+    }
+  };
+  
+  // Reserved variables are resolved at the moment of use, unless overridden
+  const getFinalReplacements = () => {
+    const resolved = resolveReservedVariables(reservedCandidates, getDynamicVariableContext(showProfile));
+    const automatic = {};
+    Object.entries(resolved).forEach(([variable, value]) => {
+      if (!overrides[variable]) {
+        automatic[variable] = value;
+      }
+    });
+    
+    return { ...replacements, ...automatic };
+  };
+  
+  // Errors keyed by variable name; automatic values are always valid
+  const getValidationErrors = () => {
+    const errors = {};
+    specs.forEach(spec => {
+      if (reservedValues[spec.name] !== undefined && !overrides[spec.name]) return;
+      
+      const error = validateVariableValue(spec, replacements[spec.name]);
+      if (error) {
+        errors[spec.name] = error;
+      }
+    });
+    return errors;
+  };
+  
+  const validationErrors = getValidationErrors();
+  
+  // Blocks copy/submit until every required field is valid
+  const validateForm = () => {
+    if (Object.keys(validationErrors).length === 0) {
+      return true;
+    }
+    
+    setShowErrors(true);
+    showToast('Please fill in the highlighted fields.', 'error');
+    return false;
+  };
+  
   const handlePreview = () => {
     setShowPreview(true);
   };
   
   const handleCopy = () => {
+    if (!validateForm()) return;
+    
     // Use the normalized text for replacement
-    const replacedText = replaceVariables(normalizedPromptText, replacements);
+    const replacedText = replaceVariables(normalizedPromptText, getFinalReplacements());
     
     // Copy to clipboard
     navigator.clipboard.writeText(replacedText)
@@ -106,16 +197,26 @@ export function VariableModal({ isOpen, onClose, prompt, onCopyComplete, onSubmi
   
   // New handler for AI submission
   const handleSubmitToAi = () => {
+    if (!validateForm()) return;
+    
     // Mark as recently used
     addToRecentlyUsed(prompt.id);
     
     // Call the parent handler with the prompt and variables
     if (onSubmitToAi) {
-      onSubmitToAi(prompt, replacements);
+      onSubmitToAi(prompt, getFinalReplacements());
       onClose();
     }
   };
   
+  const handleCompare = () => {
+    if (!validateForm()) return;
+    
+    addToRecentlyUsed(prompt.id);
+    onCompare(prompt, getFinalReplacements());
+    onClose();
+  };
+  
   return (
     <Modal
       isOpen={isOpen}
@@ -165,6 +266,11 @@ export function VariableModal({ isOpen, onClose, prompt, onCopyComplete, onSubmi
             >
               Copy
             </Button>
+            {onCompare && (
+              <Button variant="secondary" onClick={handleCompare} title="Send to several models side by side">
+                Compare
+              </Button>
+            )}
             <Button 
               onClick={handleSubmitToAi}
               className="bg-green-600 hover:bg-green-700 dark:bg-green-700 dark:hover:bg-green-800 text-white"
@@ -195,50 +301,166 @@ export function VariableModal({ isOpen, onClose, prompt, onCopyComplete, onSubmi
         Enter replacement text for the variables in "<span className="font-semibold">{prompt.title}</span>".
       </p>
       
+      {feedUrls.length > 0 && (
+        <div className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+          <p>Latest feed items are added when you submit to AI (copied text keeps the feed variables):</p>
+          <ul className="list-disc list-inside mt-1">
+            {feedUrls.map(url => (
+              <li key={url} className="truncate">{url}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      
+      {trackVariables.length > 0 && playlist.length > 0 && (
+        <FormGroup>
+          <Label htmlFor="var-playlist-track">Fill from playlist:</Label>
+          <Select
+            id="var-playlist-track"
+            value={selectedTrack}
+            onChange={(e) => handleTrackSelect(e.target.value)}
+          >
+            <option value="">Select a track...</option>
+            {playlist.map((track, index) => (
+              <option key={index} value={String(index)}>
+                {formatTrack(track)}{track.playedAt ? ` (${track.playedAt})` : ''}
+              </option>
+            ))}
+          </Select>
+        </FormGroup>
+      )}
+      
       <form ref={formRef} className="space-y-4 pr-2">
-        {variables.map(variable => {
-          const lowerVar = variable.toLowerCase();
-          const isTimeVar = ['time', 'length', 'duration', 'trt'].some(kw => lowerVar.includes(kw));
+        {specs.map(spec => {
+          const variable = spec.name;
+          const isTimeVar = isDurationVariable(variable);
           const label = variable.replace(/[_-]/g, ' ');
+          const isReserved = reservedValues[variable] !== undefined;
+          const error = showErrors ? validationErrors[variable] : null;
+          const errorClass = error ? 'border-red-500 dark:border-red-500' : '';
           
-          if (isTimeVar) {
+          if (isReserved) {
+            const isOverridden = !!overrides[variable];
+            
             return (
               <FormGroup key={variable}>
-                <Label htmlFor={`var-${variable}`} className="capitalize">
-                  {label}:
-                </Label>
-                <Select
-                  id={`var-${variable}`}
-                  name={`var-${variable}`}
-                  value={replacements[variable] || ''}
-                  onChange={(e) => handleInputChange(variable, e.target.value)}
-                >
-                  <option value="">Select duration...</option>
-                  <option value="10 seconds">10s</option>
-                  <option value="15 seconds">15s</option>
-                  <option value="30 seconds">30s</option>
-                  <option value="60 seconds">60s</option>
-                  <option value="90 seconds">90s</option>
-                </Select>
-              </FormGroup>
-            );
-          } else {
-            return (
-              <FormGroup key={variable}>
-                <Label htmlFor={`var-${variable}`} className="capitalize">
-                  {label}:
-                </Label>
+                <div className="flex items-center justify-between">
+                  <Label htmlFor={`var-${variable}`} className="capitalize">
+                    {label}:
+                    <span className="ml-2 normal-case text-xs font-normal text-gray-500 dark:text-gray-400">
+                      ({isOverridden ? 'overridden' : `automatic: ${getReservedVariableLabel(variable).toLowerCase()}`})
+                    </span>
+                  </Label>
+                  <button
+                    type="button"
+                    className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                    onClick={() => handleToggleOverride(variable)}
+                  >
+                    {isOverridden ? 'Use automatic' : 'Override'}
+                  </button>
+                </div>
                 <Input
                   type="text"
                   id={`var-${variable}`}
                   name={`var-${variable}`}
-                  placeholder={`e.g., ${getPlaceholderExample(variable)}`}
-                  value={replacements[variable] || ''}
+                  value={isOverridden ? (replacements[variable] || '') : reservedValues[variable]}
                   onChange={(e) => handleInputChange(variable, e.target.value)}
+                  readOnly={!isOverridden}
+                  className={isOverridden ? errorClass : 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400 cursor-default'}
                 />
+                {error && <p className="text-xs text-red-600 dark:text-red-400 mt-1">{error}</p>}
               </FormGroup>
             );
           }
+          
+          let field;
+          
+          if (spec.type === 'choice') {
+            field = (
+              <Select
+                id={`var-${variable}`}
+                name={`var-${variable}`}
+                value={replacements[variable] || ''}
+                onChange={(e) => handleInputChange(variable, e.target.value)}
+              >
+                <option value="">Select...</option>
+                {spec.choices.map(choice => (
+                  <option key={choice} value={choice}>{choice}</option>
+                ))}
+              </Select>
+            );
+          } else if (spec.type === 'number') {
+            field = (
+              <Input
+                type="number"
+                id={`var-${variable}`}
+                name={`var-${variable}`}
+                placeholder={`e.g., ${getPlaceholderExample(variable)}`}
+                value={replacements[variable] || ''}
+                onChange={(e) => handleInputChange(variable, e.target.value)}
+                className={errorClass}
+              />
+            );
+          } else if (spec.type === 'multiline') {
+            field = (
+              <TextArea
+                id={`var-${variable}`}
+                name={`var-${variable}`}
+                placeholder={`e.g., ${getPlaceholderExample(variable)}`}
+                value={replacements[variable] || ''}
+                onChange={(e) => handleInputChange(variable, e.target.value)}
+                className={`resize-y h-24 ${errorClass}`}
+              />
+            );
+          } else if (isTimeVar) {
+            field = (
+              <Select
+                id={`var-${variable}`}
+                name={`var-${variable}`}
+                value={replacements[variable] || ''}
+                onChange={(e) => handleInputChange(variable, e.target.value)}
+              >
+                <option value="">Select duration...</option>
+                <option value="10 seconds">10s</option>
+                <option value="15 seconds">15s</option>
+                <option value="30 seconds">30s</option>
+                <option value="60 seconds">60s</option>
+                <option value="90 seconds">90s</option>
+              </Select>
+            );
+          } else {
+            field = (
+              <Input
+                type="text"
+                id={`var-${variable}`}
+                name={`var-${variable}`}
+                placeholder={`e.g., ${getPlaceholderExample(variable)}`}
+                value={replacements[variable] || ''}
+                onChange={(e) => handleInputChange(variable, e.target.value)}
+                className={errorClass}
+              />
+            );
+          }
+          
+          return (
+            <FormGroup key={variable}>
+              <Label htmlFor={`var-${variable}`} className="capitalize">
+                {label}:
+                {spec.optional && (
+                  <span className="ml-2 normal-case text-xs font-normal text-gray-500 dark:text-gray-400">
+                    (Optional)
+                  </span>
+                )}
+                {profileVariables[variable] && (
+                  <span className="ml-2 normal-case text-xs font-normal text-gray-500 dark:text-gray-400">
+                    (from show profile)
+                  </span>
+                )}
+              </Label>
+              {field}
+              {error && <p className="text-xs text-red-600 dark:text-red-400 mt-1">{error}</p>}
+            </FormGroup>
+          );
         })}
       </form>
       
@@ -246,7 +468,7 @@ export function VariableModal({ isOpen, onClose, prompt, onCopyComplete, onSubmi
         <div className="mt-5 p-3 border dark:border-gray-700 rounded bg-gray-50 dark:bg-gray-800 max-h-48 overflow-y-auto">
           <p className="text-xs text-gray-500 dark:text-gray-400 mb-2 font-semibold">Preview:</p>
           <pre className="text-sm whitespace-pre-wrap dark:text-gray-200">
-            {replaceVariables(normalizedPromptText, replacements)}
+            {replaceVariables(normalizedPromptText, getFinalReplacements())}
           </pre>
         </div>
       )}
@@ -1,9 +1,14 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import storage from '../lib/storage';
 import defaultPrompts from '../data/prompts.json';
-import { sendPromptToOpenAI } from '../lib/apiClient';
+import { sendPromptToOpenAI, streamPromptToOpenAI, findCachedResponseOnOpenAI, runBatchOnOpenAI, compareOnOpenAI } from '../lib/apiClient';
+import { useSettings } from './SettingsContext';
+import { useAuth } from './AuthContext';
+import { getResponseThread, buildFollowUps, MAX_FOLLOW_UPS } from '../lib/responseThreads';
+import { VISIBILITY_PRIVATE, normalizeUserVisibility } from '../lib/visibility';
+import { getCategoryScope } from '../lib/categoryTree';
 
-// Define core categories
+// Core categories used until the database provides its own
 const CORE_CATEGORIES = [
   { id: 'artist-bio', name: 'Artist Bio' },
   { id: 'song-story', name: 'Song Story' },
@@ -15,19 +20,23 @@ const CORE_CATEGORIES = [
   { id: 'social-media', name: 'Social Media' },
 ];
 
-const MAX_USER_CATEGORIES = 3;
 const MAX_RECENT = 15;
 
 // Create context
 const PromptContext = createContext();
 
 export function PromptProvider({ children }) {
+  // User preferences such as the preferred AI provider
+  const { settings: preferences } = useSettings();
+  const { user } = useAuth();
+  
   // State for prompts data
   const [userPrompts, setUserPrompts] = useState([]);
   const [corePrompts, setCorePrompts] = useState([]);
   const [favorites, setFavorites] = useState([]);
   const [recentlyUsed, setRecentlyUsed] = useState([]);
   const [userCategories, setUserCategories] = useState([]);
+  const [coreCategories, setCoreCategories] = useState(CORE_CATEGORIES);
   const [settings, setSettings] = useState({ fontSize: 'medium' });
   const [initialized, setInitialized] = useState(false);
   const [activeCategory, setActiveCategory] = useState('all');
@@ -47,6 +56,7 @@ export function PromptProvider({ children }) {
           'favorites': [],
           'recentlyUsed': [],
           'userCategories': [],
+          'coreCategories': [],
           'settings': { fontSize: 'medium' }
         });
         
@@ -69,6 +79,7 @@ export function PromptProvider({ children }) {
                 'favorites': [],
                 'recentlyUsed': [],
                 'userCategories': [],
+                'coreCategories': [],
                 'settings': { fontSize: 'medium' }
               });
               
@@ -82,6 +93,7 @@ export function PromptProvider({ children }) {
               setFavorites(Array.isArray(refreshedData.favorites) ? refreshedData.favorites : []);
               setRecentlyUsed(Array.isArray(refreshedData.recentlyUsed) ? refreshedData.recentlyUsed : []);
               setUserCategories(refreshedData.userCategories);
+              setCoreCategories(refreshedData.coreCategories?.length > 0 ? refreshedData.coreCategories : CORE_CATEGORIES);
               setSettings(refreshedData.settings);
               setResponses(refreshedResponses);
               setInitialized(true);
@@ -98,6 +110,7 @@ export function PromptProvider({ children }) {
         setFavorites(Array.isArray(data.favorites) ? data.favorites : []);
         setRecentlyUsed(Array.isArray(data.recentlyUsed) ? data.recentlyUsed : []);
         setUserCategories(data.userCategories);
+        setCoreCategories(data.coreCategories?.length > 0 ? data.coreCategories : CORE_CATEGORIES);
         setSettings(data.settings);
         setResponses(responseData);
         setInitialized(true);
@@ -110,6 +123,7 @@ export function PromptProvider({ children }) {
         setFavorites([]);
         setRecentlyUsed([]);
         setUserCategories([]);
+        setCoreCategories(CORE_CATEGORIES);
         setSettings({ fontSize: 'medium' });
         setResponses([]);
         setInitialized(true);
@@ -124,25 +138,27 @@ export function PromptProvider({ children }) {
     if (initialized) {
       updateCategories();
     }
-  }, [initialized, userPrompts, corePrompts, favorites, recentlyUsed, userCategories]);
+  }, [initialized, userPrompts, corePrompts, favorites, recentlyUsed, userCategories, coreCategories]);
   
   // Calculate all categories with counts
   function updateCategories() {
     const allPrompts = [...corePrompts, ...userPrompts];
     
     // Combine core and user categories
-    const staticCoreCategories = CORE_CATEGORIES;
-    const allDefinedCategories = [...staticCoreCategories, ...userCategories];
+    const allDefinedCategories = [...coreCategories, ...userCategories];
     
     const newCategories = [
       { id: 'all', name: 'All Prompts', count: allPrompts.length },
       { id: 'recent', name: 'Recently Used', count: recentlyUsed.length },
       { id: 'favorites', name: 'Favorites', count: favorites.length },
-      // Add combined core/user categories with counts
-      ...allDefinedCategories.map(category => ({
-        ...category,
-        count: allPrompts.filter(p => p.category === category.id).length
-      }))
+      // Add combined core/user categories; counts include prompts in subcategories
+      ...allDefinedCategories.map(category => {
+        const scope = getCategoryScope(allDefinedCategories, category.id);
+        return {
+          ...category,
+          count: allPrompts.filter(p => scope.has(p.category)).length
+        };
+      })
     ];
     
     setCategories(newCategories);
@@ -154,104 +170,79 @@ export function PromptProvider({ children }) {
       ...prompt,
       id: `user_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
       isUserCreated: true,
+      userId: user?.id,
+      visibility: normalizeUserVisibility(prompt.visibility),
       usageCount: 0,
       createdAt: new Date().toISOString()
     };
     
-    const updatedPrompts = [...userPrompts, newPrompt];
-    setUserPrompts(updatedPrompts);
-    await storage.set({ 'userPrompts': updatedPrompts });
-    return newPrompt;
+    const savedPrompt = await storage.createPrompt(newPrompt);
+    setUserPrompts(prev => [...prev, savedPrompt]);
+    return savedPrompt;
   }
   
   async function updatePrompt(updatedPrompt) {
-    let promptSaved = false;
+    const setPrompts = updatedPrompt.isUserCreated ? setUserPrompts : setCorePrompts;
+    const existingPrompts = updatedPrompt.isUserCreated ? userPrompts : corePrompts;
     
-    if (updatedPrompt.isUserCreated) {
-      // Update in user prompts
-      const updatedUserPrompts = userPrompts.map(p => 
-        p.id === updatedPrompt.id ? {...updatedPrompt, lastEdited: new Date().toISOString()} : p
-      );
-      
-      if (JSON.stringify(updatedUserPrompts) !== JSON.stringify(userPrompts)) {
-        setUserPrompts(updatedUserPrompts);
-        await storage.set({ 'userPrompts': updatedUserPrompts });
-        promptSaved = true;
-      }
-    } else {
-      // Update in core prompts
-      const updatedCorePrompts = corePrompts.map(p => 
-        p.id === updatedPrompt.id ? {...updatedPrompt, lastEdited: new Date().toISOString()} : p
-      );
-      
-      if (JSON.stringify(updatedCorePrompts) !== JSON.stringify(corePrompts)) {
-        setCorePrompts(updatedCorePrompts);
-        await storage.set({ 'corePrompts': updatedCorePrompts });
-        promptSaved = true;
-      }
+    if (!existingPrompts.some(p => p.id === updatedPrompt.id)) {
+      return false;
     }
     
-    return promptSaved;
+    const savedPrompt = await storage.updatePrompt({
+      ...updatedPrompt,
+      lastEdited: new Date().toISOString()
+    });
+    
+    setPrompts(prev => prev.map(p => p.id === savedPrompt.id ? savedPrompt : p));
+    return true;
+  }
+  
+  // Restore a prompt to an earlier revision; returns the restored prompt
+  async function restorePromptRevision(revisionId) {
+    const savedPrompt = await storage.restorePromptRevision(revisionId);
+    const setPrompts = savedPrompt.isUserCreated ? setUserPrompts : setCorePrompts;
+    
+    setPrompts(prev => prev.map(p => p.id === savedPrompt.id ? savedPrompt : p));
+    return savedPrompt;
   }
   
   async function deletePrompt(promptId) {
-    const initialLength = userPrompts.length;
     // Only delete from userPrompts (core prompts are not deletable)
-    const updatedUserPrompts = userPrompts.filter(p => p.id !== promptId);
-    
-    // Also remove from favorites and recently used
-    const updatedFavorites = favorites.filter(id => id !== promptId);
-    const updatedRecentlyUsed = recentlyUsed.filter(id => id !== promptId);
-    
-    // Remove associated responses
-    const updatedResponses = responses.filter(r => r.promptId !== promptId);
+    if (!userPrompts.some(p => p.id === promptId)) {
+      return false;
+    }
     
-    if (updatedUserPrompts.length < initialLength) {
-      setUserPrompts(updatedUserPrompts);
-      setFavorites(updatedFavorites);
-      setRecentlyUsed(updatedRecentlyUsed);
-      setResponses(updatedResponses);
-      
-      await storage.set({ 
-        userPrompts: updatedUserPrompts,
-        favorites: updatedFavorites,
-        recentlyUsed: updatedRecentlyUsed,
-        aiResponses: updatedResponses
-      });
-      
-      // Refresh data to update statistics and UI elements
-      await refreshData();
-      
-      return true;
+    // Deleting the prompt also deletes its responses, favorites and recent uses in the database
+    const deleted = await storage.deletePrompt(promptId);
+    if (!deleted) {
+      return false;
     }
     
-    return false;
+    setUserPrompts(prev => prev.filter(p => p.id !== promptId));
+    setFavorites(prev => prev.filter(id => id !== promptId));
+    setRecentlyUsed(prev => prev.filter(id => id !== promptId));
+    setResponses(prev => prev.filter(r => r.promptId !== promptId));
+    
+    return true;
   }
   
   async function toggleFavorite(promptId) {
     try {
-      // Make sure the prompt exists before toggling favorite
-      const promptExists = await storage.promptExists(promptId);
-      if (!promptExists) {
-        console.error(`Cannot toggle favorite: Prompt with ID ${promptId} does not exist`);
-        return false;
-      }
-
-      const updatedFavorites = favorites.includes(promptId)
-        ? favorites.filter(id => id !== promptId)
-        : [...favorites, promptId];
-      
-      // Update the local state
-      setFavorites(updatedFavorites);
+      const result = favorites.includes(promptId)
+        ? await storage.removeFavorite(promptId)
+        : await storage.addFavorite(promptId);
       
-      // Persist to the database
-      await storage.set({ favorites: updatedFavorites });
+      // Update the local state from what the database stored
+      setFavorites(prev => result.isFavorite
+        ? [...prev.filter(id => id !== promptId), promptId]
+        : prev.filter(id => id !== promptId)
+      );
       
-      console.log(`Favorites updated. Total: ${updatedFavorites.length}`);
-      return updatedFavorites.includes(promptId);
+      return result.isFavorite;
     } catch (error) {
       console.error('Error toggling favorite:', error);
-      // Revert the local state change if the database operation failed
+      // Local state is left as it was when the database operation failed
       return favorites.includes(promptId);
     }
   }
@@ -269,78 +260,80 @@ export function PromptProvider({ children }) {
     setRecentlyUsed(limitedRecentlyUsed);
     await storage.set({ recentlyUsed: limitedRecentlyUsed });
     
-    // Increment usage count
-    const allPrompts = [...corePrompts, ...userPrompts];
-    const prompt = allPrompts.find(p => p.id === promptId);
+    // Increment usage count (counted on the server, since core prompts are admin-only to edit)
+    const lastUsed = new Date().toISOString();
+    const countUse = (p) => p.id === promptId
+      ? { ...p, usageCount: (p.usageCount || 0) + 1, lastUsed }
+      : p;
     
-    if (prompt) {
-      const updatedPrompt = {
-        ...prompt,
-        usageCount: (prompt.usageCount || 0) + 1,
-        lastUsed: new Date().toISOString()
-      };
-      
-      await updatePrompt(updatedPrompt);
-    }
+    setCorePrompts(prev => prev.map(countUse));
+    setUserPrompts(prev => prev.map(countUse));
+    await storage.recordPromptUse(promptId);
   }
   
   // Category management functions
-  async function addCategory(name) {
-    if (userCategories.length >= MAX_USER_CATEGORIES) {
-      throw new Error(`Maximum of ${MAX_USER_CATEGORIES} custom categories reached.`);
-    }
-    
-    const combinedCategories = [...userCategories, ...CORE_CATEGORIES];
+  async function addCategory(name, parentId = null) {
+    const combinedCategories = [...userCategories, ...coreCategories];
     if (combinedCategories.some(cat => cat.name.toLowerCase() === name.toLowerCase())) {
       throw new Error('Category name already exists.');
     }
     
-    const newCategory = {
+    const savedCategory = await storage.createCategory({
       id: 'user_cat_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
       name,
-      isUserCreated: true
-    };
+      visibility: VISIBILITY_PRIVATE,
+      parentId
+    });
     
-    const updatedCategories = [...userCategories, newCategory];
-    setUserCategories(updatedCategories);
-    await storage.set({ userCategories: updatedCategories });
+    setUserCategories(prev => [...prev, savedCategory]);
     
-    return newCategory;
+    return savedCategory;
   }
   
   async function updateCategory(categoryId, newName) {
-    const categoryIndex = userCategories.findIndex(cat => cat.id === categoryId);
+    const category = userCategories.find(cat => cat.id === categoryId);
     
-    if (categoryIndex === -1) {
+    if (!category) {
       throw new Error('Category not found.');
     }
     
-    const currentName = userCategories[categoryIndex].name;
-    
     // Check if new name conflicts with existing categories (excluding this one)
     const combinedOtherCategories = [
       ...userCategories.filter(cat => cat.id !== categoryId),
-      ...CORE_CATEGORIES
+      ...coreCategories
     ];
     
     if (
-      newName.toLowerCase() !== currentName.toLowerCase() &&
+      newName.toLowerCase() !== category.name.toLowerCase() &&
       combinedOtherCategories.some(cat => cat.name.toLowerCase() === newName.toLowerCase())
     ) {
       throw new Error('Category name already exists.');
     }
     
-    const updatedCategories = [...userCategories];
-    updatedCategories[categoryIndex].name = newName;
+    const savedCategory = await storage.updateCategory({ id: categoryId, name: newName });
+    setUserCategories(prev => prev.map(cat => cat.id === categoryId ? savedCategory : cat));
     
-    setUserCategories(updatedCategories);
-    await storage.set({ userCategories: updatedCategories });
+    return true;
+  }
+  
+  async function updateCategoryVisibility(categoryId, visibility) {
+    const savedCategory = await storage.updateCategory({
+      id: categoryId,
+      visibility: normalizeUserVisibility(visibility)
+    });
+    setUserCategories(prev => prev.map(cat => cat.id === categoryId ? savedCategory : cat));
     
     return true;
   }
   
   async function deleteCategory(categoryId) {
-    const updatedCategories = userCategories.filter(cat => cat.id !== categoryId);
+    // The server uncategorizes every prompt that used the deleted category and moves its
+    // subcategories up to its parent
+    const deletedCategory = [...userCategories, ...coreCategories].find(cat => cat.id === categoryId);
+    const deleted = await storage.deleteCategory(categoryId);
+    if (!deleted) {
+      throw new Error('Failed to delete category.');
+    }
     
     // Update prompts that used this category
     const updatePromptCategory = (prompt) => {
@@ -351,22 +344,34 @@ export function PromptProvider({ children }) {
       return prompt;
     };
     
-    const updatedUserPrompts = userPrompts.map(updatePromptCategory);
-    const updatedCorePrompts = corePrompts.map(updatePromptCategory);
+    const reparentChildren = (cat) => cat.parentId === categoryId
+      ? { ...cat, parentId: deletedCategory?.parentId || null }
+      : cat;
     
-    setUserCategories(updatedCategories);
-    setUserPrompts(updatedUserPrompts);
-    setCorePrompts(updatedCorePrompts);
+    setUserCategories(prev => prev.filter(cat => cat.id !== categoryId).map(reparentChildren));
+    setCoreCategories(prev => prev.map(reparentChildren));
+    setUserPrompts(prev => prev.map(updatePromptCategory));
+    setCorePrompts(prev => prev.map(updatePromptCategory));
     
-    await storage.set({
-      userCategories: updatedCategories,
-      userPrompts: updatedUserPrompts,
-      corePrompts: updatedCorePrompts
-    });
+    return true;
+  }
+  
+  async function moveCategory(categoryId, parentId, beforeId = null) {
+    const movedCategories = await storage.moveCategory(categoryId, parentId, beforeId);
+    const movedById = new Map(movedCategories.map(cat => [cat.id, cat]));
+    const applyMove = (cat) => movedById.get(cat.id) || cat;
+    
+    setUserCategories(prev => prev.map(applyMove));
+    setCoreCategories(prev => prev.map(applyMove));
     
     return true;
   }
   
+  // Get a category's ID along with the IDs of all its subcategories
+  function getCategoryIds(categoryId) {
+    return getCategoryScope([...coreCategories, ...userCategories], categoryId);
+  }
+  
   // Settings functions
   async function updateSettings(newSettings) {
     const updatedSettings = { ...settings, ...newSettings };
@@ -417,9 +422,8 @@ export function PromptProvider({ children }) {
       // Use the direct saveResponse API endpoint with the current user's ID
       const savedResponse = await storage.saveResponse(newResponse);
       
-      // Update the local state
-      const updatedResponses = [...responses, savedResponse];
-      setResponses(updatedResponses);
+      // Update the local state (functional, so back-to-back saves don't drop each other)
+      setResponses(prev => [...prev, savedResponse]);
       
       return savedResponse;
     } catch (error) {
@@ -434,8 +438,10 @@ export function PromptProvider({ children }) {
       const result = await storage.deleteResponse(responseId);
       
       if (result) {
-        // Update the local state only after successful deletion
-        const updatedResponses = responses.filter(r => r.id !== responseId);
+        // Update the local state only after successful deletion; its refinements become standalone
+        const updatedResponses = responses
+          .filter(r => r.id !== responseId)
+          .map(r => r.parentId === responseId ? { ...r, parentId: null } : r);
         setResponses(updatedResponses);
         return true;
       }
@@ -476,6 +482,14 @@ export function PromptProvider({ children }) {
     }
   }
   
+  // Set feedback (thumbs, rating, aired time, notes) on a response; returns the updated response
+  async function saveResponseFeedback(responseId, feedback) {
+    const savedResponse = await storage.saveResponseFeedback(responseId, feedback);
+    
+    setResponses(prev => prev.map(r => r.id === savedResponse.id ? savedResponse : r));
+    return savedResponse;
+  }
+  
   function getResponsesForPrompt(promptId) {
     return responses.filter(r => r.promptId === promptId);
   }
@@ -484,17 +498,34 @@ export function PromptProvider({ children }) {
     return getResponsesForPrompt(promptId).length;
   }
   
-  async function submitPromptToAi(prompt, variables = {}) {
+  // Builds generation options from a prompt's own settings, falling back to the user's provider
+  function getGenerationOptions(prompt) {
+    const settings = typeof prompt === 'object' ? prompt : {};
+    
+    return {
+      provider: settings.provider || preferences.aiProvider || undefined,
+      model: settings.model || undefined,
+      temperature: settings.temperature ?? undefined,
+      maxTokens: settings.maxTokens || undefined,
+      systemPrompt: settings.systemPrompt || undefined
+    };
+  }
+  
+  async function submitPromptToAi(prompt, variables = {}, options = {}) {
     try {
       // If prompt is an object, use its text and ID
       const promptText = typeof prompt === 'object' ? prompt.promptText : prompt;
       const promptId = typeof prompt === 'object' ? prompt.id : null;
       
-      const result = await sendPromptToOpenAI(promptText, variables);
+      const result = await sendPromptToOpenAI(promptText, variables, {
+        ...getGenerationOptions(prompt),
+        ...options
+      });
       
-      // Add promptId to the response if available
+      // Add promptId (and the revision that was sent) to the response if available
       if (promptId) {
         result.promptId = promptId;
+        result.revisionId = prompt.revisionId || null;
         result.variablesUsed = variables;
       }
       
@@ -505,6 +536,123 @@ export function PromptProvider({ children }) {
     }
   }
   
+  // Function to refine a saved response with a follow-up instruction; the result is saved as its child
+  async function refineResponse(response, instruction) {
+    const prompt = [...corePrompts, ...userPrompts].find(p => p.id === response.promptId);
+    if (!prompt) {
+      throw new Error('The prompt for this response no longer exists');
+    }
+    
+    const thread = getResponseThread(response, responses);
+    if (thread.length > MAX_FOLLOW_UPS) {
+      throw new Error(`A thread can have at most ${MAX_FOLLOW_UPS} refinements`);
+    }
+    
+    // The thread always runs from the original prompt and variables
+    const variables = thread[0].variablesUsed || {};
+    
+    try {
+      const result = await sendPromptToOpenAI(prompt.promptText, variables, {
+        ...getGenerationOptions(prompt),
+        followUps: buildFollowUps(thread, instruction.trim())
+      });
+      
+      return await saveResponse({
+        ...result,
+        promptId: prompt.id,
+        revisionId: prompt.revisionId || null,
+        variablesUsed: variables,
+        parentId: response.id,
+        instruction: instruction.trim()
+      });
+    } catch (error) {
+      console.error('Error refining response:', error);
+      throw error;
+    }
+  }
+  
+  // Function to stream a prompt's response, reporting text as it arrives
+  async function streamPromptToAi(prompt, variables = {}, handlers = {}, options = {}) {
+    try {
+      const promptText = typeof prompt === 'object' ? prompt.promptText : prompt;
+      const promptId = typeof prompt === 'object' ? prompt.id : null;
+      
+      const result = await streamPromptToOpenAI(promptText, variables, {
+        ...getGenerationOptions(prompt),
+        ...options
+      }, handlers);
+      
+      if (promptId) {
+        result.promptId = promptId;
+        result.revisionId = prompt.revisionId || null;
+        result.variablesUsed = variables;
+      }
+      
+      return result;
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error streaming prompt from AI:', error);
+      }
+      throw error;
+    }
+  }
+  
+  // Function to find a recent saved response to the identical filled-in prompt, if the user has the cache turned on.
+  // A failed lookup just means a fresh generation, so errors are logged rather than thrown
+  async function findCachedResponse(prompt, variables = {}) {
+    if (!preferences.useResponseCache || typeof prompt !== 'object') {
+      return null;
+    }
+    
+    try {
+      const { response } = await findCachedResponseOnOpenAI(prompt.promptText, variables, getGenerationOptions(prompt));
+      return response;
+    } catch (error) {
+      console.error('Error checking the response cache:', error);
+      return null;
+    }
+  }
+  
+  // Function to run a prompt across rows of variables; saved responses are added as they arrive
+  async function runBatchForPrompt(prompt, rows, { onRow, signal } = {}, options = {}) {
+    try {
+      return await runBatchOnOpenAI(prompt.id, rows, {
+        ...getGenerationOptions(prompt),
+        ...options
+      }, {
+        signal,
+        onRow: (progress) => {
+          if (progress.status === 'done' && progress.response) {
+            setResponses(prev => [...prev, progress.response]);
+          }
+          onRow?.(progress);
+        }
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error running batch:', error);
+      }
+      throw error;
+    }
+  }
+  
+  // Function to send a prompt to several models at once; results are reported as they finish, not saved
+  async function comparePrompt(prompt, variables, variants, { onResult, signal } = {}, options = {}) {
+    try {
+      const { systemPrompt } = getGenerationOptions(prompt);
+      
+      return await compareOnOpenAI(prompt.promptText, variables, variants, {
+        systemPrompt,
+        ...options
+      }, { onResult, signal });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error comparing models:', error);
+      }
+      throw error;
+    }
+  }
+  
   // Function to refresh all data from the database
   async function refreshData() {
     try {
@@ -517,6 +665,7 @@ export function PromptProvider({ children }) {
         'favorites': [],
         'recentlyUsed': [],
         'userCategories': [],
+        'coreCategories': [],
         'settings': { fontSize: 'medium' }
       });
       
@@ -533,6 +682,7 @@ export function PromptProvider({ children }) {
       setFavorites(favoritesData);
       setRecentlyUsed(Array.isArray(data.recentlyUsed) ? data.recentlyUsed : []);
       setUserCategories(data.userCategories);
+      setCoreCategories(data.coreCategories?.length > 0 ? data.coreCategories : CORE_CATEGORIES);
       setSettings(data.settings);
       setResponses(responseData);
       
@@ -542,7 +692,7 @@ export function PromptProvider({ children }) {
       return false;
     }
   }
-
+  
   // Return all context values
   const value = {
     // Data
@@ -555,8 +705,7 @@ export function PromptProvider({ children }) {
     initialized,
     activeCategory,
     categories,
-    CORE_CATEGORIES,
-    MAX_USER_CATEGORIES,
+    coreCategories,
     
     // Setters
     setActiveCategory,
@@ -564,6 +713,7 @@ export function PromptProvider({ children }) {
     // Prompt functions
     addPrompt,
     updatePrompt,
+    restorePromptRevision,
     deletePrompt,
     toggleFavorite,
     addToRecentlyUsed,
@@ -571,7 +721,10 @@ export function PromptProvider({ children }) {
     // Category functions
     addCategory,
     updateCategory,
+    updateCategoryVisibility,
     deleteCategory,
+    moveCategory,
+    getCategoryIds,
     
     // Settings functions
     updateSettings,
@@ -581,9 +734,15 @@ export function PromptProvider({ children }) {
     saveResponse,
     deleteResponse,
     updateResponse,
+    saveResponseFeedback,
     getResponsesForPrompt,
     countResponsesForPrompt,
     submitPromptToAi,
+    streamPromptToAi,
+    findCachedResponse,
+    runBatchForPrompt,
+    comparePrompt,
+    refineResponse,
     
     // Data management
     refreshData,
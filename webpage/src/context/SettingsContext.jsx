@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import storage from '../lib/storage';
+import { normalizeShowProfile } from '../lib/showProfile';
 
 const SettingsContext = createContext();
 
@@ -8,6 +9,8 @@ export function SettingsProvider({ children }) {
     fontSize: 'medium',
     theme: 'light' // Default to light theme
   });
+  const [showProfile, setShowProfile] = useState(normalizeShowProfile(null));
+  const [playlist, setPlaylist] = useState([]);
   const [initialized, setInitialized] = useState(false);
   
   // Load settings from storage on initial mount
@@ -20,6 +23,14 @@ export function SettingsProvider({ children }) {
         } 
       });
       setSettings(data.settings);
+      
+      const profile = await storage.getShowProfile();
+      if (profile) {
+        setShowProfile(normalizeShowProfile(profile));
+      }
+      
+      setPlaylist(await storage.getPlaylist());
+      
       setInitialized(true);
       applyFontSize(data.settings.fontSize || 'medium');
       applyTheme(data.settings.theme || 'light');
@@ -69,9 +80,27 @@ export function SettingsProvider({ children }) {
     return updatedSettings;
   }
   
+  // Update the current user's show profile
+  async function updateShowProfile(newProfile) {
+    const savedProfile = await storage.saveShowProfile({ ...showProfile, ...newProfile });
+    setShowProfile(normalizeShowProfile(savedProfile));
+    return savedProfile;
+  }
+  
+  // Replace the current user's imported playlist
+  async function updatePlaylist(tracks) {
+    const savedTracks = await storage.savePlaylist(tracks);
+    setPlaylist(savedTracks);
+    return savedTracks;
+  }
+  
   const value = {
     settings,
     updateSettings,
+    showProfile,
+    updateShowProfile,
+    playlist,
+    updatePlaylist,
     initialized
   };
   
@@ -0,0 +1,11 @@
+/**
+ * Runs once when the server starts
+ * Starts the scheduled job runner in the Node.js server only, not in the edge runtime
+ * (middleware) or during builds.
+ */
+export async function register() {
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { startScheduler } = await import('./lib/scheduler');
+    startScheduler();
+  }
+}
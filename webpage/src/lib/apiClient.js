@@ -1,6 +1,8 @@
 /**
  * Client-side API wrapper for communicating with the backend API routes
  */
+import { readServerSentEvents } from './serverSentEvents';
+import { createResponseError } from './apiErrorHandler';
 
 /**
  * Sends a request to the database API
@@ -39,24 +41,239 @@ export async function getDbStats() {
 }
 
 /**
- * Sends a prompt to the OpenAI API via Next.js API route
+ * Sends a prompt to the AI provider via Next.js API route
  * @param {string} promptText - The prompt text to send
  * @param {Object} variables - Variables to replace in the prompt
+ * @param {Object} options - Generation options
+ * @param {string} [options.provider] - Provider ID; the server default is used if omitted
+ * @param {string} [options.model] - Model name; the provider default is used if omitted
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {number} [options.maxTokens] - Maximum tokens to generate
+ * @param {string} [options.systemPrompt] - Custom system prompt
+ * @param {number} [options.targetSeconds] - Target read time in seconds
+ * @param {Object[]} [options.followUps] - Earlier answers and the instructions that followed them ({ responseText, instruction })
  * @returns {Promise<Object>} The API response
  */
-export async function sendPromptToOpenAI(promptText, variables = {}) {
+export async function sendPromptToOpenAI(promptText, variables = {}, options = {}) {
   try {
     const response = await fetch('/api/openai', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ promptText, variables })
+      body: JSON.stringify({ promptText, variables, ...options })
     });
     
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `Request failed with status ${response.status}`);
+      throw createResponseError(response.status, errorData);
+    }
+    
+    return await response.json();
+  } catch (error) {
+    console.error('API request error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Streams a prompt's response from the AI provider via Next.js API route
+ * @param {string} promptText - The prompt text to send
+ * @param {Object} variables - Variables to replace in the prompt
+ * @param {Object} options - Generation options (same as sendPromptToOpenAI)
+ * @param {Object} handlers - Stream handlers
+ * @param {function} [handlers.onDelta] - Called with each chunk of generated text
+ * @param {AbortSignal} [handlers.signal] - Signal to cancel generation
+ * @returns {Promise<Object>} The complete response, including token usage
+ */
+export async function streamPromptToOpenAI(promptText, variables = {}, options = {}, { onDelta, signal } = {}) {
+  try {
+    const response = await fetch('/api/openai', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ promptText, variables, ...options, stream: true }),
+      signal
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw createResponseError(response.status, errorData);
+    }
+    
+    let result = null;
+    
+    await readServerSentEvents(response, (event, data) => {
+      const payload = JSON.parse(data);
+      
+      if (event === 'delta') {
+        onDelta?.(payload.text);
+      } else if (event === 'done') {
+        result = payload;
+      } else if (event === 'error') {
+        throw payload.status ? createResponseError(payload.status, payload) : new Error(payload.error);
+      }
+    });
+    
+    if (!result) {
+      throw new Error('The response stream ended before it completed');
+    }
+    
+    return result;
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('API request error:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Looks up a recent saved response to an identical request via the cache API route
+ * The provider is not called; the key covers the filled-in prompt and every generation setting.
+ * @param {string} promptText - The prompt text to send
+ * @param {Object} variables - Variables to replace in the prompt
+ * @param {Object} options - Generation options (same as sendPromptToOpenAI)
+ * @returns {Promise<Object>} Object with cacheKey and response (null if nothing matches)
+ */
+export async function findCachedResponseOnOpenAI(promptText, variables = {}, options = {}) {
+  try {
+    const response = await fetch('/api/openai/cache', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ promptText, variables, ...options })
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw createResponseError(response.status, errorData);
+    }
+    
+    return await response.json();
+  } catch (error) {
+    console.error('API request error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Runs a saved prompt across rows of variables via the batch API route
+ * Each row's response is saved on the server as it completes.
+ * @param {string} promptId - ID of the saved prompt
+ * @param {Object[]} rows - Key-value variable objects, one per generation
+ * @param {Object} options - Generation options (same as sendPromptToOpenAI)
+ * @param {Object} handlers - Progress handlers
+ * @param {function} [handlers.onRow] - Called with { index, status, response | error } as rows progress
+ * @param {AbortSignal} [handlers.signal] - Signal to stop queuing further rows
+ * @returns {Promise<Object>} Summary with completed and failed counts
+ */
+export async function runBatchOnOpenAI(promptId, rows, options = {}, { onRow, signal } = {}) {
+  try {
+    const response = await fetch('/api/openai/batch', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ promptId, rows, ...options }),
+      signal
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw createResponseError(response.status, errorData);
+    }
+    
+    let summary = null;
+    
+    await readServerSentEvents(response, (event, data) => {
+      const payload = JSON.parse(data);
+      
+      if (event === 'row') {
+        onRow?.(payload);
+      } else if (event === 'done') {
+        summary = payload;
+      }
+    });
+    
+    if (!summary) {
+      throw new Error('The batch stream ended before it completed');
+    }
+    
+    return summary;
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('API request error:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Sends one prompt to several models or settings at once via the compare API route
+ * Nothing is saved on the server; results are reported as each model finishes.
+ * @param {string} promptText - The prompt text to send
+ * @param {Object} variables - Key-value pairs of variables to replace in the prompt
+ * @param {Object[]} variants - Settings to compare ({ provider, model, temperature, maxTokens })
+ * @param {Object} options - Settings shared by every variant ({ systemPrompt, targetSeconds })
+ * @param {Object} handlers - Progress handlers
+ * @param {function} [handlers.onResult] - Called with { index, latencyMs, response | error } as models finish
+ * @param {AbortSignal} [handlers.signal] - Signal to stop waiting for results
+ * @returns {Promise<Object>} Summary with completed and failed counts
+ */
+export async function compareOnOpenAI(promptText, variables, variants, options = {}, { onResult, signal } = {}) {
+  try {
+    const response = await fetch('/api/openai/compare', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ promptText, variables, variants, ...options }),
+      signal
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw createResponseError(response.status, errorData);
+    }
+    
+    let summary = null;
+    
+    await readServerSentEvents(response, (event, data) => {
+      const payload = JSON.parse(data);
+      
+      if (event === 'result') {
+        onResult?.(payload);
+      } else if (event === 'done') {
+        summary = payload;
+      }
+    });
+    
+    if (!summary) {
+      throw new Error('The comparison stream ended before it completed');
+    }
+    
+    return summary;
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('API request error:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gets the AI providers the server knows about
+ * @returns {Promise<Object>} Object with providers array and defaultProvider ID
+ */
+export async function getAiProviders() {
+  try {
+    const response = await fetch('/api/openai');
+    
+    if (!response.ok) {
+      throw new Error(`Request failed with status ${response.status}`);
     }
     
     return await response.json();
@@ -1,6 +1,6 @@
 /**
  * API error handling utilities
- * Provides consistent error handling for database API requests
+ * Provides consistent error handling for database and AI API requests
  */
 import { showToast } from './toastUtil';
 
@@ -11,6 +11,7 @@ const ERROR_MESSAGES = {
   403: 'You do not have permission to perform this action.',
   404: 'The requested resource was not found.',
   409: 'A conflict occurred. The data may have been modified by another user.',
+  429: 'Too many requests. Please wait a moment and try again.',
   500: 'A server error occurred. Please try again later.',
   503: 'The service is currently unavailable. Please try again later.',
   DEFAULT: 'An unexpected error occurred. Please try again.'
@@ -39,13 +40,60 @@ export function handleApiError(error, operation, showToastNotification = true) {
   
   // Show toast notification if requested
   if (showToastNotification) {
-    const friendlyMessage = getFriendlyErrorMessage(statusCode, operation);
-    showToast(friendlyMessage, 'error');
+    // Rate limits say when to try again rather than what failed
+    if (statusCode === 429) {
+      showToast(getRateLimitMessage(error.response.data), 'warning');
+    } else {
+      const friendlyMessage = getFriendlyErrorMessage(statusCode, operation);
+      showToast(friendlyMessage, 'error');
+    }
   }
   
   return detailedError;
 }
 
+/**
+ * Get a user-friendly message for a rate-limited (429) response
+ * @param {Object} [data] - The response body ({ error, scope, retryAfter })
+ * @returns {string} - Message saying who is limited and when to try again
+ */
+export function getRateLimitMessage(data = {}) {
+  const seconds = Math.ceil(Number(data.retryAfter));
+  const wait = seconds > 0
+    ? `Try again in ${seconds} second${seconds !== 1 ? 's' : ''}.`
+    : 'Please wait a moment and try again.';
+  
+  if (data.scope === 'user') {
+    return `You're sending AI requests too quickly. ${wait}`;
+  }
+  
+  if (data.scope === 'queue' || data.scope === 'provider') {
+    return `The AI service is busy right now. ${wait}`;
+  }
+  
+  return seconds > 0 ? `Too many requests. ${wait}` : ERROR_MESSAGES[429];
+}
+
+/**
+ * Create an error for a failed API response, keeping the status and body
+ * Rate-limited responses get a friendly message that says when to try again.
+ * @param {number} status - HTTP status code
+ * @param {Object} errorData - The parsed response body
+ * @returns {Error} - Error with a response property ({ status, data })
+ */
+export function createResponseError(status, errorData = {}) {
+  const message = status === 429
+    ? getRateLimitMessage(errorData)
+    : errorData.error || `Request failed with status ${status}`;
+  
+  const error = new Error(message);
+  error.response = {
+    status,
+    data: errorData
+  };
+  return error;
+}
+
 /**
  * Get a user-friendly error message based on status code and operation
  * @param {number} statusCode - HTTP status code
@@ -63,18 +111,39 @@ function getFriendlyErrorMessage(statusCode, operation) {
     'getCorePrompts': 'retrieving core prompts',
     'storeUserPrompts': 'saving your prompts',
     'storeCorePrompts': 'updating core prompts',
+    'createPrompt': 'creating the prompt',
+    'updatePrompt': 'saving the prompt',
+    'deletePrompt': 'deleting the prompt',
+    'getPromptRevisions': 'loading the prompt history',
+    'restorePromptRevision': 'restoring the prompt version',
     'getFavorites': 'retrieving your favorites',
     'storeFavorites': 'updating your favorites',
+    'addFavorite': 'updating your favorites',
+    'removeFavorite': 'updating your favorites',
     'getRecentlyUsed': 'retrieving recently used prompts',
     'storeRecentlyUsed': 'updating recently used prompts',
     'getUserCategories': 'retrieving your categories',
     'storeUserCategories': 'updating your categories',
+    'createCategory': 'creating the category',
+    'updateCategory': 'saving the category',
+    'deleteCategory': 'deleting the category',
+    'moveCategory': 'moving the category',
     'getResponses': 'retrieving AI responses',
     'getResponsesForPrompt': 'retrieving AI responses',
     'saveResponse': 'saving AI response',
     'deleteResponse': 'deleting AI response',
+    'saveResponseFeedback': 'saving your feedback',
+    'getFeedbackStats': 'loading feedback stats',
     'countResponsesForPrompt': 'counting AI responses',
     'storeResponses': 'saving AI responses',
+    'getShowProfile': 'retrieving your show profile',
+    'saveShowProfile': 'saving your show profile',
+    'getPlaylist': 'retrieving your playlist',
+    'savePlaylist': 'saving your playlist',
+    'getRundowns': 'retrieving your rundowns',
+    'saveRundown': 'saving the rundown',
+    'deleteRundown': 'deleting the rundown',
+    'search': 'searching',
     'clearData': 'clearing data'
   };
   
@@ -113,13 +182,7 @@ export async function fetchWithErrorHandling(url, options, operation, showToastO
       }
       
       // Create an error object with response details
-      const error = new Error(errorData.error || 'API request failed');
-      error.response = {
-        status: response.status,
-        data: errorData
-      };
-      
-      throw error;
+      throw createResponseError(response.status, errorData);
     }
     
     return await response.json();
@@ -129,4 +192,4 @@ export async function fetchWithErrorHandling(url, options, operation, showToastO
   }
 }
 
-export default { handleApiError, fetchWithErrorHandling };
\ No newline at end of file
+export default { handleApiError, fetchWithErrorHandling, createResponseError, getRateLimitMessage };
\ No newline at end of file
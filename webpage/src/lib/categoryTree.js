@@ -0,0 +1,120 @@
+/**
+ * Category tree
+ * Categories can be nested under other categories to any depth. Each one stores its parentId
+ * and a sortOrder among its siblings; siblings with the same sortOrder (such as ones that have
+ * never been moved) fall back to name order, with numbered names first.
+ */
+
+/**
+ * Compares two sibling categories for display order
+ * @param {Object} a - Category with name and sortOrder
+ * @param {Object} b - Category with name and sortOrder
+ * @returns {number} Negative if a comes first, positive if b does
+ */
+export function compareCategories(a, b) {
+  const orderDiff = (a.sortOrder || 0) - (b.sortOrder || 0);
+  if (orderDiff !== 0) {
+    return orderDiff;
+  }
+  
+  // Names that start with a number come first, in numeric order
+  const aNum = a.name.match(/^\d+/);
+  const bNum = b.name.match(/^\d+/);
+  
+  if (aNum && bNum) {
+    const numDiff = parseInt(aNum[0]) - parseInt(bNum[0]);
+    if (numDiff !== 0) {
+      return numDiff;
+    }
+  } else if (aNum) {
+    return -1;
+  } else if (bNum) {
+    return 1;
+  }
+  
+  return a.name.localeCompare(b.name);
+}
+
+/**
+ * Builds the category tree
+ * Categories whose parent isn't in the list (e.g. nested under a category the user can't see)
+ * are shown at the top level.
+ * @param {Object[]} categories - Flat list of categories with id, parentId, name and sortOrder
+ * @returns {Object[]} Top-level nodes in display order; each node is the category plus
+ *   depth, treeParentId (the parent it is shown under, or null) and sorted children
+ */
+export function buildCategoryTree(categories) {
+  const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+  
+  nodes.forEach(node => {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+    
+    // A parent that leads back to the node would hide the whole loop, so show it at the top
+    if (parent && !isDescendantOf(categories, parent.id, node.id)) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  
+  const finish = (siblings, depth, treeParentId) => {
+    siblings.sort(compareCategories);
+    siblings.forEach(node => {
+      node.depth = depth;
+      node.treeParentId = treeParentId;
+      finish(node.children, depth + 1, node.id);
+    });
+    return siblings;
+  };
+  
+  return finish(roots, 0, null);
+}
+
+/**
+ * Flattens a category tree into display order
+ * @param {Object[]} tree - Nodes from buildCategoryTree
+ * @returns {Object[]} Every node, parents before their children, each with its depth
+ */
+export function flattenCategoryTree(tree) {
+  return tree.flatMap(node => [node, ...flattenCategoryTree(node.children)]);
+}
+
+/**
+ * Checks whether a category is nested (at any depth) under another
+ * @param {Object[]} categories - Flat list of categories with id and parentId
+ * @param {string} categoryId - Category to check
+ * @param {string} ancestorId - Possible ancestor
+ * @returns {boolean} True if categoryId is ancestorId or one of its descendants
+ */
+export function isDescendantOf(categories, categoryId, ancestorId) {
+  const parents = new Map(categories.map(category => [category.id, category.parentId]));
+  const seen = new Set();
+  let currentId = categoryId;
+  
+  while (currentId && !seen.has(currentId)) {
+    if (currentId === ancestorId) {
+      return true;
+    }
+    
+    seen.add(currentId);
+    currentId = parents.get(currentId);
+  }
+  
+  return false;
+}
+
+/**
+ * Gets a category and every category nested under it
+ * @param {Object[]} categories - Flat list of categories with id and parentId
+ * @param {string} categoryId - Category ID
+ * @returns {Set<string>} The category's ID and the IDs of all its descendants
+ */
+export function getCategoryScope(categories, categoryId) {
+  return new Set(
+    categories
+      .filter(category => isDescendantOf(categories, category.id, categoryId))
+      .map(category => category.id)
+      .concat(categoryId)
+  );
+}
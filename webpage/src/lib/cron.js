@@ -0,0 +1,237 @@
+/**
+ * Cron schedules
+ * Parses standard five-field cron expressions (minute, hour, day of month, month, day of week)
+ * and works out when they next fire in a given time zone. Fields accept *, numbers, ranges
+ * (1-5), steps (*\/15, 8-18/2), lists (0,30) and month or day names (jan, mon). As in cron,
+ * when both day fields are restricted a day matches if either one does.
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// The five fields in order; names count up from the field's minimum (jan is 1, sun is 0)
+const FIELDS = [
+  { label: 'minute', min: 0, max: 59 },
+  { label: 'hour', min: 0, max: 23 },
+  { label: 'day of month', min: 1, max: 31 },
+  { label: 'month', min: 1, max: 12, names: MONTH_NAMES },
+  // 7 is accepted for Sunday and folded into 0
+  { label: 'day of week', min: 0, max: 7, names: DAY_NAMES }
+];
+
+// Shortcuts accepted in place of the five fields
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Enough steps to find a run for any valid expression (a leap day can be eight years away)
+const MAX_SEARCH_STEPS = 100000;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Reads one value of a field, as a number or a name
+ * @param {string} text - The value
+ * @param {Object} field - Field definition from FIELDS
+ * @returns {number} The value
+ */
+function parseValue(text, field) {
+  const nameIndex = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = nameIndex >= 0 ? nameIndex + field.min : (/^\d+$/.test(text) ? Number(text) : NaN);
+  
+  if (!(value >= field.min && value <= field.max)) {
+    throw new Error(`Invalid ${field.label} "${text}" (expected ${field.min}-${field.max})`);
+  }
+  
+  return value;
+}
+
+/**
+ * Parses one field of an expression
+ * @param {string} text - The field, e.g. "*\/15" or "mon-fri"
+ * @param {Object} field - Field definition from FIELDS
+ * @returns {Set<number>} The values the field matches
+ */
+function parseField(text, field) {
+  const values = new Set();
+  
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${field.label}`);
+    }
+    
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid ${field.label} range "${range}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+    
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+  
+  return values;
+}
+
+/**
+ * Parses a cron expression
+ * @param {string} expression - Five fields separated by spaces, or a shortcut such as @daily
+ * @returns {Object} { minutes, hours, days, months, weekdays } as sets of values, with
+ *   daysRestricted and weekdaysRestricted saying whether each day field is narrower than *
+ * @throws {Error} If the expression is invalid, describing the first problem
+ */
+export function parseCronExpression(expression) {
+  const trimmed = String(expression || '').trim();
+  const parts = (MACROS[trimmed.toLowerCase()] || trimmed).split(/\s+/);
+  
+  if (parts.length !== FIELDS.length) {
+    throw new Error('A schedule needs five fields: minute, hour, day of month, month and day of week');
+  }
+  
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+  
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    daysRestricted: parts[2] !== '*',
+    weekdaysRestricted: parts[4] !== '*'
+  };
+}
+
+/**
+ * Checks a cron expression
+ * @param {string} expression - The expression
+ * @returns {string|null} What is wrong with it, or null if it is valid
+ */
+export function validateCronExpression(expression) {
+  try {
+    parseCronExpression(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Gets the wall-clock time in a time zone, as a timestamp read with UTC methods
+ * @param {number} time - Timestamp
+ * @param {string} [timeZone] - IANA time zone; the server's when omitted
+ * @returns {number} Timestamp whose UTC fields are the local date and time
+ */
+function toWallClock(time, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(new Date(time));
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  
+  return Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'));
+}
+
+/**
+ * Converts a wall-clock time in a time zone back to a timestamp
+ * Times skipped by a daylight saving change land just after the change.
+ * @param {number} wallClock - Timestamp whose UTC fields are the local date and time
+ * @param {string} [timeZone] - IANA time zone; the server's when omitted
+ * @returns {number} Timestamp
+ */
+function fromWallClock(wallClock, timeZone) {
+  const offset = toWallClock(wallClock, timeZone) - wallClock;
+  const time = wallClock - offset;
+  const correctedOffset = toWallClock(time, timeZone) - time;
+  
+  if (correctedOffset === offset) {
+    return time;
+  }
+  
+  // Across a change the offset after it may be the right one; in a skipped hour neither
+  // offset gives the same wall-clock time back, and the first guess is the one after the change
+  const correctedTime = wallClock - correctedOffset;
+  return toWallClock(correctedTime, timeZone) === wallClock ? correctedTime : time;
+}
+
+/**
+ * Works out when a cron expression next fires
+ * @param {string} expression - The expression
+ * @param {Date} [after] - Find the first run strictly after this time
+ * @param {string} [timeZone] - IANA time zone the expression is read in; the server's when omitted
+ * @returns {Date|null} The next run, or null if the expression never fires (e.g. February 30)
+ * @throws {Error} If the expression is invalid
+ */
+export function getNextRunTime(expression, after = new Date(), timeZone) {
+  const cron = parseCronExpression(expression);
+  const afterTime = after.getTime();
+  
+  const dayMatches = (date) => {
+    const dayOfMonth = cron.days.has(date.getUTCDate());
+    const dayOfWeek = cron.weekdays.has(date.getUTCDay());
+    
+    if (cron.daysRestricted && cron.weekdaysRestricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+  };
+  
+  // Walk forward through local wall-clock time, skipping whole months, days and hours that can't match
+  let wallClock = Math.floor(toWallClock(afterTime, timeZone) / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    const date = new Date(wallClock);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+    const hour = date.getUTCHours();
+    
+    if (!cron.months.has(month + 1)) {
+      wallClock = Date.UTC(year, month + 1, 1);
+    } else if (!dayMatches(date)) {
+      wallClock = Date.UTC(year, month, day + 1);
+    } else if (!cron.hours.has(hour)) {
+      wallClock = Date.UTC(year, month, day, hour + 1);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      wallClock += MINUTE_MS;
+    } else {
+      const time = fromWallClock(wallClock, timeZone);
+      if (time > afterTime) {
+        return new Date(time);
+      }
+      wallClock += MINUTE_MS;
+    }
+  }
+  
+  return null;
+}
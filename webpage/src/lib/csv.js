@@ -0,0 +1,111 @@
+/**
+ * CSV helpers for batch generation
+ * Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+ */
+
+/**
+ * Parses CSV text into rows of fields
+ * @param {string} text - CSV text (comma or tab separated)
+ * @returns {string[][]} Rows of trimmed field values, without empty lines
+ */
+export function parseCsv(text) {
+  if (typeof text !== 'string') return [];
+  
+  // Tab-separated text (e.g. pasted from a spreadsheet) is detected from the first line
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+  
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  row.push(field.trim());
+  rows.push(row);
+  
+  return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+/**
+ * Converts CSV text into variable rows for a prompt
+ * The first line is a header naming the variables; names match case-insensitively.
+ * @param {string} text - CSV text with a header line
+ * @param {string[]} variables - Variable names detected in the prompt
+ * @returns {Object} Object with rows (array of key-value objects), missingColumns and unknownColumns
+ */
+export function csvToVariableRows(text, variables) {
+  const [header = [], ...dataRows] = parseCsv(text);
+  
+  // Map each header column to the prompt variable it names
+  const columns = header.map(column => {
+    const normalized = column.toLowerCase().replace(/\s+/g, '_');
+    return variables.find(variable => variable.toLowerCase() === normalized) || null;
+  });
+  
+  const rows = dataRows.map(fields => {
+    const values = {};
+    columns.forEach((variable, index) => {
+      if (variable && fields[index]) {
+        values[variable] = fields[index];
+      }
+    });
+    return values;
+  });
+  
+  return {
+    rows,
+    missingColumns: variables.filter(variable => !columns.includes(variable)),
+    unknownColumns: header.filter((column, index) => column && !columns[index]),
+  };
+}
+
+/**
+ * Builds one CSV line, quoting fields that need it
+ * @param {string[]} fields - Field values
+ * @returns {string} The CSV line
+ */
+export function buildCsvLine(fields) {
+  return fields
+    .map(field => {
+      const value = field === undefined || field === null ? '' : String(field);
+      return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    })
+    .join(',');
+}
+
+/**
+ * Builds a CSV header line for a prompt's variables
+ * @param {string[]} variables - Variable names
+ * @returns {string} Header line, quoting names that need it
+ */
+export function buildCsvHeader(variables) {
+  return buildCsvLine(variables);
+}
@@ -5,6 +5,9 @@
 import { PrismaClient } from '@prisma/client';
 import defaultPrompts from '../data/prompts.json';
 import { hashPassword, migrateLegacyData } from './auth';
+import { SHOW_PROFILE_KEY } from './showProfile';
+import { VISIBILITY_CORE } from './visibility';
+import { recordPromptRevision } from './promptRevisions';
 import fs from 'fs';
 import path from 'path';
 
@@ -42,7 +45,7 @@ export async function initializeDatabase() {
     const dbInfo = await prisma.databaseInfo.findUnique({
       where: { id: 1 },
     });
-
+    
     // If not initialized, create it with the initial version and populate default data
     if (!dbInfo) {
       // Database needs initialization
@@ -61,9 +64,6 @@ export async function initializeDatabase() {
       // Create default prompts
       await createDefaultPrompts();
       
-      // Create default settings
-      await createDefaultSettings();
-      
       // Create default admin user
       const adminUserId = await createDefaultAdminUser();
       
@@ -87,7 +87,7 @@ export async function initializeDatabase() {
         }
       }
     }
-
+    
     return true;
   } catch (error) {
     console.error('Database initialization error:', error);
@@ -416,11 +416,11 @@ async function createDefaultCategories() {
     { id: 'features', name: 'Features', isUserCreated: false },
     { id: 'social-media', name: 'Social Media', isUserCreated: false },
   ];
-
+  
   
   for (const category of defaultCategories) {
     await prisma.category.create({
-      data: category
+      data: { ...category, visibility: VISIBILITY_CORE }
     });
   }
 }
@@ -443,6 +443,7 @@ async function createDefaultPrompts() {
         categoryId: prompt.category || null,
         promptText: prompt.promptText,
         isUserCreated: false,
+        visibility: VISIBILITY_CORE,
         usageCount: prompt.usageCount || 0,
         createdAt: new Date(prompt.createdAt || new Date()),
         lastUsed: prompt.lastUsed ? new Date(prompt.lastUsed) : null,
@@ -471,25 +472,9 @@ async function createDefaultPrompts() {
         }
       });
     }
-  }
-}
-
-/**
- * Create default settings in the database
- */
-async function createDefaultSettings() {
-  const defaultSettings = [
-    { key: 'fontSize', value: JSON.stringify('medium') },
-    { key: 'theme', value: JSON.stringify('light') }
-  ];
-
-  
-  for (const setting of defaultSettings) {
-    await prisma.setting.upsert({
-      where: { key: setting.key },
-      update: { value: setting.value },
-      create: setting
-    });
+    
+    // Start the prompt's revision history
+    await recordPromptRevision(prisma, prompt.id, null);
   }
 }
 
@@ -510,7 +495,8 @@ export async function getDbStats() {
       userRecentlyUsedCount,
       userCount,
       settingCount,
-      userSettingCount
+      userSettingCount,
+      usageRecordCount
     ] = await Promise.all([
       prisma.prompt.count(),
       prisma.prompt.count({ where: { isUserCreated: true } }),
@@ -522,9 +508,10 @@ export async function getDbStats() {
       prisma.userRecentlyUsed.count(),
       prisma.user.count(),
       prisma.setting.count(),
-      prisma.userSetting.count()
+      prisma.userSetting.count(),
+      prisma.usageRecord.count()
     ]);
-
+    
     return {
       promptCount,
       userPromptCount,
@@ -536,7 +523,8 @@ export async function getDbStats() {
       userRecentlyUsedCount,
       userCount,
       settingCount,
-      userSettingCount
+      userSettingCount,
+      usageRecordCount
     };
   } catch (error) {
     console.error('Error getting DB stats:', error);
@@ -552,9 +540,31 @@ export async function getDbStats() {
       userRecentlyUsedCount: 0,
       userCount: 0,
       settingCount: 0,
-      userSettingCount: 0
+      userSettingCount: 0,
+      usageRecordCount: 0
     };
   }
 }
 
+/**
+ * Loads a user's show profile from their settings
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The stored profile, or null if none is saved
+ */
+export async function getUserShowProfile(userId) {
+  try {
+    const setting = await prisma.userSetting.findUnique({
+      where: {
+        userId_key: { userId, key: SHOW_PROFILE_KEY }
+      }
+    });
+    
+    return setting ? JSON.parse(setting.value) : null;
+  } catch (error) {
+    // A broken profile shouldn't block generation
+    console.error('Error loading show profile:', error);
+    return null;
+  }
+}
+
 export default prisma;
\ No newline at end of file
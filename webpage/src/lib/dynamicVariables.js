@@ -0,0 +1,209 @@
+import { getShowProfileVariables } from './showProfile';
+
+/**
+ * Built-in (reserved) prompt variables
+ * These are resolved automatically when a prompt is used, instead of being typed in.
+ * Only the lowercase names are reserved, so prompts that already use {{Time}} or {{Date}}
+ * for something typed in (a script length, an event date) keep asking for it.
+ */
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Formats a date in the context's time zone
+ * @param {Object} context - Resolution context
+ * @param {Date} date - The date to format
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} The formatted date
+ */
+function formatInZone(context, date, options) {
+  return new Intl.DateTimeFormat('en-US', { ...options, timeZone: context.timeZone }).format(date);
+}
+
+/**
+ * Finds the next show date from the profile's show days
+ * @param {Object} context - Resolution context
+ * @returns {Date|null} The next show date (today counts), or null if no show days are set
+ */
+function findNextShowDate(context) {
+  if (context.showDays.length === 0) {
+    return null;
+  }
+  
+  for (let offset = 0; offset < 7; offset++) {
+    const candidate = new Date(context.now.getTime() + offset * 24 * 60 * 60 * 1000);
+    const dayName = formatInZone(context, candidate, { weekday: 'long' }).toLowerCase();
+    if (context.showDays.includes(dayName)) {
+      return candidate;
+    }
+  }
+  
+  return null;
+}
+
+// Registry of reserved variables; resolve returns null when a value can't be determined
+export const RESERVED_VARIABLES = {
+  date: {
+    label: "Today's date",
+    resolve: (context) => formatInZone(context, context.now, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
+  },
+  date_short: {
+    label: "Today's date (short)",
+    resolve: (context) => formatInZone(context, context.now, { month: 'numeric', day: 'numeric', year: '2-digit' })
+  },
+  date_iso: {
+    label: "Today's date (YYYY-MM-DD)",
+    resolve: (context) => {
+      const parts = new Intl.DateTimeFormat('en-US', {
+        year: 'numeric', month: '2-digit', day: '2-digit', timeZone: context.timeZone
+      }).formatToParts(context.now);
+      const part = (type) => parts.find(p => p.type === type).value;
+      return `${part('year')}-${part('month')}-${part('day')}`;
+    }
+  },
+  time: {
+    label: 'Current time',
+    resolve: (context) => formatInZone(context, context.now, { hour: 'numeric', minute: '2-digit' })
+  },
+  dow: {
+    label: 'Day of the week',
+    resolve: (context) => formatInZone(context, context.now, { weekday: 'long' })
+  },
+  timezone: {
+    label: 'Time zone',
+    resolve: (context) => {
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZoneName: 'short', timeZone: context.timeZone
+      }).formatToParts(context.now);
+      return parts.find(p => p.type === 'timeZoneName')?.value || context.timeZone || null;
+    }
+  },
+  next_show_date: {
+    label: 'Next show date',
+    resolve: (context) => {
+      const showDate = findNextShowDate(context);
+      return showDate
+        ? formatInZone(context, showDate, { weekday: 'long', month: 'long', day: 'numeric' })
+        : null;
+    }
+  },
+};
+
+// show_date is an alias for next_show_date
+RESERVED_VARIABLES.show_date = RESERVED_VARIABLES.next_show_date;
+
+/**
+ * Checks whether a time zone name is supported
+ * @param {string} timeZone - IANA time zone name (e.g. America/New_York)
+ * @returns {boolean} True if the time zone can be used for formatting
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parses a list of show days such as "Fri, Saturday"
+ * @param {string} showDays - Day names separated by commas or spaces
+ * @returns {string[]} Lowercase full day names
+ */
+export function parseShowDays(showDays) {
+  return (showDays || '')
+    .split(/[\s,]+/)
+    .map(day => day.trim().toLowerCase())
+    .filter(day => day.length >= 3)
+    .map(day => DAY_NAMES.find(name => name.startsWith(day.slice(0, 3))))
+    .filter(Boolean);
+}
+
+/**
+ * Builds the context reserved variables are resolved against
+ * @param {Object} profile - The user's show profile (timezone and showDays are used)
+ * @param {Date} now - The current time
+ * @returns {Object} Resolution context
+ */
+export function getDynamicVariableContext(profile, now = new Date()) {
+  const timeZone = profile?.timezone?.trim();
+  
+  return {
+    now,
+    // Fall back to the browser/server zone if the profile has none, or an invalid one
+    timeZone: isValidTimeZone(timeZone) ? timeZone : undefined,
+    showDays: parseShowDays(profile?.showDays),
+  };
+}
+
+/**
+ * Checks whether a variable name is reserved
+ * @param {string} variable - The variable name
+ * @returns {boolean} True if the variable is built in
+ */
+export function isReservedVariable(variable) {
+  return Object.prototype.hasOwnProperty.call(RESERVED_VARIABLES, variable);
+}
+
+/**
+ * Gets the display label for a reserved variable
+ * @param {string} variable - The variable name
+ * @returns {string|null} The label, or null if the variable isn't reserved
+ */
+export function getReservedVariableLabel(variable) {
+  return isReservedVariable(variable) ? RESERVED_VARIABLES[variable].label : null;
+}
+
+/**
+ * Resolves the reserved variables among a prompt's variables
+ * @param {string[]} variables - Variable names detected in a prompt
+ * @param {Object} context - Context from getDynamicVariableContext
+ * @returns {Object} Key-value pairs for reserved variables that could be resolved
+ */
+export function resolveReservedVariables(variables, context) {
+  const values = {};
+  
+  variables.forEach(variable => {
+    if (!isReservedVariable(variable)) return;
+    
+    const value = RESERVED_VARIABLES[variable].resolve(context);
+    if (value) {
+      values[variable] = value;
+    }
+  });
+  
+  return values;
+}
+
+/**
+ * Fills variables left blank from the spec default, the show profile and built-in values
+ * Used where prompts are generated without the VariableModal (batches and rundowns).
+ * @param {Object[]} specs - Variable specs from detectVariableSpecs
+ * @param {Object} values - Values entered by the user
+ * @param {Object} profile - The user's show profile
+ * @param {Date} now - The current time
+ * @returns {Object} Key-value pairs for every variable that has a value
+ */
+export function fillAutomaticVariables(specs, values, profile, now = new Date()) {
+  const names = specs.map(spec => spec.name);
+  const automatic = {
+    // Variables with modifiers are declared inputs, so they're never treated as built-ins
+    ...resolveReservedVariables(
+      specs.filter(spec => !spec.typed).map(spec => spec.name),
+      getDynamicVariableContext(profile, now)
+    ),
+    ...getShowProfileVariables(profile, names)
+  };
+  
+  const filled = {};
+  specs.forEach(spec => {
+    const value = values?.[spec.name] || automatic[spec.name] || spec.defaultValue;
+    if (value) {
+      filled[spec.name] = value;
+    }
+  });
+  
+  return filled;
+}
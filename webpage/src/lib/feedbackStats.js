@@ -0,0 +1,114 @@
+/**
+ * Feedback stats
+ * Rolls up the feedback on saved responses per prompt and per model: how many responses
+ * there are, their thumbs up/down votes, average rating and how many were used on air.
+ * Only responses to prompts the user can see are counted.
+ */
+import { prisma } from './db';
+import { visibleWithCoreToUser } from './visibility';
+import { THUMBS_UP, THUMBS_DOWN } from './responseFeedback';
+
+/**
+ * Creates an empty feedback total
+ * @returns {Object} Totals with response, vote, rating and aired counts
+ */
+function createTotals() {
+  return { responses: 0, thumbsUp: 0, thumbsDown: 0, rated: 0, ratingSum: 0, aired: 0 };
+}
+
+/**
+ * Adds one response's feedback to a running total
+ * @param {Object} totals - The total to add to (changed in place)
+ * @param {Object} response - Response record with thumbs, rating and airedAt
+ * @returns {Object} The updated total
+ */
+function addToTotals(totals, response) {
+  totals.responses += 1;
+  if (response.thumbs === THUMBS_UP) totals.thumbsUp += 1;
+  if (response.thumbs === THUMBS_DOWN) totals.thumbsDown += 1;
+  if (response.rating) {
+    totals.rated += 1;
+    totals.ratingSum += response.rating;
+  }
+  if (response.airedAt) totals.aired += 1;
+  return totals;
+}
+
+/**
+ * Replaces a total's rating sum with the average rating
+ * @param {Object} totals - Running total
+ * @returns {Object} Totals with averageRating (null when nothing is rated) instead of ratingSum
+ */
+function finishTotals({ ratingSum, ...totals }) {
+  return {
+    ...totals,
+    averageRating: totals.rated > 0 ? Math.round((ratingSum / totals.rated) * 100) / 100 : null
+  };
+}
+
+/**
+ * Builds the feedback stats for the prompts a user can see
+ * @param {Object} user - The signed-in user
+ * @returns {Promise<Object>} { prompts, models } where prompts are
+ *   { promptId, title, isUserCreated, lastResponseAt, ...totals } and models are
+ *   { provider, model, ...totals }, each sorted by response count (most first)
+ */
+export async function getFeedbackStats(user) {
+  const responses = await prisma.response.findMany({
+    where: { prompt: visibleWithCoreToUser(user.id) },
+    select: {
+      promptId: true,
+      provider: true,
+      modelUsed: true,
+      thumbs: true,
+      rating: true,
+      airedAt: true,
+      createdAt: true,
+      prompt: {
+        select: {
+          title: true,
+          isUserCreated: true
+        }
+      }
+    }
+  });
+  
+  const promptTotals = new Map();
+  const modelTotals = new Map();
+  
+  responses.forEach(response => {
+    if (!promptTotals.has(response.promptId)) {
+      promptTotals.set(response.promptId, {
+        promptId: response.promptId,
+        title: response.prompt.title,
+        isUserCreated: response.prompt.isUserCreated,
+        lastResponseAt: response.createdAt,
+        ...createTotals()
+      });
+    }
+    
+    const promptTotal = addToTotals(promptTotals.get(response.promptId), response);
+    if (response.createdAt > promptTotal.lastResponseAt) {
+      promptTotal.lastResponseAt = response.createdAt;
+    }
+    
+    const key = `${response.provider || ''}:${response.modelUsed || ''}`;
+    if (!modelTotals.has(key)) {
+      modelTotals.set(key, {
+        provider: response.provider,
+        model: response.modelUsed,
+        ...createTotals()
+      });
+    }
+    addToTotals(modelTotals.get(key), response);
+  });
+  
+  const byResponses = (a, b) => b.responses - a.responses;
+  
+  return {
+    prompts: [...promptTotals.values()]
+      .map(total => finishTotals({ ...total, lastResponseAt: total.lastResponseAt.toISOString() }))
+      .sort(byResponses),
+    models: [...modelTotals.values()].map(finishTotals).sort(byResponses)
+  };
+}
@@ -1,40 +1,163 @@
+// Matches {{...}} variable tokens, including any |modifiers
+const VARIABLE_PATTERN = /\{\{([^}]+)\}\}/g;
+
 /**
- * Detects variables in a prompt text
+ * Parses a variable token into its name and modifiers
+ * Supports {{Name}}, {{Name|number}}, {{Name|multiline|optional}} and
+ * {{Name|choice:15s,30s,60s|default:30s}}
+ * @param {string} token - Text between the braces
+ * @returns {Object} Spec with name, type (text, choice, number, multiline), choices, defaultValue,
+ *   optional, and typed (true if any modifiers were given)
+ */
+export function parseVariableSpec(token) {
+  const [rawName, ...modifiers] = token.split('|');
+  const spec = {
+    name: rawName.trim(),
+    type: 'text',
+    choices: [],
+    defaultValue: '',
+    optional: false,
+    typed: modifiers.length > 0
+  };
+  
+  modifiers.forEach(modifier => {
+    const separatorIndex = modifier.indexOf(':');
+    const key = (separatorIndex === -1 ? modifier : modifier.slice(0, separatorIndex)).trim().toLowerCase();
+    const value = separatorIndex === -1 ? '' : modifier.slice(separatorIndex + 1).trim();
+    
+    switch (key) {
+      case 'choice':
+        spec.type = 'choice';
+        spec.choices = value.split(',').map(choice => choice.trim()).filter(Boolean);
+        break;
+      case 'number':
+      case 'multiline':
+        spec.type = key;
+        break;
+      case 'default':
+        spec.defaultValue = value;
+        break;
+      case 'optional':
+        spec.optional = true;
+        break;
+      // Unknown modifiers are ignored so newer prompts still open
+    }
+  });
+  
+  return spec;
+}
+
+/**
+ * Checks whether a variable is filled from an RSS/Atom feed on the server
+ * @param {string} variable - The variable name (e.g. "rss=https://example.com/feed.xml")
+ * @returns {boolean} True for {{rss=...}} variables
+ */
+export function isFeedVariable(variable) {
+  return /^rss\s*=/i.test((variable || '').trim());
+}
+
+/**
+ * Detects variables in a prompt text with their types and modifiers
  * @param {string} promptText - The prompt text to analyze
- * @returns {string[]} Array of variable names found
+ * @returns {Object[]} Array of variable specs (see parseVariableSpec), one per name
  */
-export function detectVariables(promptText) {
+export function detectVariableSpecs(promptText) {
+  if (typeof promptText !== 'string') return [];
+  const specs = new Map();
+  
+  for (const match of promptText.matchAll(VARIABLE_PATTERN)) {
+    const spec = parseVariableSpec(match[1]);
+    // Feed variables are resolved on the server, so they never need input
+    if (isFeedVariable(spec.name)) continue;
+    
+    // The first occurrence of a name defines its type
+    if (spec.name && !specs.has(spec.name)) {
+      specs.set(spec.name, spec);
+    }
+  }
+  
+  return [...specs.values()];
+}
+
+/**
+ * Detects the feed URLs of {{rss=...}} variables in a prompt text
+ * @param {string} promptText - The prompt text to analyze
+ * @returns {string[]} Distinct feed URLs, in order of appearance
+ */
+export function detectFeedVariables(promptText) {
   if (typeof promptText !== 'string') return [];
-  const regex = /\{\{([^}]+)\}\}/g;
-  const variables = [];
-  let match;
+  const urls = new Set();
   
-  while ((match = regex.exec(promptText)) !== null) {
-    const varName = match[1].trim();
-    if (varName) {
-      variables.push(varName);
+  for (const match of promptText.matchAll(VARIABLE_PATTERN)) {
+    const { name } = parseVariableSpec(match[1]);
+    if (isFeedVariable(name)) {
+      urls.add(name.slice(name.indexOf('=') + 1).trim());
     }
   }
   
-  return [...new Set(variables)]; // Remove duplicates
+  return [...urls];
+}
+
+/**
+ * Detects variables in a prompt text
+ * @param {string} promptText - The prompt text to analyze
+ * @returns {string[]} Array of variable names found (without modifiers)
+ */
+export function detectVariables(promptText) {
+  return detectVariableSpecs(promptText).map(spec => spec.name);
+}
+
+/**
+ * Checks a value against a variable spec
+ * @param {Object} spec - Variable spec from parseVariableSpec
+ * @param {string} value - The entered value
+ * @returns {string|null} An error message, or null if the value is valid
+ */
+export function validateVariableValue(spec, value) {
+  const trimmed = (value ?? '').toString().trim();
+  
+  if (!trimmed) {
+    return spec.optional ? null : 'This field is required';
+  }
+  
+  if (spec.type === 'number' && !Number.isFinite(Number(trimmed))) {
+    return 'Please enter a number';
+  }
+  
+  if (spec.type === 'choice' && spec.choices.length > 0 && !spec.choices.includes(trimmed)) {
+    return `Choose one of: ${spec.choices.join(', ')}`;
+  }
+  
+  return null;
 }
 
 /**
  * Replaces variables in a prompt text with their values
+ * Variables without a value fall back to their default:, and optional ones are removed,
+ * so modifiers never reach the model as literal text.
  * @param {string} promptText - The prompt text with variables
  * @param {Object} replacements - Key-value pairs of variable names and their replacements
  * @returns {string} The prompt text with variables replaced
  */
 export function replaceVariables(promptText, replacements) {
   if (typeof promptText !== 'string') return '';
-  let result = promptText;
-  Object.entries(replacements).forEach(([variable, value]) => {
-    // Escape regex special characters in variable name for safety
-    const escapedVar = variable.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
-    // Replace {{variable}} with the provided value
-    result = result.replace(new RegExp(`\\{\\{${escapedVar}\\}\\}`, 'g'), value);
+  
+  // Match by name so {{Name|modifiers}} is replaced too; unknown variables are left as-is
+  return promptText.replace(VARIABLE_PATTERN, (token, inner) => {
+    const spec = parseVariableSpec(inner);
+    const value = replacements?.[spec.name];
+    
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      return String(value);
+    }
+    if (spec.defaultValue) {
+      return spec.defaultValue;
+    }
+    if (spec.optional) {
+      return '';
+    }
+    return Object.prototype.hasOwnProperty.call(replacements || {}, spec.name) ? String(value ?? '') : token;
   });
-  return result;
 }
 
 /**
@@ -375,6 +375,8 @@ async function processResponsesForImport(importedResponses, existingResponses, s
   
   // Process each response
   const responsesToImport = [];
+  // Imported responses get new IDs; refinement links are remapped to them below
+  const newResponseIds = new Map();
   
   for (const response of importedResponses) {
     // Skip responses without required fields
@@ -407,14 +409,24 @@ async function processResponsesForImport(importedResponses, existingResponses, s
     }
     
     // Add to import list with a new ID
+    const newId = `response_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+    newResponseIds.set(response.id, newId);
     responsesToImport.push({
       ...response,
-      id: `response_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+      id: newId,
       createdAt: response.createdAt || new Date().toISOString()
     });
     importStats.responses.imported++;
   }
   
+  // Point refinements at their imported parent, or at the existing copy of a skipped one
+  responsesToImport.forEach(response => {
+    if (response.parentId) {
+      response.parentId = newResponseIds.get(response.parentId)
+        || (existingResponseIds.has(response.parentId) ? response.parentId : null);
+    }
+  });
+  
   // Update storage with imported responses
   if (responsesToImport.length > 0) {
     // Use the addResponses operation instead of replacing all
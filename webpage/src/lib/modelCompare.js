@@ -0,0 +1,53 @@
+/**
+ * Model comparison helpers
+ * A comparison sends the same filled-in prompt to several providers, models or settings
+ * ("variants") at once so their outputs can be judged side by side.
+ */
+
+// Columns in a comparison; more than four stops being readable side by side
+export const MIN_COMPARE_VARIANTS = 2;
+export const MAX_COMPARE_VARIANTS = 4;
+
+/**
+ * Gets the generation options a comparison variant sets
+ * @param {Object} variant - The variant as entered
+ * @returns {Object} Object with provider, model, temperature and maxTokens (undefined when left to the default)
+ */
+export function getVariantOptions(variant) {
+  const temperature = variant?.temperature === '' || variant?.temperature == null ? undefined : Number(variant.temperature);
+  const maxTokens = variant?.maxTokens === '' || variant?.maxTokens == null ? undefined : Number(variant.maxTokens);
+  
+  return {
+    provider: variant?.provider || undefined,
+    model: String(variant?.model || '').trim() || undefined,
+    temperature,
+    maxTokens
+  };
+}
+
+/**
+ * Describes a variant for column headings
+ * @param {Object} variant - The variant
+ * @param {Object[]} [providers] - Known providers ({ id, name, defaultModel })
+ * @returns {string} e.g. "OpenAI · gpt-4o · temp 0.9"
+ */
+export function describeVariant(variant, providers = []) {
+  const options = getVariantOptions(variant);
+  const provider = providers.find(p => p.id === options.provider);
+  
+  return [
+    provider?.name || options.provider || 'Default provider',
+    options.model || provider?.defaultModel,
+    options.temperature !== undefined ? `temp ${options.temperature}` : ''
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Formats how long a generation took
+ * @param {number} milliseconds - Latency in milliseconds
+ * @returns {string} e.g. "850 ms" or "2.4 s"
+ */
+export function formatLatency(milliseconds) {
+  if (!Number.isFinite(milliseconds)) return '';
+  return milliseconds < 1000 ? `${Math.round(milliseconds)} ms` : `${(milliseconds / 1000).toFixed(1)} s`;
+}
@@ -1,61 +1,213 @@
-import { detectVariables, replaceVariables } from './formatPromptDisplay';
+import { replaceVariables } from './formatPromptDisplay';
+import { getProvider } from './providers';
+import { buildShowProfileInstructions } from './showProfile';
+import { resolveFeedVariables } from './rssFeeds';
+import { MAX_FOLLOW_UPS } from './responseThreads';
+import { scheduleAiRequest } from './rateLimiter';
+import { buildResponseCacheKey } from './responseCache';
+import { estimateTokens } from './usage';
+
+export const DEFAULT_SYSTEM_PROMPT = 'You are an AI assistant helping radio DJs create show content.';
+
+// Bounds for per-prompt generation settings
+export const MAX_TEMPERATURE = 2;
+export const MAX_TOKENS_LIMIT = 16384;
+export const MAX_TARGET_SECONDS = 3600;
+export const MAX_FOLLOW_UP_LENGTH = 50000;
 
 /**
- * Submits a prompt to OpenAI's API and returns the response
- * @param {string} promptText - The prompt text to send to OpenAI
- * @param {Object} variables - Key-value pairs of variables to replace in the prompt
- * @returns {Promise<Object>} The API response with formatted content
+ * Checks per-request generation settings
+ * @param {Object} options - Generation options
+ * @returns {string|null} An error message, or null if the options are valid
  */
-export async function submitToOpenAI(promptText, variables = {}) {
-  try {
-    // Prepare the prompt by replacing variables if needed
-    const processedPrompt = replaceVariables(promptText, variables);
+export function validateGenerationOptions({ temperature, maxTokens, systemPrompt, targetSeconds, followUps } = {}) {
+  if (temperature != null && (typeof temperature !== 'number' || temperature < 0 || temperature > MAX_TEMPERATURE)) {
+    return `Temperature must be a number between 0 and ${MAX_TEMPERATURE}`;
+  }
+  
+  if (maxTokens != null && (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_TOKENS_LIMIT)) {
+    return `Max tokens must be a whole number between 1 and ${MAX_TOKENS_LIMIT}`;
+  }
+  
+  if (systemPrompt != null && typeof systemPrompt !== 'string') {
+    return 'System prompt must be text';
+  }
+  
+  if (targetSeconds != null && (!Number.isInteger(targetSeconds) || targetSeconds < 1 || targetSeconds > MAX_TARGET_SECONDS)) {
+    return `Target length must be a whole number of seconds between 1 and ${MAX_TARGET_SECONDS}`;
+  }
+  
+  if (followUps != null) {
+    if (!Array.isArray(followUps) || followUps.length > MAX_FOLLOW_UPS) {
+      return `Follow-ups must be a list of at most ${MAX_FOLLOW_UPS} turns`;
+    }
     
-    // API key from environment variable
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      throw new Error('OpenAI API key is not configured. Please check your environment settings.');
+    const isValidTurn = turn => typeof turn?.responseText === 'string' && typeof turn?.instruction === 'string'
+      && turn.responseText.trim() && turn.instruction.trim();
+    if (!followUps.every(isValidTurn)) {
+      return 'Each follow-up needs the previous response and an instruction';
     }
     
-    // Build the request body
-    const requestBody = {
-      model: process.env.OPENAI_MODEL || 'gpt-4o',
+    const length = followUps.reduce((total, turn) => total + turn.responseText.length + turn.instruction.length, 0);
+    if (length > MAX_FOLLOW_UP_LENGTH) {
+      return `Follow-ups can be at most ${MAX_FOLLOW_UP_LENGTH} characters in total`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Resolves the provider and builds the normalized request for a prompt
+ * @param {string} promptText - The prompt text to send
+ * @param {Object} variables - Key-value pairs of variables to replace in the prompt
+ * @param {Object} options - Generation options
+ * @returns {Promise<Object>} Object with provider adapter and request
+ */
+async function buildProviderRequest(promptText, variables, options) {
+  // Prepare the prompt by replacing variables if needed, then pull in any {{rss=...}} feeds
+  const processedPrompt = await resolveFeedVariables(replaceVariables(promptText, variables));
+  
+  const provider = getProvider(options.provider);
+  
+  // Per-request settings win over the server defaults
+  const defaultTemperature = parseFloat(process.env.AI_TEMPERATURE || process.env.OPENAI_TEMPERATURE);
+  
+  // The user's show profile and any target read time are appended to whichever system prompt applies
+  const system = [
+    options.systemPrompt?.trim() || DEFAULT_SYSTEM_PROMPT,
+    buildShowProfileInstructions(options.showProfile),
+    options.targetSeconds ? `The script should take about ${options.targetSeconds} seconds to read aloud.` : ''
+  ].filter(Boolean).join('\n\n');
+  
+  return {
+    provider,
+    request: {
+      system,
+      // Follow-ups continue the conversation: each earlier answer, then the instruction that came after it
       messages: [
-        { role: 'system', content: 'You are an AI assistant helping radio DJs create show content.' },
-        { role: 'user', content: processedPrompt }
+        { role: 'user', content: processedPrompt },
+        ...(options.followUps || []).flatMap(turn => [
+          { role: 'assistant', content: turn.responseText },
+          { role: 'user', content: turn.instruction }
+        ])
       ],
-      max_tokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 2048,
-      temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7,
-    };
-    
-    // Make the API request
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify(requestBody)
-    });
-    
-    // Parse the response
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `API request failed with status ${response.status}`);
+      model: options.model || provider.defaultModel(),
+      maxTokens: options.maxTokens || parseInt(process.env.AI_MAX_TOKENS || process.env.OPENAI_MAX_TOKENS) || 2048,
+      temperature: options.temperature ?? (Number.isFinite(defaultTemperature) ? defaultTemperature : 0.7),
     }
+  };
+}
+
+/**
+ * Adds the settings that produced a response, so they can be saved with it
+ * @param {Object} result - Normalized provider response
+ * @param {Object} provider - The provider adapter used
+ * @param {Object} request - The normalized request that was sent
+ * @returns {Object} The response with provider, temperature, maxTokens, systemPrompt and cacheKey
+ */
+function withGenerationSettings(result, provider, request) {
+  return {
+    ...result,
+    provider: provider.id,
+    temperature: request.temperature,
+    maxTokens: request.maxTokens,
+    systemPrompt: request.system,
+    cacheKey: buildResponseCacheKey(provider.id, request),
+  };
+}
+
+/**
+ * Works out the response cache key a prompt would be saved under, without calling the provider
+ * @param {string} promptText - The prompt text
+ * @param {Object} variables - Key-value pairs of variables to replace in the prompt
+ * @param {Object} options - Generation options (same as submitToAi)
+ * @returns {Promise<string>} The cache key
+ */
+export async function getResponseCacheKey(promptText, variables = {}, options = {}) {
+  const { provider, request } = await buildProviderRequest(promptText, variables, options);
+  return buildResponseCacheKey(provider.id, request);
+}
+
+/**
+ * Wraps a provider failure in an error with a consistent message
+ * Keeps the status, retryAfter and scope so rate limits reach the caller intact.
+ * @param {Error} error - The original error
+ * @returns {Error} The error to throw
+ */
+function toProviderError(error) {
+  const providerError = new Error(error.message || 'Failed to get response from AI provider');
+  providerError.status = error.status;
+  providerError.retryAfter = error.retryAfter;
+  providerError.scope = error.scope;
+  return providerError;
+}
+
+/**
+ * Submits a prompt to the configured AI provider and returns the response
+ * @param {string} promptText - The prompt text to send
+ * @param {Object} variables - Key-value pairs of variables to replace in the prompt
+ * @param {Object} options - Generation options
+ * @param {string} [options.provider] - Provider ID (defaults to AI_PROVIDER)
+ * @param {string} [options.model] - Model name (defaults to the provider's model)
+ * @param {number} [options.temperature] - Sampling temperature (defaults to AI_TEMPERATURE)
+ * @param {number} [options.maxTokens] - Maximum tokens to generate (defaults to AI_MAX_TOKENS)
+ * @param {string} [options.systemPrompt] - System prompt (defaults to DEFAULT_SYSTEM_PROMPT)
+ * @param {Object} [options.showProfile] - The user's show profile, added to the system prompt
+ * @param {number} [options.targetSeconds] - Target read time, added to the system prompt
+ * @param {Object[]} [options.followUps] - Earlier answers and the instructions that followed them ({ responseText, instruction })
+ * @returns {Promise<Object>} The API response with formatted content
+ */
+export async function submitToAi(promptText, variables = {}, options = {}) {
+  try {
+    const { provider, request } = await buildProviderRequest(promptText, variables, options);
     
-    const data = await response.json();
+    const result = await scheduleAiRequest(provider.id, () => provider.complete(request));
+    return withGenerationSettings(result, provider, request);
+  } catch (error) {
+    console.error('AI provider error:', error);
+    throw toProviderError(error);
+  }
+}
+
+/**
+ * Streams a prompt's response from the configured AI provider
+ * @param {string} promptText - The prompt text to send
+ * @param {Object} variables - Key-value pairs of variables to replace in the prompt
+ * @param {Object} options - Generation options (same as submitToAi)
+ * @param {function} onDelta - Called with each chunk of generated text
+ * @param {AbortSignal} [signal] - Signal to stop generation early
+ * @returns {Promise<Object>} The complete response, including token usage
+ * @throws {Error} An AbortError with partialUsage when cancelled
+ */
+export async function streamToAi(promptText, variables = {}, options = {}, onDelta, signal) {
+  let partialUsage = null;
+  
+  try {
+    const { provider, request } = await buildProviderRequest(promptText, variables, options);
     
-    return {
-      responseText: data.choices[0]?.message?.content || '',
-      modelUsed: data.model,
-      promptTokens: data.usage?.prompt_tokens,
-      completionTokens: data.usage?.completion_tokens,
-      totalTokens: data.usage?.total_tokens,
-    };
+    const result = await scheduleAiRequest(provider.id, () => {
+      // Providers only report usage at the end, so estimate it in case the stream is cancelled
+      const sentText = [request.system, ...request.messages.map(message => message.content)].join('\n');
+      let generatedText = '';
+      partialUsage = { provider: provider.id, modelUsed: request.model, promptTokens: estimateTokens(sentText), completionTokens: 0 };
+      
+      return provider.stream(request, (text) => {
+        generatedText += text;
+        partialUsage.completionTokens = estimateTokens(generatedText);
+        onDelta(text);
+      }, signal);
+    }, signal);
+    return withGenerationSettings(result, provider, request);
   } catch (error) {
-    console.error('OpenAI API error:', error);
-    throw new Error(error.message || 'Failed to get response from OpenAI');
+    // Cancellation is expected; pass it through with the usage estimated so far (null if the
+    // request never reached the provider)
+    if (error.name === 'AbortError') {
+      error.partialUsage = partialUsage;
+      throw error;
+    }
+    console.error('AI provider error:', error);
+    throw toProviderError(error);
   }
 }
 
@@ -65,6 +217,11 @@ export async function submitToOpenAI(promptText, variables = {}) {
  * @returns {boolean} True if the error is retry-able
  */
 export function isRetryableError(error) {
+  // Provider rate limits are already waited out in the request queue
+  if (error.status === 429) {
+    return false;
+  }
+  
   return (
     error.message.includes('rate limit') ||
     error.message.includes('timeout') ||
@@ -74,20 +231,21 @@ export function isRetryableError(error) {
 }
 
 /**
- * Submits a prompt to OpenAI with retry logic for handling rate limits
+ * Submits a prompt with retry logic for handling rate limits
  * @param {string} promptText - The prompt to send
  * @param {Object} variables - Variables to replace in the prompt
+ * @param {Object} options - Generation options passed to submitToAi
  * @param {number} maxRetries - Maximum number of retry attempts
  * @param {number} initialDelay - Initial delay in ms before retrying
  * @returns {Promise<Object>} The API response with formatted content
  */
-export async function submitWithRetry(promptText, variables = {}, maxRetries = 3, initialDelay = 1000) {
+export async function submitWithRetry(promptText, variables = {}, options = {}, maxRetries = 3, initialDelay = 1000) {
   let retries = 0;
   let delay = initialDelay;
   
   while (retries < maxRetries) {
     try {
-      return await submitToOpenAI(promptText, variables);
+      return await submitToAi(promptText, variables, options);
     } catch (error) {
       retries++;
       
@@ -0,0 +1,320 @@
+/**
+ * Playlist import helpers
+ * Turns M3U/M3U8 playlists, CSV exports and plain-text automation/Spinitron logs into
+ * a track list whose fields fill artist/song style prompt variables.
+ */
+import { parseCsv } from './csv';
+
+// UserSetting key the imported track list is stored under
+export const PLAYLIST_KEY = 'playlist';
+
+// Upper bound on stored tracks, roughly a long day of airplay
+export const MAX_PLAYLIST_TRACKS = 500;
+
+// Track fields with their labels, in display order
+export const TRACK_FIELDS = [
+  { key: 'artist', label: 'Artist' },
+  { key: 'title', label: 'Song' },
+  { key: 'album', label: 'Album' },
+  { key: 'year', label: 'Year' },
+  { key: 'label', label: 'Label' },
+  { key: 'playedAt', label: 'Played At' },
+];
+
+// Formats the importer understands; 'auto' picks one from the text
+export const PLAYLIST_FORMATS = [
+  { value: 'auto', label: 'Detect automatically' },
+  { value: 'm3u', label: 'M3U / M3U8 playlist' },
+  { value: 'csv', label: 'CSV with header (choose columns)' },
+  { value: 'log', label: 'Log text (Artist - Song per line)' },
+];
+
+// Header names (lowercase, single-spaced) recognized for each track field
+const COLUMN_ALIASES = {
+  artist: ['artist', 'artist name', 'artists', 'performer', 'band'],
+  title: ['title', 'song', 'song title', 'song name', 'track', 'track title', 'track name'],
+  album: ['album', 'album title', 'album name', 'release', 'release title'],
+  year: ['year', 'release year', 'released', 'release date'],
+  label: ['label', 'record label'],
+  playedAt: ['time', 'start', 'start time', 'played', 'played at', 'air time', 'aired', 'date/time', 'timestamp'],
+};
+
+// Prompt variable names that are filled from track fields (same names getPlaceholderExample knows)
+const TRACK_VARIABLES = {
+  artist: 'artist',
+  artist_name: 'artist',
+  band: 'artist',
+  band_name: 'artist',
+  song: 'title',
+  song_title: 'title',
+  title: 'title',
+  track: 'title',
+  track_title: 'title',
+  album: 'album',
+  album_name: 'album',
+  release: 'album',
+  year: 'year',
+  release_year: 'year',
+  label: 'label',
+  record_label: 'label',
+};
+
+// Leading timestamp on log lines, e.g. "14:05", "2:05:33 PM" or "2025-05-23 14:05"
+const LOG_TIME_PATTERN = /^((?:\d{4}-\d{2}-\d{2}[ T])?\d{1,2}:\d{2}(?::\d{2})?(?:\s*[ap]\.?m\.?)?)\s+(?:[-|]\s+)?/i;
+
+// Separators between artist, song and album on a log line
+const LOG_SEPARATOR_PATTERN = /\s+[-–—]\s+/;
+
+/**
+ * Builds a track with every field present as a trimmed string
+ * @param {Object} fields - Raw track fields
+ * @returns {Object} The normalized track
+ */
+function createTrack(fields) {
+  return TRACK_FIELDS.reduce((track, field) => {
+    const value = fields?.[field.key];
+    track[field.key] = value === undefined || value === null ? '' : String(value).trim();
+    return track;
+  }, {});
+}
+
+/**
+ * Splits "Artist - Title" text into its parts
+ * @param {string} text - Text with an optional " - " separator
+ * @returns {Object} Object with artist and title (artist is '' when there's no separator)
+ */
+function splitArtistTitle(text) {
+  const parts = text.split(LOG_SEPARATOR_PATTERN);
+  if (parts.length < 2) {
+    return { artist: '', title: text.trim() };
+  }
+  
+  return { artist: parts[0].trim(), title: parts.slice(1).join(' - ').trim() };
+}
+
+/**
+ * Gets "Artist - Title" text from a playlist entry's path or URL
+ * @param {string} path - File path or URL
+ * @returns {string} The file name without folders, extension or a leading track number
+ */
+function getFileTitle(path) {
+  let fileName = path.split(/[\\/]/).pop().replace(/\.[a-z0-9]{2,4}$/i, '');
+  try {
+    fileName = decodeURIComponent(fileName);
+  } catch (error) {
+    // Not URL-encoded; use the name as-is
+  }
+  
+  return fileName.replace(/^\d{1,3}(?:\.|\s+-)\s+/, '').trim();
+}
+
+/**
+ * Parses an M3U or M3U8 playlist
+ * Tracks come from "#EXTINF:<seconds>,Artist - Title" lines, falling back to
+ * "Artist - Title.mp3" style file names when an entry has no EXTINF line.
+ * @param {string} text - Playlist text
+ * @returns {Object[]} Tracks in playlist order
+ */
+export function parseM3u(text) {
+  const tracks = [];
+  let info = null;
+  let album = '';
+  
+  (text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+    
+    if (/^#EXTINF:/i.test(line)) {
+      // Attributes like tvg-name="..." may contain commas, so skip them before taking the title
+      const match = line.match(/^#EXTINF:\s*-?[\d.]*((?:\s+[\w-]+="[^"]*")*)\s*,(.*)$/i);
+      info = match ? splitArtistTitle(match[2]) : null;
+    } else if (/^#EXTALB:/i.test(line)) {
+      album = line.slice('#EXTALB:'.length).trim();
+    } else if (/^#EXTART:/i.test(line)) {
+      info = { ...(info || { title: '' }), artist: line.slice('#EXTART:'.length).trim() };
+    } else if (!line.startsWith('#')) {
+      let entry = info;
+      if (!entry || (!entry.artist && !entry.title)) {
+        entry = splitArtistTitle(getFileTitle(line));
+      }
+      
+      if (entry.artist || entry.title) {
+        tracks.push(createTrack({ ...entry, album }));
+      }
+      info = null;
+    }
+  });
+  
+  return tracks;
+}
+
+/**
+ * Guesses which CSV columns hold each track field from the header names
+ * @param {string[]} header - Header line fields
+ * @returns {Object} Column index for each track field, or -1 when none matches
+ */
+export function guessColumnMapping(header) {
+  const names = header.map(column => column.toLowerCase().replace(/[_\s]+/g, ' ').trim());
+  
+  return TRACK_FIELDS.reduce((mapping, field) => {
+    mapping[field.key] = names.findIndex(name => COLUMN_ALIASES[field.key].includes(name));
+    return mapping;
+  }, {});
+}
+
+/**
+ * Parses a CSV (or tab-separated) export with a header line
+ * @param {string} text - CSV text
+ * @param {Object} [mapping] - Column index for each track field; guessed from the header when omitted
+ * @returns {Object} Object with tracks, the header columns and the mapping used
+ */
+export function parseTrackCsv(text, mapping) {
+  const [header = [], ...dataRows] = parseCsv(text);
+  const columnMapping = mapping || guessColumnMapping(header);
+  
+  const tracks = dataRows
+    .map(fields => {
+      const values = {};
+      TRACK_FIELDS.forEach(field => {
+        const index = columnMapping[field.key];
+        values[field.key] = index >= 0 ? fields[index] : '';
+      });
+      return createTrack(values);
+    })
+    .filter(track => track.artist || track.title);
+  
+  return { tracks, columns: header, mapping: columnMapping };
+}
+
+/**
+ * Parses a plain-text log with one track per line
+ * Lines look like "[time] Artist - Song [- Album [(Label)]]", which covers copied Spinitron
+ * playlists and the text logs most automation systems print. Lines without a separator are skipped.
+ * @param {string} text - Log text
+ * @returns {Object[]} Tracks in log order
+ */
+export function parseLogText(text) {
+  return (text || '')
+    .split(/\r?\n/)
+    .map(rawLine => {
+      let line = rawLine.trim();
+      let playedAt = '';
+      
+      const timeMatch = line.match(LOG_TIME_PATTERN);
+      if (timeMatch) {
+        playedAt = timeMatch[1];
+        line = line.slice(timeMatch[0].length);
+      }
+      
+      const parts = line.split(LOG_SEPARATOR_PATTERN).map(part => part.trim());
+      if (parts.length < 2 || !parts[0] || !parts[1]) {
+        return null;
+      }
+      
+      const [artist, title, release = ''] = parts;
+      const labelMatch = release.match(/^(.*?)\s*\(([^)]+)\)$/);
+      
+      return createTrack({
+        artist,
+        title,
+        album: labelMatch ? labelMatch[1] : release,
+        label: labelMatch ? labelMatch[2] : '',
+        playedAt
+      });
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Works out which format pasted or uploaded playlist text is in
+ * @param {string} text - Playlist text
+ * @param {string} [fileName] - Name of the uploaded file, if any
+ * @returns {string} 'm3u', 'csv' or 'log'
+ */
+export function detectPlaylistFormat(text, fileName) {
+  if (/\.m3u8?$/i.test(fileName || '') || /^#EXTM3U|^#EXTINF:/im.test(text || '')) {
+    return 'm3u';
+  }
+  
+  const [header = []] = parseCsv(text || '');
+  const mapping = guessColumnMapping(header);
+  if (header.length > 1 && (mapping.artist >= 0 || mapping.title >= 0)) {
+    return 'csv';
+  }
+  
+  return 'log';
+}
+
+/**
+ * Parses playlist text in any supported format
+ * @param {string} text - Playlist text
+ * @param {Object} [options] - Options
+ * @param {string} [options.format='auto'] - One of the PLAYLIST_FORMATS values
+ * @param {string} [options.fileName] - Uploaded file name, used for format detection
+ * @param {Object} [options.mapping] - CSV column mapping (see guessColumnMapping)
+ * @returns {Object} Object with format, tracks, and for CSV the header columns and mapping
+ */
+export function parsePlaylist(text, { format = 'auto', fileName, mapping } = {}) {
+  const resolvedFormat = format === 'auto' ? detectPlaylistFormat(text, fileName) : format;
+  
+  if (resolvedFormat === 'm3u') {
+    return { format: resolvedFormat, tracks: parseM3u(text), columns: [], mapping: null };
+  }
+  
+  if (resolvedFormat === 'csv') {
+    return { format: resolvedFormat, ...parseTrackCsv(text, mapping) };
+  }
+  
+  return { format: resolvedFormat, tracks: parseLogText(text), columns: [], mapping: null };
+}
+
+/**
+ * Normalizes a stored track list, keeping only tracks with an artist or title
+ * @param {Object[]} tracks - Raw tracks
+ * @returns {Object[]} At most MAX_PLAYLIST_TRACKS normalized tracks
+ */
+export function normalizeTracks(tracks) {
+  if (!Array.isArray(tracks)) return [];
+  
+  return tracks
+    .map(createTrack)
+    .filter(track => track.artist || track.title)
+    .slice(0, MAX_PLAYLIST_TRACKS);
+}
+
+/**
+ * Formats a track for lists and pickers
+ * @param {Object} track - The track
+ * @returns {string} "Artist - Song", with whichever part is known
+ */
+export function formatTrack(track) {
+  return [track.artist, track.title].filter(Boolean).join(' - ');
+}
+
+/**
+ * Gets the prompt variable names a track can fill
+ * @param {string[]} variables - Variable names detected in a prompt
+ * @returns {string[]} Variables that map to a track field
+ */
+export function getTrackVariableNames(variables) {
+  return variables.filter(variable => TRACK_VARIABLES[variable.toLowerCase()]);
+}
+
+/**
+ * Gets values for prompt variables that can be filled from a track
+ * @param {Object} track - The track
+ * @param {string[]} variables - Variable names detected in a prompt
+ * @returns {Object} Key-value pairs for variables with a matching track value
+ */
+export function getTrackVariables(track, variables) {
+  const values = {};
+  
+  variables.forEach(variable => {
+    const field = TRACK_VARIABLES[variable.toLowerCase()];
+    if (field && track?.[field]) {
+      values[variable] = track[field];
+    }
+  });
+  
+  return values;
+}
@@ -0,0 +1,168 @@
+/**
+ * Prompt revisions
+ * Every version of a prompt is kept as a PromptRevision: a full snapshot of its text, title,
+ * description, category, tags and generation settings, with who saved it and when. A revision
+ * is recorded whenever a save changes the prompt, responses record the revision that generated
+ * them, and restoring an old revision saves its snapshot as the newest one.
+ * Functions take the Prisma client (or a transaction) to run against.
+ */
+
+// Prompt fields copied into each revision
+const SNAPSHOT_FIELDS = [
+  'title',
+  'description',
+  'categoryId',
+  'promptText',
+  'provider',
+  'model',
+  'temperature',
+  'maxTokens',
+  'systemPrompt'
+];
+
+/**
+ * Takes a snapshot of a stored prompt
+ * @param {Object} prompt - Prompt record with its tags
+ * @returns {Object} Revision fields, with the tag names as a sorted JSON array
+ */
+function snapshotPrompt(prompt) {
+  const snapshot = Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, prompt[field] ?? null]));
+  snapshot.tags = JSON.stringify(prompt.tags.map(t => t.tag.name).sort());
+  
+  return snapshot;
+}
+
+/**
+ * Gets a prompt's newest revision
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} promptId - Prompt ID
+ * @returns {Promise<Object|null>} The revision, or null if the prompt has none
+ */
+function findLatestRevision(client, promptId) {
+  return client.promptRevision.findFirst({
+    where: { promptId },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+  });
+}
+
+/**
+ * Records the prompt's current state as a new revision, unless it matches the newest one
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} promptId - Prompt ID
+ * @param {string|null} userId - Who saved this version
+ * @returns {Promise<Object|null>} The prompt's newest revision, or null if the prompt doesn't exist
+ */
+export async function recordPromptRevision(client, promptId, userId) {
+  const prompt = await client.prompt.findUnique({
+    where: { id: promptId },
+    include: {
+      tags: {
+        include: {
+          tag: true
+        }
+      }
+    }
+  });
+  
+  if (!prompt) {
+    return null;
+  }
+  
+  const snapshot = snapshotPrompt(prompt);
+  const latest = await findLatestRevision(client, promptId);
+  
+  const unchanged = latest
+    && latest.tags === snapshot.tags
+    && SNAPSHOT_FIELDS.every(field => (latest[field] ?? null) === snapshot[field]);
+  
+  if (unchanged) {
+    return latest;
+  }
+  
+  return client.promptRevision.create({
+    data: {
+      promptId,
+      userId: userId || null,
+      ...snapshot
+    }
+  });
+}
+
+/**
+ * Works out which revision a new response was generated from
+ * The client sends the revision it had loaded; if it doesn't (or sends one from another
+ * prompt), the prompt's newest revision is used.
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} promptId - The response's prompt
+ * @param {string} [revisionId] - Revision reported by the client
+ * @returns {Promise<string|null>} Revision ID, or null if the prompt has no revisions
+ */
+export async function resolveResponseRevisionId(client, promptId, revisionId) {
+  if (revisionId) {
+    const revision = await client.promptRevision.findUnique({
+      where: { id: revisionId },
+      select: { promptId: true }
+    });
+    
+    if (revision?.promptId === promptId) {
+      return revisionId;
+    }
+  }
+  
+  const latest = await findLatestRevision(client, promptId);
+  return latest?.id || null;
+}
+
+/**
+ * Gets the tag names stored in a revision
+ * @param {Object} revision - Revision record
+ * @returns {string[]} Tag names
+ */
+export function revisionTags(revision) {
+  try {
+    const tags = JSON.parse(revision.tags);
+    return Array.isArray(tags) ? tags : [];
+  } catch (error) {
+    console.error('Error parsing revision tags JSON:', error);
+    return [];
+  }
+}
+
+/**
+ * Builds the prompt fields a revision restores (tags are restored separately)
+ * @param {Object} revision - Revision record
+ * @returns {Object} Prompt data for prisma.prompt.update
+ */
+export function promptDataFromRevision(revision) {
+  return Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, revision[field]]));
+}
+
+/**
+ * Formats a revision for the client
+ * @param {Object} dbRevision - Revision record with its author
+ * @returns {Object} The revision, with tags as an array and category as in formatted prompts
+ */
+export function formatRevisionFromDb(dbRevision) {
+  return {
+    id: dbRevision.id,
+    promptId: dbRevision.promptId,
+    userId: dbRevision.userId,
+    title: dbRevision.title,
+    description: dbRevision.description || '',
+    category: dbRevision.categoryId || '',
+    promptText: dbRevision.promptText,
+    tags: revisionTags(dbRevision),
+    provider: dbRevision.provider,
+    model: dbRevision.model,
+    temperature: dbRevision.temperature,
+    maxTokens: dbRevision.maxTokens,
+    systemPrompt: dbRevision.systemPrompt,
+    createdAt: dbRevision.createdAt.toISOString(),
+    ...(dbRevision.user && {
+      user: {
+        firstName: dbRevision.user.firstName,
+        lastName: dbRevision.user.lastName
+      }
+    })
+  };
+}
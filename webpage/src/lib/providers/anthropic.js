@@ -0,0 +1,167 @@
+import { createProviderError } from './providerUtils';
+import { readServerSentEvents } from '../serverSentEvents';
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Gets the API key, failing early if it's missing
+ * @returns {string} The API key
+ */
+function requireApiKey() {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    throw new Error('Anthropic API key is not configured. Please check your environment settings.');
+  }
+  return apiKey;
+}
+
+/**
+ * Sends a Messages API request
+ * @param {Object} request - Normalized provider request
+ * @param {Object} extraBody - Additional body fields (e.g. stream)
+ * @param {AbortSignal} [signal] - Signal to stop the request
+ * @returns {Promise<Response>} The successful fetch response
+ */
+async function postMessages({ system, messages, model, maxTokens, temperature }, extraBody = {}, signal) {
+  const response = await fetch(ANTHROPIC_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': requireApiKey(),
+      'anthropic-version': ANTHROPIC_VERSION
+    },
+    body: JSON.stringify({
+      model,
+      system,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...extraBody
+    }),
+    signal
+  });
+  
+  if (!response.ok) {
+    throw await createProviderError(response);
+  }
+  
+  return response;
+}
+
+/**
+ * Sums input and output tokens when both are known
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @returns {number|undefined} Total tokens
+ */
+function sumTokens(promptTokens, completionTokens) {
+  return promptTokens != null && completionTokens != null
+    ? promptTokens + completionTokens
+    : undefined;
+}
+
+/**
+ * Anthropic Messages API adapter
+ */
+const anthropicProvider = {
+  id: 'anthropic',
+  name: 'Anthropic',
+  
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean} True if an API key is configured
+   */
+  isConfigured() {
+    return !!process.env.ANTHROPIC_API_KEY;
+  },
+  
+  /**
+   * Model used when the request doesn't name one
+   * @returns {string} The default model
+   */
+  defaultModel() {
+    return process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+  },
+  
+  /**
+   * Generates a completion
+   * @param {Object} request - Normalized provider request
+   * @param {string} request.system - System message
+   * @param {Object[]} request.messages - Array of {role, content} messages
+   * @param {string} request.model - Model name
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @param {number} request.temperature - Sampling temperature
+   * @returns {Promise<Object>} Normalized response
+   */
+  async complete(request) {
+    const response = await postMessages(request);
+    const data = await response.json();
+    
+    // Content is an array of blocks; only text blocks carry the script
+    const responseText = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    
+    const promptTokens = data.usage?.input_tokens;
+    const completionTokens = data.usage?.output_tokens;
+    
+    return {
+      responseText,
+      modelUsed: data.model || request.model,
+      promptTokens,
+      completionTokens,
+      totalTokens: sumTokens(promptTokens, completionTokens),
+    };
+  },
+  
+  /**
+   * Generates a completion, reporting text as it arrives
+   * @param {Object} request - Normalized provider request
+   * @param {function} onDelta - Called with each chunk of generated text
+   * @param {AbortSignal} [signal] - Signal to stop generation early
+   * @returns {Promise<Object>} Normalized response once the stream completes
+   */
+  async stream(request, onDelta, signal) {
+    const response = await postMessages(request, { stream: true }, signal);
+    
+    let responseText = '';
+    let modelUsed = request.model;
+    let promptTokens;
+    let completionTokens;
+    
+    await readServerSentEvents(response, (event, data) => {
+      const payload = JSON.parse(data);
+      
+      switch (event) {
+        case 'message_start':
+          modelUsed = payload.message?.model || modelUsed;
+          promptTokens = payload.message?.usage?.input_tokens;
+          break;
+        case 'content_block_delta':
+          if (payload.delta?.type === 'text_delta') {
+            responseText += payload.delta.text;
+            onDelta(payload.delta.text);
+          }
+          break;
+        case 'message_delta':
+          // Output usage is cumulative, so the last value wins
+          completionTokens = payload.usage?.output_tokens ?? completionTokens;
+          break;
+        case 'error':
+          throw new Error(payload.error?.message || 'Anthropic stream failed');
+      }
+    });
+    
+    return {
+      responseText,
+      modelUsed,
+      promptTokens,
+      completionTokens,
+      totalTokens: sumTokens(promptTokens, completionTokens),
+    };
+  }
+};
+
+export default anthropicProvider;
@@ -0,0 +1,148 @@
+import { createProviderError } from './providerUtils';
+import { readServerSentEvents } from '../serverSentEvents';
+
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * Sends a Gemini content request
+ * @param {string} method - API method (generateContent or streamGenerateContent)
+ * @param {Object} request - Normalized provider request
+ * @param {AbortSignal} [signal] - Signal to stop the request
+ * @returns {Promise<Response>} The successful fetch response
+ */
+async function postContent(method, { system, messages, model, maxTokens, temperature }, signal) {
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) {
+    throw new Error('Gemini API key is not configured. Please check your environment settings.');
+  }
+  
+  // alt=sse makes the streaming method emit server-sent events instead of a JSON array
+  const query = method === 'streamGenerateContent' ? '?alt=sse' : '';
+  const url = `${GEMINI_API_BASE}/${encodeURIComponent(model)}:${method}${query}`;
+  
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': apiKey
+    },
+    body: JSON.stringify({
+      systemInstruction: { parts: [{ text: system }] },
+      // Gemini calls the assistant role "model"
+      contents: messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      })),
+      generationConfig: {
+        maxOutputTokens: maxTokens,
+        temperature,
+      }
+    }),
+    signal
+  });
+  
+  if (!response.ok) {
+    throw await createProviderError(response);
+  }
+  
+  return response;
+}
+
+/**
+ * Extracts the text from a Gemini response payload
+ * @param {Object} data - generateContent response (or stream chunk)
+ * @returns {string} The combined text parts
+ */
+function extractText(data) {
+  return (data.candidates?.[0]?.content?.parts || [])
+    .map(part => part.text || '')
+    .join('');
+}
+
+/**
+ * Google Gemini generateContent adapter
+ */
+const geminiProvider = {
+  id: 'gemini',
+  name: 'Google Gemini',
+  
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean} True if an API key is configured
+   */
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  },
+  
+  /**
+   * Model used when the request doesn't name one
+   * @returns {string} The default model
+   */
+  defaultModel() {
+    return process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+  },
+  
+  /**
+   * Generates a completion
+   * @param {Object} request - Normalized provider request
+   * @param {string} request.system - System message
+   * @param {Object[]} request.messages - Array of {role, content} messages
+   * @param {string} request.model - Model name
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @param {number} request.temperature - Sampling temperature
+   * @returns {Promise<Object>} Normalized response
+   */
+  async complete(request) {
+    const response = await postContent('generateContent', request);
+    const data = await response.json();
+    
+    return {
+      responseText: extractText(data),
+      modelUsed: data.modelVersion || request.model,
+      promptTokens: data.usageMetadata?.promptTokenCount,
+      completionTokens: data.usageMetadata?.candidatesTokenCount,
+      totalTokens: data.usageMetadata?.totalTokenCount,
+    };
+  },
+  
+  /**
+   * Generates a completion, reporting text as it arrives
+   * @param {Object} request - Normalized provider request
+   * @param {function} onDelta - Called with each chunk of generated text
+   * @param {AbortSignal} [signal] - Signal to stop generation early
+   * @returns {Promise<Object>} Normalized response once the stream completes
+   */
+  async stream(request, onDelta, signal) {
+    const response = await postContent('streamGenerateContent', request, signal);
+    
+    let responseText = '';
+    let modelUsed = request.model;
+    let usage = null;
+    
+    await readServerSentEvents(response, (event, data) => {
+      const chunk = JSON.parse(data);
+      const text = extractText(chunk);
+      if (text) {
+        responseText += text;
+        onDelta(text);
+      }
+      if (chunk.modelVersion) {
+        modelUsed = chunk.modelVersion;
+      }
+      // Each chunk carries running totals; the final one is complete
+      if (chunk.usageMetadata) {
+        usage = chunk.usageMetadata;
+      }
+    });
+    
+    return {
+      responseText,
+      modelUsed,
+      promptTokens: usage?.promptTokenCount,
+      completionTokens: usage?.candidatesTokenCount,
+      totalTokens: usage?.totalTokenCount,
+    };
+  }
+};
+
+export default geminiProvider;
@@ -0,0 +1,60 @@
+/**
+ * AI provider registry
+ * Every adapter exposes the same interface (isConfigured, defaultModel, complete, stream)
+ * and returns { responseText, modelUsed, promptTokens, completionTokens, totalTokens }
+ */
+import openaiProvider from './openai';
+import anthropicProvider from './anthropic';
+import geminiProvider from './gemini';
+import localProvider from './local';
+
+const PROVIDERS = {
+  [openaiProvider.id]: openaiProvider,
+  [anthropicProvider.id]: anthropicProvider,
+  [geminiProvider.id]: geminiProvider,
+  [localProvider.id]: localProvider,
+};
+
+/**
+ * Gets the provider ID configured as the station default
+ * @returns {string} The default provider ID
+ */
+export function getDefaultProviderId() {
+  const configured = process.env.AI_PROVIDER;
+  return configured && PROVIDERS[configured] ? configured : openaiProvider.id;
+}
+
+/**
+ * Checks whether a provider ID is known
+ * @param {string} providerId - The provider ID to check
+ * @returns {boolean} True if the provider exists
+ */
+export function hasProvider(providerId) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, providerId);
+}
+
+/**
+ * Looks up a provider adapter
+ * @param {string} [providerId] - Provider ID; falls back to the default provider
+ * @returns {Object} The provider adapter
+ */
+export function getProvider(providerId) {
+  const id = providerId || getDefaultProviderId();
+  if (!hasProvider(id)) {
+    throw new Error(`Unknown AI provider: ${id}`);
+  }
+  return PROVIDERS[id];
+}
+
+/**
+ * Lists all providers with their configuration status
+ * @returns {Object[]} Array of { id, name, configured, defaultModel }
+ */
+export function listProviders() {
+  return Object.values(PROVIDERS).map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    configured: provider.isConfigured(),
+    defaultModel: provider.defaultModel(),
+  }));
+}
@@ -0,0 +1,70 @@
+import { requestChatCompletion, streamChatCompletion } from './openai';
+import { joinUrl } from './providerUtils';
+
+/**
+ * Adapter for local OpenAI-compatible servers such as Ollama or LM Studio
+ * Ollama: http://localhost:11434/v1, LM Studio: http://localhost:1234/v1
+ */
+const localProvider = {
+  id: 'local',
+  name: 'Local (OpenAI-compatible)',
+  
+  /**
+   * Whether the provider has an endpoint configured
+   * @returns {boolean} True if a base URL is configured
+   */
+  isConfigured() {
+    return !!process.env.LOCAL_AI_BASE_URL;
+  },
+  
+  /**
+   * Model used when the request doesn't name one
+   * @returns {string} The default model
+   */
+  defaultModel() {
+    return process.env.LOCAL_AI_MODEL || 'llama3.1';
+  },
+  
+  /**
+   * Generates a completion
+   * @param {Object} request - Normalized provider request
+   * @returns {Promise<Object>} Normalized response
+   */
+  async complete(request) {
+    const baseUrl = process.env.LOCAL_AI_BASE_URL;
+    if (!baseUrl) {
+      throw new Error('Local AI endpoint is not configured. Please set LOCAL_AI_BASE_URL.');
+    }
+    
+    // Most local servers ignore the key, but some proxies require one
+    return requestChatCompletion(
+      joinUrl(baseUrl, 'chat/completions'),
+      process.env.LOCAL_AI_API_KEY || null,
+      request
+    );
+  },
+  
+  /**
+   * Generates a completion, reporting text as it arrives
+   * @param {Object} request - Normalized provider request
+   * @param {function} onDelta - Called with each chunk of generated text
+   * @param {AbortSignal} [signal] - Signal to stop generation early
+   * @returns {Promise<Object>} Normalized response once the stream completes
+   */
+  async stream(request, onDelta, signal) {
+    const baseUrl = process.env.LOCAL_AI_BASE_URL;
+    if (!baseUrl) {
+      throw new Error('Local AI endpoint is not configured. Please set LOCAL_AI_BASE_URL.');
+    }
+    
+    return streamChatCompletion(
+      joinUrl(baseUrl, 'chat/completions'),
+      process.env.LOCAL_AI_API_KEY || null,
+      request,
+      onDelta,
+      signal
+    );
+  }
+};
+
+export default localProvider;
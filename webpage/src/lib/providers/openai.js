@@ -0,0 +1,181 @@
+import { createProviderError } from './providerUtils';
+import { readServerSentEvents } from '../serverSentEvents';
+
+const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+
+/**
+ * Builds the headers for an OpenAI-style endpoint
+ * @param {string|null} apiKey - Bearer token, if the endpoint requires one
+ * @returns {Object} Request headers
+ */
+function buildHeaders(apiKey) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  return headers;
+}
+
+/**
+ * Builds the chat completions request body
+ * @param {Object} request - Normalized provider request
+ * @returns {Object} Request body
+ */
+function buildBody({ system, messages, model, maxTokens, temperature }) {
+  return {
+    model,
+    messages: [
+      { role: 'system', content: system },
+      ...messages
+    ],
+    max_tokens: maxTokens,
+    temperature,
+  };
+}
+
+/**
+ * Sends a conversation to an OpenAI-style chat completions endpoint
+ * Shared by the OpenAI adapter and OpenAI-compatible local servers
+ * @param {string} url - Full chat completions URL
+ * @param {string|null} apiKey - Bearer token, if the endpoint requires one
+ * @param {Object} request - Normalized provider request
+ * @returns {Promise<Object>} Normalized response
+ */
+export async function requestChatCompletion(url, apiKey, request) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: buildHeaders(apiKey),
+    body: JSON.stringify(buildBody(request))
+  });
+  
+  if (!response.ok) {
+    throw await createProviderError(response);
+  }
+  
+  const data = await response.json();
+  
+  return {
+    responseText: data.choices?.[0]?.message?.content || '',
+    modelUsed: data.model || request.model,
+    promptTokens: data.usage?.prompt_tokens,
+    completionTokens: data.usage?.completion_tokens,
+    totalTokens: data.usage?.total_tokens,
+  };
+}
+
+/**
+ * Streams a conversation from an OpenAI-style chat completions endpoint
+ * @param {string} url - Full chat completions URL
+ * @param {string|null} apiKey - Bearer token, if the endpoint requires one
+ * @param {Object} request - Normalized provider request
+ * @param {function} onDelta - Called with each chunk of generated text
+ * @param {AbortSignal} [signal] - Signal to stop generation early
+ * @returns {Promise<Object>} Normalized response once the stream completes
+ */
+export async function streamChatCompletion(url, apiKey, request, onDelta, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: buildHeaders(apiKey),
+    body: JSON.stringify({
+      ...buildBody(request),
+      stream: true,
+      // Ask for a final chunk carrying token usage
+      stream_options: { include_usage: true },
+    }),
+    signal
+  });
+  
+  if (!response.ok) {
+    throw await createProviderError(response);
+  }
+  
+  let responseText = '';
+  let modelUsed = request.model;
+  let usage = null;
+  
+  await readServerSentEvents(response, (event, data) => {
+    if (data === '[DONE]') return;
+    
+    const chunk = JSON.parse(data);
+    const text = chunk.choices?.[0]?.delta?.content;
+    if (text) {
+      responseText += text;
+      onDelta(text);
+    }
+    if (chunk.model) {
+      modelUsed = chunk.model;
+    }
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+  });
+  
+  return {
+    responseText,
+    modelUsed,
+    promptTokens: usage?.prompt_tokens,
+    completionTokens: usage?.completion_tokens,
+    totalTokens: usage?.total_tokens,
+  };
+}
+
+/**
+ * OpenAI chat completions adapter
+ */
+const openaiProvider = {
+  id: 'openai',
+  name: 'OpenAI',
+  
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean} True if an API key is configured
+   */
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  },
+  
+  /**
+   * Model used when the request doesn't name one
+   * @returns {string} The default model
+   */
+  defaultModel() {
+    return process.env.OPENAI_MODEL || 'gpt-4o';
+  },
+  
+  /**
+   * Generates a completion
+   * @param {Object} request - Normalized provider request
+   * @param {string} request.system - System message
+   * @param {Object[]} request.messages - Array of {role, content} messages
+   * @param {string} request.model - Model name
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @param {number} request.temperature - Sampling temperature
+   * @returns {Promise<Object>} Normalized response
+   */
+  async complete(request) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+      throw new Error('OpenAI API key is not configured. Please check your environment settings.');
+    }
+    
+    return requestChatCompletion(OPENAI_API_URL, apiKey, request);
+  },
+  
+  /**
+   * Generates a completion, reporting text as it arrives
+   * @param {Object} request - Normalized provider request
+   * @param {function} onDelta - Called with each chunk of generated text
+   * @param {AbortSignal} [signal] - Signal to stop generation early
+   * @returns {Promise<Object>} Normalized response once the stream completes
+   */
+  async stream(request, onDelta, signal) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+      throw new Error('OpenAI API key is not configured. Please check your environment settings.');
+    }
+    
+    return streamChatCompletion(OPENAI_API_URL, apiKey, request, onDelta, signal);
+  }
+};
+
+export default openaiProvider;
@@ -0,0 +1,56 @@
+/**
+ * Extracts a readable error message from a failed provider response
+ * OpenAI, Anthropic and Gemini all return errors as { error: { message } }
+ * @param {Response} response - The failed fetch response
+ * @returns {Promise<string>} The error message
+ */
+export async function readErrorMessage(response) {
+  const errorData = await response.json().catch(() => ({}));
+  const message = errorData.error?.message || (typeof errorData.error === 'string' ? errorData.error : null);
+  return message || `API request failed with status ${response.status}`;
+}
+
+/**
+ * Parses a Retry-After header, which may be a number of seconds or an HTTP date
+ * @param {string|null} value - The header value
+ * @returns {number|null} Seconds to wait, or null if the header is missing or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, Math.ceil(seconds));
+  }
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Builds an error for a failed provider response
+ * Keeps the HTTP status and any Retry-After hint so rate limits can be handled upstream.
+ * @param {Response} response - The failed fetch response
+ * @returns {Promise<Error>} Error with status and, if the provider sent one, retryAfter in seconds
+ */
+export async function createProviderError(response) {
+  const error = new Error(await readErrorMessage(response));
+  error.status = response.status;
+  
+  const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+  if (retryAfter !== null) {
+    error.retryAfter = retryAfter;
+  }
+  
+  return error;
+}
+
+/**
+ * Joins a base URL and a path without doubling slashes
+ * @param {string} baseUrl - Base URL, with or without a trailing slash
+ * @param {string} path - Path to append
+ * @returns {string} The combined URL
+ */
+export function joinUrl(baseUrl, path) {
+  return `${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+}
@@ -0,0 +1,293 @@
+/**
+ * AI request limiter
+ * Keeps the station inside its provider quotas: each user gets a number of generation requests
+ * per minute, only a few provider calls run at once across all users, and calls to a provider
+ * that has asked us to back off (429 with Retry-After) wait in a queue until it is ready again.
+ * State is held in memory, so limits apply per server process.
+ */
+import { NextResponse } from 'next/server';
+
+// Generation requests each user (or anonymous client) may make per minute
+const REQUESTS_PER_MINUTE = parseInt(process.env.AI_RATE_LIMIT_PER_MINUTE) || 20;
+
+// Provider calls allowed in flight at once, across all users
+const MAX_CONCURRENT_REQUESTS = parseInt(process.env.AI_MAX_CONCURRENT_REQUESTS) || 4;
+
+// Calls allowed to wait for a free slot before new ones are turned away
+const MAX_QUEUED_REQUESTS = parseInt(process.env.AI_MAX_QUEUED_REQUESTS) || 50;
+
+// Longest a call waits in the queue (including provider back-off) before giving up
+const QUEUE_TIMEOUT_MS = parseInt(process.env.AI_QUEUE_TIMEOUT_MS) || 60000;
+
+const RATE_LIMIT_WINDOW_MS = 60000;
+
+// Back-off used when a provider returns 429 without a Retry-After header
+const DEFAULT_PROVIDER_COOLDOWN_SECONDS = 10;
+
+// Times a call is queued again after the provider rate limits it
+const MAX_PROVIDER_RETRIES = 2;
+
+// Keep limiter state across hot reloads in development, like the Prisma client
+const globalForLimiter = global;
+
+const state = globalForLimiter.aiRateLimiter || {
+  // Request times in the current window, keyed by user or client
+  requests: new Map(),
+  active: 0,
+  // Calls waiting for a slot, oldest first
+  queue: [],
+  // Time each provider can be called again, keyed by provider ID
+  cooldowns: new Map(),
+  wakeTimer: null
+};
+
+if (process.env.NODE_ENV !== 'production') globalForLimiter.aiRateLimiter = state;
+
+/**
+ * Creates a rate limit error
+ * @param {string} message - Message for the caller
+ * @param {number} retryAfter - Seconds until the caller should try again
+ * @param {string} scope - What hit its limit: 'user', 'queue' or 'provider'
+ * @returns {Error} Error with status 429, retryAfter and scope
+ */
+export function createRateLimitError(message, retryAfter, scope) {
+  const error = new Error(message);
+  error.status = 429;
+  error.retryAfter = Math.max(1, Math.ceil(retryAfter));
+  error.scope = scope;
+  return error;
+}
+
+/**
+ * Builds the structured 429 response for a rate limit error
+ * @param {Error} error - Error from createRateLimitError (or a provider 429)
+ * @returns {NextResponse} JSON response with error, code, scope and retryAfter, plus a Retry-After header
+ */
+export function createRateLimitResponse(error) {
+  const retryAfter = Math.max(1, Math.ceil(error.retryAfter || DEFAULT_PROVIDER_COOLDOWN_SECONDS));
+  
+  return NextResponse.json(
+    {
+      error: error.message,
+      code: 'rate_limited',
+      scope: error.scope || 'provider',
+      retryAfter
+    },
+    {
+      status: 429,
+      headers: { 'Retry-After': String(retryAfter) }
+    }
+  );
+}
+
+/**
+ * Gets the key a request is counted against
+ * @param {Request} request - The incoming request
+ * @param {string|null} userId - The signed-in user, if any
+ * @returns {string} The user ID, or the client address for anonymous requests
+ */
+export function getRateLimitKey(request, userId) {
+  if (userId) {
+    return `user:${userId}`;
+  }
+  
+  const forwardedFor = request.headers.get('x-forwarded-for');
+  const address = forwardedFor?.split(',')[0].trim() || request.headers.get('x-real-ip') || 'anonymous';
+  return `client:${address}`;
+}
+
+/**
+ * Counts generation requests against the per-minute limit
+ * Batches and comparisons count each generation; nothing is counted if they don't all fit.
+ * @param {string} key - Key from getRateLimitKey
+ * @param {number} [count] - Generations the request will make
+ * @returns {Error|null} A rate limit error if the limit has been reached, otherwise null
+ */
+export function checkRateLimit(key, count = 1) {
+  const now = Date.now();
+  
+  // Drop windows that have fully expired so the map doesn't grow with old clients
+  for (const [otherKey, times] of state.requests) {
+    if (now - times[times.length - 1] >= RATE_LIMIT_WINDOW_MS) {
+      state.requests.delete(otherKey);
+    }
+  }
+  
+  const times = (state.requests.get(key) || []).filter(time => now - time < RATE_LIMIT_WINDOW_MS);
+  
+  // A request bigger than the whole limit takes the whole window rather than never fitting
+  const needed = Math.min(count, REQUESTS_PER_MINUTE);
+  
+  if (times.length + needed > REQUESTS_PER_MINUTE) {
+    state.requests.set(key, times);
+    // Try again once enough of the window has expired to make room
+    const retryAfter = (times[times.length + needed - REQUESTS_PER_MINUTE - 1] + RATE_LIMIT_WINDOW_MS - now) / 1000;
+    return createRateLimitError(
+      `You've reached the limit of ${REQUESTS_PER_MINUTE} AI requests a minute. Try again in ${Math.ceil(retryAfter)} seconds.`,
+      retryAfter,
+      'user'
+    );
+  }
+  
+  times.push(...Array(needed).fill(now));
+  state.requests.set(key, times);
+  return null;
+}
+
+/**
+ * Creates the error used when a caller stops waiting for a slot
+ * @returns {Error} Error named AbortError, like the one fetch throws
+ */
+function createAbortError() {
+  const error = new Error('The request was cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Gets how long a provider has asked us to wait
+ * @param {string} providerId - Provider ID
+ * @returns {number} Milliseconds until the provider can be called again
+ */
+function getCooldownRemaining(providerId) {
+  return Math.max(0, (state.cooldowns.get(providerId) || 0) - Date.now());
+}
+
+/**
+ * Hands free slots to queued calls, oldest first, skipping providers that are cooling down
+ * Schedules itself to run again when the next cooldown ends.
+ */
+function processQueue() {
+  clearTimeout(state.wakeTimer);
+  state.wakeTimer = null;
+  
+  let nextWake = Infinity;
+  let index = 0;
+  
+  while (index < state.queue.length && state.active < MAX_CONCURRENT_REQUESTS) {
+    const entry = state.queue[index];
+    const wait = getCooldownRemaining(entry.providerId);
+    
+    if (wait > 0) {
+      nextWake = Math.min(nextWake, wait);
+      index++;
+      continue;
+    }
+    
+    state.queue.splice(index, 1);
+    state.active++;
+    entry.resolve();
+  }
+  
+  if (nextWake !== Infinity) {
+    state.wakeTimer = setTimeout(processQueue, nextWake);
+  }
+}
+
+/**
+ * Waits for a free slot to call a provider
+ * @param {string} providerId - Provider ID
+ * @param {number} deadline - Time (ms) after which to stop waiting
+ * @param {AbortSignal} [signal] - Signal to stop waiting
+ * @returns {Promise<void>} Resolves once the caller holds a slot (release it with releaseSlot)
+ */
+function acquireSlot(providerId, deadline, signal) {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+  
+  if (state.queue.length >= MAX_QUEUED_REQUESTS) {
+    return Promise.reject(createRateLimitError(
+      'The AI service is busy with other requests. Please try again shortly.',
+      DEFAULT_PROVIDER_COOLDOWN_SECONDS,
+      'queue'
+    ));
+  }
+  
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    
+    const leaveQueue = (error) => {
+      const index = state.queue.indexOf(entry);
+      if (index !== -1) {
+        state.queue.splice(index, 1);
+        cleanup();
+        reject(error);
+      }
+    };
+    
+    const onAbort = () => leaveQueue(createAbortError());
+    
+    const timer = setTimeout(() => {
+      const cooldown = getCooldownRemaining(providerId);
+      leaveQueue(cooldown > 0
+        ? createRateLimitError(`The AI provider is rate limiting requests. Try again in ${Math.ceil(cooldown / 1000)} seconds.`, cooldown / 1000, 'provider')
+        : createRateLimitError('The AI service is busy with other requests. Please try again shortly.', DEFAULT_PROVIDER_COOLDOWN_SECONDS, 'queue'));
+    }, Math.max(0, deadline - Date.now()));
+    
+    const entry = {
+      providerId,
+      resolve: () => {
+        cleanup();
+        resolve();
+      }
+    };
+    
+    signal?.addEventListener('abort', onAbort);
+    state.queue.push(entry);
+    processQueue();
+  });
+}
+
+/**
+ * Frees a slot taken with acquireSlot and lets the next queued call run
+ */
+function releaseSlot() {
+  state.active = Math.max(0, state.active - 1);
+  processQueue();
+}
+
+/**
+ * Runs a provider call inside the concurrency limit
+ * If the provider answers 429, further calls to it are held for its Retry-After (or a short
+ * default) and this call is queued again, up to MAX_PROVIDER_RETRIES times while the queue
+ * deadline allows.
+ * @param {string} providerId - Provider ID the call goes to
+ * @param {function} task - Async function that makes the call
+ * @param {AbortSignal} [signal] - Signal to stop waiting for a slot
+ * @returns {Promise<*>} The task's result
+ */
+export async function scheduleAiRequest(providerId, task, signal) {
+  const deadline = Date.now() + QUEUE_TIMEOUT_MS;
+  
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot(providerId, deadline, signal);
+    
+    try {
+      return await task();
+    } catch (error) {
+      if (error.status !== 429) {
+        throw error;
+      }
+      
+      const cooldownSeconds = error.retryAfter || DEFAULT_PROVIDER_COOLDOWN_SECONDS;
+      const readyAt = Date.now() + cooldownSeconds * 1000;
+      state.cooldowns.set(providerId, Math.max(state.cooldowns.get(providerId) || 0, readyAt));
+      
+      if (attempt >= MAX_PROVIDER_RETRIES || readyAt > deadline) {
+        throw createRateLimitError(
+          `The AI provider is rate limiting requests. Try again in ${Math.ceil(cooldownSeconds)} seconds.`,
+          cooldownSeconds,
+          'provider'
+        );
+      }
+      
+      console.warn(`AI provider ${providerId} rate limited the request; retrying in ${cooldownSeconds}s`);
+    } finally {
+      releaseSlot();
+    }
+  }
+}
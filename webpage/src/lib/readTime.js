@@ -0,0 +1,158 @@
+/**
+ * Read-time helpers
+ * Estimates how long a script takes to read on air from its word count and the host's
+ * reading speed, and builds the follow-up instruction used to fit a script to a target length.
+ */
+import { isReservedVariable } from './dynamicVariables';
+
+// Typical on-air reading speed; hosts can set their own in the show profile
+export const DEFAULT_WORDS_PER_MINUTE = 160;
+export const MIN_WORDS_PER_MINUTE = 60;
+export const MAX_WORDS_PER_MINUTE = 300;
+
+// A script within this share of the target (or FIT_MIN_SECONDS, whichever is larger) fits
+const FIT_TOLERANCE = 0.1;
+const FIT_MIN_SECONDS = 2;
+
+// Regenerations tried by "Fit to Time" before settling for the closest script
+export const MAX_FIT_ATTEMPTS = 3;
+
+// Variable name keywords that hold a script length, e.g. {{Time}} or {{Script_Length}}
+export const DURATION_VARIABLE_KEYWORDS = ['time', 'length', 'duration', 'trt'];
+
+/**
+ * Formats a duration as m:ss
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration, or '' if no duration is set
+ */
+export function formatDuration(seconds) {
+  if (!seconds) return '';
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Counts the words that are read aloud
+ * Bracketed production cues like [SFX] or [pause] aren't read, so they're not counted.
+ * @param {string} text - Script text
+ * @returns {number} Word count
+ */
+export function countWords(text) {
+  if (!text) return 0;
+  return text.replace(/\[[^\]]*\]/g, ' ').split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+/**
+ * Gets the host's reading speed from their show profile
+ * @param {Object} profile - The show profile
+ * @returns {number} Words per minute, within MIN/MAX_WORDS_PER_MINUTE
+ */
+export function getWordsPerMinute(profile) {
+  const wordsPerMinute = parseInt(profile?.wordsPerMinute);
+  if (!Number.isFinite(wordsPerMinute)) {
+    return DEFAULT_WORDS_PER_MINUTE;
+  }
+  
+  return Math.min(MAX_WORDS_PER_MINUTE, Math.max(MIN_WORDS_PER_MINUTE, wordsPerMinute));
+}
+
+/**
+ * Estimates how long a script takes to read aloud
+ * @param {string} text - Script text
+ * @param {number} [wordsPerMinute] - Reading speed
+ * @returns {Object} Object with words and seconds
+ */
+export function estimateReadTime(text, wordsPerMinute = DEFAULT_WORDS_PER_MINUTE) {
+  const words = countWords(text);
+  return { words, seconds: Math.round((words / wordsPerMinute) * 60) };
+}
+
+/**
+ * Parses a length such as "15 seconds", "30s", "1 minute" or "1:30"
+ * @param {string|number} value - The length as entered
+ * @returns {number|null} Length in seconds, or null if the value isn't a length
+ */
+export function parseDurationSeconds(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  
+  const clockMatch = text.match(/^(\d{1,2}):([0-5]\d)$/);
+  if (clockMatch) {
+    return parseInt(clockMatch[1]) * 60 + parseInt(clockMatch[2]);
+  }
+  
+  const unitMatch = text.match(/^(\d+(?:\.\d+)?)\s*(s|secs?|seconds?|m|mins?|minutes?)?$/);
+  if (!unitMatch) {
+    return null;
+  }
+  
+  const amount = parseFloat(unitMatch[1]);
+  const seconds = Math.round(unitMatch[2]?.startsWith('m') ? amount * 60 : amount);
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Checks whether a variable name holds a script length
+ * @param {string} variable - The variable name
+ * @returns {boolean} True for names like Time, Length, Duration or TRT; built-in variables
+ *   such as {{time}} (the clock time) and {{timezone}} never are
+ */
+export function isDurationVariable(variable) {
+  if (isReservedVariable(variable)) return false;
+  
+  const lowerVar = variable.toLowerCase();
+  return DURATION_VARIABLE_KEYWORDS.some(keyword => lowerVar.includes(keyword));
+}
+
+/**
+ * Finds the target length in a response's variables
+ * @param {Object} variables - Variables used for the response
+ * @returns {number|null} Target seconds from the first length-like variable, or null if there isn't one
+ */
+export function getTargetSeconds(variables) {
+  if (!variables || typeof variables !== 'object') return null;
+  
+  for (const [variable, value] of Object.entries(variables)) {
+    if (isDurationVariable(variable)) {
+      const seconds = parseDurationSeconds(value);
+      if (seconds) return seconds;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Compares an estimated read time with a target length
+ * @param {number} seconds - Estimated read time
+ * @param {number} targetSeconds - Target length
+ * @returns {Object} Object with status ('fits', 'long' or 'short') and difference in seconds (positive when long)
+ */
+export function getReadTimeFit(seconds, targetSeconds) {
+  const difference = seconds - targetSeconds;
+  const tolerance = Math.max(FIT_MIN_SECONDS, targetSeconds * FIT_TOLERANCE);
+  
+  if (Math.abs(difference) <= tolerance) {
+    return { status: 'fits', difference };
+  }
+  
+  return { status: difference > 0 ? 'long' : 'short', difference };
+}
+
+/**
+ * Builds the follow-up instruction asking the model to fit a script to a target length
+ * @param {string} text - The script that missed the target
+ * @param {number} targetSeconds - Target length
+ * @param {number} [wordsPerMinute] - Reading speed the script was measured at
+ * @returns {string} Instruction with the measured overrun and the word count to aim for
+ */
+export function buildFitInstruction(text, targetSeconds, wordsPerMinute = DEFAULT_WORDS_PER_MINUTE) {
+  const { words, seconds } = estimateReadTime(text, wordsPerMinute);
+  const difference = seconds - targetSeconds;
+  const targetWords = Math.max(1, Math.round((targetSeconds / 60) * wordsPerMinute));
+  
+  return [
+    `That script is ${words} words, which reads in about ${seconds} seconds at ${wordsPerMinute} words per minute.`,
+    `It is ${Math.abs(difference)} seconds too ${difference > 0 ? 'long' : 'short'} for the ${targetSeconds}-second target.`,
+    `Rewrite it to about ${targetWords} words, keeping the same content and style. Reply with only the revised script.`
+  ].join(' ');
+}
@@ -0,0 +1,61 @@
+/**
+ * Response cache
+ * Saved responses carry a hash of the exact request that produced them, so re-submitting an
+ * identical filled-in prompt with the same model settings can reuse a recent response
+ * instead of paying for another one.
+ */
+import crypto from 'crypto';
+import { prisma } from './db';
+import { visibleWithCoreToUser } from './visibility';
+
+// How long a saved response can be reused for the identical request
+const RESPONSE_CACHE_TTL_HOURS = parseFloat(process.env.RESPONSE_CACHE_TTL_HOURS) || 24;
+
+/**
+ * Builds the cache key for a provider request
+ * Covers everything that changes the output: the prompt after variables and feeds are filled in,
+ * the full system prompt (including the show profile), any follow-ups, and the model settings.
+ * @param {string} providerId - Provider ID
+ * @param {Object} request - Normalized provider request
+ * @returns {string} SHA-256 hex digest
+ */
+export function buildResponseCacheKey(providerId, request) {
+  const keyData = JSON.stringify({
+    provider: providerId,
+    model: request.model,
+    temperature: request.temperature,
+    maxTokens: request.maxTokens,
+    system: request.system,
+    messages: request.messages
+  });
+  
+  return crypto.createHash('sha256').update(keyData).digest('hex');
+}
+
+/**
+ * Finds the newest saved response for a cache key within the TTL
+ * Only responses to prompts the user can see are reused.
+ * @param {string} cacheKey - Key from buildResponseCacheKey
+ * @param {Object} user - The signed-in user
+ * @returns {Promise<Object|null>} The response record with its user's name, or null on a miss
+ */
+export async function findCachedResponse(cacheKey, user) {
+  const since = new Date(Date.now() - RESPONSE_CACHE_TTL_HOURS * 60 * 60 * 1000);
+  
+  return prisma.response.findFirst({
+    where: {
+      cacheKey,
+      createdAt: { gte: since },
+      prompt: visibleWithCoreToUser(user.id)
+    },
+    orderBy: { createdAt: 'desc' },
+    include: {
+      user: {
+        select: {
+          firstName: true,
+          lastName: true
+        }
+      }
+    }
+  });
+}
@@ -0,0 +1,77 @@
+/**
+ * Response feedback helpers
+ * Each saved response can carry a thumbs up/down verdict, a 1-5 rating, the time it was used
+ * on air and free-text notes. Feedback is rolled up per prompt and per model to show which
+ * prompts are worth keeping and which models write usable copy.
+ */
+
+export const THUMBS_UP = 'up';
+export const THUMBS_DOWN = 'down';
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+
+// Longest notes kept on a response
+export const MAX_NOTES_LENGTH = 2000;
+
+/**
+ * Parses feedback sent by the client
+ * Only the fields present are returned, so a client can change one without resending the
+ * rest; null or blank clears a field.
+ * @param {Object} feedback - Any of { thumbs, rating, airedAt, notes }
+ * @returns {Object} { data, error } where data holds the valid fields as stored in the
+ *   Response table and error describes the first invalid field, if any
+ */
+export function parseResponseFeedback(feedback) {
+  const source = feedback && typeof feedback === 'object' ? feedback : {};
+  const data = {};
+  let error = null;
+  
+  const isBlank = value => value === null || value === undefined || String(value).trim() === '';
+  
+  if ('thumbs' in source) {
+    if (isBlank(source.thumbs)) {
+      data.thumbs = null;
+    } else if (source.thumbs === THUMBS_UP || source.thumbs === THUMBS_DOWN) {
+      data.thumbs = source.thumbs;
+    } else {
+      error = error || 'Thumbs must be "up" or "down"';
+    }
+  }
+  
+  if ('rating' in source) {
+    const rating = Number(source.rating);
+    
+    if (isBlank(source.rating)) {
+      data.rating = null;
+    } else if (Number.isInteger(rating) && rating >= MIN_RATING && rating <= MAX_RATING) {
+      data.rating = rating;
+    } else {
+      error = error || `Rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}`;
+    }
+  }
+  
+  if ('airedAt' in source) {
+    const airedAt = new Date(source.airedAt);
+    
+    if (isBlank(source.airedAt)) {
+      data.airedAt = null;
+    } else if (!isNaN(airedAt)) {
+      data.airedAt = airedAt;
+    } else {
+      error = error || 'Aired time is not a valid date';
+    }
+  }
+  
+  if ('notes' in source) {
+    if (isBlank(source.notes)) {
+      data.notes = null;
+    } else if (typeof source.notes === 'string' && source.notes.length <= MAX_NOTES_LENGTH) {
+      data.notes = source.notes.trim();
+    } else {
+      error = error || `Notes must be text of at most ${MAX_NOTES_LENGTH} characters`;
+    }
+  }
+  
+  return { data, error };
+}
@@ -0,0 +1,54 @@
+/**
+ * Refinement thread helpers
+ * A refinement is a saved response generated from its parent plus a follow-up instruction
+ * ("make it punchier"). Following parentId links back to the original gives the thread.
+ */
+
+// Follow-up turns sent with one request; also the longest thread that can be refined further
+export const MAX_FOLLOW_UPS = 20;
+
+/**
+ * Gets the thread a response belongs to, from the original down to the response
+ * @param {Object} response - The response
+ * @param {Object[]} responses - Responses to look parents up in
+ * @returns {Object[]} The original response first, ending with the given response
+ */
+export function getResponseThread(response, responses) {
+  const byId = new Map(responses.map(r => [r.id, r]));
+  const thread = [response];
+  const seen = new Set([response.id]);
+  
+  let parent = byId.get(response.parentId);
+  while (parent && !seen.has(parent.id)) {
+    thread.unshift(parent);
+    seen.add(parent.id);
+    parent = byId.get(parent.parentId);
+  }
+  
+  return thread;
+}
+
+/**
+ * Gets the refinements made directly from a response
+ * @param {string} responseId - The parent response ID
+ * @param {Object[]} responses - Responses to search
+ * @returns {Object[]} Child responses, oldest first
+ */
+export function getRefinements(responseId, responses) {
+  return responses
+    .filter(r => r.parentId === responseId)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Builds the follow-up turns for refining the last response of a thread
+ * @param {Object[]} thread - Responses from the original down to the one being refined
+ * @param {string} instruction - The new follow-up instruction
+ * @returns {Object[]} Turns of { responseText, instruction }: each answer and the instruction that followed it
+ */
+export function buildFollowUps(thread, instruction) {
+  return thread.map((response, index) => ({
+    responseText: response.responseText,
+    instruction: index < thread.length - 1 ? thread[index + 1].instruction || 'Revise it.' : instruction
+  }));
+}
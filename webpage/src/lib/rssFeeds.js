@@ -0,0 +1,416 @@
+/**
+ * RSS/Atom feed variables
+ * {{rss=https://example.com/feed.xml}} is replaced on the server with the feed's latest
+ * items before the prompt is sent to the AI provider. {{rss=url|count:3}} limits the items.
+ * Server-only: feeds are fetched with the server's network access and cached in memory.
+ * Feeds on loopback, private and link-local addresses are refused, so a prompt can't be used to
+ * read internal services; set RSS_ALLOW_PRIVATE_HOSTS=true to test against a local feed file.
+ */
+import { lookup } from 'node:dns/promises';
+import { isIP } from 'node:net';
+
+// Matches {{rss=url}} tokens, including any |modifiers
+const FEED_VARIABLE_PATTERN = /\{\{\s*rss\s*=([^}]+)\}\}/gi;
+
+const DEFAULT_ITEM_COUNT = 5;
+const MAX_ITEM_COUNT = 20;
+const MAX_SUMMARY_LENGTH = 300;
+const MAX_FEED_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+
+// Feed URL -> { items, expiresAt }, oldest first; capped at MAX_CACHED_FEEDS
+const feedCache = new Map();
+const MAX_CACHED_FEEDS = 100;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+};
+
+/**
+ * Reads a positive integer from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is missing or invalid
+ * @returns {number} The configured value
+ */
+function readEnvNumber(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Decodes XML/HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} The decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(codePoint) && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Converts element content to plain text
+ * Feeds often carry escaped HTML in descriptions, so tags are stripped after decoding too.
+ * @param {string} content - Raw element content
+ * @returns {string} Plain text with collapsed whitespace
+ */
+function toPlainText(content) {
+  const unwrapped = content.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+  const text = decodeEntities(unwrapped.replace(/<[^>]*>/g, ' '));
+  return text
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Gets the raw content of the first matching child element
+ * @param {string} xml - Parent element XML
+ * @param {string[]} tagNames - Tag names to try, in order of preference
+ * @returns {string} The element content, or '' if none is present
+ */
+function getElementContent(xml, tagNames) {
+  for (const tagName of tagNames) {
+    const match = xml.match(new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`, 'i'));
+    if (match) {
+      return match[1];
+    }
+  }
+  return '';
+}
+
+/**
+ * Gets an entry's link, which Atom stores in an href attribute
+ * @param {string} xml - Item or entry XML
+ * @returns {string} The link URL, or '' if none is present
+ */
+function getLink(xml) {
+  const links = [...xml.matchAll(/<link\b([^>]*?)\/?>/gi)].map(match => match[1]);
+  const atomLink = links.find(attrs => /href=/i.test(attrs) && !/rel=["'](?!alternate)/i.test(attrs));
+  if (atomLink) {
+    return decodeEntities(atomLink.match(/href=["']([^"']*)["']/i)?.[1] || '');
+  }
+  
+  return toPlainText(getElementContent(xml, ['link', 'guid']));
+}
+
+/**
+ * Truncates a summary at a word boundary
+ * @param {string} text - The summary text
+ * @returns {string} Text no longer than MAX_SUMMARY_LENGTH
+ */
+function truncateSummary(text) {
+  if (text.length <= MAX_SUMMARY_LENGTH) {
+    return text;
+  }
+  const cut = text.slice(0, MAX_SUMMARY_LENGTH);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+/**
+ * Parses an RSS 2.0 or Atom document
+ * @param {string} xml - The feed document
+ * @returns {Object[]} Items with title, summary and link, in feed order
+ */
+export function parseFeed(xml) {
+  if (typeof xml !== 'string') return [];
+  
+  // RSS 2.0 uses <item>, Atom uses <entry>
+  const blocks = [...xml.matchAll(/<(item|entry)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/gi)].map(match => match[2]);
+  
+  return blocks
+    .map(block => ({
+      title: toPlainText(getElementContent(block, ['title'])),
+      summary: truncateSummary(toPlainText(getElementContent(block, ['description', 'summary', 'content', 'content:encoded']))),
+      link: getLink(block),
+    }))
+    .filter(item => item.title || item.summary);
+}
+
+/**
+ * Formats feed items for inclusion in a prompt
+ * @param {Object[]} items - Parsed feed items
+ * @returns {string} Numbered list of items
+ */
+export function formatFeedItems(items) {
+  return items
+    .map((item, index) => {
+      const lines = [`${index + 1}. ${item.title || 'Untitled'}`];
+      if (item.summary && item.summary !== item.title) lines.push(`   ${item.summary}`);
+      if (item.link) lines.push(`   ${item.link}`);
+      return lines.join('\n');
+    })
+    .join('\n');
+}
+
+/**
+ * Checks whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for loopback, private, link-local, carrier-grade NAT, multicast,
+ *   unspecified and other reserved addresses
+ */
+export function isPublicAddress(address) {
+  if (isIP(address) === 4) {
+    const [a, b] = address.split('.').map(Number);
+    return !(
+      a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19))
+    );
+  }
+  
+  if (isIP(address) === 6) {
+    const lower = address.toLowerCase();
+    
+    // IPv4-mapped addresses (::ffff:10.0.0.1, or ::ffff:a00:1 as URLs write them) are checked as IPv4
+    const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) {
+      return isPublicAddress(mapped[1]);
+    }
+    const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+      const [high, low] = mappedHex.slice(1).map(part => parseInt(part, 16));
+      return isPublicAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    
+    return !(
+      lower === '::' || lower === '::1' ||
+      /^f[cd]/.test(lower) ||
+      /^fe[89ab]/.test(lower) ||
+      /^ff/.test(lower)
+    );
+  }
+  
+  return false;
+}
+
+/**
+ * Makes sure a feed URL may be fetched: http or https, and a host on a public address
+ * @param {URL} parsedUrl - The feed URL
+ * @throws {Error} If the URL uses another scheme or its host resolves to a private address
+ */
+async function checkFeedUrl(parsedUrl) {
+  if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+    throw new Error(`Feed URL must use http or https: ${parsedUrl.href}`);
+  }
+  
+  if (process.env.RSS_ALLOW_PRIVATE_HOSTS === 'true') {
+    return;
+  }
+  
+  // IPv6 hosts come wrapped in brackets; every address the name resolves to must be public
+  const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+  const addresses = await lookup(hostname, { all: true, verbatim: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+    throw new Error(`Feed host is not on a public address: ${parsedUrl.hostname}`);
+  }
+}
+
+/**
+ * Reads a response body, stopping as soon as it grows past MAX_FEED_BYTES
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string>} The body as text
+ * @throws {Error} If the body is too large
+ */
+async function readLimitedText(response) {
+  const declaredLength = parseInt(response.headers.get('content-length'));
+  if (declaredLength > MAX_FEED_BYTES) {
+    throw new Error('feed is too large');
+  }
+  
+  if (!response.body) {
+    return '';
+  }
+  
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let received = 0;
+  let text = '';
+  
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    
+    received += value.byteLength;
+    if (received > MAX_FEED_BYTES) {
+      await reader.cancel();
+      throw new Error('feed is too large');
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+  
+  return text + decoder.decode();
+}
+
+/**
+ * Fetches a feed URL, following redirects only to hosts that pass checkFeedUrl
+ * @param {URL} parsedUrl - The feed URL
+ * @param {AbortSignal} signal - Signal that cancels the request
+ * @returns {Promise<Response>} The final response
+ */
+async function fetchFeedResponse(parsedUrl, signal) {
+  let currentUrl = parsedUrl;
+  
+  for (let redirects = 0; ; redirects++) {
+    await checkFeedUrl(currentUrl);
+    
+    const response = await fetch(currentUrl.href, {
+      headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml, */*' },
+      signal,
+      cache: 'no-store',
+      redirect: 'manual'
+    });
+    
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error('too many redirects');
+    }
+    currentUrl = new URL(location, currentUrl);
+  }
+}
+
+/**
+ * Caches a feed's items, dropping expired feeds and then the oldest ones beyond MAX_CACHED_FEEDS
+ * @param {string} url - Feed URL
+ * @param {Object[]} items - Parsed feed items
+ */
+function cacheFeed(url, items) {
+  const now = Date.now();
+  
+  feedCache.forEach((entry, key) => {
+    if (entry.expiresAt <= now) {
+      feedCache.delete(key);
+    }
+  });
+  
+  // Re-inserting moves the feed to the newest end
+  feedCache.delete(url);
+  feedCache.set(url, {
+    items,
+    expiresAt: now + readEnvNumber('RSS_CACHE_TTL_SECONDS', 600) * 1000
+  });
+  
+  while (feedCache.size > MAX_CACHED_FEEDS) {
+    feedCache.delete(feedCache.keys().next().value);
+  }
+}
+
+/**
+ * Empties the feed cache
+ */
+export function clearFeedCache() {
+  feedCache.clear();
+}
+
+/**
+ * Fetches and parses a feed, using the in-memory cache when it is fresh
+ * @param {string} url - Feed URL (http or https, on a public host)
+ * @returns {Promise<Object[]>} Parsed feed items
+ */
+export async function fetchFeed(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid feed URL: ${url}`);
+  }
+  if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+    throw new Error(`Feed URL must use http or https: ${url}`);
+  }
+  
+  const cached = feedCache.get(parsedUrl.href);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.items;
+  }
+  
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), readEnvNumber('RSS_TIMEOUT_MS', 5000));
+  
+  try {
+    const response = await fetchFeedResponse(parsedUrl, controller.signal);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    const items = parseFeed(await readLimitedText(response));
+    cacheFeed(parsedUrl.href, items);
+    
+    return items;
+  } catch (error) {
+    const reason = error.name === 'AbortError' ? 'request timed out' : error.message;
+    throw new Error(`Could not load feed ${parsedUrl.href}: ${reason}`);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Parses a feed token into its URL and item count
+ * @param {string} token - Text after "rss=" (e.g. "https://example.com/feed|count:3")
+ * @returns {Object} Object with url and count
+ */
+function parseFeedToken(token) {
+  const [rawUrl, ...modifiers] = token.split('|');
+  let count = DEFAULT_ITEM_COUNT;
+  
+  modifiers.forEach(modifier => {
+    const [key, value] = modifier.split(':').map(part => part.trim());
+    if (key.toLowerCase() === 'count' && parseInt(value) > 0) {
+      count = Math.min(parseInt(value), MAX_ITEM_COUNT);
+    }
+  });
+  
+  return { url: rawUrl.trim(), count };
+}
+
+/**
+ * Replaces every {{rss=...}} variable in a prompt with the feed's latest items
+ * @param {string} promptText - Prompt text with variables already replaced
+ * @returns {Promise<string>} The prompt with feed content inserted
+ */
+export async function resolveFeedVariables(promptText) {
+  if (typeof promptText !== 'string') return promptText;
+  
+  const tokens = [...new Set([...promptText.matchAll(FEED_VARIABLE_PATTERN)].map(match => match[0]))];
+  if (tokens.length === 0) {
+    return promptText;
+  }
+  
+  // Fetch each distinct feed once, in parallel
+  const replacements = await Promise.all(tokens.map(async token => {
+    const { url, count } = parseFeedToken(token.replace(/^\{\{\s*rss\s*=/i, '').slice(0, -2));
+    const items = await fetchFeed(url);
+    return items.length > 0
+      ? formatFeedItems(items.slice(0, count))
+      : `(No items in feed ${url})`;
+  }));
+  
+  return tokens.reduce(
+    (text, token, index) => text.split(token).join(replacements[index]),
+    promptText
+  );
+}
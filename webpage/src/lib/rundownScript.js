@@ -0,0 +1,49 @@
+/**
+ * Rundown script helpers
+ * A rundown is an ordered list of prompt slots; the show script is their generated
+ * responses assembled in order under segment headings.
+ */
+import { formatDuration } from './readTime';
+
+/**
+ * Adds up the target durations of a rundown's slots
+ * @param {Object[]} slots - Rundown slots
+ * @returns {number} Total target seconds
+ */
+export function getTotalTargetSeconds(slots) {
+  return slots.reduce((total, slot) => total + (parseInt(slot.targetSeconds) || 0), 0);
+}
+
+/**
+ * Gets the heading shown for a slot
+ * @param {Object} slot - Rundown slot
+ * @param {Object} [prompt] - The slot's prompt
+ * @returns {string} The slot label, falling back to the prompt title
+ */
+export function getSlotTitle(slot, prompt) {
+  return slot.label?.trim() || prompt?.title || 'Untitled segment';
+}
+
+/**
+ * Assembles a rundown's generated scripts into one document
+ * @param {Object} rundown - Rundown with title, showDate and slots
+ * @param {function} findPrompt - Looks up a prompt by ID
+ * @returns {string} The show script as plain text
+ */
+export function buildRundownScript(rundown, findPrompt) {
+  const total = getTotalTargetSeconds(rundown.slots);
+  const header = [
+    rundown.title,
+    rundown.showDate ? `Show date: ${rundown.showDate}` : '',
+    total ? `Total target time: ${formatDuration(total)}` : ''
+  ].filter(Boolean).join('\n');
+  
+  const segments = rundown.slots.map((slot, index) => {
+    const duration = formatDuration(parseInt(slot.targetSeconds));
+    const heading = `${index + 1}. ${getSlotTitle(slot, findPrompt(slot.promptId))}${duration ? ` (${duration})` : ''}`;
+    const script = slot.responseText?.trim() || '[Not generated yet]';
+    return `${heading}\n\n${script}`;
+  });
+  
+  return [header, ...segments].join('\n\n---\n\n');
+}
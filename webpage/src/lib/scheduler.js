@@ -0,0 +1,406 @@
+/**
+ * Scheduled generation jobs
+ * A ScheduledJob runs one prompt on a cron schedule with fixed variable values, filling
+ * built-in variables such as {{date}} when it runs, and saves each result as a Response owned
+ * by the admin who set the job up (their show profile and AI budget apply). The scheduler runs
+ * inside the server process: instrumentation.js starts it when the server boots and it checks
+ * for due jobs every minute. Every run, scheduled or started by hand, is kept as a
+ * ScheduledJobRun for the job's history.
+ */
+import { prisma, getUserShowProfile } from './db';
+import { submitWithRetry } from './openaiService';
+import { recordUsage, checkUsageBudget } from './usageLedger';
+import { detectVariableSpecs, validateVariableValue } from './formatPromptDisplay';
+import { fillAutomaticVariables, isValidTimeZone } from './dynamicVariables';
+import { validateCronExpression, getNextRunTime } from './cron';
+
+export const RUN_TRIGGER_SCHEDULE = 'schedule';
+export const RUN_TRIGGER_MANUAL = 'manual';
+
+export const RUN_STATUS_RUNNING = 'running';
+export const RUN_STATUS_SUCCEEDED = 'succeeded';
+export const RUN_STATUS_FAILED = 'failed';
+
+// How often the scheduler looks for due jobs
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Runs kept in each job's history; older ones are deleted as new ones finish
+const MAX_RUNS_KEPT = 100;
+
+// Survives module reloads in development, so there is only ever one timer
+const globalForScheduler = global;
+
+// Jobs with a run in progress in this process
+const runningJobs = globalForScheduler.scheduledJobsRunning || new Set();
+globalForScheduler.scheduledJobsRunning = runningJobs;
+
+/**
+ * Checks whether a job has a run in progress
+ * @param {string} jobId - Job ID
+ * @returns {boolean} True while the job is running
+ */
+export function isJobRunning(jobId) {
+  return runningJobs.has(jobId);
+}
+
+/**
+ * Reads a job's stored variable values
+ * @param {string} variables - JSON object of variable values
+ * @returns {Object} Variable values as strings
+ */
+export function parseJobVariables(variables) {
+  try {
+    const parsed = JSON.parse(variables || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.error('Error parsing scheduled job variables JSON:', error);
+    return {};
+  }
+}
+
+/**
+ * Works out when an active job should next run
+ * @param {Object} job - Job with schedule and timezone
+ * @param {Date} [after] - Time to count from
+ * @returns {Date|null} The next run, or null if the schedule never fires
+ */
+export function getJobNextRunAt(job, after = new Date()) {
+  return getNextRunTime(job.schedule, after, job.timezone || undefined);
+}
+
+/**
+ * Parses job settings sent by an admin
+ * Only the fields present are returned, so an update can change one without resending the rest.
+ * @param {Object} input - Any of { name, promptId, schedule, timezone, variables, isPaused }
+ * @returns {Object} { data, error } where data holds the fields as stored in the
+ *   ScheduledJob table and error describes the first invalid field, if any
+ */
+export function parseJobInput(input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const data = {};
+  
+  if ('name' in source) {
+    if (typeof source.name !== 'string' || !source.name.trim()) {
+      return { data, error: 'Job name is required' };
+    }
+    data.name = source.name.trim();
+  }
+  
+  if ('promptId' in source) {
+    if (!source.promptId) {
+      return { data, error: 'Choose a prompt for the job' };
+    }
+    data.promptId = source.promptId;
+  }
+  
+  if ('schedule' in source) {
+    const scheduleError = validateCronExpression(source.schedule);
+    if (scheduleError) {
+      return { data, error: scheduleError };
+    }
+    data.schedule = source.schedule.trim().replace(/\s+/g, ' ');
+  }
+  
+  if ('timezone' in source) {
+    const timezone = (source.timezone || '').trim();
+    if (timezone && !isValidTimeZone(timezone)) {
+      return { data, error: `Unknown time zone: ${timezone}` };
+    }
+    data.timezone = timezone || null;
+  }
+  
+  if ('variables' in source) {
+    const variables = source.variables || {};
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+      return { data, error: 'Variables must be an object of values' };
+    }
+    
+    // Blank values are dropped, so the variable is filled automatically when the job runs
+    const values = Object.fromEntries(
+      Object.entries(variables)
+        .map(([name, value]) => [name, String(value ?? '').trim()])
+        .filter(([, value]) => value)
+    );
+    data.variables = JSON.stringify(values);
+  }
+  
+  if ('isPaused' in source) {
+    data.isPaused = !!source.isPaused;
+  }
+  
+  return { data, error: null };
+}
+
+/**
+ * Generates a job's prompt and saves the result as a response
+ * @param {string} jobId - Job ID
+ * @returns {Promise<string>} The saved response's ID
+ */
+async function generateForJob(jobId) {
+  const job = await prisma.scheduledJob.findUnique({
+    where: { id: jobId },
+    include: {
+      prompt: {
+        include: {
+          revisions: {
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            take: 1,
+            select: { id: true }
+          }
+        }
+      }
+    }
+  });
+  
+  if (!job) {
+    throw new Error('Job not found');
+  }
+  
+  const budgetError = await checkUsageBudget(job.userId);
+  if (budgetError) {
+    throw new Error(budgetError);
+  }
+  
+  const { prompt } = job;
+  const showProfile = await getUserShowProfile(job.userId);
+  
+  // Built-in date and time variables follow the job's time zone when it has one
+  const specs = detectVariableSpecs(prompt.promptText);
+  const variables = fillAutomaticVariables(
+    specs,
+    parseJobVariables(job.variables),
+    job.timezone ? { ...showProfile, timezone: job.timezone } : showProfile
+  );
+  
+  const problems = specs
+    .map(spec => {
+      const error = validateVariableValue(spec, variables[spec.name]);
+      return error ? `${spec.name}: ${error}` : null;
+    })
+    .filter(Boolean);
+  
+  if (problems.length > 0) {
+    throw new Error(`Missing or invalid variables (${problems.join('; ')})`);
+  }
+  
+  const result = await submitWithRetry(prompt.promptText, variables, {
+    provider: prompt.provider,
+    model: prompt.model,
+    temperature: prompt.temperature,
+    maxTokens: prompt.maxTokens,
+    systemPrompt: prompt.systemPrompt,
+    showProfile
+  });
+  await recordUsage(job.userId, result, 'schedule');
+  
+  const saved = await prisma.response.create({
+    data: {
+      id: `response_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+      promptId: prompt.id,
+      userId: job.userId,
+      responseText: result.responseText,
+      modelUsed: result.modelUsed,
+      promptTokens: result.promptTokens,
+      completionTokens: result.completionTokens,
+      totalTokens: result.totalTokens,
+      createdAt: new Date(),
+      variablesUsed: JSON.stringify(variables),
+      provider: result.provider || null,
+      temperature: result.temperature ?? null,
+      maxTokens: result.maxTokens || null,
+      systemPrompt: result.systemPrompt || null,
+      cacheKey: result.cacheKey || null,
+      revisionId: prompt.revisions[0]?.id || null
+    }
+  });
+  
+  return saved.id;
+}
+
+/**
+ * Runs a job now and records the run in its history
+ * Failures are recorded on the run rather than thrown.
+ * @param {string} jobId - Job ID
+ * @param {string} trigger - RUN_TRIGGER_SCHEDULE or RUN_TRIGGER_MANUAL
+ * @returns {Promise<Object>} The finished run record
+ * @throws {Error} If the job is already running
+ */
+export async function runJob(jobId, trigger) {
+  if (isJobRunning(jobId)) {
+    throw new Error('This job is already running');
+  }
+  
+  runningJobs.add(jobId);
+  
+  try {
+    const run = await prisma.scheduledJobRun.create({
+      data: { jobId, trigger, status: RUN_STATUS_RUNNING }
+    });
+    
+    let outcome;
+    try {
+      const responseId = await generateForJob(jobId);
+      outcome = { status: RUN_STATUS_SUCCEEDED, responseId };
+    } catch (error) {
+      console.error(`Scheduled job ${jobId} failed:`, error);
+      outcome = { status: RUN_STATUS_FAILED, error: error.message || 'Generation failed' };
+    }
+    
+    const finished = { ...outcome, finishedAt: new Date() };
+    
+    // The job may have been deleted while it ran, taking the run with it
+    await prisma.scheduledJobRun.updateMany({ where: { id: run.id }, data: finished });
+    await prisma.scheduledJob.updateMany({ where: { id: jobId }, data: { lastRunAt: run.startedAt } });
+    await pruneRuns(jobId);
+    
+    return { ...run, ...finished };
+  } finally {
+    runningJobs.delete(jobId);
+  }
+}
+
+/**
+ * Deletes a job's oldest runs beyond MAX_RUNS_KEPT
+ * @param {string} jobId - Job ID
+ */
+async function pruneRuns(jobId) {
+  const oldRuns = await prisma.scheduledJobRun.findMany({
+    where: { jobId },
+    orderBy: { startedAt: 'desc' },
+    skip: MAX_RUNS_KEPT,
+    select: { id: true }
+  });
+  
+  if (oldRuns.length > 0) {
+    await prisma.scheduledJobRun.deleteMany({
+      where: { id: { in: oldRuns.map(r => r.id) } }
+    });
+  }
+}
+
+/**
+ * Runs every active job whose time has come
+ * Each job is moved to its next time before it runs, so a slow or failing run is never
+ * picked up twice. A run missed while the server was down happens once, when it is back.
+ */
+async function runDueJobs() {
+  const now = new Date();
+  const dueJobs = await prisma.scheduledJob.findMany({
+    where: { isPaused: false, nextRunAt: { lte: now } },
+    orderBy: { nextRunAt: 'asc' }
+  });
+  
+  // One at a time, like batch rows, so a burst of jobs doesn't crowd out people generating by hand
+  for (const job of dueJobs) {
+    await prisma.scheduledJob.update({
+      where: { id: job.id },
+      data: { nextRunAt: getJobNextRunAt(job, now) }
+    });
+    
+    if (!isJobRunning(job.id)) {
+      await runJob(job.id, RUN_TRIGGER_SCHEDULE);
+    }
+  }
+}
+
+/**
+ * Marks runs left "running" by a server that stopped part way through as failed
+ */
+async function failInterruptedRuns() {
+  await prisma.scheduledJobRun.updateMany({
+    where: { status: RUN_STATUS_RUNNING },
+    data: {
+      status: RUN_STATUS_FAILED,
+      error: 'The server stopped before the run finished',
+      finishedAt: new Date()
+    }
+  });
+}
+
+/**
+ * Starts checking for due jobs every minute
+ * Does nothing if the scheduler is already running, or if SCHEDULER_ENABLED is "false"
+ * (e.g. on all but one of several servers sharing a database).
+ */
+export function startScheduler() {
+  if (globalForScheduler.jobScheduler || process.env.SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+  
+  let isChecking = false;
+  
+  const check = async () => {
+    // A long run can outlast the interval; the next check waits for it
+    if (isChecking) return;
+    
+    isChecking = true;
+    try {
+      await runDueJobs();
+    } catch (error) {
+      console.error('Error running scheduled jobs:', error);
+    } finally {
+      isChecking = false;
+    }
+  };
+  
+  globalForScheduler.jobScheduler = setInterval(check, CHECK_INTERVAL_MS);
+  // Don't keep the process alive just for the scheduler
+  globalForScheduler.jobScheduler.unref?.();
+  
+  failInterruptedRuns()
+    .catch(error => console.error('Error clearing interrupted scheduled runs:', error))
+    .finally(check);
+}
+
+// Relations formatJobFromDb reads
+export const JOB_INCLUDE = {
+  prompt: { select: { title: true } },
+  user: { select: { email: true, firstName: true, lastName: true } },
+  runs: { orderBy: { startedAt: 'desc' }, take: 1 }
+};
+
+/**
+ * Formats a job for the admin page
+ * @param {Object} dbJob - Job record with JOB_INCLUDE relations
+ * @returns {Object} The job, with variables as an object and dates as ISO strings
+ */
+export function formatJobFromDb(dbJob) {
+  return {
+    id: dbJob.id,
+    name: dbJob.name,
+    promptId: dbJob.promptId,
+    promptTitle: dbJob.prompt?.title || null,
+    userId: dbJob.userId,
+    owner: dbJob.user
+      ? [dbJob.user.firstName, dbJob.user.lastName].filter(Boolean).join(' ') || dbJob.user.email
+      : null,
+    schedule: dbJob.schedule,
+    timezone: dbJob.timezone,
+    variables: parseJobVariables(dbJob.variables),
+    isPaused: dbJob.isPaused,
+    isRunning: isJobRunning(dbJob.id),
+    nextRunAt: dbJob.nextRunAt ? dbJob.nextRunAt.toISOString() : null,
+    lastRunAt: dbJob.lastRunAt ? dbJob.lastRunAt.toISOString() : null,
+    lastRun: dbJob.runs?.[0] ? formatJobRunFromDb(dbJob.runs[0]) : null,
+    createdAt: dbJob.createdAt.toISOString()
+  };
+}
+
+/**
+ * Formats a job run for the admin page
+ * @param {Object} dbRun - Run record, optionally with its response
+ * @returns {Object} The run, with dates as ISO strings and the response text when included
+ */
+export function formatJobRunFromDb(dbRun) {
+  return {
+    id: dbRun.id,
+    jobId: dbRun.jobId,
+    trigger: dbRun.trigger,
+    status: dbRun.status,
+    startedAt: dbRun.startedAt.toISOString(),
+    finishedAt: dbRun.finishedAt ? dbRun.finishedAt.toISOString() : null,
+    error: dbRun.error,
+    responseId: dbRun.responseId,
+    responseText: dbRun.response?.responseText ?? null
+  };
+}
@@ -0,0 +1,247 @@
+/**
+ * Full-text search
+ * Prompts (title, description and text) and saved responses are indexed in the SQLite FTS5
+ * tables PromptSearch and ResponseSearch, which triggers keep in sync with the Prompt and
+ * Response tables. Searches rank hits with bm25, return snippets with the matched terms
+ * marked, and only include prompts the user can see (and responses to those prompts).
+ */
+import { prisma } from './db';
+import { visibleWithCoreToUser } from './visibility';
+
+// Results returned for each kind by default, and the most a caller can ask for
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+// Hits fetched from the index before filtering, so filters don't leave a short page
+const CANDIDATE_MULTIPLIER = 5;
+
+// Words of context around a hit in a snippet
+const SNIPPET_TOKENS = 12;
+
+// Markers FTS5 wraps matched terms in; control characters so they can't clash with the text
+const HIT_START = '\u0002';
+const HIT_END = '\u0003';
+
+/**
+ * Turns what the user typed into an FTS5 query
+ * Each word is quoted so punctuation can't be read as query syntax, all words must match,
+ * and the last word also matches as a prefix so results appear while typing.
+ * @param {string} text - Search text
+ * @returns {string|null} The FTS5 query, or null if there is nothing to search for
+ */
+export function buildSearchQuery(text) {
+  const terms = String(text || '')
+    .split(/\s+/)
+    .map(term => term.replace(/"/g, ''))
+    .filter(Boolean);
+  
+  if (terms.length === 0) {
+    return null;
+  }
+  
+  return terms
+    .map((term, index) => index === terms.length - 1 ? `"${term}"*` : `"${term}"`)
+    .join(' ');
+}
+
+/**
+ * Splits an FTS5 snippet into plain and highlighted segments
+ * @param {string} snippet - Snippet with hits wrapped in HIT_START/HIT_END
+ * @returns {Object[]} Segments of { text, highlight }
+ */
+export function parseSnippet(snippet) {
+  const segments = [];
+  
+  String(snippet || '').split(HIT_START).forEach((part, index) => {
+    if (index === 0) {
+      if (part) segments.push({ text: part, highlight: false });
+      return;
+    }
+    
+    const [hit, rest] = part.split(HIT_END);
+    if (hit) segments.push({ text: hit, highlight: true });
+    if (rest) segments.push({ text: rest, highlight: false });
+  });
+  
+  return segments;
+}
+
+/**
+ * Builds the Prisma date filter for search results
+ * @param {Object} filters - Search filters
+ * @param {string} [filters.from] - Earliest creation date (ISO string)
+ * @param {string} [filters.to] - Latest creation date (ISO string)
+ * @returns {Object|undefined} createdAt condition, or undefined when no dates are set
+ */
+function dateFilter({ from, to }) {
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  const condition = {};
+  
+  if (fromDate && !isNaN(fromDate)) condition.gte = fromDate;
+  if (toDate && !isNaN(toDate)) condition.lte = toDate;
+  
+  return Object.keys(condition).length > 0 ? condition : undefined;
+}
+
+/**
+ * Searches prompt titles, descriptions and text
+ * @param {string} query - FTS5 query from buildSearchQuery
+ * @param {Object} filters - { from, to, userId, model }
+ * @param {Object} user - The signed-in user
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Object[]>} Prompts in rank order with their snippet
+ */
+async function searchPrompts(query, filters, user, limit) {
+  // Title hits count most, then the description, then the prompt text
+  const hits = await prisma.$queryRaw`
+    SELECT "promptId" AS id,
+           bm25("PromptSearch", 0, 10.0, 5.0, 1.0) AS rank,
+           snippet("PromptSearch", -1, ${HIT_START}, ${HIT_END}, '…', ${SNIPPET_TOKENS}) AS snippet
+    FROM "PromptSearch"
+    WHERE "PromptSearch" MATCH ${query}
+    ORDER BY rank
+    LIMIT ${limit * CANDIDATE_MULTIPLIER}
+  `;
+  
+  if (hits.length === 0) {
+    return [];
+  }
+  
+  const prompts = await prisma.prompt.findMany({
+    where: {
+      id: { in: hits.map(hit => hit.id) },
+      AND: [visibleWithCoreToUser(user.id)],
+      createdAt: dateFilter(filters),
+      ...(filters.userId && { userId: filters.userId }),
+      ...(filters.model && { model: filters.model })
+    },
+    include: {
+      user: {
+        select: {
+          firstName: true,
+          lastName: true
+        }
+      }
+    }
+  });
+  
+  const promptsById = new Map(prompts.map(p => [p.id, p]));
+  
+  return hits
+    .filter(hit => promptsById.has(hit.id))
+    .slice(0, limit)
+    .map(hit => {
+      const prompt = promptsById.get(hit.id);
+      
+      return {
+        id: prompt.id,
+        title: prompt.title,
+        category: prompt.categoryId || '',
+        isUserCreated: prompt.isUserCreated,
+        userId: prompt.userId,
+        model: prompt.model,
+        createdAt: prompt.createdAt.toISOString(),
+        owner: prompt.user ? { firstName: prompt.user.firstName, lastName: prompt.user.lastName } : null,
+        rank: hit.rank,
+        snippet: parseSnippet(hit.snippet)
+      };
+    });
+}
+
+/**
+ * Searches saved response text
+ * @param {string} query - FTS5 query from buildSearchQuery
+ * @param {Object} filters - { from, to, userId, model }
+ * @param {Object} user - The signed-in user
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Object[]>} Responses in rank order with their prompt's title and a snippet
+ */
+async function searchResponses(query, filters, user, limit) {
+  const hits = await prisma.$queryRaw`
+    SELECT "responseId" AS id,
+           bm25("ResponseSearch") AS rank,
+           snippet("ResponseSearch", 1, ${HIT_START}, ${HIT_END}, '…', ${SNIPPET_TOKENS}) AS snippet
+    FROM "ResponseSearch"
+    WHERE "ResponseSearch" MATCH ${query}
+    ORDER BY rank
+    LIMIT ${limit * CANDIDATE_MULTIPLIER}
+  `;
+  
+  if (hits.length === 0) {
+    return [];
+  }
+  
+  const responses = await prisma.response.findMany({
+    where: {
+      id: { in: hits.map(hit => hit.id) },
+      prompt: visibleWithCoreToUser(user.id),
+      createdAt: dateFilter(filters),
+      ...(filters.userId && { userId: filters.userId }),
+      ...(filters.model && { modelUsed: filters.model })
+    },
+    include: {
+      prompt: {
+        select: {
+          title: true
+        }
+      },
+      user: {
+        select: {
+          firstName: true,
+          lastName: true
+        }
+      }
+    }
+  });
+  
+  const responsesById = new Map(responses.map(r => [r.id, r]));
+  
+  return hits
+    .filter(hit => responsesById.has(hit.id))
+    .slice(0, limit)
+    .map(hit => {
+      const response = responsesById.get(hit.id);
+      
+      return {
+        id: response.id,
+        promptId: response.promptId,
+        promptTitle: response.prompt.title,
+        userId: response.userId,
+        modelUsed: response.modelUsed,
+        createdAt: response.createdAt.toISOString(),
+        user: response.user ? { firstName: response.user.firstName, lastName: response.user.lastName } : null,
+        rank: hit.rank,
+        snippet: parseSnippet(hit.snippet)
+      };
+    });
+}
+
+/**
+ * Searches prompts and saved responses
+ * @param {Object} params - Search parameters
+ * @param {string} params.query - Text the user typed
+ * @param {string} [params.from] - Only include items created on or after this date (ISO string)
+ * @param {string} [params.to] - Only include items created on or before this date (ISO string)
+ * @param {string} [params.userId] - Only include prompts owned by, or responses saved by, this user
+ * @param {string} [params.model] - Only include prompts set to, or responses generated by, this model
+ * @param {number} [params.limit] - Maximum results of each kind
+ * @param {Object} user - The signed-in user
+ * @returns {Promise<Object>} { prompts, responses }, each in rank order (best first)
+ */
+export async function searchAll({ query: text, from, to, userId, model, limit } = {}, user) {
+  const query = buildSearchQuery(text);
+  if (!query) {
+    return { prompts: [], responses: [] };
+  }
+  
+  const filters = { from, to, userId, model };
+  const resultLimit = Math.min(parseInt(limit) || DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+  
+  const [prompts, responses] = await Promise.all([
+    searchPrompts(query, filters, user, resultLimit),
+    searchResponses(query, filters, user, resultLimit)
+  ]);
+  
+  return { prompts, responses };
+}
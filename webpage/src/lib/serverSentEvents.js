@@ -0,0 +1,76 @@
+/**
+ * Helpers for reading and writing server-sent event (SSE) streams
+ * Used both by the provider adapters (reading upstream streams) and the
+ * browser (reading the /api/openai stream)
+ */
+
+/**
+ * Formats a single server-sent event
+ * @param {string} event - Event name
+ * @param {Object} data - Payload, serialized as JSON
+ * @returns {string} The encoded event block
+ */
+export function formatServerSentEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Parses one event block into its name and data
+ * @param {string} block - Raw event text without the trailing blank line
+ * @returns {Object|null} Object with event and data, or null if the block has no data
+ */
+function parseEventBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+  
+  for (const line of block.split(/\r?\n/)) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+  
+  return dataLines.length > 0 ? { event, data: dataLines.join('\n') } : null;
+}
+
+/**
+ * Reads a server-sent event stream, calling onEvent for each event
+ * @param {Response} response - Fetch response with an event-stream body
+ * @param {function} onEvent - Called with (event, data) for each event; may throw to stop reading
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export async function readServerSentEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  const dispatch = (block) => {
+    const parsed = parseEventBlock(block);
+    if (parsed) {
+      onEvent(parsed.event, parsed.data);
+    }
+  };
+  
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      
+      buffer += decoder.decode(value, { stream: true });
+      
+      // Events are separated by a blank line; keep any partial event for the next chunk
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.forEach(dispatch);
+    }
+    
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+      dispatch(buffer);
+    }
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Show profile helpers
+ * A show profile describes the station, show and host persona a DJ writes for.
+ * It is stored per user in the UserSetting table and added to every AI request.
+ */
+
+// UserSetting key the profile is stored under
+export const SHOW_PROFILE_KEY = 'showProfile';
+
+// Profile fields with their labels, in display order
+export const SHOW_PROFILE_FIELDS = [
+  { key: 'station', label: 'Station', placeholder: 'e.g., KEXP' },
+  { key: 'showName', label: 'Show Name', placeholder: 'e.g., Sounds Like' },
+  { key: 'hostName', label: 'Host Name', placeholder: 'e.g., DJ Nightshade' },
+  { key: 'market', label: 'Market', placeholder: 'e.g., Seattle' },
+  { key: 'timezone', label: 'Time Zone', placeholder: 'e.g., America/Los_Angeles' },
+  { key: 'showDays', label: 'Show Days', placeholder: 'e.g., Friday, Saturday' },
+  { key: 'wordsPerMinute', label: 'Reading Speed (words per minute)', placeholder: 'e.g., 160', type: 'number' },
+  { key: 'tone', label: 'Tone & Style', placeholder: 'e.g., Warm, witty, never cheesy. Short sentences.', multiline: true },
+  { key: 'bannedPhrases', label: 'Banned Phrases', placeholder: 'One per line, e.g., "without further ado"', multiline: true },
+];
+
+// Prompt variable names that are filled from profile fields
+const PROFILE_VARIABLES = {
+  station: 'station',
+  station_call: 'station',
+  call_letters: 'station',
+  show: 'showName',
+  show_name: 'showName',
+  host: 'hostName',
+  host_name: 'hostName',
+  dj: 'hostName',
+  dj_name: 'hostName',
+  market: 'market',
+};
+
+/**
+ * Normalizes a stored profile, keeping only known fields as trimmed strings
+ * @param {Object} profile - Raw profile object
+ * @returns {Object} Profile with every field present
+ */
+export function normalizeShowProfile(profile) {
+  const source = profile && typeof profile === 'object' ? profile : {};
+  
+  return SHOW_PROFILE_FIELDS.reduce((result, field) => {
+    const value = source[field.key];
+    result[field.key] = typeof value === 'string' ? value.trim() : '';
+    return result;
+  }, {});
+}
+
+/**
+ * Splits the banned phrases field into a list
+ * @param {string} bannedPhrases - Phrases separated by newlines or commas
+ * @returns {string[]} Non-empty phrases
+ */
+export function parseBannedPhrases(bannedPhrases) {
+  return (bannedPhrases || '')
+    .split(/[\n,]/)
+    .map(phrase => phrase.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Builds system prompt instructions from a show profile
+ * @param {Object} profile - The show profile
+ * @returns {string} Instructions to append to the system prompt, or '' if the profile is empty
+ */
+export function buildShowProfileInstructions(profile) {
+  const { station, showName, hostName, market, tone, bannedPhrases } = normalizeShowProfile(profile);
+  const lines = [];
+  
+  if (station) lines.push(`Station: ${station}`);
+  if (showName) lines.push(`Show: ${showName}`);
+  if (hostName) lines.push(`Host: ${hostName}`);
+  if (market) lines.push(`Market: ${market}`);
+  if (tone) lines.push(`Tone and style: ${tone}`);
+  
+  const phrases = parseBannedPhrases(bannedPhrases);
+  if (phrases.length > 0) {
+    lines.push(`Never use these phrases: ${phrases.map(phrase => `"${phrase}"`).join(', ')}`);
+  }
+  
+  if (lines.length === 0) {
+    return '';
+  }
+  
+  return `Write in the voice of this show:\n${lines.join('\n')}`;
+}
+
+/**
+ * Gets values for prompt variables that can be filled from the profile
+ * @param {Object} profile - The show profile
+ * @param {string[]} variables - Variable names detected in a prompt
+ * @returns {Object} Key-value pairs for variables with a matching profile value
+ */
+export function getShowProfileVariables(profile, variables) {
+  const normalized = normalizeShowProfile(profile);
+  const values = {};
+  
+  variables.forEach(variable => {
+    const field = PROFILE_VARIABLES[variable.toLowerCase()];
+    if (field && normalized[field]) {
+      values[variable] = normalized[field];
+    }
+  });
+  
+  return values;
+}
@@ -225,6 +225,200 @@ const storage = {
     }
   },
   
+  /**
+   * Record that a prompt was used, bumping its usage count and last used time
+   * @param {string} promptId - Prompt ID
+   * @returns {Promise<boolean>} Whether the use was recorded
+   */
+  recordPromptUse: async (promptId) => {
+    try {
+      const result = await dbRequest('recordPromptUse', { promptId });
+      return result.success;
+    } catch (error) {
+      console.error('Error recording prompt use:', error);
+      return false;
+    }
+  },
+  
+  /**
+   * Create a prompt owned by the current user
+   * @param {Object} prompt - The prompt, including its client-generated ID
+   * @returns {Promise<Object>} The saved prompt
+   */
+  createPrompt: async (prompt) => {
+    try {
+      const result = await dbRequest('createPrompt', { prompt });
+      return result.prompt;
+    } catch (error) {
+      console.error('Error creating prompt:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Update a single prompt
+   * @param {Object} prompt - The prompt with its changes applied
+   * @returns {Promise<Object>} The saved prompt
+   */
+  updatePrompt: async (prompt) => {
+    try {
+      const result = await dbRequest('updatePrompt', { prompt });
+      return result.prompt;
+    } catch (error) {
+      console.error('Error updating prompt:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Delete a single prompt, along with its responses
+   * @param {string} promptId - Prompt ID
+   * @returns {Promise<boolean>} True if the prompt was deleted
+   */
+  deletePrompt: async (promptId) => {
+    try {
+      const result = await dbRequest('deletePrompt', { promptId });
+      return result.success;
+    } catch (error) {
+      console.error('Error deleting prompt:', error);
+      return false;
+    }
+  },
+  
+  /**
+   * Get a prompt's saved versions
+   * @param {string} promptId - Prompt ID
+   * @returns {Promise<Array>} Revisions with their author, newest first
+   */
+  getPromptRevisions: async (promptId) => {
+    try {
+      const result = await dbRequest('getPromptRevisions', { promptId });
+      return result.revisions;
+    } catch (error) {
+      console.error('Error getting prompt revisions:', error);
+      return [];
+    }
+  },
+  
+  /**
+   * Restore a prompt to one of its earlier versions
+   * @param {string} revisionId - Revision to restore
+   * @returns {Promise<Object>} The restored prompt
+   */
+  restorePromptRevision: async (revisionId) => {
+    try {
+      const result = await dbRequest('restorePromptRevision', { revisionId });
+      return result.prompt;
+    } catch (error) {
+      console.error('Error restoring prompt revision:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Create a category owned by the current user
+   * @param {Object} category - The category with id, name, visibility and an optional parentId
+   * @returns {Promise<Object>} The saved category
+   */
+  createCategory: async (category) => {
+    try {
+      const result = await dbRequest('createCategory', { category });
+      return result.category;
+    } catch (error) {
+      console.error('Error creating category:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Rename a category or change its visibility
+   * @param {Object} category - The category ID with the new name and/or visibility
+   * @returns {Promise<Object>} The saved category
+   */
+  updateCategory: async (category) => {
+    try {
+      const result = await dbRequest('updateCategory', { category });
+      return result.category;
+    } catch (error) {
+      console.error('Error updating category:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Move a category under another one (or to the top level), before one of its new siblings
+   * @param {string} categoryId - Category ID
+   * @param {string|null} parentId - New parent category, or null for the top level
+   * @param {string|null} beforeId - Sibling to place it before, or null for the end
+   * @returns {Promise<Object[]>} The moved category and any siblings that were renumbered
+   */
+  moveCategory: async (categoryId, parentId, beforeId) => {
+    try {
+      const result = await dbRequest('moveCategory', { categoryId, parentId, beforeId });
+      return result.categories;
+    } catch (error) {
+      console.error('Error moving category:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Delete a category, leaving its prompts uncategorized and moving its subcategories up a level
+   * @param {string} categoryId - Category ID
+   * @returns {Promise<boolean>} True if the category was deleted
+   */
+  deleteCategory: async (categoryId) => {
+    try {
+      const result = await dbRequest('deleteCategory', { categoryId });
+      return result.success;
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      return false;
+    }
+  },
+  
+  /**
+   * Add a prompt to the current user's favorites
+   * @param {string} promptId - Prompt ID
+   * @returns {Promise<Object>} { promptId, isFavorite }
+   */
+  addFavorite: async (promptId) => {
+    try {
+      return await dbRequest('addFavorite', { promptId });
+    } catch (error) {
+      console.error('Error adding favorite:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Remove a prompt from the current user's favorites
+   * @param {string} promptId - Prompt ID
+   * @returns {Promise<Object>} { promptId, isFavorite }
+   */
+  removeFavorite: async (promptId) => {
+    try {
+      return await dbRequest('removeFavorite', { promptId });
+    } catch (error) {
+      console.error('Error removing favorite:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Search prompts and saved responses the current user can see
+   * @param {Object} params - { query, from, to, userId, model, limit }
+   * @returns {Promise<Object>} { prompts, responses } in rank order, each with snippet segments
+   */
+  search: async (params) => {
+    try {
+      return await dbRequest('search', params);
+    } catch (error) {
+      console.error('Error searching:', error);
+      return { prompts: [], responses: [] };
+    }
+  },
+  
   // Helper functions for AI responses
   getResponses: async () => {
     try {
@@ -263,6 +457,35 @@ const storage = {
     }
   },
   
+  /**
+   * Set feedback on a saved response
+   * @param {string} responseId - Response ID
+   * @param {Object} feedback - Any of { thumbs, rating, airedAt, notes }; null clears a field
+   * @returns {Promise<Object>} The updated response
+   */
+  saveResponseFeedback: async (responseId, feedback) => {
+    try {
+      const result = await dbRequest('saveResponseFeedback', { responseId, feedback });
+      return result.response;
+    } catch (error) {
+      console.error('Error saving response feedback:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get feedback totals per prompt and per model
+   * @returns {Promise<Object>} { prompts, models }, each sorted by response count
+   */
+  getFeedbackStats: async () => {
+    try {
+      return await dbRequest('getFeedbackStats');
+    } catch (error) {
+      console.error('Error getting feedback stats:', error);
+      return { prompts: [], models: [] };
+    }
+  },
+  
   countResponsesForPrompt: async (promptId) => {
     try {
       const result = await dbRequest('countResponsesForPrompt', { promptId });
@@ -284,6 +507,107 @@ const storage = {
       console.error('Error fetching favorites:', error);
       return [];
     }
+  },
+  
+  /**
+   * Get the current user's show profile
+   * @returns {Promise<Object|null>} The show profile, or null on error
+   */
+  getShowProfile: async () => {
+    try {
+      const result = await dbRequest('getShowProfile');
+      return result.profile;
+    } catch (error) {
+      console.error('Error fetching show profile:', error);
+      return null;
+    }
+  },
+  
+  /**
+   * Save the current user's show profile
+   * @param {Object} profile - The show profile fields
+   * @returns {Promise<Object>} The saved (normalized) profile
+   */
+  saveShowProfile: async (profile) => {
+    try {
+      const result = await dbRequest('saveShowProfile', { profile });
+      return result.profile;
+    } catch (error) {
+      console.error('Error saving show profile:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get the current user's imported playlist
+   * @returns {Promise<Object[]>} Tracks in playlist order
+   */
+  getPlaylist: async () => {
+    try {
+      const result = await dbRequest('getPlaylist');
+      return result.tracks || [];
+    } catch (error) {
+      console.error('Error fetching playlist:', error);
+      return [];
+    }
+  },
+  
+  /**
+   * Replace the current user's imported playlist
+   * @param {Object[]} tracks - Tracks with artist, title, album, year, label and playedAt
+   * @returns {Promise<Object[]>} The saved (normalized) tracks
+   */
+  savePlaylist: async (tracks) => {
+    try {
+      const result = await dbRequest('savePlaylist', { tracks });
+      return result.tracks;
+    } catch (error) {
+      console.error('Error saving playlist:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get the current user's rundowns
+   * @returns {Promise<Object[]>} Rundowns with their slots in show order
+   */
+  getRundowns: async () => {
+    try {
+      return await dbRequest('getRundowns');
+    } catch (error) {
+      console.error('Error fetching rundowns:', error);
+      return [];
+    }
+  },
+  
+  /**
+   * Create or update a rundown, replacing its slots
+   * @param {Object} rundown - The rundown with title, showDate and slots
+   * @returns {Promise<Object>} The saved rundown
+   */
+  saveRundown: async (rundown) => {
+    try {
+      const result = await dbRequest('saveRundown', { rundown });
+      return result.rundown;
+    } catch (error) {
+      console.error('Error saving rundown:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Delete a rundown
+   * @param {string} rundownId - The rundown ID
+   * @returns {Promise<boolean>} True if the rundown was deleted
+   */
+  deleteRundown: async (rundownId) => {
+    try {
+      const result = await dbRequest('deleteRundown', { rundownId });
+      return result.success;
+    } catch (error) {
+      console.error('Error deleting rundown:', error);
+      return false;
+    }
   }
 };
 
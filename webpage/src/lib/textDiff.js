@@ -0,0 +1,100 @@
+/**
+ * Word-level text diff
+ * Compares two texts word by word (keeping the whitespace between words) using the longest
+ * common subsequence, to show what changed between two versions of a prompt.
+ */
+
+// Past this many word pairs in the changed middle, show it as replaced outright rather than
+// spend the memory on a full comparison
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Splits text into words and the whitespace between them
+ * @param {string} text - Text to split
+ * @returns {string[]} Tokens that join back into the text
+ */
+function tokenize(text) {
+  return String(text || '').split(/(\s+)/).filter(Boolean);
+}
+
+/**
+ * Diffs two texts word by word
+ * @param {string} oldText - The earlier text
+ * @param {string} newText - The later text
+ * @returns {Object[]} Segments of { type, text } in reading order, where type is 'same',
+ *   'removed' (only in the earlier text) or 'added' (only in the later text)
+ */
+export function diffWords(oldText, newText) {
+  const oldTokens = tokenize(oldText);
+  const newTokens = tokenize(newText);
+  const segments = [];
+  
+  const push = (type, text) => {
+    if (!text) return;
+    
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      segments.push({ type, text });
+    }
+  };
+  
+  // Only the part between the unchanged start and end needs comparing
+  let start = 0;
+  while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+    start++;
+  }
+  
+  let oldEnd = oldTokens.length;
+  let newEnd = newTokens.length;
+  while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  
+  const before = oldTokens.slice(start, oldEnd);
+  const after = newTokens.slice(start, newEnd);
+  
+  push('same', oldTokens.slice(0, start).join(''));
+  
+  if (before.length * after.length > MAX_DIFF_CELLS) {
+    push('removed', before.join(''));
+    push('added', after.join(''));
+  } else {
+    // common[i * width + j] is the length of the longest common subsequence of before[i..] and after[j..]
+    const width = after.length + 1;
+    const common = new Uint32Array((before.length + 1) * width);
+    
+    for (let i = before.length - 1; i >= 0; i--) {
+      for (let j = after.length - 1; j >= 0; j--) {
+        common[i * width + j] = before[i] === after[j]
+          ? common[(i + 1) * width + j + 1] + 1
+          : Math.max(common[(i + 1) * width + j], common[i * width + j + 1]);
+      }
+    }
+    
+    let i = 0;
+    let j = 0;
+    while (i < before.length && j < after.length) {
+      if (before[i] === after[j]) {
+        push('same', before[i]);
+        i++;
+        j++;
+      } else if (common[(i + 1) * width + j] >= common[i * width + j + 1]) {
+        push('removed', before[i]);
+        i++;
+      } else {
+        push('added', after[j]);
+        j++;
+      }
+    }
+    
+    push('removed', before.slice(i).join(''));
+    push('added', after.slice(j).join(''));
+  }
+  
+  push('same', oldTokens.slice(oldEnd).join(''));
+  
+  return segments;
+}
@@ -0,0 +1,159 @@
+/**
+ * Usage and cost helpers
+ * Token counts are recorded per AI request in the usage ledger; costs are worked out from
+ * the price table when totals are shown, so a price change applies to past usage too.
+ */
+
+// US dollars per million tokens, matched against the start of the model name (longest match wins).
+// AI_MODEL_PRICES can add or override entries, e.g. {"gpt-4o": {"input": 2.5, "output": 10}}
+export const DEFAULT_MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+};
+
+// Providers that run on the station's own hardware and cost nothing per token
+const FREE_PROVIDERS = ['local'];
+
+// Rough characters per token, for estimating usage the provider never reported
+const CHARACTERS_PER_TOKEN = 4;
+
+// Setting key for the monthly budget of users without their own
+export const DEFAULT_BUDGET_KEY = 'defaultMonthlyBudget';
+
+/**
+ * Gets the price table, including any AI_MODEL_PRICES overrides
+ * @returns {Object} Prices per million tokens ({ input, output }) keyed by model name prefix
+ */
+export function getModelPrices() {
+  if (!process.env.AI_MODEL_PRICES) {
+    return DEFAULT_MODEL_PRICES;
+  }
+  
+  try {
+    return { ...DEFAULT_MODEL_PRICES, ...JSON.parse(process.env.AI_MODEL_PRICES) };
+  } catch (error) {
+    console.error('Ignoring invalid AI_MODEL_PRICES:', error.message);
+    return DEFAULT_MODEL_PRICES;
+  }
+}
+
+/**
+ * Finds the price for a model
+ * @param {string} provider - Provider ID
+ * @param {string} model - Model name as reported by the provider
+ * @param {Object} [prices] - Price table (see getModelPrices)
+ * @returns {Object|null} Price per million tokens ({ input, output }), or null if the model has no price
+ */
+export function findModelPrice(provider, model, prices = getModelPrices()) {
+  if (FREE_PROVIDERS.includes(provider)) {
+    return { input: 0, output: 0 };
+  }
+  
+  // Gemini reports names like "models/gemini-1.5-flash-002"
+  const name = String(model || '').toLowerCase().replace(/^models\//, '');
+  if (!name) return null;
+  
+  const match = Object.keys(prices)
+    .filter(prefix => name.startsWith(prefix.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  
+  return match ? prices[match] : null;
+}
+
+/**
+ * Gets the price budgets charge for models missing from the price table
+ * Unpriced models are charged the highest input and output prices in the table, so switching
+ * to a model nobody has priced can't be used to get around a budget.
+ * @param {Object} [prices] - Price table (see getModelPrices)
+ * @returns {Object} Price per million tokens ({ input, output })
+ */
+export function getUnpricedModelPrice(prices = getModelPrices()) {
+  const entries = Object.values(prices);
+  return {
+    input: Math.max(0, ...entries.map(price => Number(price.input) || 0)),
+    output: Math.max(0, ...entries.map(price => Number(price.output) || 0))
+  };
+}
+
+/**
+ * Works out the cost of some token usage
+ * @param {Object} usage - Object with provider, model, promptTokens and completionTokens
+ * @param {Object} [prices] - Price table (see getModelPrices)
+ * @param {Object} [unpricedPrice] - Price to charge models without one (see getUnpricedModelPrice)
+ * @returns {number} Cost in US dollars; 0 for models without a price unless unpricedPrice is given
+ */
+export function calculateCost({ provider, model, promptTokens, completionTokens }, prices = getModelPrices(), unpricedPrice = null) {
+  const price = findModelPrice(provider, model, prices) || unpricedPrice;
+  if (!price) return 0;
+  
+  return ((promptTokens || 0) * price.input + (completionTokens || 0) * price.output) / 1000000;
+}
+
+/**
+ * Estimates the tokens in some text
+ * @param {string} text - The text
+ * @returns {number} Approximate token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARACTERS_PER_TOKEN);
+}
+
+/**
+ * Formats a cost for display
+ * @param {number} amount - Cost in US dollars
+ * @returns {string} e.g. "$1.25", or "$0.0042" for amounts under a dollar
+ */
+export function formatCost(amount) {
+  const value = Number(amount) || 0;
+  return `$${value.toFixed(value > 0 && value < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Parses a budget as entered by an admin
+ * @param {*} value - The budget; blank, null or undefined means no budget
+ * @returns {number|null|undefined} Budget in US dollars, null for no budget, or undefined if the value is invalid
+ */
+export function parseBudget(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? Math.round(amount * 100) / 100 : undefined;
+}
+
+/**
+ * Gets the start of the day a date falls on, in server time
+ * @param {Date} [date] - The date
+ * @returns {Date} Midnight at the start of the day
+ */
+export function getDayStart(date = new Date()) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Gets the start of the month a date falls on, in server time
+ * @param {Date} [date] - The date
+ * @returns {Date} Midnight on the first of the month
+ */
+export function getMonthStart(date = new Date()) {
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+}
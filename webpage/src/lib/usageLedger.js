@@ -0,0 +1,233 @@
+/**
+ * Usage ledger
+ * Records the tokens used by every AI request (saved or not), totals them per user and
+ * station-wide, and enforces the monthly budgets admins set.
+ */
+import { prisma } from './db';
+import { calculateCost, findModelPrice, getModelPrices, getUnpricedModelPrice, getDayStart, getMonthStart, formatCost, DEFAULT_BUDGET_KEY } from './usage';
+
+// Days shown in the admin daily breakdown
+const DAILY_HISTORY_DAYS = 30;
+
+/**
+ * Creates an empty usage total
+ * @returns {Object} Totals with requests, token counts and cost
+ */
+function createTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+/**
+ * Adds a usage group or record to a running total
+ * @param {Object} totals - The total to add to (changed in place)
+ * @param {Object} usage - Object with requests, token counts and cost
+ * @returns {Object} The updated total
+ */
+function addToTotals(totals, usage) {
+  totals.requests += usage.requests;
+  totals.promptTokens += usage.promptTokens;
+  totals.completionTokens += usage.completionTokens;
+  totals.totalTokens += usage.totalTokens;
+  totals.cost += usage.cost;
+  return totals;
+}
+
+/**
+ * Gets usage since a date, grouped by user, provider and model, with costs
+ * @param {Date} since - Start of the period
+ * @param {Object} prices - Price table
+ * @param {string} [userId] - Only include this user's usage
+ * @param {Object} [unpricedPrice] - Price to charge models without one
+ * @returns {Promise<Object[]>} Groups of { userId, provider, model, requests, promptTokens, completionTokens, totalTokens, cost }
+ */
+async function getUsageGroups(since, prices, userId, unpricedPrice = null) {
+  const groups = await prisma.usageRecord.groupBy({
+    by: ['userId', 'provider', 'model'],
+    where: {
+      createdAt: { gte: since },
+      ...(userId && { userId })
+    },
+    _count: { _all: true },
+    _sum: { promptTokens: true, completionTokens: true, totalTokens: true }
+  });
+  
+  return groups.map(group => {
+    const usage = {
+      userId: group.userId,
+      provider: group.provider,
+      model: group.model,
+      requests: group._count._all,
+      promptTokens: group._sum.promptTokens || 0,
+      completionTokens: group._sum.completionTokens || 0,
+      totalTokens: group._sum.totalTokens || 0
+    };
+    return { ...usage, cost: calculateCost(usage, prices, unpricedPrice) };
+  });
+}
+
+/**
+ * Records the tokens used by one AI request
+ * Failures are logged rather than thrown, so a ledger problem never loses a generated response.
+ * @param {string|null} userId - The user who made the request
+ * @param {Object} result - The provider result (provider, modelUsed and token counts)
+ * @param {string} source - What made the request: 'generate', 'batch', 'compare' or 'schedule'
+ */
+export async function recordUsage(userId, result, source) {
+  try {
+    const promptTokens = result.promptTokens || 0;
+    const completionTokens = result.completionTokens || 0;
+    
+    await prisma.usageRecord.create({
+      data: {
+        userId: userId || null,
+        provider: result.provider || null,
+        model: result.modelUsed || null,
+        source,
+        promptTokens,
+        completionTokens,
+        totalTokens: result.totalTokens || promptTokens + completionTokens
+      }
+    });
+  } catch (error) {
+    console.error('Error recording AI usage:', error);
+  }
+}
+
+/**
+ * Gets the monthly budget for users without their own
+ * @returns {Promise<number|null>} Budget in US dollars, or null for no limit
+ */
+export async function getDefaultMonthlyBudget() {
+  const setting = await prisma.setting.findUnique({
+    where: { key: DEFAULT_BUDGET_KEY }
+  });
+  
+  const amount = setting ? parseFloat(setting.value) : NaN;
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Sets the monthly budget for users without their own
+ * @param {number|null} amount - Budget in US dollars, or null to remove the limit
+ */
+export async function setDefaultMonthlyBudget(amount) {
+  if (amount === null) {
+    await prisma.setting.deleteMany({ where: { key: DEFAULT_BUDGET_KEY } });
+    return;
+  }
+  
+  await prisma.setting.upsert({
+    where: { key: DEFAULT_BUDGET_KEY },
+    update: { value: JSON.stringify(amount) },
+    create: { key: DEFAULT_BUDGET_KEY, value: JSON.stringify(amount) }
+  });
+}
+
+/**
+ * Checks whether a user can make another AI request this month
+ * @param {string} userId - The user
+ * @returns {Promise<string|null>} An error message if the user is over budget, otherwise null
+ */
+export async function checkUsageBudget(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { monthlyBudget: true }
+  });
+  
+  const budget = user?.monthlyBudget ?? await getDefaultMonthlyBudget();
+  if (budget === null) {
+    return null;
+  }
+  
+  // Unpriced models still count against the budget (see getUnpricedModelPrice)
+  const prices = getModelPrices();
+  const groups = await getUsageGroups(getMonthStart(), prices, userId, getUnpricedModelPrice(prices));
+  const spent = groups.reduce((total, group) => total + group.cost, 0);
+  
+  if (spent < budget) {
+    return null;
+  }
+  
+  return `You've used ${formatCost(spent)} of your ${formatCost(budget)} monthly AI budget. Ask an admin to raise your budget, or try again next month.`;
+}
+
+/**
+ * Builds the usage summary for the admin dashboard
+ * @returns {Promise<Object>} Object with station totals, per-user and per-model totals, daily history, budgets and prices
+ */
+export async function getUsageSummary() {
+  // Costs are worked out the way budgets are enforced, so spend shown against a budget matches
+  const prices = getModelPrices();
+  const unpricedPrice = getUnpricedModelPrice(prices);
+  const now = new Date();
+  const historyStart = getDayStart(new Date(now.getFullYear(), now.getMonth(), now.getDate() - (DAILY_HISTORY_DAYS - 1)));
+  
+  const [todayGroups, monthGroups, records, users, defaultBudget] = await Promise.all([
+    getUsageGroups(getDayStart(now), prices, null, unpricedPrice),
+    getUsageGroups(getMonthStart(now), prices, null, unpricedPrice),
+    prisma.usageRecord.findMany({
+      where: { createdAt: { gte: historyStart } },
+      select: { createdAt: true, provider: true, model: true, promptTokens: true, completionTokens: true, totalTokens: true }
+    }),
+    prisma.user.findMany({
+      select: { id: true, email: true, firstName: true, lastName: true, monthlyBudget: true },
+      orderBy: { email: 'asc' }
+    }),
+    getDefaultMonthlyBudget()
+  ]);
+  
+  const station = {
+    today: todayGroups.reduce(addToTotals, createTotals()),
+    month: monthGroups.reduce(addToTotals, createTotals())
+  };
+  
+  const userTotals = new Map(users.map(user => [user.id, { today: createTotals(), month: createTotals() }]));
+  todayGroups.forEach(group => userTotals.has(group.userId) && addToTotals(userTotals.get(group.userId).today, group));
+  monthGroups.forEach(group => userTotals.has(group.userId) && addToTotals(userTotals.get(group.userId).month, group));
+  
+  const modelTotals = new Map();
+  monthGroups.forEach(group => {
+    const key = `${group.provider || ''}:${group.model || ''}`;
+    if (!modelTotals.has(key)) {
+      modelTotals.set(key, {
+        provider: group.provider,
+        model: group.model,
+        priced: !!findModelPrice(group.provider, group.model, prices),
+        ...createTotals()
+      });
+    }
+    addToTotals(modelTotals.get(key), group);
+  });
+  
+  // Bucket the last DAILY_HISTORY_DAYS days by server-local date
+  const days = new Map();
+  for (let offset = 0; offset < DAILY_HISTORY_DAYS; offset++) {
+    const day = new Date(historyStart.getFullYear(), historyStart.getMonth(), historyStart.getDate() + offset);
+    days.set(day.toDateString(), { date: day.toISOString(), ...createTotals() });
+  }
+  records.forEach(record => {
+    const day = days.get(getDayStart(record.createdAt).toDateString());
+    if (day) {
+      addToTotals(day, {
+        requests: 1,
+        promptTokens: record.promptTokens,
+        completionTokens: record.completionTokens,
+        totalTokens: record.totalTokens,
+        cost: calculateCost(record, prices, unpricedPrice)
+      });
+    }
+  });
+  
+  return {
+    station,
+    users: users.map(user => ({
+      ...user,
+      budget: user.monthlyBudget ?? defaultBudget,
+      ...userTotals.get(user.id)
+    })),
+    models: [...modelTotals.values()].sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens),
+    daily: [...days.values()],
+    defaultBudget,
+    prices: Object.entries(prices).map(([model, price]) => ({ model, ...price }))
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Prompt and category visibility
+ * Every prompt and category has an owner and a visibility level: private ones are only seen
+ * by their owner, shared ones by everyone at the station, and core ones are the built-in
+ * set that only admins maintain.
+ */
+
+export const VISIBILITY_PRIVATE = 'private';
+export const VISIBILITY_SHARED = 'shared';
+export const VISIBILITY_CORE = 'core';
+
+// Levels a user can pick for their own prompts and categories, in display order
+export const USER_VISIBILITY_OPTIONS = [
+  { value: VISIBILITY_PRIVATE, label: 'Private (only you)' },
+  { value: VISIBILITY_SHARED, label: 'Shared with station' },
+];
+
+/**
+ * Normalizes the visibility of user-created content
+ * Core is reserved for the built-in set, so anything other than shared becomes private.
+ * @param {string} visibility - Requested visibility
+ * @returns {string} VISIBILITY_SHARED or VISIBILITY_PRIVATE
+ */
+export function normalizeUserVisibility(visibility) {
+  return visibility === VISIBILITY_SHARED ? VISIBILITY_SHARED : VISIBILITY_PRIVATE;
+}
+
+/**
+ * Builds the Prisma filter for user-created prompts or categories a user can see
+ * @param {string} userId - The signed-in user
+ * @returns {Object} Where clause matching the user's own items and items shared with the station
+ */
+export function visibleToUser(userId) {
+  return {
+    isUserCreated: true,
+    OR: [
+      { userId },
+      { visibility: VISIBILITY_SHARED }
+    ]
+  };
+}
+
+/**
+ * Builds the Prisma filter for all prompts or categories a user can see, core ones included
+ * @param {string} userId - The signed-in user
+ * @returns {Object} Where clause matching core items, the user's own items and shared items
+ */
+export function visibleWithCoreToUser(userId) {
+  return {
+    OR: [
+      { isUserCreated: false },
+      { userId },
+      { visibility: VISIBILITY_SHARED }
+    ]
+  };
+}
@@ -10,8 +10,6 @@ const publicPaths = [
   '/api/auth/me',
   '/api/init',
   '/api/simple-check', // Simple endpoint for checking environment
-  '/api/db', // Database operations - client-side auth instead of middleware
-  '/api/openai', // OpenAI API - client-side auth instead of middleware
   '/favicon.ico',
   '/assets',
   // '/home' path removed - no longer bypassing auth
@@ -36,8 +34,12 @@ export function middleware(request) {
   const cookieName = process.env.COOKIE_NAME || 'robo_auth';
   const token = request.cookies.get(cookieName)?.value;
   
-  // If no token is present, redirect to login
+  // If no token is present, reject API calls and redirect pages to login
   if (!token) {
+    if (path.startsWith('/api/')) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+    
     const url = request.nextUrl.clone();
     url.pathname = '/login';
     
@@ -75,6 +77,10 @@ export function middleware(request) {
   
   // Check if the path requires admin access
   if (adminPaths.some(p => path.startsWith(p)) && !isAdmin) {
+    if (path.startsWith('/api/')) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+    
     // If the user is not an admin, redirect to home
     const url = request.nextUrl.clone();
     url.pathname = '/';
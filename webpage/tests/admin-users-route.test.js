@@ -0,0 +1,63 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { prisma } from '../src/lib/db';
+import { getCurrentUser } from '../src/lib/auth';
+import { DELETE } from '../src/app/api/admin/users/[id]/route';
+
+vi.mock('../src/lib/auth', () => ({ getCurrentUser: vi.fn() }));
+
+vi.mock('../src/lib/db', async () => {
+  const { createPrismaMock } = await import('./helpers/prismaMock');
+  return { prisma: createPrismaMock() };
+});
+
+const ADMIN_USER = { id: 'user_admin', email: 'admin@example.com', isAdmin: true };
+const DJ = { id: 'user_dj', email: 'dj@example.com', isAdmin: false };
+
+/**
+ * Calls DELETE /api/admin/users/[id]
+ * @param {string} id - The user to delete
+ * @returns {Promise<Object>} { status, body }
+ */
+async function deleteUser(id) {
+  const response = await DELETE(new Request(`http://localhost/api/admin/users/${id}`, { method: 'DELETE' }), {
+    params: { id },
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+beforeEach(() => {
+  prisma.reset();
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('DELETE /api/admin/users/[id]', () => {
+  it('refuses non-admins', async () => {
+    getCurrentUser.mockResolvedValue(DJ);
+    const { status } = await deleteUser('user_other');
+    expect(status).toBe(403);
+    expect(prisma.user.delete).not.toHaveBeenCalled();
+  });
+
+  it('refuses to let an admin delete their own account', async () => {
+    getCurrentUser.mockResolvedValue(ADMIN_USER);
+    const { status, body } = await deleteUser(ADMIN_USER.id);
+    expect(status).toBe(400);
+    expect(body.error).toBe('You cannot delete your own account');
+  });
+
+  it('hands the user\'s shared prompts and categories to the admin before deleting them', async () => {
+    getCurrentUser.mockResolvedValue(ADMIN_USER);
+    prisma.user.findUnique.mockResolvedValue(DJ);
+    prisma.user.delete.mockResolvedValue(DJ);
+
+    const { status } = await deleteUser(DJ.id);
+
+    expect(status).toBe(200);
+    const sharedByDj = { userId: DJ.id, isUserCreated: true, visibility: 'shared' };
+    expect(prisma.prompt.updateMany).toHaveBeenCalledWith({ where: sharedByDj, data: { userId: ADMIN_USER.id } });
+    expect(prisma.category.updateMany).toHaveBeenCalledWith({ where: sharedByDj, data: { userId: ADMIN_USER.id } });
+    expect(prisma.user.delete).toHaveBeenCalledWith({ where: { id: DJ.id } });
+  });
+});
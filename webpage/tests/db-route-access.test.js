@@ -0,0 +1,447 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { cookies } from 'next/headers';
+import { prisma } from '../src/lib/db';
+import { POST } from '../src/app/api/db/route';
+import { OPERATION_ACCESS, ADMIN, USER } from '../src/app/api/db/access';
+
+vi.mock('next/headers', () => ({ cookies: vi.fn() }));
+
+vi.mock('../src/lib/db', async () => {
+  const { createPrismaMock } = await import('./helpers/prismaMock');
+  return {
+    prisma: createPrismaMock(),
+    getDbStats: vi.fn(async () => ({})),
+  };
+});
+
+const DJ = { id: 'user_dj', email: 'dj@example.com', isAdmin: false };
+const OTHER_DJ = { id: 'user_other', email: 'other@example.com', isAdmin: false };
+const ADMIN_USER = { id: 'user_admin', email: 'admin@example.com', isAdmin: true };
+
+const ADMIN_OPERATIONS = ['clearData', 'storeCorePrompts', 'getDbStats', 'storeResponses'];
+
+/**
+ * Signs a user in for the next requests, or signs everyone out when user is null
+ * @param {Object|null} user - The user the session belongs to
+ */
+function signIn(user) {
+  cookies.mockReturnValue({
+    get: () => (user ? { value: `token_${user.id}` } : undefined),
+  });
+  prisma.session.findFirst.mockResolvedValue(user ? { token: `token_${user.id}`, user } : null);
+}
+
+/**
+ * Calls the /api/db route
+ * @param {string} operation - Operation name
+ * @param {Object} [params] - Operation params
+ * @returns {Promise<Object>} { status, body }
+ */
+async function callOperation(operation, params = {}) {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+
+  const response = await POST(new Request('http://localhost/api/db', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ operation, params }),
+  }));
+
+  return { status: response.status, body: await response.json() };
+}
+
+beforeEach(() => {
+  prisma.reset();
+  vi.restoreAllMocks();
+});
+
+describe('OPERATION_ACCESS', () => {
+  it('marks only the station-wide replace and wipe operations as admin-only', () => {
+    const adminOnly = Object.keys(OPERATION_ACCESS).filter(operation => OPERATION_ACCESS[operation] === ADMIN);
+    expect(adminOnly.sort()).toEqual([...ADMIN_OPERATIONS].sort());
+  });
+
+  it('gives every operation an access level', () => {
+    Object.values(OPERATION_ACCESS).forEach(access => {
+      expect([USER, ADMIN]).toContain(access);
+    });
+  });
+});
+
+describe('POST /api/db authentication', () => {
+  it('rejects unknown operations', async () => {
+    signIn(DJ);
+    const { status, body } = await callOperation('dropEverything');
+    expect(status).toBe(400);
+    expect(body.error).toBe('Unknown operation: dropEverything');
+  });
+
+  it.each(Object.keys(OPERATION_ACCESS))('returns 401 for %s without a session cookie', async (operation) => {
+    signIn(null);
+    const { status, body } = await callOperation(operation);
+    expect(status).toBe(401);
+    expect(body.error).toBe('Not authenticated');
+    expect(prisma.session.findFirst).not.toHaveBeenCalled();
+  });
+
+  it('returns 401 when the session has expired or does not exist', async () => {
+    signIn(DJ);
+    prisma.session.findFirst.mockResolvedValue(null);
+    const { status } = await callOperation('getUserPrompts');
+    expect(status).toBe(401);
+  });
+});
+
+describe('POST /api/db authorization', () => {
+  it.each(ADMIN_OPERATIONS)('returns 403 for %s when the user is not an admin', async (operation) => {
+    signIn(DJ);
+    const { status, body } = await callOperation(operation, { prompts: [], responses: [] });
+    expect(status).toBe(403);
+    expect(body.error).toBe('Admin privileges required');
+  });
+
+  it.each(ADMIN_OPERATIONS)('lets an admin run %s', async (operation) => {
+    signIn(ADMIN_USER);
+    const { status } = await callOperation(operation, { prompts: [], responses: [] });
+    expect(status).toBe(200);
+  });
+
+  it.each(Object.keys(OPERATION_ACCESS).filter(operation => OPERATION_ACCESS[operation] === USER))(
+    'lets a signed-in user reach the %s handler',
+    async (operation) => {
+      signIn(DJ);
+      const { status, body } = await callOperation(operation);
+      expect(status).not.toBe(401);
+      expect(body.error).not.toBe('Admin privileges required');
+      expect(body.error || '').not.toMatch(/^Unknown operation/);
+    }
+  );
+});
+
+describe('POST /api/db ownership checks', () => {
+  const otherUsersPrompt = { id: 'prompt_1', isUserCreated: true, userId: OTHER_DJ.id, visibility: 'shared' };
+  const corePrompt = { id: 'prompt_core', isUserCreated: false, userId: null, visibility: 'core' };
+  const otherUsersCategory = { id: 'cat_1', name: 'Theirs', isUserCreated: true, userId: OTHER_DJ.id, parentId: null };
+  const otherUsersResponse = { id: 'response_1', promptId: 'prompt_1', userId: OTHER_DJ.id };
+
+  it('refuses to update another user\'s prompt', async () => {
+    signIn(DJ);
+    prisma.prompt.findUnique.mockResolvedValue(otherUsersPrompt);
+    const { status, body } = await callOperation('updatePrompt', { prompt: { id: 'prompt_1', title: 'Mine now' } });
+    expect(status).toBe(403);
+    expect(body.error).toBe('You can only edit your own prompts');
+    expect(prisma.prompt.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses to let a non-admin update a core prompt', async () => {
+    signIn(DJ);
+    prisma.prompt.findUnique.mockResolvedValue(corePrompt);
+    const { status } = await callOperation('updatePrompt', { prompt: { id: 'prompt_core', title: 'Edited' } });
+    expect(status).toBe(403);
+  });
+
+  it('refuses to delete another user\'s prompt', async () => {
+    signIn(DJ);
+    prisma.prompt.findUnique.mockResolvedValue(otherUsersPrompt);
+    const { status, body } = await callOperation('deletePrompt', { promptId: 'prompt_1' });
+    expect(status).toBe(403);
+    expect(body.error).toBe('You can only delete your own prompts');
+    expect(prisma.prompt.delete).not.toHaveBeenCalled();
+  });
+
+  it('lets the owner delete their prompt', async () => {
+    signIn(OTHER_DJ);
+    prisma.prompt.findUnique.mockResolvedValue(otherUsersPrompt);
+    const { status } = await callOperation('deletePrompt', { promptId: 'prompt_1' });
+    expect(status).toBe(200);
+    expect(prisma.prompt.delete).toHaveBeenCalledWith({ where: { id: 'prompt_1' } });
+  });
+
+  it('refuses to update another user\'s category', async () => {
+    signIn(DJ);
+    prisma.category.findUnique.mockResolvedValue(otherUsersCategory);
+    const { status, body } = await callOperation('updateCategory', { category: { id: 'cat_1', name: 'Renamed' } });
+    expect(status).toBe(403);
+    expect(body.error).toBe('You can only edit your own categories');
+    expect(prisma.category.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses to delete another user\'s category', async () => {
+    signIn(DJ);
+    prisma.category.findUnique.mockResolvedValue(otherUsersCategory);
+    const { status, body } = await callOperation('deleteCategory', { categoryId: 'cat_1' });
+    expect(status).toBe(403);
+    expect(body.error).toBe('You can only delete your own categories');
+    expect(prisma.category.delete).not.toHaveBeenCalled();
+  });
+
+  it('refuses to edit another user\'s response', async () => {
+    signIn(DJ);
+    prisma.response.findUnique.mockResolvedValue(otherUsersResponse);
+    const { status, body } = await callOperation('saveResponse', {
+      response: { id: 'response_1', promptId: 'prompt_1', responseText: 'Rewritten' },
+    });
+    expect(status).toBe(403);
+    expect(body.error).toBe('You can only edit your own responses');
+    expect(prisma.response.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses to delete another user\'s response', async () => {
+    signIn(DJ);
+    prisma.response.findUnique.mockResolvedValue(otherUsersResponse);
+    const { status, body } = await callOperation('deleteResponse', { responseId: 'response_1' });
+    expect(status).toBe(403);
+    expect(body.error).toBe('You can only delete your own responses');
+    expect(prisma.response.delete).not.toHaveBeenCalled();
+  });
+
+  it('lets an admin delete any response', async () => {
+    signIn(ADMIN_USER);
+    prisma.response.findUnique.mockResolvedValue(otherUsersResponse);
+    prisma.response.delete.mockResolvedValue(otherUsersResponse);
+    const { status, body } = await callOperation('deleteResponse', { responseId: 'response_1' });
+    expect(status).toBe(200);
+    expect(body.success).toBe(true);
+  });
+
+  it('refuses to rate another user\'s response', async () => {
+    signIn(DJ);
+    prisma.response.findUnique.mockResolvedValue(otherUsersResponse);
+    const { status } = await callOperation('saveResponseFeedback', { responseId: 'response_1', feedback: { rating: 5 } });
+    expect(status).toBe(403);
+    expect(prisma.response.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses to overwrite another user\'s rundown', async () => {
+    signIn(DJ);
+    prisma.rundown.findUnique.mockResolvedValue({ id: 'rundown_1', userId: OTHER_DJ.id });
+    const { status, body } = await callOperation('saveRundown', {
+      rundown: { id: 'rundown_1', title: 'Friday', slots: [] },
+    });
+    expect(status).toBe(403);
+    expect(body.error).toBe('You can only edit your own rundowns');
+  });
+
+  it('refuses rundown slots using a prompt the caller cannot see', async () => {
+    signIn(DJ);
+    prisma.prompt.findMany.mockResolvedValue([]);
+    const { status, body } = await callOperation('saveRundown', {
+      rundown: { title: 'Friday', slots: [{ promptId: 'prompt_private' }] },
+    });
+    expect(status).toBe(404);
+    expect(body.error).toBe('Prompt not found');
+    expect(prisma.rundownSlot.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses rundown slots using another user\'s response', async () => {
+    signIn(DJ);
+    prisma.prompt.findMany.mockResolvedValue([{ id: 'prompt_1' }]);
+    prisma.response.findMany.mockResolvedValue([otherUsersResponse]);
+    const { status, body } = await callOperation('saveRundown', {
+      rundown: { title: 'Friday', slots: [{ promptId: 'prompt_1', responseId: 'response_1' }] },
+    });
+    expect(status).toBe(403);
+    expect(body.error).toBe('You can only use your own responses in a rundown');
+    expect(prisma.rundownSlot.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses rundown slots whose response does not exist or belongs to another prompt', async () => {
+    signIn(OTHER_DJ);
+    prisma.prompt.findMany.mockResolvedValue([{ id: 'prompt_2' }]);
+
+    let result = await callOperation('saveRundown', {
+      rundown: { title: 'Friday', slots: [{ promptId: 'prompt_2', responseId: 'response_gone' }] },
+    });
+    expect(result.status).toBe(404);
+
+    prisma.response.findMany.mockResolvedValue([otherUsersResponse]);
+    result = await callOperation('saveRundown', {
+      rundown: { title: 'Friday', slots: [{ promptId: 'prompt_2', responseId: 'response_1' }] },
+    });
+    expect(result.status).toBe(400);
+    expect(prisma.rundownSlot.create).not.toHaveBeenCalled();
+  });
+
+  it('saves rundown slots using visible prompts and the caller\'s own responses', async () => {
+    signIn(OTHER_DJ);
+    prisma.prompt.findMany.mockResolvedValue([{ id: 'prompt_1' }]);
+    prisma.response.findMany.mockResolvedValue([otherUsersResponse]);
+    prisma.rundown.findUnique
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ id: 'rundown_new', title: 'Friday', createdAt: new Date(), updatedAt: new Date(), slots: [] });
+    const { status } = await callOperation('saveRundown', {
+      rundown: { title: 'Friday', slots: [{ promptId: 'prompt_1', responseId: 'response_1' }, { promptId: 'prompt_1' }] },
+    });
+    expect(status).toBe(200);
+    expect(prisma.rundownSlot.create).toHaveBeenCalledTimes(2);
+  });
+
+  it('only deletes rundowns owned by the caller', async () => {
+    signIn(DJ);
+    await callOperation('deleteRundown', { rundownId: 'rundown_1' });
+    expect(prisma.rundown.deleteMany).toHaveBeenCalledWith({ where: { id: 'rundown_1', userId: DJ.id } });
+  });
+});
+
+describe('POST /api/db response visibility', () => {
+  const visibleToDj = {
+    OR: [
+      { isUserCreated: false },
+      { userId: DJ.id },
+      { visibility: 'shared' },
+    ],
+  };
+
+  it('only lists responses to prompts the caller can see', async () => {
+    signIn(DJ);
+    await callOperation('getResponses');
+    expect(prisma.response.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { prompt: visibleToDj },
+    }));
+  });
+
+  it('only lists a prompt\'s responses when the caller can see the prompt', async () => {
+    signIn(DJ);
+    await callOperation('getResponsesForPrompt', { promptId: 'prompt_1' });
+    expect(prisma.response.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { promptId: 'prompt_1', prompt: visibleToDj },
+    }));
+  });
+
+  it('only counts a prompt\'s responses when the caller can see the prompt', async () => {
+    signIn(DJ);
+    await callOperation('countResponsesForPrompt', { promptId: 'prompt_1' });
+    expect(prisma.response.count).toHaveBeenCalledWith({
+      where: { promptId: 'prompt_1', prompt: visibleToDj },
+    });
+  });
+
+  it('reports a private prompt of another user as missing', async () => {
+    signIn(DJ);
+    const { body } = await callOperation('checkPromptExists', { promptId: 'prompt_private' });
+    expect(body.exists).toBe(false);
+    expect(prisma.prompt.findFirst).toHaveBeenCalledWith({
+      where: { id: 'prompt_private', ...visibleToDj },
+    });
+  });
+});
+
+describe('POST /api/db prompt visibility', () => {
+  const visibleToDj = {
+    OR: [
+      { isUserCreated: false },
+      { userId: DJ.id },
+      { visibility: 'shared' },
+    ],
+  };
+
+  it('refuses to save a new response to a prompt the caller cannot see', async () => {
+    signIn(DJ);
+    const { status, body } = await callOperation('saveResponse', {
+      response: { promptId: 'prompt_private', responseText: 'Sneaky' },
+    });
+    expect(status).toBe(404);
+    expect(body.error).toBe('Prompt not found');
+    expect(prisma.prompt.findFirst).toHaveBeenCalledWith({ where: { id: 'prompt_private', ...visibleToDj } });
+    expect(prisma.response.create).not.toHaveBeenCalled();
+  });
+
+  it('saves a new response to a visible prompt', async () => {
+    signIn(DJ);
+    prisma.prompt.findFirst.mockResolvedValue({ id: 'prompt_shared' });
+    prisma.response.create.mockResolvedValue({ id: 'response_new' });
+    prisma.response.findUnique
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ id: 'response_new', promptId: 'prompt_shared', responseText: 'Hello', createdAt: new Date() });
+
+    const { status } = await callOperation('saveResponse', {
+      response: { id: 'response_new', promptId: 'prompt_shared', responseText: 'Hello' },
+    });
+    expect(status).toBe(200);
+    expect(prisma.response.create).toHaveBeenCalled();
+  });
+
+  it('skips imported responses to prompts the caller cannot see', async () => {
+    signIn(DJ);
+    prisma.prompt.findMany.mockResolvedValue([{ id: 'prompt_shared' }]);
+
+    const { body } = await callOperation('addResponses', {
+      responses: [
+        { id: 'response_a', promptId: 'prompt_shared', responseText: 'Kept' },
+        { id: 'response_b', promptId: 'prompt_private', responseText: 'Dropped', parentId: 'response_a' },
+      ],
+    });
+
+    expect(body).toEqual({ success: true, added: 1, skipped: 1 });
+    expect(prisma.prompt.findMany).toHaveBeenCalledWith({
+      where: { id: { in: ['prompt_shared', 'prompt_private'] }, ...visibleToDj },
+      select: { id: true },
+    });
+    expect(prisma.response.create).toHaveBeenCalledTimes(1);
+    expect(prisma.response.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('refuses to favorite a prompt the caller cannot see', async () => {
+    signIn(DJ);
+    const { status } = await callOperation('addFavorite', { promptId: 'prompt_private' });
+    expect(status).toBe(404);
+    expect(prisma.userFavorite.upsert).not.toHaveBeenCalled();
+  });
+
+  it('only counts uses of prompts the caller can see', async () => {
+    signIn(DJ);
+    const { body } = await callOperation('recordPromptUse', { promptId: 'prompt_private' });
+    expect(body.success).toBe(false);
+    expect(prisma.prompt.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'prompt_private', ...visibleToDj },
+    }));
+  });
+});
+
+describe('POST /api/db moveCategory', () => {
+  const category = (id, userId, sortOrder, visibility = 'shared') => ({
+    id, name: id, isUserCreated: true, userId, visibility, parentId: null, sortOrder,
+  });
+
+  it('renumbers only the visible siblings the caller may change', async () => {
+    signIn(DJ);
+    const mine = category('cat_mine', DJ.id, 3);
+    const theirs = category('cat_theirs', OTHER_DJ.id, 1);
+    const alsoMine = category('cat_also_mine', DJ.id, 2);
+    prisma.category.findUnique.mockResolvedValue(mine);
+    prisma.category.findMany
+      .mockResolvedValueOnce([mine, theirs, alsoMine].map(({ id, parentId }) => ({ id, parentId })))
+      .mockResolvedValueOnce([theirs, alsoMine]);
+    prisma.category.update.mockImplementation(async ({ where, data }) => ({ id: where.id, name: where.id, ...data }));
+
+    const { status } = await callOperation('moveCategory', { categoryId: 'cat_mine', parentId: null, beforeId: 'cat_theirs' });
+
+    expect(status).toBe(200);
+    expect(prisma.category.findMany).toHaveBeenLastCalledWith({
+      where: {
+        parentId: null,
+        id: { not: 'cat_mine' },
+        OR: [{ isUserCreated: false }, { userId: DJ.id }, { visibility: 'shared' }],
+      },
+    });
+    const updatedIds = prisma.category.update.mock.calls.map(([{ where }]) => where.id);
+    expect(updatedIds.sort()).toEqual(['cat_also_mine', 'cat_mine']);
+  });
+
+  it('refuses to move a category inside its own subcategory', async () => {
+    signIn(DJ);
+    const mine = category('cat_mine', DJ.id, 1);
+    prisma.category.findUnique.mockResolvedValue(mine);
+    prisma.category.findFirst.mockResolvedValue({ id: 'cat_child' });
+    prisma.category.findMany.mockResolvedValueOnce([
+      { id: 'cat_mine', parentId: null },
+      { id: 'cat_hidden', parentId: 'cat_mine' },
+      { id: 'cat_child', parentId: 'cat_hidden' },
+    ]);
+
+    const { status, body } = await callOperation('moveCategory', { categoryId: 'cat_mine', parentId: 'cat_child' });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('A category cannot be moved inside itself');
+    expect(prisma.category.update).not.toHaveBeenCalled();
+  });
+});
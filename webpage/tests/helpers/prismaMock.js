@@ -0,0 +1,63 @@
+import { vi } from 'vitest';
+
+// What each Prisma method resolves to unless a test sets it up: nothing found, nothing changed
+const DEFAULT_RESULTS = {
+  findMany: [],
+  findFirst: null,
+  findUnique: null,
+  count: 0,
+  updateMany: { count: 0 },
+  deleteMany: { count: 0 },
+  createMany: { count: 0 },
+};
+
+/**
+ * Creates a stand-in for the Prisma client
+ * Every model method is a vi.fn created on first use, so tests can set results with
+ * prisma.prompt.findUnique.mockResolvedValue(...) and check calls the same way.
+ * Interactive transactions get the mock itself as their client, and prisma.reset() clears
+ * everything between tests.
+ * @returns {Object} The mock client
+ */
+export function createPrismaMock() {
+  const models = {};
+  const clientMethods = {};
+
+  const createModel = () => new Proxy({}, {
+    get(methods, name) {
+      if (typeof name !== 'string' || name === 'then') return undefined;
+      methods[name] ??= vi.fn(async () => DEFAULT_RESULTS[name] ?? null);
+      return methods[name];
+    },
+  });
+
+  // Forgets every result and call set up so far
+  const reset = () => {
+    Object.keys(models).forEach(name => delete models[name]);
+    Object.keys(clientMethods).forEach(name => delete clientMethods[name]);
+  };
+
+  const prisma = new Proxy({}, {
+    get(target, name) {
+      if (typeof name !== 'string' || name === 'then') return undefined;
+      if (name === 'reset') return reset;
+
+      if (name === '$transaction') {
+        clientMethods.$transaction ??= vi.fn(async (work) =>
+          typeof work === 'function' ? work(prisma) : Promise.all(work)
+        );
+        return clientMethods.$transaction;
+      }
+
+      if (name.startsWith('$')) {
+        clientMethods[name] ??= vi.fn(async () => []);
+        return clientMethods[name];
+      }
+
+      models[name] ??= createModel();
+      return models[name];
+    },
+  });
+
+  return prisma;
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi } from 'vitest';
+import { NextRequest } from 'next/server';
+import { middleware } from '../src/middleware';
+
+// lib/auth loads the database client; the middleware never touches it
+vi.mock('../src/lib/db', () => ({ prisma: {} }));
+
+/**
+ * Builds a fake (unsigned) session token carrying the given claims
+ * The middleware only reads the payload; routes verify the session itself.
+ * @param {Object} payload - Token claims
+ * @returns {string} The token
+ */
+function fakeToken(payload) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.signature`;
+}
+
+/**
+ * Runs the middleware for a path
+ * @param {string} path - Request path
+ * @param {Object} [options]
+ * @param {string} [options.token] - Session cookie value
+ * @param {string} [options.method] - HTTP method
+ * @returns {Response} The middleware's response
+ */
+function run(path, { token, method = 'GET' } = {}) {
+  const request = new NextRequest(`http://localhost${path}`, {
+    method,
+    headers: token ? { cookie: `robo_auth=${token}` } : {},
+  });
+  return middleware(request);
+}
+
+describe('middleware', () => {
+  it.each(['/api/db', '/api/openai', '/api/openai/batch', '/api/openai/compare', '/api/admin/users'])(
+    'answers %s without a session cookie with a JSON 401',
+    async (path) => {
+      const response = run(path, { method: 'POST' });
+      expect(response.status).toBe(401);
+      expect(await response.json()).toEqual({ error: 'Not authenticated' });
+    }
+  );
+
+  it('redirects pages without a session cookie to the login page', () => {
+    const response = run('/admin');
+    expect(response.status).toBe(307);
+    expect(response.headers.get('location')).toBe('http://localhost/login?redirect=%2Fadmin');
+  });
+
+  it('lets the login and registration endpoints through without a session', () => {
+    expect(run('/api/auth/login', { method: 'POST' }).headers.get('x-middleware-next')).toBe('1');
+    expect(run('/api/auth/register', { method: 'POST' }).headers.get('x-middleware-next')).toBe('1');
+  });
+
+  it('passes API requests with a session cookie on to the route', () => {
+    const response = run('/api/db', { method: 'POST', token: fakeToken({ userId: 'user_dj', isAdmin: false }) });
+    expect(response.headers.get('x-middleware-next')).toBe('1');
+  });
+
+  it('returns 403 for admin API requests from non-admins', async () => {
+    const response = run('/api/admin/users', { token: fakeToken({ userId: 'user_dj', isAdmin: false }) });
+    expect(response.status).toBe(403);
+    expect(await response.json()).toEqual({ error: 'Admin privileges required' });
+  });
+
+  it('redirects non-admins away from admin pages', () => {
+    const response = run('/admin/jobs', { token: fakeToken({ userId: 'user_dj', isAdmin: false }) });
+    expect(response.status).toBe(307);
+    expect(response.headers.get('location')).toBe('http://localhost/');
+  });
+
+  it('lets admins through to admin routes', () => {
+    const response = run('/api/admin/users', { token: fakeToken({ userId: 'user_admin', isAdmin: true }) });
+    expect(response.headers.get('x-middleware-next')).toBe('1');
+  });
+});
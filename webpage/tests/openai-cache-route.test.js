@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { cookies } from 'next/headers';
+import { prisma } from '../src/lib/db';
+import { resolveFeedVariables } from '../src/lib/rssFeeds';
+import { POST } from '../src/app/api/openai/cache/route';
+
+vi.mock('next/headers', () => ({ cookies: vi.fn() }));
+
+vi.mock('../src/lib/rssFeeds', () => ({ resolveFeedVariables: vi.fn(async (text) => text) }));
+
+vi.mock('../src/lib/db', async () => {
+  const { createPrismaMock } = await import('./helpers/prismaMock');
+  return {
+    prisma: createPrismaMock(),
+    getUserShowProfile: vi.fn(async () => null),
+  };
+});
+
+const DJ = { id: 'user_dj', email: 'dj@example.com', isAdmin: false };
+const OTHER_DJ = { id: 'user_other', email: 'other@example.com', isAdmin: false };
+
+/**
+ * Signs a user in for the next requests
+ * @param {Object} user - The user the session belongs to
+ */
+function signIn(user) {
+  cookies.mockReturnValue({ get: () => ({ value: `token_${user.id}` }) });
+  prisma.session.findFirst.mockResolvedValue({ token: `token_${user.id}`, user });
+}
+
+/**
+ * Calls the /api/openai/cache route
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { status, body }
+ */
+async function lookUp(body) {
+  const response = await POST(new Request('http://localhost/api/openai/cache', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }));
+  return { status: response.status, body: await response.json() };
+}
+
+beforeEach(() => {
+  prisma.reset();
+  vi.restoreAllMocks();
+  resolveFeedVariables.mockClear();
+});
+
+describe('POST /api/openai/cache', () => {
+  it('limits lookups per user, since building the key fetches feeds', async () => {
+    signIn({ ...DJ, id: 'user_cache_limit' });
+
+    let status = 200;
+    let lookups = 0;
+    while (status === 200 && lookups < 100) {
+      ({ status } = await lookUp({ promptText: `Headlines {{rss=https://example.com/feed-${lookups}.xml}}` }));
+      lookups++;
+    }
+
+    expect(status).toBe(429);
+    expect(lookups).toBe(21);
+    expect(resolveFeedVariables).toHaveBeenCalledTimes(20);
+  });
+
+  it('only reuses responses to prompts the caller can see', async () => {
+    signIn(DJ);
+
+    const { status, body } = await lookUp({ promptText: 'Intro for {{Artist}}', variables: { Artist: 'Nina' } });
+
+    expect(status).toBe(200);
+    expect(body.response).toBeNull();
+    expect(prisma.response.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({
+        cacheKey: body.cacheKey,
+        prompt: { OR: [{ isUserCreated: false }, { userId: DJ.id }, { visibility: 'shared' }] },
+      }),
+    }));
+  });
+
+  it('does not return another user\'s response to their private prompt', async () => {
+    signIn(DJ);
+    const privatePrompt = { id: 'prompt_private', isUserCreated: true, userId: OTHER_DJ.id, visibility: 'private' };
+    const theirResponse = {
+      id: 'response_1',
+      promptId: privatePrompt.id,
+      userId: OTHER_DJ.id,
+      responseText: 'Their script',
+      createdAt: new Date(),
+      user: { firstName: 'Other', lastName: 'DJ' },
+    };
+
+    // Answers like the database would: the response only matches if the prompt filter lets it through
+    prisma.response.findFirst.mockImplementation(async ({ where }) => {
+      const visible = where.prompt.OR.some(condition =>
+        Object.entries(condition).every(([field, value]) => privatePrompt[field] === value)
+      );
+      return visible ? theirResponse : null;
+    });
+
+    const { body } = await lookUp({ promptText: 'Their private prompt' });
+    expect(body.response).toBeNull();
+
+    signIn(OTHER_DJ);
+    const { body: ownerBody } = await lookUp({ promptText: 'Their private prompt' });
+    expect(ownerBody.response.responseText).toBe('Their script');
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { cookies } from 'next/headers';
+import { prisma } from '../src/lib/db';
+import { checkRateLimit } from '../src/lib/rateLimiter';
+import { POST } from '../src/app/api/openai/compare/route';
+
+vi.mock('next/headers', () => ({ cookies: vi.fn() }));
+
+vi.mock('../src/lib/db', async () => {
+  const { createPrismaMock } = await import('./helpers/prismaMock');
+  return {
+    prisma: createPrismaMock(),
+    getUserShowProfile: vi.fn(async () => null),
+  };
+});
+
+// AI_RATE_LIMIT_PER_MINUTE is unset in tests, so the default applies
+const REQUESTS_PER_MINUTE = 20;
+
+const DJ = { id: 'user_compare_dj', email: 'dj@example.com', isAdmin: false };
+
+/**
+ * Calls the /api/openai/compare route as the signed-in DJ
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { status, body }
+ */
+async function compare(body) {
+  const response = await POST(new Request('http://localhost/api/openai/compare', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }));
+  return { status: response.status, body: await response.json() };
+}
+
+beforeEach(() => {
+  prisma.reset();
+  cookies.mockReturnValue({ get: () => ({ value: `token_${DJ.id}` }) });
+  prisma.session.findFirst.mockResolvedValue({ token: `token_${DJ.id}`, user: DJ });
+});
+
+describe('POST /api/openai/compare', () => {
+  it('does not count a comparison rejected for a bad model against the rate limit', async () => {
+    for (let attempt = 0; attempt < REQUESTS_PER_MINUTE; attempt++) {
+      const { status, body } = await compare({
+        promptText: 'Intro for the next song',
+        variants: [{ model: 'gpt-4o' }, { model: 'gpt-4o-mini', temperature: 9 }],
+      });
+      expect(status).toBe(400);
+      expect(body.error).toMatch(/^Model 2: Temperature/);
+    }
+
+    expect(checkRateLimit(`user:${DJ.id}`, REQUESTS_PER_MINUTE)).toBeNull();
+  });
+});
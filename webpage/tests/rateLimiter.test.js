@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { checkRateLimit } from '../src/lib/rateLimiter';
+
+// AI_RATE_LIMIT_PER_MINUTE is unset in tests, so the default applies
+const REQUESTS_PER_MINUTE = 20;
+
+let nextKey = 0;
+
+/**
+ * Makes a rate limit key no other test has used, since limiter state is shared
+ * @returns {string} The key
+ */
+function freshKey() {
+  nextKey++;
+  return `user:rate_limit_test_${nextKey}`;
+}
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('checkRateLimit', () => {
+  it('allows requests up to the per-minute limit', () => {
+    const key = freshKey();
+    for (let request = 0; request < REQUESTS_PER_MINUTE; request++) {
+      expect(checkRateLimit(key)).toBeNull();
+    }
+
+    const error = checkRateLimit(key);
+    expect(error.status).toBe(429);
+    expect(error.scope).toBe('user');
+  });
+
+  it('counts every generation of a comparison', () => {
+    const key = freshKey();
+    expect(checkRateLimit(key, 4)).toBeNull();
+    for (let request = 4; request < REQUESTS_PER_MINUTE; request++) {
+      expect(checkRateLimit(key)).toBeNull();
+    }
+    expect(checkRateLimit(key)).not.toBeNull();
+  });
+
+  it('counts nothing when the generations don\'t all fit', () => {
+    const key = freshKey();
+    expect(checkRateLimit(key, REQUESTS_PER_MINUTE - 2)).toBeNull();
+    expect(checkRateLimit(key, 4)).not.toBeNull();
+    expect(checkRateLimit(key, 2)).toBeNull();
+  });
+
+  it('says when enough of the window will have expired to make room', () => {
+    vi.useFakeTimers();
+    const key = freshKey();
+    checkRateLimit(key, 10);
+    vi.advanceTimersByTime(30000);
+    checkRateLimit(key, 10);
+
+    expect(checkRateLimit(key, 4).retryAfter).toBe(30);
+
+    vi.advanceTimersByTime(30000);
+    expect(checkRateLimit(key, 4)).toBeNull();
+  });
+
+  it('lets a request bigger than the limit use the whole window', () => {
+    const key = freshKey();
+    expect(checkRateLimit(key, REQUESTS_PER_MINUTE + 5)).toBeNull();
+    expect(checkRateLimit(key)).not.toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { resolveFeedVariables, fetchFeed, isPublicAddress, clearFeedCache } from '../src/lib/rssFeeds';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Serves the fixture feeds, plus a few misbehaving endpoints, from a local port
+let server;
+let baseUrl;
+let requests;
+
+beforeAll(async () => {
+  server = http.createServer((request, response) => {
+    requests.push(request.url);
+
+    if (request.url === '/news-feed.xml' || request.url === '/music-feed.atom') {
+      response.writeHead(200, { 'Content-Type': 'application/xml' });
+      response.end(readFileSync(path.join(fixtures, request.url.slice(1))));
+    } else if (request.url === '/huge-feed.xml') {
+      // No Content-Length, so only the streamed byte count can catch it
+      response.writeHead(200, { 'Content-Type': 'application/xml' });
+      const chunk = Buffer.alloc(64 * 1024, 'a');
+      let sent = 0;
+      const write = () => {
+        while (sent < 4 * 1024 * 1024) {
+          sent += chunk.length;
+          if (!response.write(chunk)) {
+            response.once('drain', write);
+            return;
+          }
+        }
+        response.end();
+      };
+      write();
+      response.on('error', () => {});
+    } else if (request.url === '/moved') {
+      response.writeHead(302, { Location: '/news-feed.xml' });
+      response.end();
+    } else {
+      response.writeHead(404);
+      response.end();
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  clearFeedCache();
+  process.env.RSS_ALLOW_PRIVATE_HOSTS = 'true';
+});
+
+afterEach(() => {
+  delete process.env.RSS_ALLOW_PRIVATE_HOSTS;
+});
+
+describe('resolveFeedVariables', () => {
+  it('replaces an RSS 2.0 feed variable with its items', async () => {
+    const text = await resolveFeedVariables(`Headlines:\n{{rss=${baseUrl}/news-feed.xml|count:2}}\nKeep it short.`);
+
+    expect(text).toBe([
+      'Headlines:',
+      '1. Bridge reopens after repairs',
+      '   The Fremont Bridge reopened Monday & traffic is moving again.',
+      '   https://example.com/news/bridge',
+      '2. Record crowd at the summer festival',
+      '   Organizers counted 40,000 visitors over the weekend.',
+      '   https://example.com/news/festival',
+      'Keep it short.',
+    ].join('\n'));
+  });
+
+  it('reads Atom feeds', async () => {
+    const text = await resolveFeedVariables(`{{rss=${baseUrl}/music-feed.atom}}`);
+
+    expect(text).toContain('1. Synth-pop duo announces tour');
+    expect(text).toContain('   https://example.com/music/tour');
+    expect(text).toContain('2. Album of the week: Night Drive');
+  });
+
+  it('fetches a repeated feed once and serves it from the cache afterwards', async () => {
+    const token = `{{rss=${baseUrl}/news-feed.xml|count:1}}`;
+    await resolveFeedVariables(`${token} and again ${token}`);
+    await resolveFeedVariables(token);
+
+    expect(requests).toEqual(['/news-feed.xml']);
+  });
+
+  it('follows redirects', async () => {
+    const items = await fetchFeed(`${baseUrl}/moved`);
+    expect(items).toHaveLength(3);
+  });
+
+  it('reports feeds that fail to load', async () => {
+    await expect(resolveFeedVariables(`{{rss=${baseUrl}/missing.xml}}`))
+      .rejects.toThrow(`Could not load feed ${baseUrl}/missing.xml: HTTP 404`);
+  });
+
+  it('stops reading feeds larger than the size limit', async () => {
+    await expect(fetchFeed(`${baseUrl}/huge-feed.xml`)).rejects.toThrow('feed is too large');
+  });
+
+  it('leaves prompts without feed variables alone', async () => {
+    expect(await resolveFeedVariables('No feeds here {{Artist}}')).toBe('No feeds here {{Artist}}');
+    expect(requests).toEqual([]);
+  });
+});
+
+describe('private addresses', () => {
+  it('refuses loopback feeds unless RSS_ALLOW_PRIVATE_HOSTS is set', async () => {
+    delete process.env.RSS_ALLOW_PRIVATE_HOSTS;
+
+    await expect(fetchFeed(`${baseUrl}/news-feed.xml`)).rejects.toThrow('Feed host is not on a public address');
+    await expect(fetchFeed('http://localhost:1/feed.xml')).rejects.toThrow('Feed host is not on a public address');
+    await expect(fetchFeed('http://[::ffff:127.0.0.1]:1/feed.xml')).rejects.toThrow('Feed host is not on a public address');
+    expect(requests).toEqual([]);
+  });
+
+  it('refuses non-http schemes', async () => {
+    await expect(fetchFeed('file:///etc/passwd')).rejects.toThrow('Feed URL must use http or https');
+  });
+
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.10', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1', '::ffff:a9fe:a9fe',
+  ])('treats %s as private', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  it.each(['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:4700:4700::1111'])('treats %s as public', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { prisma } from '../src/lib/db';
+import { getProvider } from '../src/lib/providers';
+import { calculateCost, estimateTokens, getModelPrices, getUnpricedModelPrice } from '../src/lib/usage';
+import { checkUsageBudget, getUsageSummary } from '../src/lib/usageLedger';
+import { streamToAi } from '../src/lib/openaiService';
+
+vi.mock('../src/lib/db', async () => {
+  const { createPrismaMock } = await import('./helpers/prismaMock');
+  return { prisma: createPrismaMock() };
+});
+
+vi.mock('../src/lib/providers', () => ({ getProvider: vi.fn() }));
+
+const PRICES = {
+  'cheap-model': { input: 1, output: 2 },
+  'dear-model': { input: 10, output: 40 },
+};
+
+/**
+ * Makes a usageRecord.groupBy result for one model
+ * @param {string} provider - Provider ID
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @returns {Object} The group
+ */
+function usageGroup(provider, model, promptTokens, completionTokens) {
+  return {
+    userId: 'user_dj',
+    provider,
+    model,
+    _count: { _all: 1 },
+    _sum: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+  };
+}
+
+beforeEach(() => {
+  prisma.reset();
+  vi.unstubAllEnvs();
+});
+
+describe('calculateCost', () => {
+  it('charges nothing for unpriced models unless given a price for them', () => {
+    const usage = { provider: 'openai', model: 'mystery-model', promptTokens: 1000000, completionTokens: 1000000 };
+    expect(calculateCost(usage, PRICES)).toBe(0);
+    expect(calculateCost(usage, PRICES, getUnpricedModelPrice(PRICES))).toBe(50);
+  });
+
+  it('keeps local models free even with an unpriced fallback', () => {
+    const usage = { provider: 'local', model: 'llama3', promptTokens: 1000000, completionTokens: 1000000 };
+    expect(calculateCost(usage, PRICES, getUnpricedModelPrice(PRICES))).toBe(0);
+  });
+});
+
+describe('getUnpricedModelPrice', () => {
+  it('uses the highest input and output prices in the table', () => {
+    expect(getUnpricedModelPrice(PRICES)).toEqual({ input: 10, output: 40 });
+  });
+});
+
+describe('estimateTokens', () => {
+  it('counts about four characters per token', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('abcd')).toBe(1);
+    expect(estimateTokens('abcde')).toBe(2);
+  });
+});
+
+describe('checkUsageBudget', () => {
+  it('counts unpriced models against the budget', async () => {
+    vi.stubEnv('AI_MODEL_PRICES', JSON.stringify(PRICES));
+    prisma.user.findUnique.mockResolvedValue({ monthlyBudget: 5 });
+    prisma.usageRecord.groupBy.mockResolvedValue([usageGroup('openai', 'mystery-model', 1000000, 0)]);
+
+    expect(await checkUsageBudget('user_dj')).toMatch(/monthly AI budget/);
+  });
+
+  it('lets local models run past the budget', async () => {
+    prisma.user.findUnique.mockResolvedValue({ monthlyBudget: 5 });
+    prisma.usageRecord.groupBy.mockResolvedValue([usageGroup('local', 'llama3', 1000000000, 1000000000)]);
+
+    expect(await checkUsageBudget('user_dj')).toBeNull();
+  });
+
+  it('does nothing without a budget', async () => {
+    prisma.user.findUnique.mockResolvedValue({ monthlyBudget: null });
+
+    expect(await checkUsageBudget('user_dj')).toBeNull();
+    expect(prisma.usageRecord.groupBy).not.toHaveBeenCalled();
+  });
+});
+
+describe('getUsageSummary', () => {
+  it('shows unpriced models at the price budgets charge them', async () => {
+    vi.stubEnv('AI_MODEL_PRICES', JSON.stringify(PRICES));
+    prisma.user.findMany.mockResolvedValue([{ id: 'user_dj', email: 'dj@example.com', monthlyBudget: 5 }]);
+    prisma.user.findUnique.mockResolvedValue({ monthlyBudget: 5 });
+    prisma.usageRecord.groupBy.mockResolvedValue([usageGroup('openai', 'mystery-model', 1000000, 0)]);
+    prisma.usageRecord.findMany.mockResolvedValue([
+      { createdAt: new Date(), provider: 'openai', model: 'mystery-model', promptTokens: 1000000, completionTokens: 0, totalTokens: 1000000 },
+    ]);
+
+    const summary = await getUsageSummary();
+    // One million input tokens at the highest input price, built-in prices included
+    const expectedCost = getUnpricedModelPrice(getModelPrices()).input;
+
+    const [dj] = summary.users;
+    expect(dj.month.cost).toBeGreaterThanOrEqual(dj.budget);
+    expect(await checkUsageBudget('user_dj')).not.toBeNull();
+    expect(summary.models[0]).toMatchObject({ model: 'mystery-model', priced: false, cost: expectedCost });
+    expect(summary.daily.at(-1).cost).toBe(expectedCost);
+  });
+});
+
+describe('streamToAi', () => {
+  it('estimates the usage of a stream cancelled part way', async () => {
+    const controller = new AbortController();
+    getProvider.mockReturnValue({
+      id: 'openai',
+      defaultModel: () => 'gpt-4o',
+      async stream(request, onDelta, signal) {
+        onDelta('12345678');
+        controller.abort();
+        signal.throwIfAborted();
+      },
+    });
+
+    const error = await streamToAi('Tell me about {{Artist}}', { Artist: 'Nina' }, { systemPrompt: 'Be brief.' }, () => {}, controller.signal)
+      .catch(caught => caught);
+
+    expect(error.name).toBe('AbortError');
+    expect(error.partialUsage).toEqual({
+      provider: 'openai',
+      modelUsed: 'gpt-4o',
+      promptTokens: estimateTokens('Be brief.\nTell me about Nina'),
+      completionTokens: 2,
+    });
+  });
+});